@@ -3,13 +3,20 @@
  * Handles background tasks, messaging, and API calls
  */
 
-import { generateSummary } from './lib/api.js';
+import { generateSummary, ApiError } from './lib/api.js';
 import * as db from './lib/db.js';
 import * as connections from './lib/connections.js';
+import { CHANGE_MESSAGE_TYPE, subscribeToChanges, changeTouches } from './lib/changes.js';
+import { AUTO_BACKUP_ALARM, scheduleAutoBackup, runAutoBackup } from './lib/backups.js';
+import { SYNC_ALARM, scheduleSync, syncNow } from './lib/sync.js';
+import { REVIEW_ALARM, getReviewSettings, scheduleReviewReminder } from './lib/review.js';
+import { renderMarkdown } from './lib/markdown.js';
+import { canonicalizeUrl } from './lib/utils.js';
 
 // Initialize database
 db.initDB().then(() => {
   console.log('Wing database initialized');
+  scheduleLibraryCheck();
 }).catch((error) => {
   console.error('Failed to initialize database:', error);
 });
@@ -72,9 +79,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Summarize wings without a summary later (imported bookmarks)
+  if (request.type === 'QUEUE_SUMMARIES') {
+    queueSummaries(request.wingIds)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('Error queueing summaries:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   // Check if a page is winged (for content script)
   if (request.type === 'CHECK_WINGED_PAGE') {
-    handleCheckWingedPage(request.url)
+    handleCheckWingedPage(request.url, request.canonicalUrl)
       .then(sendResponse)
       .catch((error) => {
         console.error('Error checking winged page:', error);
@@ -83,6 +101,55 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // A winged page was opened again (from content script)
+  if (request.type === 'START_READING') {
+    db.startReadingWing(request.wingId)
+      .then((started) => sendResponse({ success: true, started }))
+      .catch((error) => {
+        console.error('Error marking wing as reading:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Reading progress on a winged page (from content script)
+  if (request.type === 'SAVE_READING_PROGRESS') {
+    db.saveReadingProgress(request.wingId, request.progress || {})
+      .then((progress) => sendResponse({ success: true, progress }))
+      .catch((error) => {
+        console.error('Error saving reading progress:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Notes of a winged page (from the content script badge)
+  if (request.type === 'GET_WING_NOTES') {
+    db.getWing(request.wingId)
+      .then((wing) => sendResponse({ success: true, notes: wing ? wing.notes ?? null : '' }))
+      .catch((error) => {
+        console.error('Error loading notes:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'SAVE_WING_NOTES') {
+    db.saveWingNotes(request.wingId, request.notes)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('Error saving notes:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Markdown preview, rendered here so the content script doesn't need its own copy
+  if (request.type === 'PREVIEW_NOTES') {
+    sendResponse({ html: renderMarkdown(request.notes || '') });
+    return false;
+  }
+
   // Save a new highlight
   if (request.type === 'SAVE_HIGHLIGHT') {
     handleSaveHighlight(request.highlight)
@@ -229,22 +296,29 @@ async function handleGenerateSummary(tabId) {
 
 /**
  * Check if a URL has been winged and return wing data with highlights
+ * Variants of a saved URL (tracking params, fragments, www.) also match.
+ * The page's canonical URLs come back too, so the page can tell which wing
+ * changes concern it.
  */
-async function handleCheckWingedPage(url) {
+async function handleCheckWingedPage(url, canonicalUrl) {
   try {
-    const wing = await db.getWingByUrl(url);
+    const wing = await db.getWingByUrl(url, { canonicalUrl });
+    const pageUrls = [...new Set([canonicalizeUrl(url), canonicalizeUrl(canonicalUrl)].filter(Boolean))];
 
     if (!wing) {
-      return { isWinged: false };
+      return { isWinged: false, pageUrls };
     }
 
-    // Get highlights for this wing
-    const highlights = await db.getHighlightsByWing(wing.id);
+    // Get highlights for this wing; their text is null while Wing is locked,
+    // and they can't be placed on the page without it
+    const highlights = (await db.getHighlightsByWing(wing.id)).filter((h) => h.selectedText);
 
     return {
       isWinged: true,
       wingId: wing.id,
       highlights: highlights,
+      progress: { depth: wing.scrollDepth || 0, position: wing.scrollPosition || 0 },
+      pageUrls,
     };
   } catch (error) {
     console.error('Error checking winged page:', error);
@@ -373,5 +447,328 @@ async function handleRefreshConnections(wingId) {
   }
 }
 
+// ============================================
+// Trash Auto-Purge
+// ============================================
+
+const TRASH_PURGE_ALARM = 'wing-trash-purge';
+const TRASH_PURGE_INTERVAL_MINUTES = 6 * 60;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Schedule the periodic trash purge (kept across service worker restarts)
+ */
+async function ensureTrashPurgeAlarm() {
+  const existing = await chrome.alarms.get(TRASH_PURGE_ALARM);
+  if (!existing) {
+    chrome.alarms.create(TRASH_PURGE_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: TRASH_PURGE_INTERVAL_MINUTES,
+    });
+  }
+}
+
+/**
+ * Permanently delete trash older than the configured retention period
+ * A retention of 0 days keeps trash until it is emptied manually.
+ */
+async function purgeExpiredTrash() {
+  const { trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS } =
+    await chrome.storage.local.get({ trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS });
+  if (!trashRetentionDays) return 0;
+
+  const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+  const purged = await db.purgeTrash(cutoff);
+  if (purged > 0) {
+    console.log(`Purged ${purged} expired trash items`);
+  }
+  return purged;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_PURGE_ALARM) {
+    purgeExpiredTrash().catch((error) => {
+      console.error('Error purging trash:', error);
+    });
+  }
+  if (alarm.name === SUMMARY_QUEUE_ALARM) {
+    processSummaryQueue().catch((error) => {
+      console.error('Error processing summary queue:', error);
+    });
+  }
+  if (alarm.name === AUTO_BACKUP_ALARM) {
+    runAutoBackup().catch((error) => {
+      console.error('Error backing up library:', error);
+    });
+  }
+  if (alarm.name === SYNC_ALARM) {
+    syncNow().catch((error) => {
+      console.error('Error syncing library:', error);
+    });
+  }
+  if (alarm.name === REVIEW_ALARM) {
+    remindToReview().catch((error) => {
+      console.error('Error reminding to review:', error);
+    });
+  }
+});
+
+ensureTrashPurgeAlarm().catch((error) => {
+  console.error('Failed to schedule trash purge:', error);
+});
+
+// The backup schedule is set in options; this restores the alarm if it was lost
+scheduleAutoBackup().catch((error) => {
+  console.error('Failed to schedule backups:', error);
+});
+
+scheduleSync().catch((error) => {
+  console.error('Failed to schedule sync:', error);
+});
+
+scheduleReviewReminder().catch((error) => {
+  console.error('Failed to schedule review reminder:', error);
+});
+
+// ============================================
+// Summary Queue
+// ============================================
+
+// Wings waiting for a summary are kept in storage so the queue survives service worker restarts
+const SUMMARY_QUEUE_KEY = 'summaryQueue';
+const SUMMARY_QUEUE_ALARM = 'wing-summary-queue';
+const SUMMARY_QUEUE_INTERVAL_MINUTES = 1;
+
+// Summaries generated per alarm, to stay clear of API rate limits
+const SUMMARY_BATCH_SIZE = 3;
+
+// Errors that would fail every summary; the queue waits until they are resolved
+const BLOCKING_API_ERRORS = ['NO_API_KEY', 'INVALID_KEY', 'LOCKED'];
+
+/**
+ * Add wings to the summary queue and start working through it
+ * @param {Array<string>} wingIds - Wings to summarize
+ */
+async function queueSummaries(wingIds) {
+  const { [SUMMARY_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(SUMMARY_QUEUE_KEY);
+  const queued = [...new Set([...queue, ...wingIds])];
+  await chrome.storage.local.set({ [SUMMARY_QUEUE_KEY]: queued });
+
+  if (!(await chrome.alarms.get(SUMMARY_QUEUE_ALARM))) {
+    chrome.alarms.create(SUMMARY_QUEUE_ALARM, {
+      delayInMinutes: 0.5,
+      periodInMinutes: SUMMARY_QUEUE_INTERVAL_MINUTES,
+    });
+  }
+  return { success: true, queued: queued.length };
+}
+
+/**
+ * Summarize the next wings in the queue
+ * Wings that were deleted or already have a summary are dropped, as are pages
+ * that can't be read. The alarm is cleared once the queue is empty.
+ */
+async function processSummaryQueue() {
+  const { [SUMMARY_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(SUMMARY_QUEUE_KEY);
+  const remaining = [...queue];
+
+  for (const wingId of queue.slice(0, SUMMARY_BATCH_SIZE)) {
+    try {
+      const wing = await db.getWing(wingId);
+      if (wing && !wing.summary) {
+        const fullContent = await fetchPageText(wing.url);
+        const summary = await generateSummary(fullContent);
+        await db.updateWing(wingId, { summary, fullContent });
+      }
+    } catch (error) {
+      if (error instanceof ApiError && (error.retryable || BLOCKING_API_ERRORS.includes(error.code))) {
+        console.log(`Summary queue paused: ${error.message}`);
+        break;
+      }
+      console.error(`Could not summarize wing ${wingId}:`, error);
+    }
+    remaining.splice(remaining.indexOf(wingId), 1);
+  }
+
+  await chrome.storage.local.set({ [SUMMARY_QUEUE_KEY]: remaining });
+  if (remaining.length === 0) {
+    await chrome.alarms.clear(SUMMARY_QUEUE_ALARM);
+  }
+}
+
+/**
+ * Fetch a page and reduce it to its text
+ * The service worker has no DOM, so markup is stripped rather than parsed.
+ */
+async function fetchPageText(url) {
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Page returned ${response.status}`);
+  }
+
+  const html = await response.text();
+  return html
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 10000);
+}
+
+// ============================================
+// Library Health Check
+// ============================================
+
+// Wait before checking so startup work goes first
+const LIBRARY_CHECK_DELAY_MS = 5000;
+
+/**
+ * Check the library for inconsistencies at low priority
+ * The report is kept in storage for the options page.
+ */
+function scheduleLibraryCheck() {
+  const run = () => {
+    runLibraryCheck().catch((error) => {
+      console.error('Error checking library:', error);
+    });
+  };
+
+  if (globalThis.scheduler?.postTask) {
+    scheduler.postTask(run, { priority: 'background', delay: LIBRARY_CHECK_DELAY_MS });
+  } else {
+    setTimeout(run, LIBRARY_CHECK_DELAY_MS);
+  }
+}
+
+async function runLibraryCheck() {
+  const report = await db.checkLibrary();
+  await chrome.storage.local.set({ libraryHealth: report });
+  if (report.problems > 0) {
+    console.log(`Library check found ${report.problems} problems`);
+  }
+  return report;
+}
+
+// ============================================
+// Reading Status Shortcut
+// ============================================
+
+const MARK_DONE_COMMAND = 'mark-wing-done';
+
+// How long the action badge confirms the shortcut
+const MARK_DONE_BADGE_MS = 2000;
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command === MARK_DONE_COMMAND) {
+    markActiveTabDone().catch((error) => {
+      console.error('Error marking wing as done:', error);
+    });
+  }
+});
+
+/**
+ * Mark the wing of the active tab's page as done
+ * The action badge briefly confirms it, or says the page isn't winged.
+ */
+async function markActiveTabDone() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url) return;
+
+  const wing = await db.getWingByUrl(tab.url);
+  if (wing) await db.setWingStatus(wing.id, 'done');
+
+  await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: wing ? '#2e7d32' : '#9e9e9e' });
+  await chrome.action.setBadgeText({ tabId: tab.id, text: wing ? '✓' : '–' });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId: tab.id, text: '' }).catch(() => {
+      // The tab was closed
+    });
+  }, MARK_DONE_BADGE_MS);
+}
+
+// ============================================
+// Review Reminders
+// ============================================
+
+const REVIEW_NOTIFICATION_ID = 'wing-review';
+const REVIEW_PAGE = 'review/review.html';
+
+/**
+ * Show the daily review prompt, if anything is due
+ */
+async function remindToReview() {
+  const { resurfaceWings } = await getReviewSettings();
+  const due = await db.countDueReviews({ includeWings: resurfaceWings });
+  if (due === 0) return;
+
+  const noun = resurfaceWings ? 'item' : 'highlight';
+  await chrome.notifications.create(REVIEW_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: 'Time to review',
+    message: due === 1 ? `1 ${noun} is ready for review.` : `${due} ${noun}s are ready for review.`,
+    buttons: [{ title: 'Review now' }],
+    priority: 0,
+  });
+}
+
+/**
+ * Open the review page, reusing a tab that already has it
+ */
+async function openReviewPage() {
+  const url = chrome.runtime.getURL(REVIEW_PAGE);
+  const [tab] = await chrome.tabs.query({ url });
+  if (tab) {
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } else {
+    await chrome.tabs.create({ url });
+  }
+  await chrome.notifications.clear(REVIEW_NOTIFICATION_ID);
+}
+
+function handleReviewNotificationClick(notificationId) {
+  if (notificationId !== REVIEW_NOTIFICATION_ID) return;
+  openReviewPage().catch((error) => {
+    console.error('Error opening review:', error);
+  });
+}
+
+chrome.notifications.onClicked.addListener(handleReviewNotificationClick);
+chrome.notifications.onButtonClicked.addListener(handleReviewNotificationClick);
+
+// ============================================
+// Change Relay
+// ============================================
+
+/**
+ * Forward wing and highlight changes to content scripts, which can't receive
+ * runtime messages from other extension contexts
+ */
+async function relayChangesToTabs(event) {
+  if (!changeTouches(event, 'wings', 'highlights')) return;
+
+  const tabs = await chrome.tabs.query({});
+  tabs
+    .filter((tab) => tab.url?.startsWith('http'))
+    .forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, { type: CHANGE_MESSAGE_TYPE, event }).catch(() => {
+        // No content script in this tab
+      });
+    });
+}
+
+subscribeToChanges((event) => {
+  relayChangesToTabs(event).catch((error) => {
+    console.error('Error relaying changes to tabs:', error);
+  });
+});
+
 // Log when service worker starts
 console.log('Wing background service worker started');
@@ -7,10 +7,26 @@
 let isWingedPage = false;
 let wingId = null;
 let highlights = [];
+let pageUrls = null; // Canonical forms of the page's URLs, as the library keys wings
 let currentTooltip = null;
 let currentPopup = null;
 let currentSelection = null;
 let tooltipJustCreated = false; // Flag to prevent immediate removal
+let progressSaveTimer = null;
+let notesPanel = null;
+let notesSaveTimer = null;
+
+// Wait after scrolling stops before saving reading progress
+const PROGRESS_SAVE_DELAY_MS = 2000;
+
+// Positions nearer the top than this (as a fraction of the page) aren't worth resuming
+const MIN_RESUME_POSITION = 0.05;
+
+// How long the offer to resume stays on the page
+const RESUME_PROMPT_MS = 12000;
+
+// Wait after typing stops before saving the page's notes
+const NOTES_SAVE_DELAY_MS = 1000;
 
 // ============================================
 // Initialization
@@ -31,6 +47,7 @@ async function init() {
       response = await chrome.runtime.sendMessage({
         type: 'CHECK_WINGED_PAGE',
         url: currentUrl,
+        canonicalUrl: getCanonicalUrl(),
       });
     } catch (messageError) {
       // Extension context invalidated (e.g., extension was reloaded)
@@ -41,18 +58,28 @@ async function init() {
       throw messageError;
     }
 
+    pageUrls = response?.pageUrls || null;
+
     if (response && response.isWinged) {
       isWingedPage = true;
       wingId = response.wingId;
       highlights = response.highlights || [];
       console.log('[Wing] Page is winged! wingId:', wingId, 'highlights:', highlights.length);
 
+      // Coming back to a saved page means it's being read
+      chrome.runtime.sendMessage({ type: 'START_READING', wingId }).catch((error) => {
+        console.warn('[Wing] Could not update reading status:', error);
+      });
+
       // Show the wing badge
       showWingBadge();
 
       // Restore existing highlights
       restoreHighlights();
 
+      offerResume(response.progress);
+      startTrackingProgress();
+
       // Listen for text selection
       console.log('[Wing] Adding text selection listeners');
       document.addEventListener('mouseup', handleTextSelection);
@@ -88,25 +115,135 @@ function handleRuntimeMessage(request, sender, sendResponse) {
   if (request.type === 'PAGE_JUST_WINGED') {
     console.log('[Wing] Page was just winged!', request.wingId);
 
-    // Update state
-    isWingedPage = true;
-    wingId = request.wingId;
-    highlights = [];
+    activateWingedPage(request.wingId, []);
 
-    // Show the wing badge if not already visible
-    if (!document.querySelector('.wing-page-badge')) {
-      showWingBadge();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  // Library changed in another context (relayed by the background worker)
+  if (request.type === 'WING_DATA_CHANGED') {
+    if (affectsThisPage(request.event)) {
+      syncWithLibrary().catch((error) => {
+        console.error('Error syncing page with library:', error);
+      });
     }
+    return false;
+  }
+}
+
+/**
+ * Mark the page as winged and enable highlighting
+ */
+function activateWingedPage(id, pageHighlights) {
+  isWingedPage = true;
+  wingId = id;
+  highlights = pageHighlights;
+
+  // Show the wing badge if not already visible
+  if (!document.querySelector('.wing-page-badge')) {
+    showWingBadge();
+  }
 
-    // Add text selection listeners if not already added
-    document.removeEventListener('mouseup', handleTextSelection);
-    document.removeEventListener('keyup', handleTextSelection);
-    document.addEventListener('mouseup', handleTextSelection);
-    document.addEventListener('keyup', handleTextSelection);
+  // Add text selection listeners if not already added
+  document.removeEventListener('mouseup', handleTextSelection);
+  document.removeEventListener('keyup', handleTextSelection);
+  document.addEventListener('mouseup', handleTextSelection);
+  document.addEventListener('keyup', handleTextSelection);
 
-    sendResponse({ success: true });
-    return true;
+  startTrackingProgress();
+}
+
+/**
+ * Undo activateWingedPage after the wing was deleted elsewhere
+ */
+function deactivateWingedPage() {
+  highlights.forEach((highlight) => removeHighlightElement(highlight.id));
+  document.querySelector('.wing-page-badge')?.remove();
+  document.querySelector('.wing-resume-prompt')?.remove();
+  removeNotesPanel();
+  document.removeEventListener('mouseup', handleTextSelection);
+  document.removeEventListener('keyup', handleTextSelection);
+  stopTrackingProgress();
+  removeTooltip();
+  removePopup();
+
+  isWingedPage = false;
+  wingId = null;
+  highlights = [];
+}
+
+/**
+ * Check whether a library change event can affect this page
+ */
+function affectsThisPage(event) {
+  return event.changes.some((change) => {
+    if (change.store !== 'wings' && change.store !== 'highlights') return false;
+    if (change.type === 'reset') return true;
+    // A wing saved elsewhere may be this page
+    if (!isWingedPage) {
+      return change.store === 'wings' && (!pageUrls || !change.url || pageUrls.includes(change.url));
+    }
+    return (change.store === 'wings' ? change.key : change.wingId) === wingId;
+  });
+}
+
+/**
+ * Bring the badge and highlights in line with the library
+ */
+async function syncWithLibrary() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'CHECK_WINGED_PAGE',
+    url: window.location.href,
+    canonicalUrl: getCanonicalUrl(),
+  });
+  pageUrls = response?.pageUrls || null;
+
+  if (!response || !response.isWinged) {
+    if (isWingedPage) deactivateWingedPage();
+    return;
+  }
+
+  if (!isWingedPage || response.wingId !== wingId) {
+    if (isWingedPage) deactivateWingedPage();
+    activateWingedPage(response.wingId, []);
   }
+
+  const latest = response.highlights || [];
+  const latestIds = new Set(latest.map((h) => h.id));
+  const knownIds = new Set(highlights.map((h) => h.id));
+
+  highlights
+    .filter((h) => !latestIds.has(h.id))
+    .forEach((h) => removeHighlightElement(h.id));
+
+  latest.forEach((highlight) => {
+    if (!knownIds.has(highlight.id)) {
+      if (hasHighlightElement(highlight.id)) return;
+      try {
+        applyHighlightFromPosition(highlight);
+      } catch (error) {
+        console.warn('Could not restore highlight:', highlight.id, error);
+      }
+      return;
+    }
+
+    const el = document.querySelector(`[data-wing-highlight-id="${highlight.id}"]`);
+    if (el) {
+      el.setAttribute('data-has-annotation', highlight.annotation ? 'true' : 'false');
+    }
+  });
+
+  highlights = latest;
+  updateBadgeCount();
+}
+
+/**
+ * Get the canonical URL the page declares, if any
+ */
+function getCanonicalUrl() {
+  const link = document.querySelector('link[rel="canonical"]');
+  return link?.href || null;
 }
 
 /**
@@ -153,11 +290,16 @@ function showWingBadge() {
     <span class="wing-page-badge-icon">🪶</span>
     <span class="wing-page-badge-text">Winged</span>
     ${highlights.length > 0 ? `<span class="wing-page-badge-count">${highlights.length}</span>` : ''}
+    <button class="wing-page-badge-notes" title="Notes">Notes</button>
   `;
   badge.addEventListener('click', () => {
     // Open popup to show wing details
     chrome.runtime.sendMessage({ type: 'OPEN_POPUP' });
   });
+  badge.querySelector('.wing-page-badge-notes').addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleNotesPanel();
+  });
   document.body.appendChild(badge);
 }
 
@@ -173,13 +315,227 @@ function updateBadgeCount() {
       const count = document.createElement('span');
       count.className = 'wing-page-badge-count';
       count.textContent = highlights.length;
-      badge.appendChild(count);
+      badge.insertBefore(count, badge.querySelector('.wing-page-badge-notes'));
     }
   } else if (countEl) {
     countEl.remove();
   }
 }
 
+// ============================================
+// Wing Notes
+// ============================================
+
+/**
+ * Open the page's notes from the badge's Notes button, or close them if open
+ */
+async function toggleNotesPanel() {
+  if (notesPanel) {
+    await closeNotesPanel();
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'wing-notes-panel';
+  panel.innerHTML = `
+    <div class="wing-notes-panel-header">
+      <span class="wing-notes-panel-title">Notes</span>
+      <span class="wing-notes-panel-status"></span>
+      <button class="wing-notes-panel-tab active" data-mode="write">Write</button>
+      <button class="wing-notes-panel-tab" data-mode="preview">Preview</button>
+      <button class="wing-notes-panel-close" title="Close">&times;</button>
+    </div>
+    <textarea class="wing-notes-panel-input" placeholder="Write notes in Markdown..." disabled></textarea>
+    <div class="wing-notes-panel-preview wing-notes-panel-hidden"></div>
+  `;
+  notesPanel = panel;
+  document.body.appendChild(panel);
+
+  const input = panel.querySelector('.wing-notes-panel-input');
+  panel.querySelector('.wing-notes-panel-close').addEventListener('click', closeNotesPanel);
+  panel.querySelectorAll('.wing-notes-panel-tab').forEach((tab) => {
+    tab.addEventListener('click', () => showNotesPanelMode(tab.dataset.mode));
+  });
+  input.addEventListener('input', () => {
+    setNotesPanelStatus('Editing…');
+    clearTimeout(notesSaveTimer);
+    notesSaveTimer = setTimeout(saveNotes, NOTES_SAVE_DELAY_MS);
+  });
+  input.addEventListener('blur', saveNotes);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_WING_NOTES', wingId });
+    if (notesPanel !== panel) return;
+    if (!response?.success) throw new Error(response?.error || 'No response');
+
+    // Notes are null while Wing is locked
+    if (response.notes === null) {
+      setNotesPanelStatus('Unlock Wing to edit');
+      return;
+    }
+    input.value = response.notes;
+    input.disabled = false;
+    input.focus();
+  } catch (error) {
+    console.error('[Wing] Could not load notes:', error);
+    setNotesPanelStatus('Could not load notes');
+  }
+}
+
+async function showNotesPanelMode(mode) {
+  if (!notesPanel) return;
+  const input = notesPanel.querySelector('.wing-notes-panel-input');
+  const preview = notesPanel.querySelector('.wing-notes-panel-preview');
+
+  notesPanel.querySelectorAll('.wing-notes-panel-tab').forEach((tab) => {
+    tab.classList.toggle('active', tab.dataset.mode === mode);
+  });
+  input.classList.toggle('wing-notes-panel-hidden', mode === 'preview');
+  preview.classList.toggle('wing-notes-panel-hidden', mode !== 'preview');
+  if (mode !== 'preview') return;
+
+  if (!input.value.trim()) {
+    preview.innerHTML = '<p class="wing-notes-panel-empty">Nothing written yet</p>';
+    return;
+  }
+  try {
+    // Rendered by the background, which escapes the text and keeps only http(s) and mailto links
+    const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_NOTES', notes: input.value });
+    preview.innerHTML = response?.html || '';
+  } catch (error) {
+    console.error('[Wing] Could not preview notes:', error);
+    preview.textContent = input.value;
+  }
+}
+
+function setNotesPanelStatus(text) {
+  const status = notesPanel?.querySelector('.wing-notes-panel-status');
+  if (status) status.textContent = text;
+}
+
+/**
+ * Save the notes in the panel now, if a save is waiting
+ */
+async function saveNotes() {
+  if (!notesSaveTimer) return;
+  clearTimeout(notesSaveTimer);
+  notesSaveTimer = null;
+
+  const input = notesPanel?.querySelector('.wing-notes-panel-input');
+  if (!input || !wingId) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_WING_NOTES', wingId, notes: input.value });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+    setNotesPanelStatus('Saved');
+  } catch (error) {
+    console.error('[Wing] Could not save notes:', error);
+    setNotesPanelStatus('Not saved');
+  }
+}
+
+async function closeNotesPanel() {
+  await saveNotes();
+  removeNotesPanel();
+}
+
+/**
+ * Remove the panel without saving (the wing is gone)
+ */
+function removeNotesPanel() {
+  clearTimeout(notesSaveTimer);
+  notesSaveTimer = null;
+  notesPanel?.remove();
+  notesPanel = null;
+}
+
+// ============================================
+// Reading Progress
+// ============================================
+
+/**
+ * Get how far down the page the viewport is, as fractions of the page height
+ */
+function getScrollProgress() {
+  const pageHeight = document.documentElement.scrollHeight;
+  if (pageHeight <= 0) return { depth: 1, position: 0 };
+
+  return {
+    depth: Math.min(1, (window.scrollY + window.innerHeight) / pageHeight),
+    position: window.scrollY / pageHeight,
+  };
+}
+
+function startTrackingProgress() {
+  window.removeEventListener('scroll', handleProgressScroll);
+  window.addEventListener('scroll', handleProgressScroll, { passive: true });
+  document.removeEventListener('visibilitychange', handleProgressVisibility);
+  document.addEventListener('visibilitychange', handleProgressVisibility);
+}
+
+function stopTrackingProgress() {
+  window.removeEventListener('scroll', handleProgressScroll);
+  document.removeEventListener('visibilitychange', handleProgressVisibility);
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = null;
+}
+
+function handleProgressScroll() {
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = setTimeout(saveReadingProgress, PROGRESS_SAVE_DELAY_MS);
+}
+
+/**
+ * Save right away when the tab is hidden, as it may be closed next
+ */
+function handleProgressVisibility() {
+  if (document.visibilityState === 'hidden' && progressSaveTimer) {
+    saveReadingProgress();
+  }
+}
+
+function saveReadingProgress() {
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = null;
+  if (!isWingedPage) return;
+
+  chrome.runtime.sendMessage({
+    type: 'SAVE_READING_PROGRESS',
+    wingId,
+    progress: getScrollProgress(),
+  }).catch((error) => {
+    console.warn('[Wing] Could not save reading progress:', error);
+  });
+}
+
+/**
+ * Offer to scroll back to where reading stopped last time
+ * Not offered when the page already opened somewhere other than the top,
+ * such as a link to a section or a scroll position the browser restored.
+ */
+function offerResume(progress) {
+  if (!progress || progress.position < MIN_RESUME_POSITION) return;
+  if (window.scrollY > 0 || window.location.hash) return;
+
+  const prompt = document.createElement('div');
+  prompt.className = 'wing-resume-prompt';
+  prompt.innerHTML = `
+    <button class="wing-resume-btn">Resume where you left off</button>
+    <span class="wing-resume-depth">${Math.round(progress.depth * 100)}% read</span>
+    <button class="wing-resume-close" title="Dismiss">&times;</button>
+  `;
+
+  const dismiss = () => prompt.remove();
+  prompt.querySelector('.wing-resume-btn').addEventListener('click', () => {
+    window.scrollTo({ top: progress.position * document.documentElement.scrollHeight, behavior: 'smooth' });
+    dismiss();
+  });
+  prompt.querySelector('.wing-resume-close').addEventListener('click', dismiss);
+  setTimeout(dismiss, RESUME_PROMPT_MS);
+
+  document.body.appendChild(prompt);
+}
+
 // ============================================
 // Text Selection & Tooltip
 // ============================================
@@ -187,7 +543,7 @@ function handleTextSelection(e) {
   console.log('[Wing] handleTextSelection triggered', e.type);
 
   // Don't show tooltip if clicking on our own UI
-  if (e.target.closest('.wing-highlight-tooltip, .wing-annotation-popup, .wing-highlight-view')) {
+  if (e.target.closest('.wing-highlight-tooltip, .wing-annotation-popup, .wing-highlight-view, .wing-notes-panel')) {
     console.log('[Wing] Clicked on Wing UI, ignoring');
     return;
   }
@@ -495,8 +851,9 @@ async function saveHighlight(annotation) {
       highlight: highlight,
     });
 
-    if (response && response.success) {
-      highlights.push(highlight);
+    // A library sync may have picked the highlight up already
+    if (response && response.success && !hasHighlightElement(highlight.id)) {
+      highlights = highlights.filter((h) => h.id !== highlight.id).concat(highlight);
       applyHighlight(highlight);
       updateBadgeCount();
     }
@@ -546,17 +903,7 @@ async function deleteHighlight(highlightId) {
       // Remove from local state
       highlights = highlights.filter((h) => h.id !== highlightId);
 
-      // Remove from DOM
-      const el = document.querySelector(`[data-wing-highlight-id="${highlightId}"]`);
-      if (el) {
-        // Unwrap the highlight
-        const parent = el.parentNode;
-        while (el.firstChild) {
-          parent.insertBefore(el.firstChild, el);
-        }
-        el.remove();
-      }
-
+      removeHighlightElement(highlightId);
       updateBadgeCount();
     }
   } catch (error) {
@@ -564,6 +911,24 @@ async function deleteHighlight(highlightId) {
   }
 }
 
+function hasHighlightElement(highlightId) {
+  return Boolean(document.querySelector(`[data-wing-highlight-id="${highlightId}"]`));
+}
+
+/**
+ * Unwrap a highlight's element, leaving its text in place
+ */
+function removeHighlightElement(highlightId) {
+  const el = document.querySelector(`[data-wing-highlight-id="${highlightId}"]`);
+  if (!el) return;
+
+  const parent = el.parentNode;
+  while (el.firstChild) {
+    parent.insertBefore(el.firstChild, el);
+  }
+  el.remove();
+}
+
 // ============================================
 // Highlight Restoration
 // ============================================
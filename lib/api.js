@@ -3,6 +3,8 @@
  * Supports multiple LLM providers: Anthropic, OpenAI
  */
 
+import { isSealed, sealValue, openValue } from './encryption.js';
+
 // Provider configurations
 const PROVIDERS = {
   anthropic: {
@@ -57,7 +59,7 @@ export async function setCurrentProvider(provider) {
 /**
  * Get the stored API key for a specific provider
  * @param {string} [provider] - Provider key (uses current if not specified)
- * @returns {Promise<string|null>} API key or null
+ * @returns {Promise<string|null>} API key, or null if none is stored or it is encrypted and Wing is locked
  */
 export async function getApiKey(provider) {
   const providerKey = provider || (await getCurrentProvider());
@@ -65,11 +67,12 @@ export async function getApiKey(provider) {
   if (!config) return null;
 
   const result = await chrome.storage.local.get(config.storageKey);
-  return result[config.storageKey] || null;
+  return (await openValue(result[config.storageKey])) || null;
 }
 
 /**
  * Save API key for a specific provider
+ * The key is encrypted when encryption is on (see lib/encryption.js).
  * @param {string} provider - Provider key
  * @param {string} apiKey - API key to save
  */
@@ -78,7 +81,26 @@ export async function saveApiKey(provider, apiKey) {
   if (!config) {
     throw new Error(`Unknown provider: ${provider}`);
   }
-  await chrome.storage.local.set({ [config.storageKey]: apiKey });
+  await chrome.storage.local.set({ [config.storageKey]: await sealValue(apiKey) });
+}
+
+/**
+ * Re-save every stored API key, encrypted or in plaintext
+ * Called when encryption is turned on (encrypt) or is about to be turned off (decrypt).
+ * @param {boolean} encrypt - Whether to encrypt the keys
+ */
+export async function resealApiKeys(encrypt) {
+  const storageKeys = Object.values(PROVIDERS).map((config) => config.storageKey);
+  const stored = await chrome.storage.local.get(storageKeys);
+
+  for (const storageKey of storageKeys) {
+    const value = stored[storageKey];
+    if (!value || isSealed(value) === encrypt) continue;
+
+    const plain = await openValue(value);
+    if (plain === null) continue;
+    await chrome.storage.local.set({ [storageKey]: encrypt ? await sealValue(plain) : plain });
+  }
 }
 
 /**
@@ -94,12 +116,17 @@ export async function removeApiKey(provider) {
 }
 
 /**
- * Check if API key is configured for current provider
+ * Check if API key is configured for a provider
+ * An encrypted key counts even while Wing is locked.
+ * @param {string} [provider] - Provider key (uses current if not specified)
  * @returns {Promise<boolean>}
  */
-export async function hasApiKey() {
-  const key = await getApiKey();
-  return !!key;
+export async function hasApiKey(provider) {
+  const config = PROVIDERS[provider || (await getCurrentProvider())];
+  if (!config) return false;
+
+  const result = await chrome.storage.local.get(config.storageKey);
+  return !!result[config.storageKey];
 }
 
 /**
@@ -236,6 +263,14 @@ export async function makeApiRequest({ prompt, systemPrompt, maxTokens = 1024, t
   const apiKey = await getApiKey(provider);
   const config = PROVIDERS[provider];
 
+  if (!apiKey && (await hasApiKey(provider))) {
+    throw new ApiError(
+      'Wing is locked. Unlock it with your passphrase to use AI features.',
+      'LOCKED',
+      false
+    );
+  }
+
   if (!apiKey) {
     throw new ApiError(
       `No API key configured. Please add your ${config.name} API key in the extension settings.`,
@@ -309,6 +344,10 @@ export async function generateSummary(content) {
   return result.text;
 }
 
+// Characters of a wing's notes sent with a question, so a few long notes
+// don't crowd out the other pages
+const MAX_NOTES_CONTEXT_LENGTH = 2000;
+
 /**
  * Query the AI about saved wings
  * @param {string} query - User's question
@@ -324,13 +363,15 @@ export async function queryWings(query, wings) {
     throw new Error('No saved pages to search. Wing some pages first!');
   }
 
-  // Build context from wings (title, URL, summary)
-  const wingsContext = wings
-    .filter((w) => w.summary) // Only include wings with summaries
+  // Build context from wings (title, URL, summary, notes)
+  // Only wings with a summary or notes of their own have anything to go on
+  const contextWings = wings.filter((w) => w.summary || w.notes?.trim());
+  const wingsContext = contextWings
     .map((w, index) => {
-      return `[${index + 1}] "${w.title || 'Untitled'}"
-URL: ${w.url}
-Summary: ${w.summary}`;
+      const lines = [`[${index + 1}] "${w.title || 'Untitled'}"`, `URL: ${w.url}`];
+      if (w.summary) lines.push(`Summary: ${w.summary}`);
+      if (w.notes?.trim()) lines.push(`My notes:\n${w.notes.trim().substring(0, MAX_NOTES_CONTEXT_LENGTH)}`);
+      return lines.join('\n');
     })
     .join('\n\n');
 
@@ -372,8 +413,8 @@ Answer based on my saved pages. Use markdown formatting (bold, bullets) for clar
   const citedIndices = [...new Set(citationMatches.map((m) => parseInt(m.slice(1, -1)) - 1))];
 
   const citations = citedIndices
-    .filter((i) => i >= 0 && i < wings.length)
-    .map((i) => wings.filter((w) => w.summary)[i])
+    .filter((i) => i >= 0 && i < contextWings.length)
+    .map((i) => contextWings[i])
     .filter(Boolean);
 
   return {
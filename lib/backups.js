@@ -0,0 +1,225 @@
+/**
+ * Wing - Automatic Backups
+ * Saves the library to a folder in Downloads on a schedule and keeps only
+ * the most recent backups. Extensions can't read files back from Downloads,
+ * so a copy of each backup is also kept in extension storage to restore from.
+ */
+
+import * as db from './db.js';
+import { getEncryptionState, sealLibraryBackup } from './encryption.js';
+
+// Subfolder of the downloads folder that backups are written to
+export const BACKUP_FOLDER = 'Wing Backups';
+
+export const AUTO_BACKUP_ALARM = 'wing-auto-backup';
+
+// Minutes between backups by frequency
+export const BACKUP_FREQUENCIES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+
+export const DEFAULT_BACKUP_SETTINGS = {
+  frequency: 'off',
+  keep: 7,
+};
+
+// chrome.storage.local key of the settings ({ frequency, keep })
+const SETTINGS_KEY = 'autoBackupSettings';
+
+// chrome.storage.local key of the backup history
+// ({ backups: [{ downloadId, name, createdAt, size, encrypted }], lastRunAt, lastError }), newest first
+const HISTORY_KEY = 'autoBackups';
+
+// chrome.storage.local key prefix of the kept copy of each backup, by download ID
+const FILE_KEY_PREFIX = 'autoBackupFile:';
+
+/**
+ * Get the backup schedule
+ * @returns {Promise<Object>} { frequency: 'off' | 'daily' | 'weekly', keep }
+ */
+export async function getBackupSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_BACKUP_SETTINGS, ...result[SETTINGS_KEY] };
+}
+
+/**
+ * Change the backup schedule, reschedule and drop backups beyond the new limit
+ * @param {Object} changes - { frequency, keep }
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveBackupSettings(changes) {
+  const settings = { ...(await getBackupSettings()), ...changes };
+  if (settings.frequency !== 'off' && !BACKUP_FREQUENCIES[settings.frequency]) {
+    throw new Error(`Unknown backup frequency: ${settings.frequency}`);
+  }
+  settings.keep = Math.max(1, Math.floor(Number(settings.keep)) || DEFAULT_BACKUP_SETTINGS.keep);
+
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await scheduleAutoBackup();
+  await rotateBackups(settings.keep);
+  return settings;
+}
+
+/**
+ * Create or clear the backup alarm to match the settings
+ * The first backup is due one period after the last one, or right away if
+ * there hasn't been one.
+ */
+export async function scheduleAutoBackup() {
+  const { frequency } = await getBackupSettings();
+  const periodInMinutes = BACKUP_FREQUENCIES[frequency];
+  if (!periodInMinutes) {
+    await chrome.alarms.clear(AUTO_BACKUP_ALARM);
+    return;
+  }
+
+  const existing = await chrome.alarms.get(AUTO_BACKUP_ALARM);
+  if (existing?.periodInMinutes === periodInMinutes) return;
+
+  const { lastRunAt } = await getHistory();
+  const elapsedMinutes = lastRunAt ? (Date.now() - lastRunAt) / 60000 : periodInMinutes;
+  chrome.alarms.create(AUTO_BACKUP_ALARM, {
+    delayInMinutes: Math.max(1, periodInMinutes - elapsedMinutes),
+    periodInMinutes,
+  });
+}
+
+/**
+ * Back up the library now and drop the oldest backups
+ * An encrypted library is backed up sealed with its own key. While it is
+ * locked, nothing is written and the failure is recorded.
+ * @returns {Promise<Object>} The new backup's history entry
+ */
+export async function runAutoBackup() {
+  const now = Date.now();
+  const history = await getHistory();
+
+  try {
+    const encryption = await getEncryptionState();
+    const backup = await db.exportAllData();
+    const file = encryption === 'unlocked' ? await sealLibraryBackup(backup) : backup;
+    const json = JSON.stringify(file, null, 2);
+
+    const name = getBackupFileName(new Date(now));
+    const downloadId = await chrome.downloads.download({
+      url: `data:application/json;base64,${toBase64(json)}`,
+      filename: `${BACKUP_FOLDER}/${name}`,
+      conflictAction: 'uniquify',
+      saveAs: false,
+    });
+
+    const entry = {
+      downloadId,
+      name,
+      createdAt: now,
+      size: new TextEncoder().encode(json).length,
+      encrypted: encryption === 'unlocked',
+    };
+    await chrome.storage.local.set({ [getFileKey(downloadId)]: json });
+    await setHistory({ backups: [entry, ...history.backups], lastRunAt: now, lastError: null });
+
+    const { keep } = await getBackupSettings();
+    await rotateBackups(keep);
+    return entry;
+  } catch (error) {
+    await setHistory({ ...history, lastRunAt: now, lastError: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Delete all but the newest backups from disk and from the history
+ * @param {number} keep - Backups to keep
+ * @returns {Promise<number>} Backups deleted
+ */
+export async function rotateBackups(keep) {
+  const history = await getHistory();
+  const expired = history.backups.slice(keep);
+  if (expired.length === 0) return 0;
+
+  for (const backup of expired) {
+    try {
+      await chrome.downloads.removeFile(backup.downloadId);
+    } catch {
+      // Already deleted or moved outside Wing
+    }
+    await chrome.downloads.erase({ id: backup.downloadId });
+    await chrome.storage.local.remove(getFileKey(backup.downloadId));
+  }
+
+  await setHistory({ ...history, backups: history.backups.slice(0, keep) });
+  return expired.length;
+}
+
+/**
+ * List the backups still on disk, newest first
+ * Backups deleted outside Wing are dropped from the history.
+ * @returns {Promise<Object>} { backups: [{ downloadId, name, createdAt, size, encrypted, path }], lastRunAt, lastError }
+ */
+export async function listBackups() {
+  const history = await getHistory();
+  const backups = [];
+
+  for (const backup of history.backups) {
+    const [download] = await chrome.downloads.search({ id: backup.downloadId });
+    if (download && download.exists !== false && download.state !== 'interrupted') {
+      backups.push({ ...backup, path: download.filename });
+    }
+  }
+
+  if (backups.length !== history.backups.length) {
+    const kept = new Set(backups.map((backup) => backup.downloadId));
+    const forgotten = history.backups.filter((backup) => !kept.has(backup.downloadId));
+    await chrome.storage.local.remove(forgotten.map((backup) => getFileKey(backup.downloadId)));
+    await setHistory({ ...history, backups: backups.map(({ path, ...backup }) => backup) });
+  }
+  return { ...history, backups };
+}
+
+/**
+ * Read back the copy of a backup kept in extension storage
+ * Backups made before copies were kept have none, and must be imported from
+ * their file instead.
+ * @param {Object} backup - Entry from listBackups
+ * @returns {Promise<string>} File contents
+ */
+export async function readBackupFile(backup) {
+  const key = getFileKey(backup.downloadId);
+  const { [key]: text } = await chrome.storage.local.get(key);
+  if (typeof text !== 'string') throw new Error(`No copy of ${backup.name} is kept in Wing`);
+  return text;
+}
+
+/**
+ * Get the file name of a backup made at a given time
+ * @param {Date} date - Time of the backup
+ * @returns {string} e.g. wing-backup-2024-05-01-0930.json
+ */
+export function getBackupFileName(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `wing-backup-${day}-${pad(date.getHours())}${pad(date.getMinutes())}.json`;
+}
+
+function getFileKey(downloadId) {
+  return `${FILE_KEY_PREFIX}${downloadId}`;
+}
+
+async function getHistory() {
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  return { backups: [], lastRunAt: null, lastError: null, ...result[HISTORY_KEY] };
+}
+
+async function setHistory(history) {
+  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+}
+
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,494 @@
+/**
+ * Wing - Bookmarks
+ * Converts between the library and the Netscape bookmark file format
+ * (bookmarks.html), which Chrome, Firefox, Pocket and Raindrop read and write,
+ * and imports straight from the browser's own bookmarks
+ */
+
+import * as db from './db.js';
+import { generateId, canonicalizeUrl, sanitizeUrl, sanitizeTitle, getRandomColor } from './utils.js';
+import { LATEST_VERSION } from './migrations.js';
+
+const DOCTYPE = '<!DOCTYPE NETSCAPE-Bookmark-file-1>';
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Write the library as a Netscape bookmark file
+ * Collections become top-level folders and nests become folders inside them.
+ * A wing appears in every collection or nest it belongs to, and wings without
+ * a collection are listed at the top level. Summaries go in <DD>.
+ * @param {Object} data - Library records ({ collections, nests, wings, tags }, as in a backup)
+ * @returns {string} bookmarks.html contents
+ */
+export function exportBookmarksHtml({ collections = [], nests = [], wings = [], tags = [] }) {
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  const nestsById = new Map(nests.map((nest) => [nest.id, nest]));
+  const wingsByFolder = new Map();
+  const unfiled = [];
+
+  const addToFolder = (folderId, wing) => {
+    if (!wingsByFolder.has(folderId)) wingsByFolder.set(folderId, []);
+    wingsByFolder.get(folderId).push(wing);
+  };
+
+  for (const wing of wings) {
+    const collectionIds = wing.collectionIds || [];
+    const placedNests = (wing.nestIds || [])
+      .map((id) => nestsById.get(id))
+      .filter((nest) => nest && collectionIds.includes(nest.collectionId));
+
+    placedNests.forEach((nest) => addToFolder(nest.id, wing));
+    collectionIds
+      .filter((id) => !placedNests.some((nest) => nest.collectionId === id))
+      .forEach((id) => addToFolder(id, wing));
+    if (collectionIds.length === 0) unfiled.push(wing);
+  }
+
+  const writeBookmark = (wing, indent) => {
+    const attributes = [
+      `HREF="${escapeBookmarkText(wing.url)}"`,
+      wing.timestamp ? `ADD_DATE="${toSeconds(wing.timestamp)}"` : null,
+      /^https?:/.test(wing.favicon || '') ? `ICON_URI="${escapeBookmarkText(wing.favicon)}"` : null,
+    ];
+    const names = (wing.tagIds || []).map((id) => tagNames.get(id)).filter(Boolean);
+    if (names.length > 0) attributes.push(`TAGS="${escapeBookmarkText(names.join(','))}"`);
+
+    const lines = [`${indent}<DT><A ${attributes.filter(Boolean).join(' ')}>${escapeBookmarkText(wing.title || wing.url)}</A>`];
+    if (wing.summary) lines.push(`${indent}<DD>${escapeBookmarkText(wing.summary)}`);
+    return lines;
+  };
+
+  const writeFolder = (id, name, description, createdAt, childNests, indent) => {
+    const lines = [`${indent}<DT><H3${createdAt ? ` ADD_DATE="${toSeconds(createdAt)}"` : ''}>${escapeBookmarkText(name)}</H3>`];
+    if (description) lines.push(`${indent}<DD>${escapeBookmarkText(description)}`);
+    lines.push(`${indent}<DL><p>`);
+    for (const nest of childNests) {
+      const children = nests.filter((child) => child.parentId === nest.id);
+      lines.push(...writeFolder(nest.id, nest.name, null, nest.createdAt, children, `${indent}    `));
+    }
+    for (const wing of wingsByFolder.get(id) || []) {
+      lines.push(...writeBookmark(wing, `${indent}    `));
+    }
+    lines.push(`${indent}</DL><p>`);
+    return lines;
+  };
+
+  const lines = [
+    DOCTYPE,
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+  ];
+  for (const collection of collections) {
+    const topNests = nests.filter((nest) => nest.collectionId === collection.id && !nestsById.has(nest.parentId));
+    lines.push(...writeFolder(collection.id, collection.name, collection.description, collection.createdAt, topNests, '    '));
+  }
+  for (const wing of unfiled) {
+    lines.push(...writeBookmark(wing, '    '));
+  }
+  lines.push('</DL><p>');
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Check whether file contents look like a Netscape bookmark file
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isBookmarksHtml(text) {
+  return /^\s*<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text);
+}
+
+/**
+ * Read a Netscape bookmark file into a backup that can be imported
+ * Top-level folders become collections and folders inside them nests. A page
+ * bookmarked in several folders becomes one wing in all of them. TAGS
+ * attributes become tags and <DD> text becomes the summary or description.
+ * @param {string} html - bookmarks.html contents
+ * @returns {Object} { backup: { version, exportedAt, data }, skipped, alreadyWinged } - skipped
+ *   counts bookmarks that aren't web pages (bookmarklets, browser-internal URLs)
+ */
+export function parseBookmarksHtml(html) {
+  return folderTreeToBackup(parseFolderTree(html));
+}
+
+/**
+ * Convert a folder tree into a backup
+ * Folders in the root become collections and deeper folders nests; bookmarks
+ * in the root become wings without a collection. Other importers build the
+ * same tree from their own formats.
+ * @param {Object} root - Root folder { folders, bookmarks }. Folders are
+ *   { name, description, addedAt, folders, bookmarks } and bookmarks
+ *   { url, title, addedAt, icon, tags, description }; addedAt is in milliseconds or null
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skipUrls] - Canonical URLs to leave out (pages already winged)
+ * @returns {Object} { backup, skipped, alreadyWinged }
+ */
+export function folderTreeToBackup(root, { skipUrls = new Set() } = {}) {
+  const data = { tags: [], collections: [], nests: [], wings: [], highlights: [], connections: [] };
+  const wingsByUrl = new Map();
+  const tagsByName = new Map();
+  const foldersByKey = new Map();
+  let skipped = 0;
+  let alreadyWinged = 0;
+
+  const getTagId = (name) => {
+    const key = name.toLowerCase();
+    if (!tagsByName.has(key)) {
+      const tag = { id: generateId(), name, createdAt: Date.now() };
+      tagsByName.set(key, tag);
+      data.tags.push(tag);
+    }
+    return tagsByName.get(key).id;
+  };
+
+  // Folders with the same name in the same place are merged
+  const getFolderRecord = (folder, collection, parentNest) => {
+    const name = sanitizeTitle(folder.name);
+    const key = [collection?.id || '', parentNest?.id || '', name.toLowerCase()].join('\u0000');
+    if (foldersByKey.has(key)) return foldersByKey.get(key);
+
+    let record;
+    if (!collection) {
+      record = {
+        id: generateId(),
+        name,
+        description: folder.description || '',
+        color: getRandomColor(),
+        createdAt: folder.addedAt || Date.now(),
+      };
+      data.collections.push(record);
+    } else {
+      record = {
+        id: generateId(),
+        name,
+        collectionId: collection.id,
+        parentId: parentNest?.id || null,
+        createdAt: folder.addedAt || Date.now(),
+      };
+      data.nests.push(record);
+    }
+    foldersByKey.set(key, record);
+    return record;
+  };
+
+  const addBookmark = (bookmark, collection, nest) => {
+    const url = sanitizeUrl(bookmark.url);
+    if (!url) {
+      skipped++;
+      return;
+    }
+
+    const key = canonicalizeUrl(url);
+    if (skipUrls.has(key)) {
+      alreadyWinged++;
+      return;
+    }
+
+    let wing = wingsByUrl.get(key);
+    if (!wing) {
+      wing = {
+        id: generateId(),
+        url,
+        title: sanitizeTitle(bookmark.title || url),
+        favicon: sanitizeUrl(bookmark.icon) || null,
+        summary: bookmark.description || null,
+        fullContent: null,
+        collectionIds: [],
+        nestIds: [],
+        tagIds: [],
+        timestamp: bookmark.addedAt || Date.now(),
+      };
+      wingsByUrl.set(key, wing);
+      data.wings.push(wing);
+    }
+
+    const add = (list, id) => {
+      if (id && !list.includes(id)) list.push(id);
+    };
+    add(wing.collectionIds, collection?.id);
+    add(wing.nestIds, nest?.id);
+    bookmark.tags.forEach((name) => add(wing.tagIds, getTagId(name)));
+  };
+
+  const walk = (folder, collection, nest) => {
+    folder.bookmarks.forEach((bookmark) => addBookmark(bookmark, collection, nest));
+    for (const child of folder.folders) {
+      const record = getFolderRecord(child, collection, nest);
+      if (collection) {
+        walk(child, collection, record);
+      } else {
+        walk(child, record, null);
+      }
+    }
+  };
+  walk(root, null, null);
+
+  return {
+    backup: { version: LATEST_VERSION, exportedAt: Date.now(), data },
+    skipped,
+    alreadyWinged,
+  };
+}
+
+/**
+ * Parse the folder structure of a bookmark file
+ * The format is loose HTML (unclosed <DT> and <p>), so it is scanned for the
+ * few tags that matter rather than parsed as a document.
+ * @param {string} html - bookmarks.html contents
+ * @returns {Object} Root folder ({ name, description, addedAt, folders, bookmarks })
+ */
+function parseFolderTree(html) {
+  const createFolder = (name, attributes = {}) => ({
+    name,
+    description: '',
+    addedAt: fromSeconds(attributes.ADD_DATE),
+    folders: [],
+    bookmarks: [],
+  });
+
+  const root = createFolder('');
+  const stack = [];
+  let pendingFolder = null;
+  let lastItem = null;
+  const current = () => stack[stack.length - 1] || root;
+
+  const tokens = /<DL\b[^>]*>|<\/DL\s*>|<H3\b([^>]*)>([\s\S]*?)<\/H3\s*>|<A\b([^>]*)>([\s\S]*?)<\/A\s*>|<DD>([^<]*)/gi;
+  const text = html.replace(/<!--[\s\S]*?-->/g, '');
+  let match;
+
+  while ((match = tokens.exec(text))) {
+    const [token, folderAttributes, folderName, linkAttributes, linkTitle, description] = match;
+
+    if (/^<DL/i.test(token)) {
+      stack.push(pendingFolder || current());
+      pendingFolder = null;
+    } else if (/^<\/DL/i.test(token)) {
+      stack.pop();
+      lastItem = null;
+    } else if (folderName !== undefined) {
+      const folder = createFolder(decodeBookmarkText(folderName).trim(), parseAttributes(folderAttributes));
+      current().folders.push(folder);
+      pendingFolder = folder;
+      lastItem = folder;
+    } else if (linkTitle !== undefined) {
+      const attributes = parseAttributes(linkAttributes);
+      const bookmark = {
+        url: attributes.HREF || '',
+        title: decodeBookmarkText(linkTitle.replace(/<[^>]*>/g, '')).trim(),
+        addedAt: fromSeconds(attributes.ADD_DATE),
+        icon: attributes.ICON_URI,
+        tags: (attributes.TAGS || '').split(',').map((tag) => tag.trim()).filter(Boolean),
+        description: '',
+      };
+      current().bookmarks.push(bookmark);
+      lastItem = bookmark;
+    } else if (description !== undefined && lastItem) {
+      lastItem.description = decodeBookmarkText(description).trim();
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Read the quoted attributes of an HTML tag
+ * @param {string} source - Attribute text of the tag
+ * @returns {Object} Decoded values by upper-case attribute name
+ */
+export function parseAttributes(source = '') {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name.toUpperCase()] = decodeBookmarkText(value);
+  }
+  return attributes;
+}
+
+// ============================================
+// BROWSER BOOKMARKS
+// ============================================
+
+// Optional host permissions for fetching imported pages to summarize them
+const PAGE_ORIGINS = ['http://*/*', 'https://*/*'];
+
+// Folders and tags are matched by name, and an import shouldn't rename or recolor them
+const BROWSER_IMPORT_STRATEGIES = {
+  tags: 'keep-existing',
+  collections: 'keep-existing',
+  nests: 'keep-existing',
+};
+
+/**
+ * Ask for access to the browser's bookmarks
+ * Must be called from a user gesture (a click handler), before any other await.
+ * @param {Object} [options]
+ * @param {boolean} [options.pages] - Also ask to read web pages, for summarizing imported bookmarks
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+export function requestBookmarksAccess({ pages = false } = {}) {
+  return chrome.permissions.request({
+    permissions: ['bookmarks'],
+    origins: pages ? PAGE_ORIGINS : [],
+  });
+}
+
+/**
+ * List the folders of the browser's bookmarks, to choose which to import
+ * @param {Array<Object>} tree - Bookmark tree (chrome.bookmarks.getTree())
+ * @returns {Array<Object>} Folders in tree order ({ id, title, path, depth, bookmarkCount });
+ *   bookmarkCount counts the bookmarks directly in the folder
+ */
+export function listBookmarkFolders(tree) {
+  const folders = [];
+
+  const visit = (node, path, depth) => {
+    const title = node.title || 'Untitled folder';
+    const children = node.children || [];
+    folders.push({
+      id: node.id,
+      title,
+      path: [...path, title].join(' / '),
+      depth,
+      bookmarkCount: children.filter((child) => child.url).length,
+    });
+    children.filter(isFolderNode).forEach((child) => visit(child, [...path, title], depth + 1));
+  };
+
+  getBrowserRootFolders(tree).forEach((folder) => visit(folder, [], 0));
+  return folders;
+}
+
+/**
+ * Convert chosen folders of the browser's bookmarks into a backup
+ * The browser's own root folders (Bookmarks bar, Other bookmarks) hold the
+ * library rather than being part of it: the folders in them become
+ * collections, deeper folders nests, and bookmarks directly in them wings
+ * without a collection. Parents of a chosen folder are created as needed.
+ * @param {Array<Object>} tree - Bookmark tree (chrome.bookmarks.getTree())
+ * @param {Array<string>} folderIds - Folders whose bookmarks are imported
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skipUrls] - Canonical URLs to leave out (pages already winged)
+ * @returns {Object} { backup, skipped, alreadyWinged }, as parseBookmarksHtml
+ */
+export function convertBookmarkTree(tree, folderIds, { skipUrls } = {}) {
+  const chosen = new Set(folderIds);
+
+  const toFolder = (node) => {
+    const children = node.children || [];
+    const folders = children.filter(isFolderNode).map(toFolder).filter(Boolean);
+    if (!chosen.has(node.id) && folders.length === 0) return null;
+
+    return {
+      name: node.title,
+      description: '',
+      addedAt: node.dateAdded || null,
+      folders,
+      bookmarks: chosen.has(node.id) ? children.filter((child) => child.url).map(toBookmark) : [],
+    };
+  };
+
+  const root = { folders: [], bookmarks: [] };
+  getBrowserRootFolders(tree)
+    .map(toFolder)
+    .filter(Boolean)
+    .forEach((folder) => {
+      root.folders.push(...folder.folders);
+      root.bookmarks.push(...folder.bookmarks);
+    });
+
+  return folderTreeToBackup(root, { skipUrls });
+}
+
+/**
+ * Import chosen folders of the browser's bookmarks into the library
+ * Pages that are already winged are skipped. Collections, nests and tags with
+ * the same names as existing ones are reused.
+ * @param {Array<string>} folderIds - Folders whose bookmarks are imported
+ * @param {Object} [options]
+ * @param {boolean} [options.queueSummaries] - Have the imported pages summarized in the background
+ * @returns {Promise<Object>} { imported, skipped, alreadyWinged }
+ */
+export async function importBrowserBookmarks(folderIds, { queueSummaries = false } = {}) {
+  const [tree, wings] = await Promise.all([chrome.bookmarks.getTree(), db.getAllWings()]);
+  const skipUrls = new Set(wings.map((wing) => wing.canonicalUrl || canonicalizeUrl(wing.url)));
+  const { backup, skipped, alreadyWinged } = convertBookmarkTree(tree, folderIds, { skipUrls });
+
+  const plan = await db.importData(backup, false, { strategies: BROWSER_IMPORT_STRATEGIES });
+  const wingIds = plan.categories.wings.added.map((wing) => wing.id);
+
+  if (queueSummaries && wingIds.length > 0) {
+    await chrome.runtime.sendMessage({ type: 'QUEUE_SUMMARIES', wingIds });
+  }
+
+  return { imported: wingIds.length, skipped, alreadyWinged };
+}
+
+function isFolderNode(node) {
+  return !node.url;
+}
+
+function getBrowserRootFolders(tree) {
+  return tree.flatMap((root) => (root.children || []).filter(isFolderNode));
+}
+
+function toBookmark(node) {
+  return {
+    url: node.url,
+    title: node.title,
+    addedAt: node.dateAdded || null,
+    icon: null,
+    tags: [],
+    description: '',
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function escapeBookmarkText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode the character references in HTML text
+ * @param {string} text - HTML text
+ * @returns {string} Plain text
+ */
+export function decodeBookmarkText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function toSeconds(timestamp) {
+  return Math.floor(timestamp / 1000);
+}
+
+// Missing or malformed dates are left out
+function fromSeconds(seconds) {
+  const value = parseInt(seconds, 10);
+  return Number.isFinite(value) && value > 0 ? value * 1000 : null;
+}
@@ -0,0 +1,243 @@
+/**
+ * Wing - Collection Bundles
+ * Shares one collection as a self-contained file: its nests, its wings with
+ * summaries, their highlights and tags, and the connections between them
+ */
+
+import * as db from './db.js';
+import { generateId } from './utils.js';
+
+export const BUNDLE_FORMAT = 'wing-collection';
+
+export const BUNDLE_FORMAT_VERSION = 1;
+
+// A bundle brings new records into the library, so what's already there is kept:
+// tags and nests with the same names are reused, and shared pages the
+// recipient already has are added to the collection instead of copied
+export const BUNDLE_IMPORT_STRATEGIES = {
+  tags: 'keep-existing',
+  collections: 'keep-both',
+  nests: 'keep-existing',
+  wings: 'keep-existing',
+  highlights: 'keep-existing',
+  connections: 'keep-existing',
+};
+
+// Fields referencing other records in a bundle, and the category they point to
+const REFERENCES = {
+  nests: { collectionId: 'collections', parentId: 'nests' },
+  wings: { collectionIds: 'collections', nestIds: 'nests', tagIds: 'tags' },
+  highlights: { wingId: 'wings' },
+  connections: { wingId1: 'wings', wingId2: 'wings' },
+};
+
+const BUNDLE_CATEGORIES = ['tags', 'collections', 'nests', 'wings', 'highlights', 'connections'];
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Export a collection from the library as a bundle
+ * @param {string} collectionId - Collection to share
+ * @returns {Promise<Object>} Bundle (see createCollectionBundle)
+ */
+export async function exportCollectionBundle(collectionId) {
+  return createCollectionBundle(await db.exportAllData(), collectionId);
+}
+
+/**
+ * Cut one collection out of a backup
+ * Wings keep only their place in the shared collection; their other
+ * collections and nests, reading status and progress, and review
+ * schedules stay private.
+ * @param {Object} backup - Full backup ({ version, data }, see exportAllData)
+ * @param {string} collectionId - Collection to share
+ * @returns {Object} { format, formatVersion, version, exportedAt, data: records by category }
+ */
+export function createCollectionBundle(backup, collectionId) {
+  const library = backup.data;
+  const collection = library.collections.find((c) => c.id === collectionId);
+  if (!collection) throw new Error('Collection not found');
+
+  const nests = library.nests.filter((nest) => nest.collectionId === collectionId);
+  const nestIds = new Set(nests.map((nest) => nest.id));
+
+  const wings = library.wings
+    .filter((wing) => (wing.collectionIds || []).includes(collectionId) || (wing.nestIds || []).some((id) => nestIds.has(id)))
+    // How far the sharer got in reading is theirs; the recipient starts unread
+    // and on their own review schedule
+    .map(({ status, statusChangedAt, scrollDepth, scrollPosition, scrollUpdatedAt, review, ...wing }) => ({
+      ...wing,
+      collectionIds: [collectionId],
+      nestIds: (wing.nestIds || []).filter((id) => nestIds.has(id)),
+    }));
+  const wingIds = new Set(wings.map((wing) => wing.id));
+  const tagIds = new Set(wings.flatMap((wing) => wing.tagIds || []));
+
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    version: backup.version,
+    exportedAt: Date.now(),
+    data: {
+      collections: [collection],
+      nests,
+      wings,
+      highlights: library.highlights
+        .filter((highlight) => wingIds.has(highlight.wingId))
+        .map(({ review, ...highlight }) => highlight),
+      connections: library.connections.filter(
+        (connection) => wingIds.has(connection.wingId1) && wingIds.has(connection.wingId2)
+      ),
+      tags: library.tags.filter((tag) => tagIds.has(tag.id)),
+    },
+  };
+}
+
+/**
+ * Get the name of a bundle's file, before the date and extension
+ * @param {Object} collection - Shared collection
+ * @returns {string} e.g. wing-collection-reading-list
+ */
+export function getBundleFileName(collection) {
+  const slug = String(collection.name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+  return slug ? `wing-collection-${slug}` : 'wing-collection';
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Check whether parsed JSON is a collection bundle
+ * @param {Object} data - Parsed file
+ * @returns {boolean}
+ */
+export function isCollectionBundle(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === BUNDLE_FORMAT;
+}
+
+/**
+ * Get the collection a bundle shares
+ * @param {Object} bundle - Collection bundle
+ * @returns {Object} The bundle's collection record
+ */
+export function getBundleCollection(bundle) {
+  checkBundle(bundle);
+  return bundle.data.collections[0];
+}
+
+/**
+ * Turn a bundle into a backup for the regular import
+ * Every record gets a new ID, so importing a bundle twice, or one made from
+ * this library, never overwrites records by accident. The shared collection
+ * is added as a new collection, or its contents go into an existing one.
+ * @param {Object} bundle - Collection bundle
+ * @param {Object} [options]
+ * @param {string} [options.collectionId] - Existing collection to merge into
+ * @returns {Object} Backup ({ version, exportedAt, data })
+ */
+export function bundleToBackup(bundle, { collectionId = null } = {}) {
+  checkBundle(bundle);
+
+  const idMaps = Object.fromEntries(BUNDLE_CATEGORIES.map((category) => [
+    category,
+    new Map((bundle.data[category] || []).filter(hasId).map((record) => [record.id, generateId()])),
+  ]));
+  if (collectionId) {
+    idMaps.collections.set(bundle.data.collections[0].id, collectionId);
+  }
+
+  const data = Object.fromEntries(BUNDLE_CATEGORIES.map((category) => [
+    category,
+    (bundle.data[category] || []).map((record) => (hasId(record) ? reassignIds(category, record, idMaps) : record)),
+  ]));
+  if (collectionId) data.collections = [];
+
+  return { version: bundle.version, exportedAt: bundle.exportedAt, data };
+}
+
+/**
+ * Import a bundle (converted by bundleToBackup) as one undoable step
+ * Shared wings that are already in the library are added to the collection
+ * and its nests, keeping their place in other collections.
+ * @param {Object} backup - Backup from bundleToBackup
+ * @param {Object} [options]
+ * @param {Object} [options.strategies] - Merge strategy by category, over BUNDLE_IMPORT_STRATEGIES
+ * @param {Function} [options.onProgress] - Called with (written, total) as records are written
+ * @returns {Promise<Object>} The import plan (see planImport), plus linked: existing wings added to the collection
+ */
+export async function importCollectionBundle(backup, { strategies = {}, onProgress } = {}) {
+  const merged = { ...BUNDLE_IMPORT_STRATEGIES, ...strategies };
+
+  return db.journalGroup('Import collection', async (group) => {
+    const plan = await db.importData(backup, false, { strategies: merged, onProgress, group });
+    if (merged.wings === 'keep-both') return { ...plan, linked: 0 };
+
+    const { changed, conflicts } = plan.categories.wings;
+    let linked = 0;
+    for (const { incoming, existing } of [...changed, ...conflicts]) {
+      const wing = await db.getWing(existing.id);
+      if (!wing) continue;
+
+      const collectionIds = union(wing.collectionIds, incoming.collectionIds);
+      const nestIds = union(wing.nestIds, incoming.nestIds);
+      if (collectionIds.length === (wing.collectionIds || []).length && nestIds.length === (wing.nestIds || []).length) {
+        continue;
+      }
+      await db.updateWing(wing.id, { collectionIds, nestIds }, { group });
+      linked++;
+    }
+    return { ...plan, linked };
+  });
+}
+
+/**
+ * Check that a bundle can be read by this version of Wing
+ */
+function checkBundle(bundle) {
+  if (!isCollectionBundle(bundle) || !bundle.data || typeof bundle.data !== 'object') {
+    throw new Error('Invalid collection file');
+  }
+  if (bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+    throw new Error('This collection was shared from a newer version of Wing. Update Wing to import it.');
+  }
+  for (const category of BUNDLE_CATEGORIES) {
+    if (bundle.data[category] !== undefined && !Array.isArray(bundle.data[category])) {
+      throw new Error(`Invalid collection file: ${category} is not a list`);
+    }
+  }
+  if (bundle.data.collections?.length !== 1 || !hasId(bundle.data.collections[0])) {
+    throw new Error('Invalid collection file: it should share exactly one collection');
+  }
+}
+
+function hasId(record) {
+  return Boolean(record) && typeof record === 'object' && typeof record.id === 'string';
+}
+
+/**
+ * Give a record its new ID and point its references at the new IDs
+ * References to records outside the bundle are dropped.
+ */
+function reassignIds(category, record, idMaps) {
+  const reassigned = { ...record, id: idMaps[category].get(record.id) };
+
+  for (const [field, target] of Object.entries(REFERENCES[category] || {})) {
+    const value = record[field];
+    if (value == null) continue;
+    reassigned[field] = Array.isArray(value)
+      ? value.map((id) => idMaps[target].get(id)).filter(Boolean)
+      : idMaps[target].get(value) ?? null;
+  }
+  return reassigned;
+}
+
+function union(a = [], b = []) {
+  return [...new Set([...a, ...b])];
+}
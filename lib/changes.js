@@ -0,0 +1,123 @@
+/**
+ * Wing - Change Notifications
+ * Broadcasts library writes to every extension context (popup, options page,
+ * service worker) so open views can update without a reload
+ */
+
+import { generateId } from './utils.js';
+
+// Runtime message type carrying a change event between contexts
+export const CHANGE_MESSAGE_TYPE = 'WING_DATA_CHANGED';
+
+// Identifies events emitted by this context
+const CONTEXT_ID = generateId();
+
+// Subscribers in this context
+const listeners = new Set();
+
+/**
+ * Notify subscribers here and in the other extension contexts of committed writes
+ * Each change is { store, key, type: 'put' | 'delete' } for a single record,
+ * or { store, type: 'reset' } when a store was cleared or bulk-written.
+ * Wing changes also carry the canonical url of the wing, and highlight
+ * changes the wingId of the highlight.
+ * @param {Array<Object>} changes - Changes, in the order they were made
+ */
+export function emitChanges(changes) {
+  if (!changes || changes.length === 0) return;
+
+  const event = {
+    source: CONTEXT_ID,
+    changes,
+    stores: [...new Set(changes.map((change) => change.store))],
+    timestamp: Date.now(),
+  };
+
+  notifyListeners(event);
+
+  // runtime.sendMessage reaches every other extension context but not this one
+  try {
+    chrome.runtime.sendMessage({ type: CHANGE_MESSAGE_TYPE, event }).catch(() => {
+      // No other context is listening
+    });
+  } catch {
+    // Extension context invalidated
+  }
+}
+
+/**
+ * Subscribe to library changes made in any extension context
+ * @param {Function} callback - (event) => void, event is { source, changes, stores, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToChanges(callback) {
+  if (listeners.size === 0) {
+    chrome.runtime.onMessage.addListener(handleChangeMessage);
+  }
+  listeners.add(callback);
+
+  return () => {
+    listeners.delete(callback);
+    if (listeners.size === 0) {
+      chrome.runtime.onMessage.removeListener(handleChangeMessage);
+    }
+  };
+}
+
+/**
+ * Check whether a change event was emitted by this context
+ * Views usually update themselves after their own writes and only need
+ * events from elsewhere.
+ * @param {Object} event - Change event
+ * @returns {boolean}
+ */
+export function isLocalChange(event) {
+  return event.source === CONTEXT_ID;
+}
+
+/**
+ * Check whether a change event touches any of the given stores
+ * @param {Object} event - Change event
+ * @param {...string} storeNames - Store names
+ * @returns {boolean}
+ */
+export function changeTouches(event, ...storeNames) {
+  return event.stores.some((store) => storeNames.includes(store));
+}
+
+/**
+ * Get the IDs of the wings a change event affects
+ * Highlight changes count towards their wing.
+ * @param {Object} event - Change event
+ * @returns {Set<string>|null} Wing IDs, or null if wings or highlights were reset
+ */
+export function getChangedWingIds(event) {
+  const ids = new Set();
+
+  for (const change of event.changes) {
+    if (change.store !== 'wings' && change.store !== 'highlights') continue;
+    if (change.type === 'reset') return null;
+    ids.add(change.store === 'wings' ? change.key : change.wingId);
+  }
+
+  ids.delete(undefined);
+  return ids;
+}
+
+function handleChangeMessage(message) {
+  if (message?.type === CHANGE_MESSAGE_TYPE) {
+    notifyListeners(message.event);
+  }
+  // Not answering, so other listeners can respond to the sender
+  return false;
+}
+
+function notifyListeners(event) {
+  for (const listener of [...listeners]) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in change listener:', error);
+    }
+  }
+}
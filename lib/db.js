@@ -3,13 +3,124 @@
  * Handles all local data storage operations
  */
 
+import { tokenize, buildIndex, buildIndexEntry, updateStats, rankEntries } from './search.js';
+import { generateId, canonicalizeUrl } from './utils.js';
+import { emitChanges } from './changes.js';
+import { IMPORT_CATEGORIES, validateBackup, repairReferences, planImport } from './import.js';
+import { examineLibrary } from './doctor.js';
+import {
+  EncryptionError,
+  getEncryptionState,
+  sealRecord,
+  sealRecords,
+  openRecord,
+  openRecords,
+  withoutSealedFields,
+  stopEncrypting,
+  resumeEncrypting,
+} from './encryption.js';
+import {
+  LATEST_VERSION,
+  applySchemaMigrations,
+  runPendingMigrations,
+  readMigrationsRecord,
+  upgradeWingRecord,
+  upgradeLibraryRecord,
+  getSortTitle,
+} from './migrations.js';
+import { getDefaultPosition, getPosition, positionBetween, sortByPosition, spreadPositions } from './positions.js';
+import { getDefaultReview, scheduleReview } from './review.js';
+
 const DB_NAME = 'WingDB';
-const DB_VERSION = 3;
+const DB_VERSION = LATEST_VERSION;
+
+// Wing fields that feed the full-text search index
+const INDEXED_WING_FIELDS = ['title', 'url', 'summary', 'fullContent', 'notes'];
+
+// Maximum number of index terms a trailing search prefix may expand to
+const MAX_PREFIX_EXPANSIONS = 20;
+
+// Stores touched when moving records to and from the trash
+const TRASH_STORES = ['wings', 'collections', 'nests', 'highlights', 'connections', 'searchIndex', 'meta', 'trash'];
+
+// Stores whose writes are recorded in the undo/redo journal
+const JOURNALED_STORES = ['wings', 'collections', 'nests', 'highlights', 'connections', 'tags', 'trash'];
+
+// Stores holding the user's library (what export, import and sync cover)
+const LIBRARY_STORES = ['collections', 'nests', 'wings', 'highlights', 'connections', 'tags'];
+
+// Number of journal entries kept for undo
+const MAX_JOURNAL_ENTRIES = 50;
+
+// Entries with the same merge key this close together become one undo step
+const JOURNAL_MERGE_WINDOW_MS = 60 * 1000;
+
+// Wing list orderings supported by queryWings, and the index behind each
+const WING_SORTS = {
+  newest: { index: 'timestamp', direction: 'prev', key: (wing) => wing.timestamp },
+  oldest: { index: 'timestamp', direction: 'next', key: (wing) => wing.timestamp },
+  'title-asc': { index: 'sortTitle', direction: 'next', key: getSortTitle },
+  'title-desc': { index: 'sortTitle', direction: 'prev', key: getSortTitle },
+  manual: { index: 'position', direction: 'next', key: (wing) => getPosition('wings', wing) },
+};
+
+// Stores whose records can be put in order by hand (see reorder)
+const ORDERED_STORES = ['collections', 'nests', 'wings'];
+
+// Wing filters supported by queryWings, and the index behind each
+const WING_FILTERS = {
+  collectionId: { index: 'collectionIds', field: 'collectionIds' },
+  nestId: { index: 'nestIds', field: 'nestIds' },
+  tagId: { index: 'tagIds', field: 'tagIds' },
+  status: { index: 'status', field: 'status' },
+};
+
+// Reading statuses of a wing, in the order a page usually moves through them
+export const WING_STATUSES = ['unread', 'reading', 'done', 'archived'];
+
+// Statuses in the reading queue, in queue order
+const QUEUE_STATUSES = ['reading', 'unread'];
 
 let db = null;
 
+// Changes recorded by journaled transactions, keyed by transaction
+const trackedChanges = new WeakMap();
+
+// Changes to announce once a readwrite transaction commits, keyed by transaction
+const pendingNotifications = new WeakMap();
+
+// Library records written by a transaction, stamped in the sync store before it commits
+const syncChanges = new WeakMap();
+
+/**
+ * Error thrown when a journal entry can't be applied because the records it
+ * touched have changed since
+ */
+export class JournalConflictError extends Error {
+  constructor(message, entryKey) {
+    super(message);
+    this.name = 'JournalConflictError';
+    this.entryKey = entryKey;
+  }
+}
+
+/**
+ * Error thrown when a nest can't be moved where it was asked to go
+ * Codes: NOT_FOUND (the nest or its destination is missing), CYCLE (the
+ * destination is the nest itself or one of its own nests)
+ */
+export class NestMoveError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'NestMoveError';
+    this.code = code;
+  }
+}
+
 /**
  * Initialize the database connection
+ * Schema steps run during the version upgrade; queued data steps run once the
+ * database is open (see lib/migrations.js).
  * @returns {Promise<IDBDatabase>}
  */
 export async function initDB() {
@@ -24,9 +135,9 @@ export async function initDB() {
 
     request.onsuccess = async () => {
       db = request.result;
-      // Run migration for existing data
+      // Finish data migrations, including any interrupted on a previous open
       try {
-        await migrateWingsToArrays();
+        await runPendingMigrations(db);
       } catch (e) {
         console.warn('Migration warning:', e);
       }
@@ -34,121 +145,685 @@ export async function initDB() {
     };
 
     request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-      const oldVersion = event.oldVersion;
-
-      // Wings store
-      if (!database.objectStoreNames.contains('wings')) {
-        const wingsStore = database.createObjectStore('wings', { keyPath: 'id' });
-        wingsStore.createIndex('url', 'url', { unique: false });
-        wingsStore.createIndex('timestamp', 'timestamp', { unique: false });
-        // Use multiEntry indexes for arrays
-        wingsStore.createIndex('collectionIds', 'collectionIds', { unique: false, multiEntry: true });
-        wingsStore.createIndex('nestIds', 'nestIds', { unique: false, multiEntry: true });
-      } else if (oldVersion < 2) {
-        // Migration from v1 to v2: update indexes for array support
-        const transaction = event.target.transaction;
-        const wingsStore = transaction.objectStore('wings');
-
-        // Remove old indexes if they exist
-        if (wingsStore.indexNames.contains('collectionId')) {
-          wingsStore.deleteIndex('collectionId');
-        }
-        if (wingsStore.indexNames.contains('nestId')) {
-          wingsStore.deleteIndex('nestId');
-        }
+      applySchemaMigrations(event.target.result, event.target.transaction, event.oldVersion);
+    };
+  });
+}
 
-        // Create new multiEntry indexes
-        if (!wingsStore.indexNames.contains('collectionIds')) {
-          wingsStore.createIndex('collectionIds', 'collectionIds', { unique: false, multiEntry: true });
-        }
-        if (!wingsStore.indexNames.contains('nestIds')) {
-          wingsStore.createIndex('nestIds', 'nestIds', { unique: false, multiEntry: true });
-        }
-      }
+/**
+ * Close the database connection
+ * The next call to initDB reopens it.
+ */
+export function closeDB() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+/**
+ * Get the migration history of the database
+ * @returns {Promise<Object>} { version, applied: [{ version, name, appliedAt }], pending: [version] }
+ */
+export async function getMigrationState() {
+  await initDB();
+  const { applied, pending } = await readMigrationsRecord(db);
+  return { version: db.version, applied, pending };
+}
+
+/**
+ * Generic store operations wrapper
+ */
+async function getStore(storeName, mode = 'readonly') {
+  await initDB();
+  const transaction = db.transaction(storeName, mode);
+  return transaction.objectStore(storeName);
+}
+
+/**
+ * Wrap IDBRequest in a Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionComplete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Run an async body inside a single transaction
+ * The transaction is aborted if the body throws, so multi-step writes are atomic.
+ * Writes made through putRecord/addRecord/deleteRecord are broadcast as a change
+ * event after commit (see lib/changes.js), and writes to library stores are
+ * stamped for sync. With a journal label they are also recorded as one
+ * undoable journal entry in the same transaction.
+ * @param {string|Array<string>} storeNames - Stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} body - async (transaction) => result
+ * @param {Object} [options]
+ * @param {string} [options.journal] - Label for the journal entry (e.g. 'Delete wing')
+ * @param {Object} [options.group] - Journal group to add the changes to instead (see journalGroup)
+ * @returns {Promise<*>} The body's result, once the transaction has committed
+ */
+async function runTransaction(storeNames, mode, body, { journal, group } = {}) {
+  await initDB();
+  const names = [].concat(storeNames);
+  if (journal && !group && !names.includes('journal')) names.push('journal');
+  const syncs = mode === 'readwrite' && names.some((name) => LIBRARY_STORES.includes(name));
+  if (syncs && !names.includes('sync')) names.push('sync');
+
+  const transaction = db.transaction(names, mode);
+  const done = transactionComplete(transaction);
+  if (journal) trackedChanges.set(transaction, []);
+  if (mode === 'readwrite') pendingNotifications.set(transaction, []);
+  if (syncs) syncChanges.set(transaction, new Map());
+
+  try {
+    const result = await body(transaction);
+    if (syncs) await stampSyncChanges(transaction);
+    if (journal) await commitJournal(transaction, journal, group);
+    await done;
+    emitChanges(pendingNotifications.get(transaction));
+    return result;
+  } catch (error) {
+    try {
+      transaction.abort();
+    } catch {
+      // Already committed or aborted
+    }
+    await done.catch(() => {});
+    throw error;
+  }
+}
+
+// ============================================
+// MUTATION JOURNAL (UNDO / REDO)
+// ============================================
+
+/**
+ * Record a change for the change event and, if journaled, for undo
+ * @param {IDBTransaction} transaction - Transaction the change was made in
+ * @param {string} storeName - Store name
+ * @param {*} key - Record key
+ * @param {Object|undefined} before - Record before the change (undefined if created)
+ * @param {Object|undefined} after - Record after the change (undefined if deleted)
+ */
+function recordChange(transaction, storeName, key, before, after) {
+  const notifications = pendingNotifications.get(transaction);
+  if (notifications) {
+    const notification = { store: storeName, key, type: after === undefined ? 'delete' : 'put' };
+    if (storeName === 'highlights') notification.wingId = (after || before).wingId;
+    if (storeName === 'wings') notification.url = (after || before).canonicalUrl;
+    notifications.push(notification);
+  }
+
+  recordSyncChange(transaction, storeName, key, before, after);
+
+  const changes = trackedChanges.get(transaction);
+  if (!changes) return;
+
+  changes.push({
+    store: storeName,
+    key,
+    before: before === undefined ? undefined : structuredClone(before),
+    after: after === undefined ? undefined : structuredClone(after),
+  });
+}
+
+/**
+ * Note the fields a write changed, to be stamped for sync when the transaction ends
+ * @param {IDBTransaction} transaction - Transaction the change was made in
+ * @param {string} storeName - Store name
+ * @param {*} key - Record key
+ * @param {Object|undefined} before - Record before the change (undefined if created)
+ * @param {Object|undefined} after - Record after the change (undefined if deleted)
+ */
+function recordSyncChange(transaction, storeName, key, before, after) {
+  const synced = syncChanges.get(transaction);
+  if (!synced || !LIBRARY_STORES.includes(storeName)) return;
+
+  const syncKey = getSyncKey(storeName, key);
+  const change = synced.get(syncKey) || { store: storeName, id: key, fields: new Set(), deleted: false };
+  changedFields(before, after).forEach((field) => change.fields.add(field));
+  change.deleted = after === undefined;
+  synced.set(syncKey, change);
+}
+
+/**
+ * Add a record, recording the change for undo
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {string} storeName - Store name
+ * @param {Object} value - Record to add (fails if the key exists)
+ * @returns {Promise<*>} The record key
+ */
+async function addRecord(transaction, storeName, value) {
+  const key = await promisifyRequest(transaction.objectStore(storeName).add(value));
+  recordChange(transaction, storeName, key, undefined, value);
+  return key;
+}
+
+/**
+ * Put (insert or replace) a record, recording the change for undo
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {string} storeName - Store name
+ * @param {Object} value - Record to write
+ * @returns {Promise<*>} The record key
+ */
+async function putRecord(transaction, storeName, value) {
+  const store = transaction.objectStore(storeName);
+  const before = await promisifyRequest(store.get(value[store.keyPath]));
+  const key = await promisifyRequest(store.put(value));
+  recordChange(transaction, storeName, key, before, value);
+  return key;
+}
+
+/**
+ * Delete a record, recording the change for undo
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {string} storeName - Store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} The deleted record, if it existed
+ */
+async function deleteRecord(transaction, storeName, key) {
+  const store = transaction.objectStore(storeName);
+  const before = await promisifyRequest(store.get(key));
+  if (before === undefined) return undefined;
+
+  await promisifyRequest(store.delete(key));
+  recordChange(transaction, storeName, key, before, undefined);
+  return before;
+}
+
+/**
+ * Write the changes of a journaled transaction to the journal
+ * With a journal group the changes are collected for the group instead.
+ * @param {IDBTransaction} transaction - Active transaction, covering 'journal' unless grouped
+ * @param {string} label - Entry label
+ * @param {Object} [group] - Journal group the transaction belongs to
+ */
+async function commitJournal(transaction, label, group) {
+  const changes = trackedChanges.get(transaction) || [];
+  if (changes.length === 0) return;
+
+  if (group) {
+    group.changes.push(...changes);
+    return;
+  }
+  await appendJournalEntry(transaction, label, changes);
+}
+
+/**
+ * Append an entry to the journal, discarding the redo history
+ * @param {IDBTransaction} transaction - Active transaction covering 'journal'
+ * @param {string} label - Entry label
+ * @param {Array} changes - Recorded changes, in the order they were made
+ * @param {string} [mergeKey] - Merge into the latest entry if it has this key
+ *   and was last extended within JOURNAL_MERGE_WINDOW_MS
+ */
+async function appendJournalEntry(transaction, label, changes, mergeKey = null) {
+  const store = transaction.objectStore('journal');
+
+  // A new change makes anything that was undone unreachable
+  const undoneKeys = await promisifyRequest(store.index('status').getAllKeys('undone'));
+  for (const key of undoneKeys) {
+    await promisifyRequest(store.delete(key));
+  }
+
+  const now = Date.now();
+  if (mergeKey) {
+    const doneKeys = await promisifyRequest(store.getAllKeys());
+    const latest = doneKeys.length > 0 ? await promisifyRequest(store.get(doneKeys[doneKeys.length - 1])) : null;
+    if (latest?.mergeKey === mergeKey && now - (latest.updatedAt || latest.createdAt) < JOURNAL_MERGE_WINDOW_MS) {
+      await promisifyRequest(store.put({ ...latest, changes: mergeChanges(latest.changes, changes), updatedAt: now }));
+      return;
+    }
+  }
+
+  const entry = { label, changes, status: 'done', createdAt: now };
+  if (mergeKey) entry.mergeKey = mergeKey;
+  await promisifyRequest(store.add(entry));
+
+  const keys = await promisifyRequest(store.getAllKeys());
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_JOURNAL_ENTRIES))) {
+    await promisifyRequest(store.delete(key));
+  }
+}
+
+/**
+ * Combine the changes of two journal entries, keeping each record's state
+ * from before the first and after the last
+ */
+function mergeChanges(earlier, later) {
+  const merged = new Map();
+  for (const change of [...earlier, ...later]) {
+    const id = `${change.store}:${change.key}`;
+    const first = merged.get(id);
+    merged.set(id, first ? { ...first, after: change.after } : change);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Run several writes as a single undoable step
+ * fn is given the group, and only writes it is passed to (as options.group)
+ * join the step. Other writes made meanwhile keep their own undo entries.
+ * @param {string} label - Entry label (e.g. 'Save wing')
+ * @param {Function} fn - async (group) => result, performing the writes
+ * @param {Object} [options]
+ * @param {string} [options.mergeKey] - Steps with the same key made in quick
+ *   succession are merged into one (see appendJournalEntry)
+ * @returns {Promise<*>} The result of fn
+ */
+export async function journalGroup(label, fn, { mergeKey } = {}) {
+  const group = { label, changes: [] };
+  try {
+    return await fn(group);
+  } finally {
+    if (group.changes.length > 0) {
+      await runTransaction('journal', 'readwrite', (transaction) =>
+        appendJournalEntry(transaction, group.label, group.changes, mergeKey)
+      );
+    }
+  }
+}
+
+// Fields written as a side effect of reading and reviewing. Their writes
+// aren't undoable, so undo compares records without them and leaves them as they are.
+const UNJOURNALED_FIELDS = {
+  wings: ['scrollDepth', 'scrollPosition', 'scrollUpdatedAt', 'review'],
+  highlights: ['review'],
+};
+
+/**
+ * Compare two records by value
+ */
+function sameRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Copy a record without its unjournaled fields
+ */
+function withoutUnjournaledFields(storeName, record) {
+  const fields = UNJOURNALED_FIELDS[storeName];
+  if (!fields || !record) return record;
 
-      // Collections store
-      if (!database.objectStoreNames.contains('collections')) {
-        const collectionsStore = database.createObjectStore('collections', { keyPath: 'id' });
-        collectionsStore.createIndex('name', 'name', { unique: false });
-        collectionsStore.createIndex('createdAt', 'createdAt', { unique: false });
+  const copy = { ...record };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+// Fields startReadingWing changes without an undo step, when a saved page is opened again
+const AUTOMATIC_START_FIELDS = ['status', 'statusChangedAt', 'updatedAt'];
+
+/**
+ * Check whether a wing differs from the state undo expects only by having
+ * been started automatically since (see startReadingWing)
+ */
+function wasStartedSince(expected, current) {
+  if (expected?.status !== 'unread' || current?.status !== 'reading') return false;
+
+  const unstarted = { ...current };
+  AUTOMATIC_START_FIELDS.forEach((field) => {
+    if (field in expected) {
+      unstarted[field] = expected[field];
+    } else {
+      delete unstarted[field];
+    }
+  });
+  return sameRecord(withoutUnjournaledFields('wings', unstarted), withoutUnjournaledFields('wings', expected));
+}
+
+/**
+ * Give a record being restored the current values of its unjournaled fields
+ */
+function keepUnjournaledFields(storeName, current, target) {
+  const fields = UNJOURNALED_FIELDS[storeName];
+  if (!fields || !current || !target) return target;
+
+  const restored = withoutUnjournaledFields(storeName, target);
+  fields.filter((field) => field in current).forEach((field) => { restored[field] = current[field]; });
+  return restored;
+}
+
+/**
+ * Apply the latest undoable (or the next redoable) journal entry
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Promise<Object|null>} { label } of the applied entry, or null if none
+ */
+async function applyJournalEntry(direction) {
+  const isUndo = direction === 'undo';
+
+  return runTransaction([...JOURNALED_STORES, 'searchIndex', 'meta', 'journal'], 'readwrite', async (transaction) => {
+    const journalStore = transaction.objectStore('journal');
+    const keys = await promisifyRequest(journalStore.index('status').getAllKeys(isUndo ? 'done' : 'undone'));
+    if (keys.length === 0) return null;
+
+    const entryKey = isUndo ? Math.max(...keys) : Math.min(...keys);
+    const entry = await promisifyRequest(journalStore.get(entryKey));
+    const steps = isUndo ? [...entry.changes].reverse() : entry.changes;
+    const touchedWingIds = new Set();
+
+    for (const change of steps) {
+      const expected = isUndo ? change.after : change.before;
+      const store = transaction.objectStore(change.store);
+
+      const current = await promisifyRequest(store.get(change.key));
+      let target = keepUnjournaledFields(change.store, current, isUndo ? change.before : change.after);
+      const startedSince = change.store === 'wings' && wasStartedSince(expected, current);
+      if (!startedSince
+        && !sameRecord(withoutUnjournaledFields(change.store, current), withoutUnjournaledFields(change.store, expected))) {
+        throw new JournalConflictError(`Can't ${direction} "${entry.label}": it has changed since`, entryKey);
+      }
+      // The wing stays started, unless the entry itself changed its status
+      if (startedSince && target?.status === expected.status) {
+        target = { ...target, status: current.status, statusChangedAt: current.statusChangedAt };
       }
 
-      // Nests store
-      if (!database.objectStoreNames.contains('nests')) {
-        const nestsStore = database.createObjectStore('nests', { keyPath: 'id' });
-        nestsStore.createIndex('collectionId', 'collectionId', { unique: false });
-        nestsStore.createIndex('parentId', 'parentId', { unique: false });
-        nestsStore.createIndex('name', 'name', { unique: false });
+      if (target === undefined) {
+        await promisifyRequest(store.delete(change.key));
+      } else {
+        await promisifyRequest(store.put(target));
       }
+      recordChange(transaction, change.store, change.key, current, target);
 
-      // Highlights store
-      if (!database.objectStoreNames.contains('highlights')) {
-        const highlightsStore = database.createObjectStore('highlights', { keyPath: 'id' });
-        highlightsStore.createIndex('wingId', 'wingId', { unique: false });
-        highlightsStore.createIndex('timestamp', 'timestamp', { unique: false });
+      if (change.store === 'wings') touchedWingIds.add(change.key);
+      if (change.store === 'highlights') {
+        [change.before?.wingId, change.after?.wingId].filter(Boolean).forEach((id) => touchedWingIds.add(id));
       }
+    }
 
-      // Connections store (for smart connections between wings)
-      if (!database.objectStoreNames.contains('connections')) {
-        const connectionsStore = database.createObjectStore('connections', { keyPath: 'id' });
-        connectionsStore.createIndex('wingId1', 'wingId1', { unique: false });
-        connectionsStore.createIndex('wingId2', 'wingId2', { unique: false });
-        connectionsStore.createIndex('score', 'score', { unique: false });
-        connectionsStore.createIndex('analyzedAt', 'analyzedAt', { unique: false });
+    // Keep the search index in step with restored wings and highlights
+    for (const wingId of touchedWingIds) {
+      const wing = await promisifyRequest(transaction.objectStore('wings').get(wingId));
+      if (wing) {
+        await reindexWing(transaction, wingId);
+      } else {
+        await removeSearchEntry(transaction, wingId);
       }
-    };
+    }
+
+    await promisifyRequest(journalStore.put({ ...entry, status: isUndo ? 'undone' : 'done' }));
+    return { label: entry.label };
   });
 }
 
 /**
- * Migrate wings from old schema (single collectionId/nestId) to new (arrays)
- * Called automatically after DB upgrade
+ * Undo the most recent library change
+ * An entry that can no longer be applied is dropped from the journal.
+ * @returns {Promise<Object|null>} { label } of the undone change, or null if there is nothing to undo
  */
-async function migrateWingsToArrays() {
-  const store = await getStore('wings', 'readwrite');
-  const allWings = await promisifyRequest(store.getAll());
+export async function undo() {
+  return applyJournalEntryOrDrop('undo');
+}
 
-  for (const wing of allWings) {
-    let needsUpdate = false;
+/**
+ * Redo the most recently undone library change
+ * @returns {Promise<Object|null>} { label } of the redone change, or null if there is nothing to redo
+ */
+export async function redo() {
+  return applyJournalEntryOrDrop('redo');
+}
 
-    // Migrate collectionId to collectionIds
-    if (wing.collectionId !== undefined || !wing.collectionIds) {
-      wing.collectionIds = wing.collectionId ? [wing.collectionId] : [];
-      delete wing.collectionId;
-      needsUpdate = true;
+async function applyJournalEntryOrDrop(direction) {
+  try {
+    return await applyJournalEntry(direction);
+  } catch (error) {
+    if (error instanceof JournalConflictError) {
+      const store = await getStore('journal', 'readwrite');
+      await promisifyRequest(store.delete(error.entryKey));
     }
+    throw error;
+  }
+}
 
-    // Migrate nestId to nestIds
-    if (wing.nestId !== undefined || !wing.nestIds) {
-      wing.nestIds = wing.nestId ? [wing.nestId] : [];
-      delete wing.nestId;
-      needsUpdate = true;
-    }
+/**
+ * Get the labels of the next undo and redo steps
+ * @returns {Promise<Object>} { undo: string|null, redo: string|null }
+ */
+export async function getJournalState() {
+  const store = await getStore('journal');
+  const [done, undone] = await Promise.all([
+    promisifyRequest(store.index('status').getAll('done')),
+    promisifyRequest(store.index('status').getAll('undone')),
+  ]);
+  return {
+    undo: done.length > 0 ? done[done.length - 1].label : null,
+    redo: undone.length > 0 ? undone[0].label : null,
+  };
+}
+
+/**
+ * Clear the undo/redo history
+ */
+export async function clearJournal() {
+  const store = await getStore('journal', 'readwrite');
+  await promisifyRequest(store.clear());
+}
+
+// ============================================
+// SYNC STATE
+// ============================================
+
+/**
+ * Sync state is kept per library record in the 'sync' store:
+ * { key: 'store:id', store, id, fields: { [field]: changedAt }, updatedAt, deletedAt }
+ * Every write through runTransaction stamps the fields it changed, and a
+ * deleted record leaves its state behind as a tombstone (deletedAt set).
+ * Records written before sync existed have no state; their fields count as
+ * changed at 0, so any stamped change wins over them.
+ */
 
-    if (needsUpdate) {
-      const updateStore = await getStore('wings', 'readwrite');
-      await promisifyRequest(updateStore.put(wing));
+function getSyncKey(storeName, id) {
+  return `${storeName}:${id}`;
+}
+
+/**
+ * List the fields that differ between two versions of a record
+ */
+function changedFields(before, after) {
+  if (!before || !after) return Object.keys(after || {});
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Stamp the library records a transaction wrote in the sync store
+ * @param {IDBTransaction} transaction - Active transaction covering 'sync'
+ */
+async function stampSyncChanges(transaction) {
+  const changes = syncChanges.get(transaction);
+  if (changes.size === 0) return;
+
+  const store = transaction.objectStore('sync');
+  const now = Date.now();
+  for (const [key, change] of changes) {
+    const state = (await promisifyRequest(store.get(key)))
+      || { key, store: change.store, id: change.id, fields: {}, updatedAt: 0, deletedAt: null };
+    change.fields.forEach((field) => {
+      state.fields[field] = now;
+    });
+    state.updatedAt = now;
+    state.deletedAt = change.deleted ? now : null;
+    await promisifyRequest(store.put(state));
+  }
+}
+
+/**
+ * Read every library record with its sync state, including tombstones
+ * @returns {Promise<Array<Object>>} Entries ({ key, store, id, record, fields, updatedAt, deletedAt });
+ *   record is decrypted, or null for tombstones
+ */
+export async function readSyncEntries() {
+  if ((await getEncryptionState()) === 'locked') {
+    throw new EncryptionError('Unlock Wing to sync your library', 'LOCKED');
+  }
+
+  const [library, states] = await runTransaction([...LIBRARY_STORES, 'sync'], 'readonly', (transaction) =>
+    Promise.all([readLibrary(transaction), promisifyRequest(transaction.objectStore('sync').getAll())])
+  );
+  const records = await mapLibrary(library, openRecords);
+
+  const entries = new Map(states.map((state) => [
+    state.key,
+    { ...state, record: null, deletedAt: state.deletedAt || state.updatedAt },
+  ]));
+  for (const store of LIBRARY_STORES) {
+    for (const record of records[store]) {
+      const key = getSyncKey(store, record.id);
+      const state = entries.get(key) || { key, store, id: record.id, fields: {}, updatedAt: 0 };
+      entries.set(key, { ...state, record, deletedAt: null });
     }
   }
+  return [...entries.values()];
 }
 
 /**
- * Generic store operations wrapper
+ * Write synced records into the library
+ * Their sync state is stored as given rather than stamped as a local change.
+ * Nothing is written if any of the records changed after they were read.
+ * @param {Array<Object>} entries - Entries to write (see readSyncEntries); a null record deletes
+ * @param {Map<string, number>} expected - updatedAt of each entry's record when it was read
+ * @returns {Promise<boolean>} Whether the entries were written
  */
-async function getStore(storeName, mode = 'readonly') {
-  await initDB();
-  const transaction = db.transaction(storeName, mode);
-  return transaction.objectStore(storeName);
+export async function applySyncEntries(entries, expected) {
+  if (entries.length === 0) return true;
+
+  const sealed = await Promise.all(entries.map(async (entry) => {
+    if (!entry.record) return entry;
+    const record = upgradeLibraryRecord(entry.store, entry.record);
+    return { ...entry, record: await sealRecord(entry.store, record) };
+  }));
+
+  return runTransaction([...LIBRARY_STORES, 'sync', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const syncStore = transaction.objectStore('sync');
+    for (const entry of sealed) {
+      const state = await promisifyRequest(syncStore.get(entry.key));
+      if ((state?.updatedAt || 0) !== (expected.get(entry.key) || 0)) return false;
+    }
+
+    const touchedWingIds = new Set();
+    for (const { record, ...state } of sealed) {
+      let deleted;
+      if (record) {
+        await putRecord(transaction, state.store, record);
+      } else {
+        deleted = await deleteRecord(transaction, state.store, state.id);
+      }
+      await promisifyRequest(syncStore.put({ ...state, deletedAt: record ? null : state.deletedAt }));
+
+      if (state.store === 'wings') touchedWingIds.add(state.id);
+      if (state.store === 'highlights') touchedWingIds.add((record || deleted)?.wingId);
+    }
+    syncChanges.get(transaction).clear();
+
+    for (const wingId of touchedWingIds) {
+      if (!wingId) continue;
+      const wing = await promisifyRequest(transaction.objectStore('wings').get(wingId));
+      if (wing) {
+        await reindexWing(transaction, wingId);
+      } else {
+        await removeSearchEntry(transaction, wingId);
+      }
+    }
+    return true;
+  });
 }
 
+// ============================================
+// SEARCH INDEX MAINTENANCE
+// ============================================
+
 /**
- * Wrap IDBRequest in a Promise
+ * Write (or replace) a wing's search index entry and update corpus stats
+ * Must be called with a transaction covering 'searchIndex' and 'meta'
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {Object} wing - Wing record
+ * @param {Array} highlights - Highlights belonging to the wing
+ * @returns {Promise<void>}
  */
-function promisifyRequest(request) {
-  return new Promise((resolve, reject) => {
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
+async function writeSearchEntry(transaction, wing, highlights = []) {
+  const indexStore = transaction.objectStore('searchIndex');
+  const metaStore = transaction.objectStore('meta');
+  // Encrypted text is left out of the index
+  const entry = buildIndexEntry(withoutSealedFields(wing), highlights.map(withoutSealedFields));
+
+  const [oldEntry, statsRecord] = await Promise.all([
+    promisifyRequest(indexStore.get(wing.id)),
+    promisifyRequest(metaStore.get('searchStats')),
+  ]);
+
+  indexStore.put(entry);
+  metaStore.put({ key: 'searchStats', ...updateStats(statsRecord, oldEntry, entry) });
+}
+
+/**
+ * Remove a wing's search index entry and update corpus stats
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {string} wingId - Wing ID
+ * @returns {Promise<void>}
+ */
+async function removeSearchEntry(transaction, wingId) {
+  const indexStore = transaction.objectStore('searchIndex');
+  const metaStore = transaction.objectStore('meta');
+
+  const [oldEntry, statsRecord] = await Promise.all([
+    promisifyRequest(indexStore.get(wingId)),
+    promisifyRequest(metaStore.get('searchStats')),
+  ]);
+  if (!oldEntry) return;
+
+  indexStore.delete(wingId);
+  metaStore.put({ key: 'searchStats', ...updateStats(statsRecord, oldEntry, undefined) });
+}
+
+/**
+ * Re-index a wing from its stored record and highlights
+ * Must be called with a transaction covering 'wings', 'highlights', 'searchIndex' and 'meta'
+ * @param {IDBTransaction} transaction - Active readwrite transaction
+ * @param {string} wingId - Wing ID
+ * @returns {Promise<void>}
+ */
+async function reindexWing(transaction, wingId) {
+  const [wing, highlights] = await Promise.all([
+    promisifyRequest(transaction.objectStore('wings').get(wingId)),
+    promisifyRequest(transaction.objectStore('highlights').index('wingId').getAll(wingId)),
+  ]);
+  if (wing) {
+    await writeSearchEntry(transaction, wing, highlights);
+  }
+}
+
+/**
+ * Rebuild the whole search index from the wings and highlights stores
+ * @returns {Promise<void>}
+ */
+export async function rebuildSearchIndex() {
+  return runTransaction(['wings', 'highlights', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const [wings, highlights] = await Promise.all([
+      promisifyRequest(transaction.objectStore('wings').getAll()),
+      promisifyRequest(transaction.objectStore('highlights').getAll()),
+    ]);
+
+    const { entries, stats } = buildIndex(wings.map(withoutSealedFields), highlights.map(withoutSealedFields));
+
+    const indexStore = transaction.objectStore('searchIndex');
+    indexStore.clear();
+    entries.forEach((entry) => indexStore.put(entry));
+    transaction.objectStore('meta').put({ key: 'searchStats', ...stats });
   });
 }
 
@@ -162,12 +837,16 @@ function promisifyRequest(request) {
  * @returns {Promise<Object>} Created collection
  */
 export async function createCollection(collection) {
-  const store = await getStore('collections', 'readwrite');
+  const now = Date.now();
   const data = {
     ...collection,
-    createdAt: Date.now(),
+    createdAt: now,
+    updatedAt: now,
   };
-  await promisifyRequest(store.add(data));
+  // New collections go to the end of the manual order
+  data.position ??= getDefaultPosition('collections', data);
+  await runTransaction('collections', 'readwrite', (transaction) =>
+    addRecord(transaction, 'collections', data), { journal: 'Create collection' });
   return data;
 }
 
@@ -197,63 +876,84 @@ export async function getCollection(id) {
  * @returns {Promise<Object>} Updated collection
  */
 export async function updateCollection(id, updates) {
-  const store = await getStore('collections', 'readwrite');
-  const collection = await promisifyRequest(store.get(id));
-  if (!collection) throw new Error('Collection not found');
-
-  const updated = { ...collection, ...updates };
-  await promisifyRequest(store.put(updated));
-  return updated;
+  return runTransaction('collections', 'readwrite', async (transaction) => {
+    const collection = await promisifyRequest(transaction.objectStore('collections').get(id));
+    if (!collection) throw new Error('Collection not found');
+
+    const updated = { ...collection, ...updates, updatedAt: Date.now() };
+    await putRecord(transaction, 'collections', updated);
+    return updated;
+  }, { journal: 'Edit collection' });
 }
 
 /**
  * Delete a collection and its associated nests
- * Wings are updated to remove the collection from their collectionIds array
+ * Wings are updated to remove the collection from their collectionIds array.
+ * The collection and its nests are moved to the trash so they can be restored.
  * @param {string} id - Collection ID
  */
 export async function deleteCollection(id) {
-  await initDB();
-  const transaction = db.transaction(['collections', 'nests', 'wings'], 'readwrite');
-
-  // Delete the collection
-  transaction.objectStore('collections').delete(id);
-
-  // Get nests in this collection to also remove from wings
-  const nestsStore = transaction.objectStore('nests');
-  const nestsIndex = nestsStore.index('collectionId');
-  const nestIdsToRemove = [];
-
-  const nestsRequest = nestsIndex.openCursor(IDBKeyRange.only(id));
-
-  nestsRequest.onsuccess = (event) => {
-    const cursor = event.target.result;
-    if (cursor) {
-      nestIdsToRemove.push(cursor.value.id);
-      cursor.delete();
-      cursor.continue();
+  await runTransaction(TRASH_STORES, 'readwrite', async (transaction) => {
+    const collectionsStore = transaction.objectStore('collections');
+    const nestsStore = transaction.objectStore('nests');
+    const wingsStore = transaction.objectStore('wings');
+
+    const [collection, collectionNests, collectionWings] = await Promise.all([
+      promisifyRequest(collectionsStore.get(id)),
+      promisifyRequest(nestsStore.index('collectionId').getAll(id)),
+      promisifyRequest(wingsStore.index('collectionIds').getAll(id)),
+    ]);
+    if (!collection && collectionNests.length === 0) return;
+
+    // Nests inside the collection's nests go too, even if their collectionId went stale
+    const queue = collectionNests.map((n) => n.id);
+    const nestIds = new Set(queue);
+    while (queue.length > 0) {
+      const children = await promisifyRequest(nestsStore.index('parentId').getAll(queue.shift()));
+      for (const child of children) {
+        if (nestIds.has(child.id)) continue;
+        nestIds.add(child.id);
+        queue.push(child.id);
+        // Restored from the trash, they come back into this collection
+        collectionNests.push({ ...child, collectionId: id });
+      }
     }
-  };
+    const nestIdsToRemove = [...nestIds];
 
-  // Update wings - remove collection and its nests from arrays
-  const wingsStore = transaction.objectStore('wings');
-  const wingsIndex = wingsStore.index('collectionIds');
-  const wingsRequest = wingsIndex.openCursor(IDBKeyRange.only(id));
-
-  wingsRequest.onsuccess = (event) => {
-    const cursor = event.target.result;
-    if (cursor) {
-      const wing = cursor.value;
-      wing.collectionIds = (wing.collectionIds || []).filter((cid) => cid !== id);
-      wing.nestIds = (wing.nestIds || []).filter((nid) => !nestIdsToRemove.includes(nid));
-      cursor.update(wing);
-      cursor.continue();
+    // Wings filed in one of the nests lose it even if they're no longer in the collection
+    const affectedWings = new Map(collectionWings.map((wing) => [wing.id, wing]));
+    for (const nestId of nestIdsToRemove) {
+      const nestWings = await promisifyRequest(wingsStore.index('nestIds').getAll(nestId));
+      nestWings.forEach((wing) => affectedWings.set(wing.id, wing));
+    }
+    const detached = [];
+
+    // Update wings - remove collection and its nests from arrays
+    for (const wing of affectedWings.values()) {
+      const removedNestIds = (wing.nestIds || []).filter((nid) => nestIdsToRemove.includes(nid));
+      const removedCollectionIds = (wing.collectionIds || []).includes(id) ? [id] : [];
+      detached.push({ wingId: wing.id, collectionIds: removedCollectionIds, nestIds: removedNestIds });
+      await putRecord(transaction, 'wings', {
+        ...wing,
+        collectionIds: (wing.collectionIds || []).filter((cid) => cid !== id),
+        nestIds: (wing.nestIds || []).filter((nid) => !nestIdsToRemove.includes(nid)),
+        updatedAt: Date.now(),
+      });
     }
-  };
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+    for (const nestId of nestIdsToRemove) {
+      await deleteRecord(transaction, 'nests', nestId);
+    }
+    await deleteRecord(transaction, 'collections', id);
+
+    await addTrashEntry(transaction, {
+      type: 'collection',
+      itemId: id,
+      label: collection?.name || 'Untitled collection',
+      records: { collections: collection ? [collection] : [], nests: collectionNests },
+      detached,
+    });
+  }, { journal: 'Delete collection' });
 }
 
 // ============================================
@@ -266,12 +966,16 @@ export async function deleteCollection(id) {
  * @returns {Promise<Object>} Created nest
  */
 export async function createNest(nest) {
-  const store = await getStore('nests', 'readwrite');
+  const now = Date.now();
   const data = {
     ...nest,
-    createdAt: Date.now(),
+    createdAt: now,
+    updatedAt: now,
   };
-  await promisifyRequest(store.add(data));
+  // New nests go after their siblings in the manual order
+  data.position ??= getDefaultPosition('nests', data);
+  await runTransaction('nests', 'readwrite', (transaction) =>
+    addRecord(transaction, 'nests', data), { journal: 'Create nest' });
   return data;
 }
 
@@ -318,74 +1022,434 @@ export async function getNest(id) {
 
 /**
  * Update a nest
+ * A new parentId or collectionId moves the nest as moveNest does. A new
+ * collectionId alone moves it to the top level of that collection.
  * @param {string} id - Nest ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} Updated nest
  */
 export async function updateNest(id, updates) {
-  const store = await getStore('nests', 'readwrite');
-  const nest = await promisifyRequest(store.get(id));
-  if (!nest) throw new Error('Nest not found');
-
-  const updated = { ...nest, ...updates };
-  await promisifyRequest(store.put(updated));
-  return updated;
+  const { parentId, collectionId, ...fields } = updates;
+
+  return runTransaction(['nests', 'collections', 'wings'], 'readwrite', async (transaction) => {
+    const nest = await promisifyRequest(transaction.objectStore('nests').get(id));
+    if (!nest) throw new Error('Nest not found');
+
+    // Keeping the parent would keep the nest in the parent's collection
+    const leavesCollection = collectionId != null && collectionId !== nest.collectionId;
+    const moved = 'parentId' in updates || 'collectionId' in updates
+      ? await moveNestInTransaction(transaction, nest, {
+        parentId: 'parentId' in updates ? parentId : leavesCollection ? null : nest.parentId,
+        collectionId: collectionId ?? nest.collectionId,
+      })
+      : nest;
+
+    const updated = { ...moved, ...fields, updatedAt: Date.now() };
+    await putRecord(transaction, 'nests', updated);
+    return updated;
+  }, { journal: 'Edit nest' });
 }
 
 /**
- * Delete a nest and update its children
- * Wings are updated to remove the nest from their nestIds array
+ * Move a nest, with the nests inside it, under another nest or to the top
+ * level of a collection
+ * Moving to another collection carries every nest inside along, and the wings
+ * in them join the new collection. They leave the old one unless they are
+ * still in another of its nests.
  * @param {string} id - Nest ID
+ * @param {Object} destination - { parentId } to move under a nest (in its collection),
+ *   or { collectionId } to move to the top level of a collection
+ * @param {Object} [options]
+ * @param {Object} [options.group] - Journal group to join (see journalGroup)
+ * @returns {Promise<Object>} Moved nest
+ * @throws {NestMoveError} If the nest or the destination is missing, or the
+ *   destination is inside the nest
  */
-export async function deleteNest(id) {
-  await initDB();
-  const transaction = db.transaction(['nests', 'wings'], 'readwrite');
+export async function moveNest(id, { parentId = null, collectionId = null } = {}, { group } = {}) {
+  return runTransaction(['nests', 'collections', 'wings'], 'readwrite', async (transaction) => {
+    const nest = await promisifyRequest(transaction.objectStore('nests').get(id));
+    if (!nest) throw new NestMoveError('Nest not found', 'NOT_FOUND');
+
+    return moveNestInTransaction(transaction, nest, { parentId, collectionId: collectionId || nest.collectionId });
+  }, { journal: 'Move nest', group });
+}
+
+/**
+ * Move a nest within an open transaction (see moveNest)
+ * @param {IDBTransaction} transaction - Transaction covering nests, collections and wings
+ * @param {Object} nest - Nest record
+ * @param {Object} destination - { parentId, collectionId }
+ * @returns {Promise<Object>} Moved nest record
+ */
+async function moveNestInTransaction(transaction, nest, { parentId, collectionId }) {
   const nestsStore = transaction.objectStore('nests');
+
+  let targetCollectionId = collectionId;
+  if (parentId) {
+    // Walk up from the new parent; reaching the nest means it would contain itself
+    let ancestor = await promisifyRequest(nestsStore.get(parentId));
+    if (!ancestor) throw new NestMoveError('Parent nest not found', 'NOT_FOUND');
+    targetCollectionId = ancestor.collectionId;
+
+    const seen = new Set();
+    while (ancestor && !seen.has(ancestor.id)) {
+      if (ancestor.id === nest.id) {
+        throw new NestMoveError("A nest can't be moved into itself or one of its own nests", 'CYCLE');
+      }
+      seen.add(ancestor.id);
+      ancestor = ancestor.parentId ? await promisifyRequest(nestsStore.get(ancestor.parentId)) : null;
+    }
+  } else {
+    const collection = await promisifyRequest(transaction.objectStore('collections').get(targetCollectionId));
+    if (!collection) throw new NestMoveError('Collection not found', 'NOT_FOUND');
+  }
+
+  const moved = { ...nest, parentId: parentId || null, collectionId: targetCollectionId };
+  if (moved.parentId === nest.parentId && moved.collectionId === nest.collectionId) return nest;
+  // A moved nest goes after its new siblings
+  moved.position = Date.now();
+  moved.updatedAt = moved.position;
+  await putRecord(transaction, 'nests', moved);
+
+  const fromCollectionId = nest.collectionId;
+  if (targetCollectionId === fromCollectionId) return moved;
+
+  // Nests inside the moved one follow it to the new collection
+  const subtree = new Set([nest.id]);
+  const queue = [nest.id];
+  while (queue.length > 0) {
+    const children = await promisifyRequest(nestsStore.index('parentId').getAll(queue.shift()));
+    for (const child of children) {
+      if (subtree.has(child.id)) continue;
+      subtree.add(child.id);
+      queue.push(child.id);
+      await putRecord(transaction, 'nests', { ...child, collectionId: targetCollectionId, updatedAt: moved.updatedAt });
+    }
+  }
+
+  const oldCollectionNests = await promisifyRequest(nestsStore.index('collectionId').getAll(fromCollectionId));
+  const remainingNestIds = new Set(oldCollectionNests.map((n) => n.id).filter((nid) => !subtree.has(nid)));
+
   const wingsStore = transaction.objectStore('wings');
+  const wingIds = new Set();
+  for (const nestId of subtree) {
+    const nestWings = await promisifyRequest(wingsStore.index('nestIds').getAllKeys(nestId));
+    nestWings.forEach((wingId) => wingIds.add(wingId));
+  }
+
+  for (const wingId of wingIds) {
+    const wing = await promisifyRequest(wingsStore.get(wingId));
+    const stillInOld = (wing.nestIds || []).some((nid) => remainingNestIds.has(nid));
+    const collectionIds = (wing.collectionIds || []).filter((cid) => stillInOld || cid !== fromCollectionId);
+    if (!collectionIds.includes(targetCollectionId)) collectionIds.push(targetCollectionId);
+    await putRecord(transaction, 'wings', { ...wing, collectionIds, updatedAt: moved.updatedAt });
+  }
+
+  return moved;
+}
 
-  // Get the nest to find its parent
-  const nestRequest = nestsStore.get(id);
+/**
+ * Delete a nest and update its children
+ * Child nests move up to the deleted nest's parent, and wings are updated to
+ * remove the nest from their nestIds array. The nest is moved to the trash.
+ * @param {string} id - Nest ID
+ */
+export async function deleteNest(id) {
+  await runTransaction(TRASH_STORES, 'readwrite', async (transaction) => {
+    const nestsStore = transaction.objectStore('nests');
+    const wingsStore = transaction.objectStore('wings');
 
-  nestRequest.onsuccess = () => {
-    const nest = nestRequest.result;
+    const nest = await promisifyRequest(nestsStore.get(id));
     if (!nest) return;
 
+    const [childNests, nestWings] = await Promise.all([
+      promisifyRequest(nestsStore.index('parentId').getAll(id)),
+      promisifyRequest(wingsStore.index('nestIds').getAll(id)),
+    ]);
+
     // Move child nests to parent
-    const childNestsIndex = nestsStore.index('parentId');
-    const childNestsRequest = childNestsIndex.openCursor(IDBKeyRange.only(id));
+    const reparented = [];
+    for (const child of childNests) {
+      reparented.push({ nestId: child.id, fromParentId: id, toParentId: nest.parentId });
+      await putRecord(transaction, 'nests', { ...child, parentId: nest.parentId, updatedAt: Date.now() });
+    }
 
-    childNestsRequest.onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        const childNest = cursor.value;
-        childNest.parentId = nest.parentId;
-        cursor.update(childNest);
-        cursor.continue();
+    // Update wings - remove nest from their nestIds array
+    const detached = [];
+    for (const wing of nestWings) {
+      detached.push({ wingId: wing.id, collectionIds: [], nestIds: [id] });
+      await putRecord(transaction, 'wings', {
+        ...wing,
+        nestIds: (wing.nestIds || []).filter((nid) => nid !== id),
+        updatedAt: Date.now(),
+      });
+    }
+
+    await deleteRecord(transaction, 'nests', id);
+
+    await addTrashEntry(transaction, {
+      type: 'nest',
+      itemId: id,
+      label: nest.name || 'Untitled nest',
+      records: { nests: [nest] },
+      detached,
+      reparented,
+    });
+  }, { journal: 'Delete nest' });
+}
+
+// ============================================
+// MANUAL ORDER
+// ============================================
+
+/**
+ * Move a collection, nest or wing to its place in a hand-made order
+ * The record takes a position between its new neighbours, so only it is
+ * written. Once a gap is too small to split, the listed records are spread
+ * out again over the range they already cover.
+ * @param {string} store - 'collections' | 'nests' | 'wings'
+ * @param {Array<string>} orderedIds - IDs of the list the record was dropped in, in their new order
+ * @param {string} id - ID of the moved record
+ * @param {Object} [options]
+ * @param {Object} [options.group] - Journal group to join (see journalGroup)
+ * @returns {Promise<Object>} Moved record
+ */
+export async function reorder(store, orderedIds, id, { group } = {}) {
+  if (!ORDERED_STORES.includes(store)) throw new Error(`Records in ${store} can't be reordered`);
+  if (!orderedIds.includes(id)) throw new Error('The new order must include the moved record');
+
+  const moved = await runTransaction(store, 'readwrite', async (transaction) => {
+    const objectStore = transaction.objectStore(store);
+    const records = (await Promise.all(orderedIds.map((key) => promisifyRequest(objectStore.get(key)))))
+      .filter(Boolean);
+    const index = records.findIndex((record) => record.id === id);
+    if (index === -1) throw new Error('Record not found');
+
+    const positionOf = (record) => (record ? getPosition(store, record) : null);
+    const position = positionBetween(positionOf(records[index - 1]), positionOf(records[index + 1]));
+    if (position !== null) {
+      const moved = { ...records[index], position, updatedAt: Date.now() };
+      await putRecord(transaction, store, moved);
+      return moved;
+    }
+
+    const others = records.filter((record) => record.id !== id).map(positionOf);
+    const spread = spreadPositions(Math.min(...others) - 1, Math.max(...others) + 1, records.length);
+    const now = Date.now();
+    for (const [i, record] of records.entries()) {
+      if (getPosition(store, record) !== spread[i]) {
+        await putRecord(transaction, store, { ...record, position: spread[i], updatedAt: now });
       }
+    }
+    return { ...records[index], position: spread[index], updatedAt: now };
+  }, { journal: 'Reorder', group });
+  return openRecord(store, moved);
+}
+
+// ============================================
+// TAGS CRUD
+// ============================================
+
+/**
+ * Normalize a tag name for storage (trimmed, single spaces)
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized name
+ */
+function normalizeTagName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find a tag by name, ignoring case
+ * @param {Array} tags - Tags to search
+ * @param {string} name - Normalized tag name
+ * @returns {Object|undefined} Matching tag
+ */
+function findTagByName(tags, name) {
+  const lowerName = name.toLowerCase();
+  return tags.find((t) => t.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Create a new tag
+ * Tag names are unique, ignoring case.
+ * @param {Object} tag - Tag data ({ id, name, color? })
+ * @returns {Promise<Object>} Created tag
+ */
+export async function createTag(tag) {
+  const name = normalizeTagName(tag.name);
+  if (!name) throw new Error('Tag name is required');
+
+  return runTransaction('tags', 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('tags');
+    const existing = await promisifyRequest(store.getAll());
+    if (findTagByName(existing, name)) throw new Error('Tag already exists');
+
+    const now = Date.now();
+    const data = {
+      ...tag,
+      name,
+      createdAt: now,
+      updatedAt: now,
     };
+    await addRecord(transaction, 'tags', data);
+    return data;
+  }, { journal: 'Create tag' });
+}
 
-    // Update wings - remove nest from their nestIds array
-    const wingsIndex = wingsStore.index('nestIds');
-    const wingsRequest = wingsIndex.openCursor(IDBKeyRange.only(id));
+/**
+ * Get all tags
+ * @returns {Promise<Array>} Array of tags
+ */
+export async function getAllTags() {
+  const store = await getStore('tags');
+  return promisifyRequest(store.getAll());
+}
 
-    wingsRequest.onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        const wing = cursor.value;
-        wing.nestIds = (wing.nestIds || []).filter((nid) => nid !== id);
-        cursor.update(wing);
-        cursor.continue();
+/**
+ * Get a tag by ID
+ * @param {string} id - Tag ID
+ * @returns {Promise<Object|undefined>} Tag or undefined
+ */
+export async function getTag(id) {
+  const store = await getStore('tags');
+  return promisifyRequest(store.get(id));
+}
+
+/**
+ * Resolve tag names to tags, creating any that don't exist yet
+ * @param {Array<string>} names - Tag names (matched ignoring case)
+ * @param {Object} [options]
+ * @param {Object} [options.group] - Journal group to join (see journalGroup)
+ * @returns {Promise<Array>} Tags in the order of the given names (deduplicated)
+ */
+export async function getOrCreateTags(names, { group } = {}) {
+  const normalized = names.map(normalizeTagName).filter(Boolean);
+  if (normalized.length === 0) return [];
+
+  return runTransaction('tags', 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('tags');
+    const tags = await promisifyRequest(store.getAll());
+    const result = [];
+
+    for (const name of normalized) {
+      let tag = findTagByName(tags, name);
+      if (!tag) {
+        const now = Date.now();
+        tag = { id: generateId(), name, createdAt: now, updatedAt: now };
+        await addRecord(transaction, 'tags', tag);
+        tags.push(tag);
       }
-    };
+      if (!result.includes(tag)) result.push(tag);
+    }
 
-    // Delete the nest
-    nestsStore.delete(id);
-  };
+    return result;
+  }, { journal: 'Create tags', group });
+}
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+/**
+ * Update a tag
+ * Fails if the new name is taken by another tag; use mergeTags to combine them.
+ * @param {string} id - Tag ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated tag
+ */
+export async function updateTag(id, updates) {
+  const changes = { ...updates };
+  if ('name' in changes) {
+    changes.name = normalizeTagName(changes.name);
+    if (!changes.name) throw new Error('Tag name is required');
+  }
+
+  return runTransaction('tags', 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('tags');
+    const tags = await promisifyRequest(store.getAll());
+    const tag = tags.find((t) => t.id === id);
+    if (!tag) throw new Error('Tag not found');
+
+    const clash = changes.name && findTagByName(tags, changes.name);
+    if (clash && clash.id !== id) throw new Error('Tag already exists');
+
+    const updated = { ...tag, ...changes, updatedAt: Date.now() };
+    await putRecord(transaction, 'tags', updated);
+    return updated;
+  }, { journal: 'Edit tag' });
+}
+
+/**
+ * Rename a tag
+ * @param {string} id - Tag ID
+ * @param {string} newName - New tag name
+ * @returns {Promise<Object>} Updated tag
+ */
+export async function renameTag(id, newName) {
+  return updateTag(id, { name: newName });
+}
+
+/**
+ * Merge tags into a target tag
+ * Wings tagged with any source tag are re-tagged with the target, and the
+ * source tags are deleted.
+ * @param {Array<string>} sourceIds - Tag IDs to merge away
+ * @param {string} targetId - Tag ID to keep
+ * @returns {Promise<number>} Number of wings updated
+ */
+export async function mergeTags(sourceIds, targetId) {
+  const sources = sourceIds.filter((id) => id !== targetId);
+
+  return runTransaction(['tags', 'wings'], 'readwrite', async (transaction) => {
+    const tagsStore = transaction.objectStore('tags');
+    const wingsStore = transaction.objectStore('wings');
+
+    const target = await promisifyRequest(tagsStore.get(targetId));
+    if (!target) throw new Error('Tag not found');
+
+    const affected = new Map();
+    for (const sourceId of sources) {
+      const tagged = await promisifyRequest(wingsStore.index('tagIds').getAll(sourceId));
+      tagged.forEach((wing) => affected.set(wing.id, affected.get(wing.id) || wing));
+      await deleteRecord(transaction, 'tags', sourceId);
+    }
+
+    for (const wing of affected.values()) {
+      const tagIds = (wing.tagIds || []).map((tid) => (sources.includes(tid) ? targetId : tid));
+      await putRecord(transaction, 'wings', { ...wing, tagIds: [...new Set(tagIds)], updatedAt: Date.now() });
+    }
+
+    return affected.size;
+  }, { journal: 'Merge tags' });
+}
+
+/**
+ * Delete a tag and remove it from every wing
+ * @param {string} id - Tag ID
+ */
+export async function deleteTag(id) {
+  await runTransaction(['tags', 'wings'], 'readwrite', async (transaction) => {
+    const wingsStore = transaction.objectStore('wings');
+    const tagged = await promisifyRequest(wingsStore.index('tagIds').getAll(id));
+
+    for (const wing of tagged) {
+      await putRecord(transaction, 'wings', {
+        ...wing,
+        tagIds: (wing.tagIds || []).filter((tid) => tid !== id),
+        updatedAt: Date.now(),
+      });
+    }
+
+    await deleteRecord(transaction, 'tags', id);
+  }, { journal: 'Delete tag' });
+}
+
+/**
+ * Get wings by tag ID
+ * @param {string} tagId - Tag ID
+ * @returns {Promise<Array>} Array of wings
+ */
+export async function getWingsByTag(tagId) {
+  const store = await getStore('wings');
+  const index = store.index('tagIds');
+  return openRecords('wings', await promisifyRequest(index.getAll(tagId)));
 }
 
 // ============================================
@@ -395,23 +1459,36 @@ export async function deleteNest(id) {
 /**
  * Create a new wing (bookmark)
  * @param {Object} wing - Wing data
+ * @param {Object} [options]
+ * @param {Object} [options.group] - Journal group to join (see journalGroup)
  * @returns {Promise<Object>} Created wing
  */
-export async function createWing(wing) {
-  const store = await getStore('wings', 'readwrite');
+export async function createWing(wing, { group } = {}) {
   const data = {
     ...wing,
     // Ensure arrays for collections and nests
     collectionIds: wing.collectionIds || [],
     nestIds: wing.nestIds || [],
+    tagIds: wing.tagIds || [],
+    status: wing.status || 'unread',
+    // Prefer the page's <link rel="canonical"> when the caller provides it
+    canonicalUrl: canonicalizeUrl(wing.canonicalUrl || wing.url),
+    sortTitle: getSortTitle(wing),
     timestamp: Date.now(),
-    highlights: [],
-    connections: [],
   };
+  data.updatedAt = data.timestamp;
+  // New wings go to the top of the manual order
+  data.position ??= getDefaultPosition('wings', data);
+  data.review ??= getDefaultReview('wings', data);
   // Remove old single-value fields if present
   delete data.collectionId;
   delete data.nestId;
-  await promisifyRequest(store.add(data));
+
+  const stored = await sealRecord('wings', data);
+  await runTransaction(['wings', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    await addRecord(transaction, 'wings', stored);
+    await writeSearchEntry(transaction, stored, []);
+  }, { journal: 'Save wing', group });
   return data;
 }
 
@@ -421,7 +1498,146 @@ export async function createWing(wing) {
  */
 export async function getAllWings() {
   const store = await getStore('wings');
-  return promisifyRequest(store.getAll());
+  return openRecords('wings', await promisifyRequest(store.getAll()));
+}
+
+/**
+ * Query one page of wings
+ * Unfiltered queries walk the sort index with a cursor, so only the requested
+ * page is read. Filtered queries read the matching wings through the filter's
+ * multiEntry index and sort them in memory.
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - { collectionId, nestId, tagId, status } (all optional, combined with AND)
+ * @param {string} [options.sort] - 'newest' | 'oldest' | 'title-asc' | 'title-desc' | 'manual'
+ * @param {number} [options.limit] - Page size
+ * @param {Object|null} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} { wings, cursor, total } - cursor is null on the last page
+ */
+export async function queryWings({ filter = {}, sort = 'newest', limit = 20, cursor = null } = {}) {
+  const order = WING_SORTS[sort];
+  if (!order) throw new Error(`Unknown sort: ${sort}`);
+
+  const activeFilters = Object.keys(WING_FILTERS).filter((name) => filter[name]);
+
+  const page = await runTransaction('wings', 'readonly', async (transaction) => {
+    const store = transaction.objectStore('wings');
+
+    if (activeFilters.length === 0) {
+      const [total, page] = await Promise.all([
+        promisifyRequest(store.count()),
+        readIndexPage(store.index(order.index), order, cursor, limit),
+      ]);
+      return { ...page, total };
+    }
+
+    // Read through the first filter's index, then apply the rest
+    const [first, ...rest] = activeFilters;
+    const candidates = await promisifyRequest(store.index(WING_FILTERS[first].index).getAll(filter[first]));
+    const matches = candidates
+      .filter((wing) => rest.every((name) => matchesWingFilter(wing, name, filter[name])))
+      .sort((a, b) => compareWingPositions(order, getWingPosition(order, a), getWingPosition(order, b)));
+
+    const start = cursor
+      ? matches.findIndex((wing) => compareWingPositions(order, getWingPosition(order, wing), cursor) > 0)
+      : 0;
+    const pageWings = start === -1 ? [] : matches.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < matches.length;
+
+    return {
+      wings: pageWings,
+      cursor: hasMore ? getWingPosition(order, pageWings[pageWings.length - 1]) : null,
+      total: matches.length,
+    };
+  });
+  return { ...page, wings: await openRecords('wings', page.wings) };
+}
+
+/**
+ * Check a wing against one of WING_FILTERS
+ * List fields match when they include the value, others when they equal it.
+ */
+function matchesWingFilter(wing, name, value) {
+  const field = wing[WING_FILTERS[name].field];
+  return Array.isArray(field) ? field.includes(value) : field === value;
+}
+
+/**
+ * Count wings matching a filter
+ * @param {Object} [filter] - { collectionId, nestId, tagId, status } (at most one is used)
+ * @returns {Promise<number>} Number of wings
+ */
+export async function countWings(filter = {}) {
+  const name = Object.keys(WING_FILTERS).find((key) => filter[key]);
+  const store = await getStore('wings');
+  return promisifyRequest(name ? store.index(WING_FILTERS[name].index).count(filter[name]) : store.count());
+}
+
+/**
+ * Get the position of a wing in a sort order, used as a page cursor
+ * @param {Object} order - Entry of WING_SORTS
+ * @param {Object} wing - Wing record
+ * @returns {Object} { key, id }
+ */
+function getWingPosition(order, wing) {
+  return { key: order.key(wing), id: wing.id };
+}
+
+/**
+ * Compare two positions in a sort order
+ * Ties on the sort key are broken by ID in the same direction, as index cursors do.
+ * @param {Object} order - Entry of WING_SORTS
+ * @param {Object} a - Position ({ key, id })
+ * @param {Object} b - Position ({ key, id })
+ * @returns {number} Negative if a comes first
+ */
+function compareWingPositions(order, a, b) {
+  const result = indexedDB.cmp(a.key, b.key) || indexedDB.cmp(a.id, b.id);
+  return order.direction === 'prev' ? -result : result;
+}
+
+/**
+ * Read a page from a sort index, starting after a cursor position
+ * @param {IDBIndex} index - Sort index
+ * @param {Object} order - Entry of WING_SORTS
+ * @param {Object|null} position - Position of the last wing already returned
+ * @param {number} limit - Page size
+ * @returns {Promise<Object>} { wings, cursor }
+ */
+function readIndexPage(index, order, position, limit) {
+  let range = null;
+  if (position) {
+    range = order.direction === 'next'
+      ? IDBKeyRange.lowerBound(position.key)
+      : IDBKeyRange.upperBound(position.key);
+  }
+
+  return new Promise((resolve, reject) => {
+    const wings = [];
+    const request = index.openCursor(range, order.direction);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ wings, cursor: null });
+        return;
+      }
+
+      // Skip wings that share the cursor's key but were already returned
+      if (position && compareWingPositions(order, { key: cursor.key, id: cursor.primaryKey }, position) <= 0) {
+        cursor.continue();
+        return;
+      }
+
+      if (wings.length === limit) {
+        resolve({ wings, cursor: getWingPosition(order, wings[wings.length - 1]) });
+        return;
+      }
+
+      wings.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
 /**
@@ -432,7 +1648,7 @@ export async function getAllWings() {
 export async function getWingsByCollection(collectionId) {
   const store = await getStore('wings');
   const index = store.index('collectionIds');
-  return promisifyRequest(index.getAll(collectionId));
+  return openRecords('wings', await promisifyRequest(index.getAll(collectionId)));
 }
 
 /**
@@ -443,19 +1659,49 @@ export async function getWingsByCollection(collectionId) {
 export async function getWingsByNest(nestId) {
   const store = await getStore('wings');
   const index = store.index('nestIds');
-  return promisifyRequest(index.getAll(nestId));
+  return openRecords('wings', await promisifyRequest(index.getAll(nestId)));
 }
 
 /**
  * Get a wing by URL
+ * Falls back to wings saved under another variant of the same page.
  * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.canonicalUrl] - The page's <link rel="canonical"> URL
  * @returns {Promise<Object|undefined>} Wing or undefined
  */
-export async function getWingByUrl(url) {
-  const store = await getStore('wings');
-  const index = store.index('url');
-  const results = await promisifyRequest(index.getAll(url));
-  return results[0];
+export async function getWingByUrl(url, { canonicalUrl } = {}) {
+  const matches = await findDuplicateWings(url, { canonicalUrl });
+  return matches.find((wing) => wing.url === url) || matches[0];
+}
+
+/**
+ * Find wings that are likely the same page as a URL
+ * Matches the exact URL as well as the canonical form of the URL and of the
+ * page's declared canonical URL.
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.canonicalUrl] - The page's <link rel="canonical"> URL
+ * @param {string} [options.excludeId] - Wing to leave out (e.g. the one being viewed)
+ * @returns {Promise<Array>} Matching wings, oldest first
+ */
+export async function findDuplicateWings(url, { canonicalUrl, excludeId } = {}) {
+  const keys = [...new Set([canonicalizeUrl(url), canonicalizeUrl(canonicalUrl)].filter(Boolean))];
+
+  const matches = await runTransaction('wings', 'readonly', async (transaction) => {
+    const store = transaction.objectStore('wings');
+    const results = await Promise.all([
+      promisifyRequest(store.index('url').getAll(url)),
+      ...keys.map((key) => promisifyRequest(store.index('canonicalUrl').getAll(key))),
+    ]);
+
+    const matches = new Map();
+    results.flat().forEach((wing) => {
+      if (wing.id !== excludeId) matches.set(wing.id, wing);
+    });
+    return [...matches.values()].sort((a, b) => a.timestamp - b.timestamp);
+  });
+  return openRecords('wings', matches);
 }
 
 /**
@@ -465,68 +1711,317 @@ export async function getWingByUrl(url) {
  */
 export async function getWing(id) {
   const store = await getStore('wings');
-  return promisifyRequest(store.get(id));
+  return openRecord('wings', await promisifyRequest(store.get(id)));
 }
 
 /**
  * Update a wing
  * @param {string} id - Wing ID
  * @param {Object} updates - Fields to update
+ * @param {Object} [options]
+ * @param {Object} [options.group] - Journal group to join (see journalGroup)
  * @returns {Promise<Object>} Updated wing
  */
-export async function updateWing(id, updates) {
-  const store = await getStore('wings', 'readwrite');
-  const wing = await promisifyRequest(store.get(id));
-  if (!wing) throw new Error('Wing not found');
+export async function updateWing(id, plainUpdates, { group } = {}) {
+  const updates = await sealRecord('wings', plainUpdates);
 
-  const updated = { ...wing, ...updates };
-  await promisifyRequest(store.put(updated));
-  return updated;
+  const updated = await runTransaction(['wings', 'highlights', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('wings');
+    const wing = await promisifyRequest(store.get(id));
+    if (!wing) throw new Error('Wing not found');
+
+    const updated = { ...wing, ...updates, updatedAt: Date.now() };
+    if ('url' in updates || 'canonicalUrl' in updates) {
+      updated.canonicalUrl = canonicalizeUrl(updates.canonicalUrl || updated.url);
+    }
+    if ('title' in updates) {
+      updated.sortTitle = getSortTitle(updated);
+    }
+    await putRecord(transaction, 'wings', updated);
+
+    // Only re-index when searchable text actually changed
+    if (INDEXED_WING_FIELDS.some((field) => field in updates && updates[field] !== wing[field])) {
+      await reindexWing(transaction, id);
+    }
+    return updated;
+  }, { journal: 'Edit wing', group });
+  return openRecord('wings', updated);
+}
+
+/**
+ * Merge a duplicate wing into another
+ * The target gains the source's collections, nests, tags and highlights, and
+ * takes over its connections (keeping the stronger one where both are connected
+ * to the same wing). Notes of both are kept, the target's first. The source
+ * wing is then removed.
+ * @param {string} targetId - Wing to keep
+ * @param {string} sourceId - Wing to merge in and remove
+ * @returns {Promise<Object>} Merged wing
+ */
+export async function mergeWings(targetId, sourceId) {
+  if (targetId === sourceId) throw new Error('Cannot merge a wing into itself');
+
+  // Joined (and sealed) before the transaction, which can't wait on encryption
+  const notes = await joinNotes(targetId, sourceId);
+
+  const merged = await runTransaction(['wings', 'highlights', 'connections', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const wingsStore = transaction.objectStore('wings');
+    const highlightsStore = transaction.objectStore('highlights');
+    const connectionsStore = transaction.objectStore('connections');
+
+    const [target, source, sourceHighlights, connections] = await Promise.all([
+      promisifyRequest(wingsStore.get(targetId)),
+      promisifyRequest(wingsStore.get(sourceId)),
+      promisifyRequest(highlightsStore.index('wingId').getAll(sourceId)),
+      promisifyRequest(connectionsStore.getAll()),
+    ]);
+    if (!target || !source) throw new Error('Wing not found');
+
+    const union = (a = [], b = []) => [...new Set([...a, ...b])];
+    const merged = {
+      ...target,
+      collectionIds: union(target.collectionIds, source.collectionIds),
+      nestIds: union(target.nestIds, source.nestIds),
+      tagIds: union(target.tagIds, source.tagIds),
+      summary: target.summary || source.summary || null,
+      fullContent: target.fullContent || source.fullContent || null,
+      notes: notes ?? (target.notes || source.notes || ''),
+      updatedAt: Date.now(),
+    };
+    await putRecord(transaction, 'wings', merged);
+
+    for (const highlight of sourceHighlights) {
+      await putRecord(transaction, 'highlights', { ...highlight, wingId: targetId, updatedAt: merged.updatedAt });
+    }
+
+    const otherWingId = (conn, wingId) => (conn.wingId1 === wingId ? conn.wingId2 : conn.wingId1);
+    const involves = (conn, wingId) => conn.wingId1 === wingId || conn.wingId2 === wingId;
+    const targetConnections = connections.filter((conn) => involves(conn, targetId));
+
+    for (const conn of connections.filter((c) => involves(c, sourceId))) {
+      await deleteRecord(transaction, 'connections', conn.id);
+
+      const otherId = otherWingId(conn, sourceId);
+      if (otherId === targetId) continue;
+
+      const existing = targetConnections.find((c) => otherWingId(c, targetId) === otherId);
+      if (existing) {
+        if ((conn.score || 0) > (existing.score || 0)) {
+          await putRecord(transaction, 'connections', { ...existing, score: conn.score, type: conn.type });
+        }
+        continue;
+      }
+
+      const moved = {
+        ...conn,
+        wingId1: conn.wingId1 === sourceId ? targetId : conn.wingId1,
+        wingId2: conn.wingId2 === sourceId ? targetId : conn.wingId2,
+      };
+      await putRecord(transaction, 'connections', moved);
+      targetConnections.push(moved);
+    }
+
+    await deleteRecord(transaction, 'wings', sourceId);
+    await removeSearchEntry(transaction, sourceId);
+    await reindexWing(transaction, targetId);
+
+    return merged;
+  }, { journal: 'Merge wings' });
+  return openRecord('wings', merged);
+}
+
+/**
+ * Get the notes of two wings being merged, one after the other
+ * @returns {Promise<string|undefined>} Sealed notes, or undefined unless both wings have notes
+ */
+async function joinNotes(targetId, sourceId) {
+  const [target, source] = await Promise.all([getWing(targetId), getWing(sourceId)]);
+  if (!target?.notes?.trim() || !source?.notes?.trim()) return undefined;
+
+  const { notes } = await sealRecord('wings', { notes: `${target.notes.trim()}\n\n${source.notes.trim()}` });
+  return notes;
 }
 
 /**
  * Delete a wing and its highlights and connections
+ * Everything removed is moved to the trash so it can be restored.
  * @param {string} id - Wing ID
  */
 export async function deleteWing(id) {
-  await initDB();
-  const transaction = db.transaction(['wings', 'highlights', 'connections'], 'readwrite');
+  await runTransaction(TRASH_STORES, 'readwrite', async (transaction) => {
+    const wingsStore = transaction.objectStore('wings');
+    const highlightsStore = transaction.objectStore('highlights');
+    const connectionsStore = transaction.objectStore('connections');
+
+    const [wing, wingHighlights, connections1, connections2] = await Promise.all([
+      promisifyRequest(wingsStore.get(id)),
+      promisifyRequest(highlightsStore.index('wingId').getAll(id)),
+      promisifyRequest(connectionsStore.index('wingId1').getAll(id)),
+      promisifyRequest(connectionsStore.index('wingId2').getAll(id)),
+    ]);
+    if (!wing) return;
+
+    const wingConnections = [
+      ...connections1,
+      ...connections2.filter((c) => !connections1.some((other) => other.id === c.id)),
+    ];
+
+    await deleteRecord(transaction, 'wings', id);
+    for (const highlight of wingHighlights) {
+      await deleteRecord(transaction, 'highlights', highlight.id);
+    }
+    for (const connection of wingConnections) {
+      await deleteRecord(transaction, 'connections', connection.id);
+    }
+    await removeSearchEntry(transaction, id);
+
+    await addTrashEntry(transaction, {
+      type: 'wing',
+      itemId: id,
+      label: wing.title || wing.url,
+      records: { wings: [wing], highlights: wingHighlights, connections: wingConnections },
+    });
+  }, { journal: 'Delete wing' });
+}
 
-  // Delete the wing
-  transaction.objectStore('wings').delete(id);
+// ============================================
+// READING STATUS
+// ============================================
 
-  // Delete associated highlights
-  const highlightsStore = transaction.objectStore('highlights');
-  const highlightsIndex = highlightsStore.index('wingId');
-  const highlightsRequest = highlightsIndex.openCursor(IDBKeyRange.only(id));
+/**
+ * Move a wing to another reading status
+ * @param {string} id - Wing ID
+ * @param {string} status - One of WING_STATUSES
+ * @returns {Promise<Object>} Updated wing
+ */
+export async function setWingStatus(id, status) {
+  if (!WING_STATUSES.includes(status)) throw new Error(`Unknown status: ${status}`);
+
+  const updated = await runTransaction('wings', 'readwrite', async (transaction) => {
+    const wing = await promisifyRequest(transaction.objectStore('wings').get(id));
+    if (!wing) throw new Error('Wing not found');
+    if (wing.status === status) return wing;
+
+    const now = Date.now();
+    const changed = { ...wing, status, statusChangedAt: now, updatedAt: now };
+    await putRecord(transaction, 'wings', changed);
+    return changed;
+  }, { journal: `Mark as ${status}` });
+  return openRecord('wings', updated);
+}
 
-  highlightsRequest.onsuccess = (event) => {
-    const cursor = event.target.result;
-    if (cursor) {
-      cursor.delete();
-      cursor.continue();
+/**
+ * Mark an unread wing as being read, when its page is opened again
+ * Not recorded for undo, as the user didn't make the change themselves; undo
+ * and redo of earlier steps accept it and leave the wing started.
+ * @param {string} id - Wing ID
+ * @returns {Promise<boolean>} Whether the wing was unread
+ */
+export async function startReadingWing(id) {
+  return runTransaction('wings', 'readwrite', async (transaction) => {
+    const wing = await promisifyRequest(transaction.objectStore('wings').get(id));
+    if (wing?.status !== 'unread') return false;
+
+    const now = Date.now();
+    await putRecord(transaction, 'wings', { ...wing, status: 'reading', statusChangedAt: now, updatedAt: now });
+    return true;
+  });
+}
+
+/**
+ * Record how far a wing's page has been read
+ * The furthest depth only grows, while the position is wherever reading last
+ * stopped. Saved every few seconds while reading, so it is written without an
+ * undo step or a change event, but stamped for sync like any other field.
+ * @param {string} id - Wing ID
+ * @param {Object} progress - Fractions of the page's height (0 to 1)
+ * @param {number} progress.depth - Bottom of the viewport
+ * @param {number} progress.position - Top of the viewport
+ * @returns {Promise<Object|null>} { scrollDepth, scrollPosition } as saved, or null if there's no such wing
+ */
+export async function saveReadingProgress(id, { depth, position }) {
+  return runTransaction('wings', 'readwrite', async (transaction) => {
+    const wing = await promisifyRequest(transaction.objectStore('wings').get(id));
+    if (!wing) return null;
+
+    const scrollDepth = Math.max(wing.scrollDepth || 0, toPageFraction(depth));
+    const scrollPosition = toPageFraction(position);
+    if (scrollDepth !== wing.scrollDepth || scrollPosition !== wing.scrollPosition) {
+      const progress = { ...wing, scrollDepth, scrollPosition, scrollUpdatedAt: Date.now() };
+      await promisifyRequest(transaction.objectStore('wings').put(progress));
+      recordSyncChange(transaction, 'wings', id, wing, progress);
     }
-  };
+    return { scrollDepth, scrollPosition };
+  });
+}
+
+/**
+ * Clamp a fraction of a page to 0-1, rounded so small scrolls don't count as changes
+ */
+function toPageFraction(value) {
+  const fraction = Math.min(1, Math.max(0, Number(value) || 0));
+  return Math.round(fraction * 1000) / 1000;
+}
+
+/**
+ * Get wings with a reading status
+ * @param {string} status - One of WING_STATUSES
+ * @returns {Promise<Array>} Wings in manual order
+ */
+export async function getWingsByStatus(status) {
+  const store = await getStore('wings');
+  const matches = await promisifyRequest(store.index('status').getAll(status));
+  return openRecords('wings', sortByPosition('wings', matches));
+}
+
+/**
+ * Count wings in each reading status
+ * @returns {Promise<Object>} Count by status, e.g. { unread: 3, reading: 1, done: 0, archived: 2 }
+ */
+export async function countWingsByStatus() {
+  return runTransaction('wings', 'readonly', async (transaction) => {
+    const index = transaction.objectStore('wings').index('status');
+    const counts = await Promise.all(WING_STATUSES.map((status) => promisifyRequest(index.count(status))));
+    return Object.fromEntries(WING_STATUSES.map((status, i) => [status, counts[i]]));
+  });
+}
 
-  // Delete associated connections
-  const connectionsStore = transaction.objectStore('connections');
-  const allConnectionsRequest = connectionsStore.openCursor();
+/**
+ * Get the reading queue: wings being read, then unread ones, each in manual order
+ * @returns {Promise<Array>} Wings in queue order
+ */
+export async function getReadingQueue() {
+  const groups = await runTransaction('wings', 'readonly', (transaction) => {
+    const index = transaction.objectStore('wings').index('status');
+    return Promise.all(QUEUE_STATUSES.map((status) => promisifyRequest(index.getAll(status))));
+  });
+  return openRecords('wings', groups.flatMap((group) => sortByPosition('wings', group)));
+}
 
-  allConnectionsRequest.onsuccess = (event) => {
-    const cursor = event.target.result;
-    if (cursor) {
-      const conn = cursor.value;
-      if (conn.wingId1 === id || conn.wingId2 === id) {
-        cursor.delete();
-      }
-      cursor.continue();
-    }
-  };
+// ============================================
+// NOTES
+// ============================================
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+/**
+ * Save a wing's notes (Markdown)
+ * Saving text that hasn't changed writes nothing, and saves of the same
+ * wing's notes in quick succession make one undo step, so autosave doesn't
+ * fill the undo history.
+ * @param {string} id - Wing ID
+ * @param {string} notes - Notes in Markdown
+ * @returns {Promise<Object>} Updated wing
+ */
+export async function saveWingNotes(id, notes) {
+  const text = String(notes ?? '');
+  const current = await getWing(id);
+  if (!current) throw new Error('Wing not found');
+  if ((current.notes || '') === text) return current;
+
+  return journalGroup(
+    'Edit notes',
+    (group) => updateWing(id, { notes: text, notesUpdatedAt: Date.now() }, { group }),
+    { mergeKey: `notes:${id}` }
+  );
 }
 
 // ============================================
@@ -539,12 +2034,17 @@ export async function deleteWing(id) {
  * @returns {Promise<Object>} Created highlight
  */
 export async function createHighlight(highlight) {
-  const store = await getStore('highlights', 'readwrite');
   const data = {
     ...highlight,
     timestamp: Date.now(),
   };
-  await promisifyRequest(store.add(data));
+  data.updatedAt = data.timestamp;
+  data.review ??= getDefaultReview('highlights', data);
+  const stored = await sealRecord('highlights', data);
+  await runTransaction(['highlights', 'wings', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    await addRecord(transaction, 'highlights', stored);
+    await reindexWing(transaction, data.wingId);
+  }, { journal: 'Add highlight' });
   return data;
 }
 
@@ -556,7 +2056,7 @@ export async function createHighlight(highlight) {
 export async function getHighlightsByWing(wingId) {
   const store = await getStore('highlights');
   const index = store.index('wingId');
-  return promisifyRequest(index.getAll(wingId));
+  return openRecords('highlights', await promisifyRequest(index.getAll(wingId)));
 }
 
 /**
@@ -566,7 +2066,7 @@ export async function getHighlightsByWing(wingId) {
  */
 export async function getHighlight(id) {
   const store = await getStore('highlights');
-  return promisifyRequest(store.get(id));
+  return openRecord('highlights', await promisifyRequest(store.get(id)));
 }
 
 /**
@@ -575,14 +2075,20 @@ export async function getHighlight(id) {
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} Updated highlight
  */
-export async function updateHighlight(id, updates) {
-  const store = await getStore('highlights', 'readwrite');
-  const highlight = await promisifyRequest(store.get(id));
-  if (!highlight) throw new Error('Highlight not found');
-
-  const updated = { ...highlight, ...updates };
-  await promisifyRequest(store.put(updated));
-  return updated;
+export async function updateHighlight(id, plainUpdates) {
+  const updates = await sealRecord('highlights', plainUpdates);
+
+  const updated = await runTransaction(['highlights', 'wings', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('highlights');
+    const highlight = await promisifyRequest(store.get(id));
+    if (!highlight) throw new Error('Highlight not found');
+
+    const updated = { ...highlight, ...updates, updatedAt: Date.now() };
+    await putRecord(transaction, 'highlights', updated);
+    await reindexWing(transaction, updated.wingId);
+    return updated;
+  }, { journal: 'Edit highlight' });
+  return openRecord('highlights', updated);
 }
 
 /**
@@ -590,28 +2096,297 @@ export async function updateHighlight(id, updates) {
  * @param {string} id - Highlight ID
  */
 export async function deleteHighlight(id) {
-  const store = await getStore('highlights', 'readwrite');
-  await promisifyRequest(store.delete(id));
+  await runTransaction(['highlights', 'wings', 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const highlight = await deleteRecord(transaction, 'highlights', id);
+    if (highlight) {
+      await reindexWing(transaction, highlight.wingId);
+    }
+  }, { journal: 'Delete highlight' });
+}
+
+// ============================================
+// REVIEW
+// ============================================
+
+// Stores whose records come up for spaced-repetition review
+const REVIEW_STORES = ['highlights', 'wings'];
+
+/**
+ * Get the highlights, and optionally wings, due for review
+ * Highlights come with their wing, for its title; those whose wing is gone are skipped.
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time
+ * @param {number} [options.limit] - Maximum number of items
+ * @param {boolean} [options.includeWings] - Resurface old wings too
+ * @returns {Promise<Array>} [{ store, record, wing }], most overdue first
+ */
+export async function getDueReviews({ now = Date.now(), limit = Infinity, includeWings = false } = {}) {
+  const stores = includeWings ? REVIEW_STORES : ['highlights'];
+  const items = await runTransaction(['highlights', 'wings'], 'readonly', async (transaction) => {
+    const wingsStore = transaction.objectStore('wings');
+    const due = [];
+
+    for (const store of stores) {
+      const records = await promisifyRequest(
+        transaction.objectStore(store).index('reviewDueAt').getAll(IDBKeyRange.upperBound(now))
+      );
+      for (const record of records) {
+        const wing = store === 'wings' ? record : await promisifyRequest(wingsStore.get(record.wingId));
+        if (wing) due.push({ store, record, wing });
+      }
+    }
+    return due.sort((a, b) => a.record.review.dueAt - b.record.review.dueAt).slice(0, limit);
+  });
+
+  return Promise.all(items.map(async ({ store, record, wing }) => {
+    const opened = await openRecord('wings', wing);
+    return { store, record: store === 'wings' ? opened : await openRecord(store, record), wing: opened };
+  }));
+}
+
+/**
+ * Count the highlights, and optionally wings, due for review
+ * Unlike getDueReviews, this works while Wing is locked.
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time
+ * @param {boolean} [options.includeWings] - Count old wings too
+ * @returns {Promise<number>}
+ */
+export async function countDueReviews({ now = Date.now(), includeWings = false } = {}) {
+  const stores = includeWings ? REVIEW_STORES : ['highlights'];
+  return runTransaction(stores, 'readonly', async (transaction) => {
+    const counts = await Promise.all(stores.map((store) =>
+      promisifyRequest(transaction.objectStore(store).index('reviewDueAt').count(IDBKeyRange.upperBound(now)))
+    ));
+    return counts.reduce((sum, count) => sum + count, 0);
+  });
+}
+
+/**
+ * Grade a review and schedule the next one (see scheduleReview)
+ * Not recorded for undo: the schedule isn't something the user edits.
+ * @param {string} store - 'highlights' | 'wings'
+ * @param {string} id - Highlight or wing ID
+ * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+ * @param {number} [now] - Time of the review
+ * @returns {Promise<Object>} Updated highlight or wing
+ */
+export async function gradeReview(store, id, grade, now = Date.now()) {
+  if (!REVIEW_STORES.includes(store)) throw new Error(`Can't review ${store}`);
+
+  const updated = await runTransaction(store, 'readwrite', async (transaction) => {
+    const record = await promisifyRequest(transaction.objectStore(store).get(id));
+    if (!record) throw new Error(store === 'wings' ? 'Wing not found' : 'Highlight not found');
+
+    const reviewed = { ...record, review: scheduleReview(record.review, grade, now) };
+    await putRecord(transaction, store, reviewed);
+    return reviewed;
+  });
+  return openRecord(store, updated);
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+/**
+ * Add a trash entry for a deletion
+ * @param {IDBTransaction} transaction - Active readwrite transaction covering 'trash'
+ * @param {Object} entry - Entry data
+ * @param {string} entry.type - 'wing', 'collection' or 'nest'
+ * @param {string} entry.itemId - ID of the deleted item
+ * @param {string} entry.label - Display name
+ * @param {Object} entry.records - Removed records keyed by store name
+ * @param {Array} [entry.detached] - IDs removed from surviving wings ({ wingId, collectionIds, nestIds })
+ * @param {Array} [entry.reparented] - Child nests moved up ({ nestId, fromParentId, toParentId })
+ * @returns {Promise<Object>} The trash entry
+ */
+async function addTrashEntry(transaction, entry) {
+  const data = {
+    id: generateId(),
+    detached: [],
+    reparented: [],
+    ...entry,
+    deletedAt: Date.now(),
+  };
+  await addRecord(transaction, 'trash', data);
+  return data;
+}
+
+/**
+ * Get all trash entries, most recently deleted first
+ * @returns {Promise<Array>} Array of trash entries
+ */
+export async function getTrash() {
+  const store = await getStore('trash');
+  const entries = await promisifyRequest(store.getAll());
+  return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Restore a trash entry and everything deleted with it
+ * Wings get back the collection and nest IDs that were removed from them, and
+ * child nests that were moved up return under the restored nest.
+ * @param {string} entryId - Trash entry ID
+ * @returns {Promise<Object>} The restored trash entry
+ */
+export async function restoreFromTrash(entryId) {
+  return runTransaction(TRASH_STORES, 'readwrite', async (transaction) => {
+    const trashStore = transaction.objectStore('trash');
+    const collectionsStore = transaction.objectStore('collections');
+    const nestsStore = transaction.objectStore('nests');
+    const wingsStore = transaction.objectStore('wings');
+
+    const entry = await promisifyRequest(trashStore.get(entryId));
+    if (!entry) throw new Error('Trash item not found');
+
+    const { records = {}, detached = [], reparented = [] } = entry;
+    const exists = async (store, id) => Boolean(await promisifyRequest(store.get(id)));
+
+    for (const collection of records.collections || []) {
+      await putRecord(transaction, 'collections', collection);
+    }
+
+    for (const nest of records.nests || []) {
+      if (!(await exists(collectionsStore, nest.collectionId))) {
+        throw new Error('Restore the nest\'s collection first');
+      }
+      const parentId = nest.parentId && (await exists(nestsStore, nest.parentId)) ? nest.parentId : null;
+      await putRecord(transaction, 'nests', { ...nest, parentId });
+    }
+
+    // Drop references to collections or nests deleted since the wing was trashed
+    const keepExisting = async (store, ids = []) => {
+      const flags = await Promise.all(ids.map((id) => exists(store, id)));
+      return ids.filter((_, i) => flags[i]);
+    };
+
+    for (const wing of records.wings || []) {
+      // Trashed before a later migration; bring it up to date
+      await putRecord(transaction, 'wings', {
+        ...upgradeWingRecord(wing),
+        collectionIds: await keepExisting(collectionsStore, wing.collectionIds),
+        nestIds: await keepExisting(nestsStore, wing.nestIds),
+      });
+    }
+
+    for (const highlight of records.highlights || []) {
+      await putRecord(transaction, 'highlights', highlight);
+    }
+
+    for (const connection of records.connections || []) {
+      const [has1, has2] = await Promise.all([
+        exists(wingsStore, connection.wingId1),
+        exists(wingsStore, connection.wingId2),
+      ]);
+      if (has1 && has2) {
+        await putRecord(transaction, 'connections', connection);
+      }
+    }
+
+    for (const wing of records.wings || []) {
+      await reindexWing(transaction, wing.id);
+    }
+
+    // Re-attach surviving wings
+    for (const { wingId, collectionIds = [], nestIds = [] } of detached) {
+      const wing = await promisifyRequest(wingsStore.get(wingId));
+      if (!wing) continue;
+      await putRecord(transaction, 'wings', {
+        ...wing,
+        collectionIds: [...new Set([...(wing.collectionIds || []), ...collectionIds])],
+        nestIds: [...new Set([...(wing.nestIds || []), ...nestIds])],
+      });
+    }
+
+    // Move child nests back under the restored nest, unless they were moved since
+    for (const { nestId, fromParentId, toParentId } of reparented) {
+      const child = await promisifyRequest(nestsStore.get(nestId));
+      if (child && (child.parentId ?? null) === (toParentId ?? null)) {
+        await putRecord(transaction, 'nests', { ...child, parentId: fromParentId });
+      }
+    }
+
+    await deleteRecord(transaction, 'trash', entryId);
+    return entry;
+  }, { journal: 'Restore from trash' });
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} entryId - Trash entry ID
+ */
+export async function deleteTrashEntry(entryId) {
+  await runTransaction('trash', 'readwrite', (transaction) =>
+    deleteRecord(transaction, 'trash', entryId)
+  );
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+export async function emptyTrash() {
+  const store = await getStore('trash', 'readwrite');
+  await promisifyRequest(store.clear());
+  emitChanges([{ store: 'trash', type: 'reset' }]);
+}
+
+/**
+ * Permanently delete trash entries deleted before a cutoff
+ * @param {number} cutoff - Timestamp; entries deleted at or before it are purged
+ * @returns {Promise<number>} Number of entries purged
+ */
+export async function purgeTrash(cutoff) {
+  return runTransaction('trash', 'readwrite', async (transaction) => {
+    const store = transaction.objectStore('trash');
+    const keys = await promisifyRequest(
+      store.index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff))
+    );
+    for (const key of keys) {
+      await deleteRecord(transaction, 'trash', key);
+    }
+    return keys.length;
+  });
 }
 
 // ============================================
 // EXPORT / IMPORT
 // ============================================
 
+/**
+ * Count the records in each library store
+ * Unlike exportAllData, this works while Wing is locked.
+ * @returns {Promise<Object>} Record counts keyed by store name
+ */
+export async function getLibraryCounts() {
+  return runTransaction(LIBRARY_STORES, 'readonly', async (transaction) => {
+    const counts = await Promise.all(
+      LIBRARY_STORES.map((store) => promisifyRequest(transaction.objectStore(store).count()))
+    );
+    return Object.fromEntries(LIBRARY_STORES.map((store, i) => [store, counts[i]]));
+  });
+}
+
 /**
  * Export all data as JSON
+ * Encrypted fields are exported decrypted, so the library must be unlocked.
  * @returns {Promise<Object>} All data
  */
 export async function exportAllData() {
-  const [collections, nests, wings, highlights, connections] = await Promise.all([
+  if ((await getEncryptionState()) === 'locked') {
+    throw new EncryptionError('Unlock Wing to export your library', 'LOCKED');
+  }
+
+  const [collections, nests, wings, highlights, connections, tags] = await Promise.all([
     getAllCollections(),
     getAllNests(),
     getAllWings(),
     (async () => {
       const store = await getStore('highlights');
-      return promisifyRequest(store.getAll());
+      return openRecords('highlights', await promisifyRequest(store.getAll()));
     })(),
     getAllConnections(),
+    getAllTags(),
   ]);
 
   return {
@@ -623,63 +2398,205 @@ export async function exportAllData() {
       wings,
       highlights,
       connections,
+      tags,
     },
   };
 }
 
 /**
  * Import data from JSON
+ * The backup is validated, upgraded from older versions and has broken
+ * references repaired before anything is written (see lib/import.js).
+ * Replacing wipes the library first. Merging settles records that already
+ * exist per category (see planImport) and is undoable.
  * @param {Object} importData - Data to import
  * @param {boolean} replace - Whether to replace existing data
+ * @param {Object} [options]
+ * @param {Object} [options.strategies] - Merge strategy by category (e.g. { wings: 'keep-both' })
+ * @param {Function} [options.onProgress] - Called with (written, total) as records are written
+ * @param {Object} [options.group] - Journal group for the merge to join (see journalGroup)
+ * @returns {Promise<Object>} { issues } found and fixed, plus the applied plan when merging
  */
-export async function importData(importData, replace = false) {
-  if (!importData.data) {
-    throw new Error('Invalid import data format');
+export async function importData(importData, replace = false, { strategies, onProgress, group } = {}) {
+  const { data: records, issues } = validateBackup(importData);
+
+  if (!replace) {
+    return mergeImportData(records, issues, strategies, onProgress, group);
   }
 
+  const repaired = repairReferences(records);
+  const stored = await sealLibrary(repaired.data);
+  const replaced = await readSyncedRecordKeys();
+
   await initDB();
-  const { collections, nests, wings, highlights, connections } = importData.data;
+  const transaction = db.transaction([...LIBRARY_STORES, 'journal', 'sync'], 'readwrite');
+
+  // Imported data replaces the history the journal describes
+  transaction.objectStore('journal').clear();
+  replaceSyncStates(transaction, stored, replaced);
+
+  const total = LIBRARY_STORES.reduce((sum, store) => sum + stored[store].length, 0);
+  let written = 0;
+  for (const store of LIBRARY_STORES) {
+    const objectStore = transaction.objectStore(store);
+    objectStore.clear();
+    stored[store].forEach((item) => {
+      objectStore.put(item).onsuccess = () => onProgress?.(++written, total);
+    });
+  }
 
-  const transaction = db.transaction(
-    ['collections', 'nests', 'wings', 'highlights', 'connections'],
-    'readwrite'
-  );
+  await transactionComplete(transaction);
+  await rebuildSearchIndex();
+  emitChanges(LIBRARY_STORES.map((store) => ({ store, type: 'reset' })));
+  return { issues: [...issues, ...repaired.issues] };
+}
+
+/**
+ * List every record sync knows of, live or deleted
+ * @returns {Promise<Array<Object>>} { store, id } of each
+ */
+async function readSyncedRecordKeys() {
+  return runTransaction([...LIBRARY_STORES, 'sync'], 'readonly', async (transaction) => {
+    const keys = new Map();
+    for (const store of LIBRARY_STORES) {
+      const ids = await promisifyRequest(transaction.objectStore(store).getAllKeys());
+      ids.forEach((id) => keys.set(getSyncKey(store, id), { store, id }));
+    }
+    const states = await promisifyRequest(transaction.objectStore('sync').getAll());
+    states.forEach(({ key, store, id }) => keys.set(key, { store, id }));
+    return [...keys.values()];
+  });
+}
+
+/**
+ * Stamp a replaced library for sync
+ * Records the backup doesn't have are deleted on other devices too, and the
+ * restored records win over other devices' copies.
+ * @param {IDBTransaction} transaction - Active transaction covering 'sync'
+ * @param {Object} stored - Restored records by store
+ * @param {Array<Object>} replaced - Records known before ({ store, id })
+ */
+function replaceSyncStates(transaction, stored, replaced) {
+  const syncStore = transaction.objectStore('sync');
+  const now = Date.now();
+  syncStore.clear();
 
-  if (replace) {
-    // Clear all stores
-    transaction.objectStore('collections').clear();
-    transaction.objectStore('nests').clear();
-    transaction.objectStore('wings').clear();
-    transaction.objectStore('highlights').clear();
-    transaction.objectStore('connections').clear();
+  replaced.forEach(({ store, id }) => {
+    syncStore.put({ key: getSyncKey(store, id), store, id, fields: {}, updatedAt: now, deletedAt: now });
+  });
+  for (const store of LIBRARY_STORES) {
+    stored[store].forEach((record) => {
+      syncStore.put({
+        key: getSyncKey(store, record.id),
+        store,
+        id: record.id,
+        fields: Object.fromEntries(Object.keys(record).map((field) => [field, now])),
+        updatedAt: now,
+        deletedAt: null,
+      });
+    });
   }
+}
 
-  // Import data
-  const collectionsStore = transaction.objectStore('collections');
-  const nestsStore = transaction.objectStore('nests');
-  const wingsStore = transaction.objectStore('wings');
-  const highlightsStore = transaction.objectStore('highlights');
-  const connectionsStore = transaction.objectStore('connections');
+/**
+ * Work out what merging a backup into the library would do, without writing
+ * @param {Object} importData - Data to import
+ * @param {Object} [strategies] - Merge strategy by category
+ * @returns {Promise<Object>} Import plan ({ categories, writes }, see planImport) and the { issues } repaired
+ */
+export async function previewImport(importData, strategies = {}) {
+  const { data: records, issues } = validateBackup(importData);
+  return planMerge(await readOpenLibrary(), records, issues, strategies);
+}
 
-  collections?.forEach((item) => collectionsStore.put(item));
-  nests?.forEach((item) => nestsStore.put(item));
-  wings?.forEach((item) => wingsStore.put(item));
-  highlights?.forEach((item) => highlightsStore.put(item));
-  connections?.forEach((item) => connectionsStore.put(item));
+/**
+ * Merge backup records into the library
+ * The plan compares decrypted records, and the writes are encrypted again
+ * before the write transaction starts (it can't wait on WebCrypto).
+ */
+async function mergeImportData(records, issues, strategies = {}, onProgress, group) {
+  const plan = planMerge(await readOpenLibrary(), records, issues, strategies);
+  const writes = await sealLibrary(plan.writes);
+  const total = IMPORT_CATEGORIES.reduce((sum, store) => sum + writes[store].length, 0);
+  let written = 0;
+
+  await runTransaction([...LIBRARY_STORES, 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const touchedWingIds = new Set();
+
+    for (const store of IMPORT_CATEGORIES) {
+      for (const record of writes[store]) {
+        await putRecord(transaction, store, record);
+        onProgress?.(++written, total);
+        if (store === 'wings') touchedWingIds.add(record.id);
+        if (store === 'highlights') touchedWingIds.add(record.wingId);
+      }
+    }
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+    for (const wingId of touchedWingIds) {
+      await reindexWing(transaction, wingId);
+    }
+  }, { journal: 'Import backup', group });
+  return plan;
+}
+
+/**
+ * Repair a validated backup against the library and plan the merge
+ * References may point at library records, so only those missing from both are broken.
+ */
+function planMerge(library, records, issues, strategies) {
+  const known = Object.fromEntries(
+    LIBRARY_STORES.map((store) => [store, library[store].map((record) => record.id)])
+  );
+  const repaired = repairReferences(records, known);
+  return {
+    ...planImport(library, repaired.data, strategies),
+    issues: [...issues, ...repaired.issues],
+  };
+}
+
+/**
+ * Read every library record by store
+ */
+async function readLibrary(transaction) {
+  const records = await Promise.all(
+    LIBRARY_STORES.map((store) => promisifyRequest(transaction.objectStore(store).getAll()))
+  );
+  return Object.fromEntries(LIBRARY_STORES.map((store, i) => [store, records[i]]));
+}
+
+/**
+ * Read every library record by store, decrypted
+ * Merging compares field values, so the library must be unlocked.
+ */
+async function readOpenLibrary() {
+  if ((await getEncryptionState()) === 'locked') {
+    throw new EncryptionError('Unlock Wing to import into your library', 'LOCKED');
+  }
+  const library = await runTransaction(LIBRARY_STORES, 'readonly', readLibrary);
+  return mapLibrary(library, openRecords);
+}
+
+/**
+ * Encrypt the sensitive fields of records by store
+ */
+function sealLibrary(records) {
+  return mapLibrary(records, sealRecords);
+}
+
+async function mapLibrary(records, transform) {
+  const stores = Object.keys(records);
+  const results = await Promise.all(stores.map((store) => transform(store, records[store])));
+  return Object.fromEntries(stores.map((store, i) => [store, results[i]]));
 }
 
 /**
  * Clear all data from the database
+ * Sync state goes too, so the next sync brings back the library kept remotely.
  */
 export async function clearAllData() {
   await initDB();
   const transaction = db.transaction(
-    ['collections', 'nests', 'wings', 'highlights', 'connections'],
+    ['collections', 'nests', 'wings', 'highlights', 'connections', 'tags', 'trash', 'journal', 'searchIndex', 'meta', 'sync'],
     'readwrite'
   );
 
@@ -688,31 +2605,281 @@ export async function clearAllData() {
   transaction.objectStore('wings').clear();
   transaction.objectStore('highlights').clear();
   transaction.objectStore('connections').clear();
+  transaction.objectStore('tags').clear();
+  transaction.objectStore('trash').clear();
+  transaction.objectStore('journal').clear();
+  transaction.objectStore('searchIndex').clear();
+  transaction.objectStore('meta').delete('searchStats');
+  transaction.objectStore('sync').clear();
+
+  await transactionComplete(transaction);
+  emitChanges([...LIBRARY_STORES, 'trash'].map((store) => ({ store, type: 'reset' })));
+}
 
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
+// ============================================
+// LIBRARY HEALTH
+// ============================================
+
+/**
+ * Scan every store for inconsistencies (see lib/doctor.js)
+ * @returns {Promise<Object>} { checkedAt, problems, checks: [{ id, label, count, examples }] }
+ */
+export async function checkLibrary() {
+  return runTransaction([...LIBRARY_STORES, 'searchIndex'], 'readonly', async (transaction) => {
+    const { checks, problems } = examineLibrary(await readLibraryForCheck(transaction));
+    return { checkedAt: Date.now(), problems, checks };
   });
 }
 
+/**
+ * Fix every inconsistency checkLibrary reports, as one undoable step
+ * @returns {Promise<Object>} The report of what was found and fixed
+ */
+export async function repairLibrary() {
+  return runTransaction([...LIBRARY_STORES, 'searchIndex', 'meta'], 'readwrite', async (transaction) => {
+    const { checks, problems, repairs } = examineLibrary(await readLibraryForCheck(transaction));
+
+    for (const [store, keys] of Object.entries(repairs.delete)) {
+      for (const key of keys) {
+        await deleteRecord(transaction, store, key);
+      }
+    }
+    for (const [store, records] of Object.entries(repairs.put)) {
+      for (const record of records) {
+        await putRecord(transaction, store, record);
+      }
+    }
+
+    for (const wingId of repairs.unindex) {
+      await removeSearchEntry(transaction, wingId);
+    }
+    const reindexIds = new Set([
+      ...repairs.reindex,
+      ...(repairs.put.wings || []).map((wing) => wing.id),
+    ]);
+    for (const wingId of reindexIds) {
+      await reindexWing(transaction, wingId);
+    }
+
+    return { checkedAt: Date.now(), problems, checks };
+  }, { journal: 'Repair library' });
+}
+
+async function readLibraryForCheck(transaction) {
+  const [library, searchIndexIds] = await Promise.all([
+    readLibrary(transaction),
+    promisifyRequest(transaction.objectStore('searchIndex').getAllKeys()),
+  ]);
+  return { ...library, searchIndexIds };
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+// Stores holding encrypted fields, directly or in trashed copies
+const ENCRYPTED_STORES = ['wings', 'highlights', 'trash'];
+
+/**
+ * Encrypt every wing and highlight, including trashed ones, once encryption is on
+ * (see lib/encryption.js). The undo history is cleared because it holds
+ * plaintext copies, and the search index is rebuilt without the encrypted text.
+ * @returns {Promise<void>}
+ */
+export async function encryptLibrary() {
+  await rewriteEncryptedStores(sealRecords);
+}
+
+/**
+ * Decrypt every wing and highlight, including trashed ones, before encryption is turned off
+ * New writes stop being encrypted first, so none is left sealed once the key
+ * is gone. The key stays unlocked for the API keys; encryption.disableEncryption
+ * forgets it. If decrypting fails, encryption is left on.
+ * @returns {Promise<void>}
+ */
+export async function decryptLibrary() {
+  if ((await getEncryptionState()) !== 'unlocked') {
+    throw new EncryptionError('Unlock Wing to turn encryption off', 'LOCKED');
+  }
+
+  const settings = await stopEncrypting();
+  try {
+    await rewriteEncryptedStores(openRecords);
+  } catch (error) {
+    await resumeEncrypting(settings);
+    throw error;
+  }
+}
+
+// Rounds of rewriting records that were saved while the previous round was encrypting
+const MAX_REWRITE_PASSES = 5;
+
+/**
+ * Rewrite the records of the encrypted stores through sealRecords or openRecords
+ * The records are read and transformed first, since a transaction can't wait on
+ * WebCrypto. A record saved or deleted in the meantime is left as it is, and
+ * rewritten again (or not at all, if deleted) in another round.
+ */
+async function rewriteEncryptedStores(transform) {
+  // Keys still to rewrite in each store; null for every record
+  let pending = null;
+  const written = Object.fromEntries(ENCRYPTED_STORES.map((store) => [store, new Map()]));
+
+  for (let pass = 1; ; pass++) {
+    const read = await runTransaction(ENCRYPTED_STORES, 'readonly', (transaction) =>
+      Promise.all(ENCRYPTED_STORES.map(async (store) => {
+        const objectStore = transaction.objectStore(store);
+        if (!pending) return promisifyRequest(objectStore.getAll());
+        const records = await Promise.all([...pending[store]].map((key) => promisifyRequest(objectStore.get(key))));
+        return records.filter(Boolean);
+      }))
+    );
+    const [wings, highlights, trash] = read;
+
+    const records = {
+      wings: await transform('wings', wings),
+      highlights: await transform('highlights', highlights),
+      trash: await Promise.all(trash.map(async (entry) => ({
+        ...entry,
+        records: await mapLibrary(entry.records || {}, transform),
+      }))),
+    };
+
+    pending = await writeRewrittenRecords(ENCRYPTED_STORES.map((store, i) => ({
+      store,
+      originals: read[i],
+      rewritten: records[store],
+      written: written[store],
+    })));
+    if (ENCRYPTED_STORES.every((store) => pending[store].size === 0)) break;
+    if (pass === MAX_REWRITE_PASSES) {
+      throw new Error('The library kept changing while it was being rewritten. Try again when nothing is saving.');
+    }
+  }
+
+  await rebuildSearchIndex();
+  emitChanges(ENCRYPTED_STORES.map((store) => ({ store, type: 'reset' })));
+}
+
+/**
+ * Write rewritten records whose stored copy is still the one they were made from
+ * The undo history is cleared in the same transaction, as it may hold plaintext.
+ * @param {Array<Object>} batches - { store, originals, rewritten, written } per store,
+ *   written collecting the rewritten records by key
+ * @returns {Promise<Object>} Keys per store that changed underneath and need another round,
+ *   including records added or saved again since they were read
+ */
+async function writeRewrittenRecords(batches) {
+  await initDB();
+  const transaction = db.transaction([...batches.map((batch) => batch.store), 'journal'], 'readwrite');
+  const done = transactionComplete(transaction);
+  transaction.objectStore('journal').clear();
+
+  const changed = await Promise.all(batches.map(async ({ store, originals, rewritten, written }) => {
+    const objectStore = transaction.objectStore(store);
+    const keyOf = (record) => record[objectStore.keyPath];
+    const current = new Map((await promisifyRequest(objectStore.getAll())).map((record) => [keyOf(record), record]));
+    const originalKeys = new Set(originals.map(keyOf));
+    const stale = new Set();
+
+    originals.forEach((original, i) => {
+      const key = keyOf(original);
+      if (!current.has(key)) return;
+      if (sameRecord(current.get(key), original)) {
+        objectStore.put(rewritten[i]);
+        written.set(key, rewritten[i]);
+      } else {
+        stale.add(key);
+      }
+    });
+    current.forEach((record, key) => {
+      if (originalKeys.has(key)) return;
+      if (!written.has(key) || !sameRecord(written.get(key), record)) stale.add(key);
+    });
+    return [store, stale];
+  }));
+
+  await done;
+  return Object.fromEntries(changed);
+}
+
 // ============================================
 // SEARCH
 // ============================================
 
 /**
- * Search wings by title or URL
+ * Full-text search over wings using the persistent search index
+ * Matches title, URL, summary, page content and highlight text, ranked by BM25.
+ * The last query term also matches as a prefix so results update while typing.
  * @param {string} query - Search query
- * @returns {Promise<Array>} Matching wings
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {Promise<Array>} Matching wings, best first, each with
+ *   `searchScore` and `matchedFields` (e.g. ['title', 'highlights'])
  */
-export async function searchWings(query) {
-  const wings = await getAllWings();
-  const lowerQuery = query.toLowerCase();
+export async function searchWings(query, { limit } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const results = await runTransaction(['searchIndex', 'meta', 'wings'], 'readonly', async (transaction) => {
+    const termsIndex = transaction.objectStore('searchIndex').index('terms');
+
+    // Expand the trailing term to the indexed terms it prefixes
+    const queryTerms = [...terms];
+    const lastTerm = terms[terms.length - 1];
+    if (!/\s$/.test(query)) {
+      const expansions = await collectPrefixTerms(termsIndex, lastTerm);
+      expansions.forEach((term) => {
+        if (!queryTerms.includes(term)) queryTerms.push(term);
+      });
+    }
 
-  return wings.filter((wing) =>
-    wing.title?.toLowerCase().includes(lowerQuery) ||
-    wing.url?.toLowerCase().includes(lowerQuery) ||
-    wing.summary?.toLowerCase().includes(lowerQuery)
-  );
+    const [statsRecord, ...postingLists] = await Promise.all([
+      promisifyRequest(transaction.objectStore('meta').get('searchStats')),
+      ...queryTerms.map((term) => promisifyRequest(termsIndex.getAll(term))),
+    ]);
+
+    const postings = new Map(queryTerms.map((term, i) => [term, postingLists[i]]));
+    let ranked = rankEntries(queryTerms, postings, statsRecord);
+    if (limit) ranked = ranked.slice(0, limit);
+
+    const wingsStore = transaction.objectStore('wings');
+    const wings = await Promise.all(ranked.map((r) => promisifyRequest(wingsStore.get(r.wingId))));
+
+    return ranked
+      .map((result, i) => wings[i] && {
+        ...wings[i],
+        searchScore: result.score,
+        matchedFields: result.matchedFields,
+      })
+      .filter(Boolean);
+  });
+  return openRecords('wings', results);
+}
+
+/**
+ * Find indexed terms that start with a prefix
+ * @param {IDBIndex} termsIndex - The searchIndex 'terms' index
+ * @param {string} prefix - Term prefix
+ * @returns {Promise<Array<string>>} Matching terms (excluding the prefix itself)
+ */
+function collectPrefixTerms(termsIndex, prefix) {
+  return new Promise((resolve, reject) => {
+    const found = [];
+    const range = IDBKeyRange.bound(prefix, prefix + '\uffff', true, false);
+    const request = termsIndex.openCursor(range, 'nextunique');
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && found.length < MAX_PREFIX_EXPANSIONS) {
+        found.push(cursor.key);
+        cursor.continue();
+      } else {
+        resolve(found);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
 // ============================================
@@ -725,12 +2892,12 @@ export async function searchWings(query) {
  * @returns {Promise<Object>} Created connection
  */
 export async function createConnection(connection) {
-  const store = await getStore('connections', 'readwrite');
   const data = {
     ...connection,
     analyzedAt: Date.now(),
   };
-  await promisifyRequest(store.add(data));
+  await runTransaction('connections', 'readwrite', (transaction) =>
+    addRecord(transaction, 'connections', data), { journal: 'Add connection' });
   return data;
 }
 
@@ -787,13 +2954,14 @@ export async function getConnectionBetween(wingId1, wingId2) {
  * @returns {Promise<Object>} Updated connection
  */
 export async function updateConnection(id, updates) {
-  const store = await getStore('connections', 'readwrite');
-  const connection = await promisifyRequest(store.get(id));
-  if (!connection) throw new Error('Connection not found');
-
-  const updated = { ...connection, ...updates, analyzedAt: Date.now() };
-  await promisifyRequest(store.put(updated));
-  return updated;
+  return runTransaction('connections', 'readwrite', async (transaction) => {
+    const connection = await promisifyRequest(transaction.objectStore('connections').get(id));
+    if (!connection) throw new Error('Connection not found');
+
+    const updated = { ...connection, ...updates, analyzedAt: Date.now() };
+    await putRecord(transaction, 'connections', updated);
+    return updated;
+  }, { journal: 'Edit connection' });
 }
 
 /**
@@ -801,8 +2969,8 @@ export async function updateConnection(id, updates) {
  * @param {string} id - Connection ID
  */
 export async function deleteConnection(id) {
-  const store = await getStore('connections', 'readwrite');
-  await promisifyRequest(store.delete(id));
+  await runTransaction('connections', 'readwrite', (transaction) =>
+    deleteRecord(transaction, 'connections', id), { journal: 'Remove connection' });
 }
 
 /**
@@ -811,11 +2979,12 @@ export async function deleteConnection(id) {
  */
 export async function deleteConnectionsForWing(wingId) {
   const connections = await getConnectionsForWing(wingId);
-  const store = await getStore('connections', 'readwrite');
 
-  for (const conn of connections) {
-    await promisifyRequest(store.delete(conn.id));
-  }
+  await runTransaction('connections', 'readwrite', async (transaction) => {
+    for (const conn of connections) {
+      await deleteRecord(transaction, 'connections', conn.id);
+    }
+  }, { journal: 'Remove connections' });
 }
 
 /**
@@ -824,20 +2993,13 @@ export async function deleteConnectionsForWing(wingId) {
  * @returns {Promise<void>}
  */
 export async function batchUpsertConnections(connections) {
-  await initDB();
-  const transaction = db.transaction('connections', 'readwrite');
-  const store = transaction.objectStore('connections');
-
-  for (const conn of connections) {
-    const data = {
-      ...conn,
-      analyzedAt: Date.now(),
-    };
-    store.put(data);
-  }
-
-  return new Promise((resolve, reject) => {
-    transaction.oncomplete = () => resolve();
-    transaction.onerror = () => reject(transaction.error);
-  });
+  await runTransaction('connections', 'readwrite', async (transaction) => {
+    for (const conn of connections) {
+      await putRecord(transaction, 'connections', {
+        ...conn,
+        analyzedAt: Date.now(),
+      });
+    }
+  }, { journal: 'Update connections' });
 }
+
@@ -0,0 +1,179 @@
+/**
+ * Wing - Library Doctor
+ * Finds inconsistencies that build up in the stored library and works out the repairs
+ */
+
+import { canonicalizeUrl } from './utils.js';
+import { getSortTitle } from './migrations.js';
+
+// Checks in the order they are reported, with a description of one problem
+export const LIBRARY_CHECKS = {
+  missingMemberships: 'Wings in collections, nests or tags that no longer exist',
+  misplacedNests: "Wings in nests outside the wing's collections",
+  unusedWingArrays: 'Wings carrying unused highlight or connection lists',
+  staleDerivedFields: 'Wings missing a canonical URL or with an outdated sort title',
+  orphanedNests: 'Nests whose collection or parent no longer exists',
+  nestCycles: 'Nests that are their own ancestor',
+  orphanedHighlights: 'Highlights of deleted wings',
+  orphanedConnections: 'Connections to deleted wings',
+  duplicateConnections: 'Duplicate connections between the same wings',
+  searchIndex: 'Wings missing from the search index, or index entries of deleted wings',
+};
+
+// Record IDs listed per check in a report
+const MAX_EXAMPLES = 5;
+
+/**
+ * Examine the whole library
+ * @param {Object} records - Records by store ({ wings, collections, nests, highlights,
+ *   connections, tags }) plus searchIndexIds, the keys of the search index
+ * @returns {Object} { checks: [{ id, label, count, examples }], problems, repairs }
+ *   repairs is { put: { [store]: [records] }, delete: { [store]: [keys] }, reindex: [wingIds], unindex: [wingIds] }
+ */
+export function examineLibrary(records) {
+  const found = Object.fromEntries(Object.keys(LIBRARY_CHECKS).map((check) => [check, []]));
+  const repairs = { put: {}, delete: {}, reindex: [], unindex: [] };
+  const put = (store, record) => (repairs.put[store] ||= []).push(record);
+  const remove = (store, key) => (repairs.delete[store] ||= []).push(key);
+
+  const collectionIds = new Set(records.collections.map((c) => c.id));
+  const tagIds = new Set(records.tags.map((t) => t.id));
+
+  // Nests: orphans are deleted, so they are left out of the checks below
+  const nestsById = new Map();
+  for (const nest of records.nests) {
+    if (collectionIds.has(nest.collectionId)) {
+      nestsById.set(nest.id, { ...nest });
+    } else {
+      found.orphanedNests.push(nest.id);
+      remove('nests', nest.id);
+    }
+  }
+
+  const changedNests = new Set();
+  for (const nest of nestsById.values()) {
+    if (nest.parentId && !nestsById.has(nest.parentId)) {
+      found.orphanedNests.push(nest.id);
+      nest.parentId = null;
+      changedNests.add(nest);
+    }
+  }
+  for (const nest of nestsById.values()) {
+    const seen = new Set([nest.id]);
+    let current = nestsById.get(nest.parentId);
+    while (current) {
+      if (seen.has(current.id)) {
+        found.nestCycles.push(current.id);
+        current.parentId = null;
+        changedNests.add(current);
+        break;
+      }
+      seen.add(current.id);
+      current = nestsById.get(current.parentId);
+    }
+  }
+  changedNests.forEach((nest) => put('nests', nest));
+
+  // Wings
+  const wingIds = new Set(records.wings.map((w) => w.id));
+  const indexedIds = new Set(records.searchIndexIds);
+
+  for (const wing of records.wings) {
+    const fixed = { ...wing };
+    let changed = false;
+
+    const collections = (wing.collectionIds || []).filter((id) => collectionIds.has(id));
+    const existingNests = (wing.nestIds || []).filter((id) => nestsById.has(id));
+    const tags = (wing.tagIds || []).filter((id) => tagIds.has(id));
+    if (
+      collections.length < (wing.collectionIds || []).length ||
+      existingNests.length < (wing.nestIds || []).length ||
+      tags.length < (wing.tagIds || []).length
+    ) {
+      found.missingMemberships.push(wing.id);
+      Object.assign(fixed, { collectionIds: collections, tagIds: tags });
+      changed = true;
+    }
+
+    const nests = existingNests.filter((id) => collections.includes(nestsById.get(id).collectionId));
+    if (nests.length < existingNests.length) {
+      found.misplacedNests.push(wing.id);
+    }
+    if (nests.length < (wing.nestIds || []).length) {
+      fixed.nestIds = nests;
+      changed = true;
+    }
+
+    if ('highlights' in wing || 'connections' in wing) {
+      found.unusedWingArrays.push(wing.id);
+      delete fixed.highlights;
+      delete fixed.connections;
+      changed = true;
+    }
+
+    const canonicalUrl = wing.canonicalUrl || canonicalizeUrl(wing.url);
+    const sortTitle = getSortTitle(wing);
+    if (wing.canonicalUrl !== canonicalUrl || wing.sortTitle !== sortTitle) {
+      found.staleDerivedFields.push(wing.id);
+      Object.assign(fixed, { canonicalUrl, sortTitle });
+      changed = true;
+    }
+
+    if (changed) put('wings', fixed);
+
+    if (!indexedIds.has(wing.id)) {
+      found.searchIndex.push(wing.id);
+      repairs.reindex.push(wing.id);
+    }
+  }
+
+  for (const id of indexedIds) {
+    if (!wingIds.has(id)) {
+      found.searchIndex.push(id);
+      repairs.unindex.push(id);
+    }
+  }
+
+  // Highlights
+  for (const highlight of records.highlights) {
+    if (!wingIds.has(highlight.wingId)) {
+      found.orphanedHighlights.push(highlight.id);
+      remove('highlights', highlight.id);
+    }
+  }
+
+  // Connections: keep the best scored connection of each pair
+  const bestByPair = new Map();
+  for (const connection of records.connections) {
+    const { wingId1, wingId2 } = connection;
+    if (wingId1 === wingId2 || !wingIds.has(wingId1) || !wingIds.has(wingId2)) {
+      found.orphanedConnections.push(connection.id);
+      remove('connections', connection.id);
+      continue;
+    }
+
+    const pair = [wingId1, wingId2].sort().join('\u0000');
+    const best = bestByPair.get(pair);
+    if (!best) {
+      bestByPair.set(pair, connection);
+      continue;
+    }
+    const [keep, drop] = (connection.score || 0) > (best.score || 0) ? [connection, best] : [best, connection];
+    found.duplicateConnections.push(drop.id);
+    remove('connections', drop.id);
+    bestByPair.set(pair, keep);
+  }
+
+  const checks = Object.entries(LIBRARY_CHECKS).map(([id, label]) => ({
+    id,
+    label,
+    count: found[id].length,
+    examples: found[id].slice(0, MAX_EXAMPLES),
+  }));
+
+  return {
+    checks,
+    problems: checks.reduce((sum, check) => sum + check.count, 0),
+    repairs,
+  };
+}
@@ -0,0 +1,457 @@
+/**
+ * Wing - Encryption at Rest
+ * Opt-in passphrase encryption of the library's text and the stored API keys.
+ * The key is derived from the passphrase with PBKDF2 and used with AES-GCM.
+ * While unlocked, the key is kept in chrome.storage.session, which the browser
+ * clears when it closes.
+ */
+
+// chrome.storage.local key of the encryption settings ({ salt, iterations, verifier })
+const SETTINGS_KEY = 'encryption';
+
+// chrome.storage.session key of the unlocked key (raw bytes, base64)
+const SESSION_KEY = 'encryptionKey';
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Sealed with the key to check a passphrase on unlock
+const VERIFIER_TEXT = 'wing';
+
+// Marks a passphrase-protected backup file
+const SEALED_BACKUP_FORMAT = 'wing-encrypted-backup';
+
+// Encrypted fields by store. Titles and URLs stay readable because the
+// database indexes them for lookups and sorting.
+export const ENCRYPTED_FIELDS = {
+  wings: ['summary', 'fullContent', 'notes'],
+  highlights: ['selectedText', 'annotation'],
+};
+
+/**
+ * Error for encryption failures
+ * code is 'LOCKED', 'WRONG_PASSPHRASE', 'WEAK_PASSPHRASE', 'NOT_ENABLED' or 'ALREADY_ENABLED'
+ */
+export class EncryptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+// Imported key, kept with the raw form it was imported from
+let cachedKey = null;
+
+// ============================================
+// KEY MANAGEMENT
+// ============================================
+
+/**
+ * Get the encryption state
+ * @returns {Promise<string>} 'off', 'locked' or 'unlocked'
+ */
+export async function getEncryptionState() {
+  if (!(await getSettings())) return 'off';
+  return (await getKey()) ? 'unlocked' : 'locked';
+}
+
+/**
+ * Turn encryption on with a new passphrase and unlock
+ * Existing records are not touched; see db.encryptLibrary.
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [keyCheck] - Key check of another device (see getKeyCheck) to use
+ *   the same key as, so both can read what the other encrypted
+ */
+export async function enableEncryption(passphrase, keyCheck = null) {
+  if (await getSettings()) {
+    throw new EncryptionError('Encryption is already on', 'ALREADY_ENABLED');
+  }
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new EncryptionError(
+      `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+      'WEAK_PASSPHRASE'
+    );
+  }
+
+  if (keyCheck) {
+    const key = await deriveKey(passphrase, fromBase64(keyCheck.salt), keyCheck.iterations);
+    if (!(await opensVerifier(key, keyCheck.verifier))) {
+      throw new EncryptionError('Wrong passphrase for the synced library', 'WRONG_PASSPHRASE');
+    }
+    const { salt, iterations, verifier } = keyCheck;
+    await chrome.storage.local.set({ [SETTINGS_KEY]: { salt, iterations, verifier } });
+    await storeKey(key);
+    return;
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  await chrome.storage.local.set({
+    [SETTINGS_KEY]: {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encrypt(key, VERIFIER_TEXT),
+    },
+  });
+  await storeKey(key);
+}
+
+/**
+ * Stop encrypting new writes, keeping the key so sealed values can still be opened
+ * Used by db.decryptLibrary, so nothing saved while the library is decrypted
+ * gets sealed with a key that is about to be forgotten.
+ * @returns {Promise<Object|null>} The removed settings, for resumeEncrypting
+ */
+export async function stopEncrypting() {
+  const settings = await getSettings();
+  await chrome.storage.local.remove(SETTINGS_KEY);
+  return settings;
+}
+
+/**
+ * Encrypt new writes again after stopEncrypting
+ * @param {Object|null} settings - Settings stopEncrypting returned
+ */
+export async function resumeEncrypting(settings) {
+  if (settings) await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+/**
+ * Turn encryption off
+ * Records must be decrypted first; see db.decryptLibrary.
+ */
+export async function disableEncryption() {
+  await chrome.storage.local.remove(SETTINGS_KEY);
+  await lock();
+}
+
+/**
+ * Unlock with the passphrase
+ * @param {string} passphrase - Passphrase
+ */
+export async function unlock(passphrase) {
+  const settings = await getSettings();
+  if (!settings) throw new EncryptionError('Encryption is not on', 'NOT_ENABLED');
+
+  const key = await deriveKey(passphrase, fromBase64(settings.salt), settings.iterations);
+  if (!(await opensVerifier(key, settings.verifier))) {
+    throw new EncryptionError('Wrong passphrase', 'WRONG_PASSPHRASE');
+  }
+  await storeKey(key);
+}
+
+/**
+ * Forget the unlocked key
+ */
+export async function lock() {
+  cachedKey = null;
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Get what another device needs to check it encrypts with the same key
+ * Holds no secret: the salt, and a known text sealed with the key.
+ * @returns {Promise<Object|null>} { salt, iterations, verifier }, or null if encryption is off
+ */
+export async function getKeyCheck() {
+  const settings = await getSettings();
+  if (!settings) return null;
+  const { salt, iterations, verifier } = settings;
+  return { salt, iterations, verifier };
+}
+
+/**
+ * Check whether the unlocked key is the one a key check was made with
+ * @param {Object} keyCheck - Key check (see getKeyCheck)
+ * @returns {Promise<boolean>}
+ * @throws {EncryptionError} LOCKED when Wing is locked
+ */
+export async function matchesKeyCheck(keyCheck) {
+  return opensVerifier(await requireKey(), keyCheck?.verifier);
+}
+
+async function getSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return result[SETTINGS_KEY] || null;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function opensVerifier(key, verifier) {
+  try {
+    return (await decrypt(key, verifier)) === VERIFIER_TEXT;
+  } catch {
+    return false;
+  }
+}
+
+async function storeKey(key) {
+  const raw = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  await chrome.storage.session.set({ [SESSION_KEY]: raw });
+  cachedKey = { raw, key };
+}
+
+/**
+ * Get the unlocked key
+ * Another context may have locked or unlocked since, so the session is always checked.
+ * @returns {Promise<CryptoKey|null>} Key, or null if locked
+ */
+async function getKey() {
+  const result = await chrome.storage.session.get(SESSION_KEY);
+  const raw = result[SESSION_KEY];
+  if (!raw) return null;
+
+  if (cachedKey?.raw !== raw) {
+    const key = await crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    cachedKey = { raw, key };
+  }
+  return cachedKey.key;
+}
+
+async function requireKey() {
+  const key = await getKey();
+  if (!key) throw new EncryptionError('Wing is locked. Unlock it with your passphrase first.', 'LOCKED');
+  return key;
+}
+
+// ============================================
+// SEALING VALUES AND RECORDS
+// ============================================
+
+/**
+ * Check whether a value is encrypted
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+export function isSealed(value) {
+  return Boolean(value) && value.alg === 'AES-GCM' && typeof value.ciphertext === 'string';
+}
+
+/**
+ * Encrypt a value if encryption is on
+ * @param {*} value - Any JSON value
+ * @returns {Promise<*>} The sealed value, or the value itself when encryption is off
+ * @throws {EncryptionError} LOCKED when encryption is on but locked
+ */
+export async function sealValue(value) {
+  if (value == null || isSealed(value) || !(await getSettings())) return value;
+  return encrypt(await requireKey(), value);
+}
+
+/**
+ * Decrypt a value
+ * @param {*} value - Value, sealed or not
+ * @returns {Promise<*>} The plain value, or null if it is sealed and Wing is locked
+ */
+export async function openValue(value) {
+  if (!isSealed(value)) return value;
+  const key = await getKey();
+  return key ? decrypt(key, value) : null;
+}
+
+/**
+ * Encrypt the sensitive fields of records before they are stored
+ * Records of other stores, and fields that are already sealed, are left as they are.
+ * @param {string} storeName - Store the records belong to
+ * @param {Array<Object>} records - Records, or partial records (updates)
+ * @returns {Promise<Array<Object>>} Copies with the fields sealed, or the records themselves when encryption is off
+ * @throws {EncryptionError} LOCKED when encryption is on but locked
+ */
+export async function sealRecords(storeName, records) {
+  const fields = ENCRYPTED_FIELDS[storeName];
+  const needsSealing = (record) => fields.some((field) => record[field] != null && !isSealed(record[field]));
+  if (!fields || !records.some(needsSealing) || !(await getSettings())) return records;
+
+  const key = await requireKey();
+  return Promise.all(records.map(async (record) => {
+    const sealed = { ...record };
+    for (const field of fields) {
+      if (record[field] != null && !isSealed(record[field])) {
+        sealed[field] = await encrypt(key, record[field]);
+      }
+    }
+    return sealed;
+  }));
+}
+
+/**
+ * Encrypt the sensitive fields of one record
+ * @see sealRecords
+ */
+export async function sealRecord(storeName, record) {
+  return (await sealRecords(storeName, [record]))[0];
+}
+
+/**
+ * Decrypt the sensitive fields of stored records
+ * While locked, sealed fields read as null.
+ * @param {string} storeName - Store the records came from
+ * @param {Array<Object>} records - Stored records
+ * @returns {Promise<Array<Object>>} Copies with the fields decrypted, or the records themselves if none are sealed
+ */
+export async function openRecords(storeName, records) {
+  const fields = ENCRYPTED_FIELDS[storeName];
+  const isRecordSealed = (record) => record && fields.some((field) => isSealed(record[field]));
+  if (!fields || !records.some(isRecordSealed)) return records;
+
+  const key = await getKey();
+  return Promise.all(records.map(async (record) => {
+    if (!isRecordSealed(record)) return record;
+    const opened = { ...record };
+    for (const field of fields) {
+      if (isSealed(record[field])) {
+        opened[field] = key ? await decrypt(key, record[field]) : null;
+      }
+    }
+    return opened;
+  }));
+}
+
+/**
+ * Decrypt the sensitive fields of one stored record
+ * @see openRecords
+ */
+export async function openRecord(storeName, record) {
+  return (await openRecords(storeName, [record]))[0];
+}
+
+/**
+ * Drop sealed fields from a record, so derived data (the search index) never holds their text
+ * @param {Object} record - Stored record
+ * @returns {Object} Copy without sealed fields, or the record itself if it has none
+ */
+export function withoutSealedFields(record) {
+  const sealedFields = Object.keys(record).filter((field) => isSealed(record[field]));
+  if (sealedFields.length === 0) return record;
+
+  const copy = { ...record };
+  sealedFields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+async function encrypt(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { alg: 'AES-GCM', iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decrypt(key, sealed) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+    key,
+    fromBase64(sealed.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// ============================================
+// PASSPHRASE-PROTECTED BACKUPS
+// ============================================
+
+/**
+ * Check whether parsed backup JSON is passphrase-protected
+ * @param {Object} file - Parsed backup file
+ * @returns {boolean}
+ */
+export function isSealedBackup(file) {
+  return file?.format === SEALED_BACKUP_FORMAT;
+}
+
+/**
+ * Protect a backup with a passphrase
+ * The passphrase is independent of the one the library is encrypted with.
+ * @param {Object} backup - Backup (see db.exportAllData)
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Sealed backup file
+ */
+export async function sealBackup(backup, passphrase) {
+  if (!passphrase) throw new EncryptionError('Enter a passphrase for the backup', 'WEAK_PASSPHRASE');
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  return {
+    format: SEALED_BACKUP_FORMAT,
+    version: backup.version,
+    exportedAt: backup.exportedAt,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    payload: await encrypt(key, backup),
+  };
+}
+
+/**
+ * Protect a backup with the library's own key
+ * The file opens with the library passphrase (see openBackup), so backups
+ * made in the background stay encrypted without asking for a passphrase.
+ * @param {Object} backup - Backup (see db.exportAllData)
+ * @returns {Promise<Object>} Sealed backup file
+ */
+export async function sealLibraryBackup(backup) {
+  const settings = await getSettings();
+  if (!settings) throw new EncryptionError('Encryption is not on', 'NOT_ENABLED');
+  const key = await requireKey();
+
+  return {
+    format: SEALED_BACKUP_FORMAT,
+    version: backup.version,
+    exportedAt: backup.exportedAt,
+    salt: settings.salt,
+    iterations: settings.iterations,
+    payload: await encrypt(key, backup),
+  };
+}
+
+/**
+ * Open a passphrase-protected backup
+ * @param {Object} file - Sealed backup file
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} The backup
+ */
+export async function openBackup(file, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(file.salt), file.iterations);
+  try {
+    return await decrypt(key, file.payload);
+  } catch {
+    throw new EncryptionError('Wrong passphrase for this backup', 'WRONG_PASSPHRASE');
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,406 @@
+/**
+ * Wing - Backup Import
+ * Validates and repairs backups, and decides what a merge import writes
+ */
+
+import { generateId, canonicalizeUrl } from './utils.js';
+import { LATEST_VERSION, upgradeLibraryRecord } from './migrations.js';
+
+// Record types in a backup, in the order they are merged (referenced types first)
+export const IMPORT_CATEGORIES = ['tags', 'collections', 'nests', 'wings', 'highlights', 'connections'];
+
+// How to settle records that exist on both sides with different content
+export const IMPORT_STRATEGIES = ['keep-newest', 'keep-existing', 'keep-both'];
+
+export const DEFAULT_IMPORT_STRATEGY = 'keep-newest';
+
+// Fields referencing other records, and the category they point to
+const REFERENCES = {
+  nests: { collectionId: 'collections', parentId: 'nests' },
+  wings: { collectionIds: 'collections', nestIds: 'nests', tagIds: 'tags' },
+  highlights: { wingId: 'wings' },
+  connections: { wingId1: 'wings', wingId2: 'wings' },
+};
+
+// What makes two records with different IDs the same thing
+const IDENTITY_KEYS = {
+  tags: (tag) => normalizeName(tag.name),
+  collections: (collection) => normalizeName(collection.name),
+  nests: (nest) => [nest.collectionId, nest.parentId || '', normalizeName(nest.name)].join('\u0000'),
+  wings: (wing) => canonicalizeUrl(wing.canonicalUrl || wing.url || ''),
+  highlights: (highlight) => [highlight.wingId, highlight.selectedText].join('\u0000'),
+  connections: (connection) => [connection.wingId1, connection.wingId2].sort().join('\u0000'),
+};
+
+// Fields every record of a category must have, and their type
+const REQUIRED_FIELDS = {
+  tags: { name: 'string' },
+  collections: { name: 'string' },
+  nests: { collectionId: 'string', name: 'string' },
+  wings: { url: 'string' },
+  highlights: { wingId: 'string', selectedText: 'string' },
+  connections: { wingId1: 'string', wingId2: 'string' },
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a backup's structure and bring its records up to the current schema
+ * Records that can't be imported are dropped and reported rather than failing
+ * the whole import. Backups from a newer version of Wing are rejected.
+ * @param {Object} backup - Parsed backup file ({ version, data })
+ * @returns {Object} { data: records by category, issues: [{ category, id, message }] }
+ */
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || !backup.data || typeof backup.data !== 'object') {
+    throw new Error('Invalid import data format');
+  }
+
+  // Backups without a version predate versioning and are treated as the oldest
+  const version = backup.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid backup version: ${version}`);
+  }
+  if (version > LATEST_VERSION) {
+    throw new Error(
+      `This backup is from a newer version of Wing (database version ${version}). Update Wing to import it.`
+    );
+  }
+
+  const issues = [];
+  if (version < LATEST_VERSION) {
+    issues.push({ category: null, id: null, message: `Upgraded from database version ${version}` });
+  }
+
+  const data = {};
+  for (const category of IMPORT_CATEGORIES) {
+    const records = backup.data[category] ?? [];
+    if (!Array.isArray(records)) {
+      throw new Error(`Invalid backup file: ${category} is not a list`);
+    }
+
+    // Later copies of a record win, as they would when written in order
+    const byId = new Map();
+    for (const record of records) {
+      const problem = findRecordProblem(category, record);
+      if (problem) {
+        issues.push({ category, id: record?.id ?? null, message: `Skipped: ${problem}` });
+        continue;
+      }
+      if (byId.has(record.id)) {
+        issues.push({ category, id: record.id, message: 'Duplicate ID, kept the last copy' });
+        byId.delete(record.id);
+      }
+      byId.set(record.id, upgradeLibraryRecord(category, record));
+    }
+    data[category] = [...byId.values()];
+  }
+
+  data.wings.forEach((wing) => {
+    for (const field of ['collectionIds', 'nestIds', 'tagIds']) {
+      if (Array.isArray(wing[field]) && wing[field].every((id) => typeof id === 'string')) continue;
+      issues.push({ category: 'wings', id: wing.id, message: `Reset invalid ${field}` });
+      wing[field] = Array.isArray(wing[field]) ? wing[field].filter((id) => typeof id === 'string') : [];
+    }
+  });
+
+  return { data, issues };
+}
+
+/**
+ * Describe why a record can't be imported
+ * @returns {string|null} The problem, or null if the record is usable
+ */
+function findRecordProblem(category, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return 'not a record';
+  if (typeof record.id !== 'string' || !record.id) return 'missing ID';
+
+  for (const [field, type] of Object.entries(REQUIRED_FIELDS[category])) {
+    if (typeof record[field] !== type) return `missing ${field}`;
+  }
+  return null;
+}
+
+/**
+ * Fix references that point at records which don't exist
+ * References may point at records in the backup or, for merges, in the library.
+ * - wings lose collection, nest and tag IDs that point nowhere
+ * - nests without their collection are dropped; a missing parent or a parent
+ *   cycle moves the nest to the top level
+ * - highlights of missing wings, and connections to missing wings, are dropped
+ * @param {Object} data - Records by category (from validateBackup)
+ * @param {Object} [known] - IDs already in the library by category ({ wings: [...ids], ... })
+ * @returns {Object} { data, issues: [{ category, id, message }] }
+ */
+export function repairReferences(data, known = {}) {
+  const issues = [];
+  const report = (category, id, message) => issues.push({ category, id, message });
+  const idsOf = (category, records) => new Set([...(known[category] || []), ...records.map((r) => r.id)]);
+
+  const collectionIds = idsOf('collections', data.collections);
+  const tagIds = idsOf('tags', data.tags);
+
+  let nests = data.nests.filter((nest) => {
+    if (collectionIds.has(nest.collectionId)) return true;
+    report('nests', nest.id, 'Dropped: its collection is missing');
+    return false;
+  });
+  nests = repairNestParents(nests, idsOf('nests', []), report);
+  const nestIds = idsOf('nests', nests);
+
+  const wings = data.wings.map((wing) => {
+    const repaired = { ...wing };
+    for (const [field, ids, label] of [
+      ['collectionIds', collectionIds, 'collections'],
+      ['nestIds', nestIds, 'nests'],
+      ['tagIds', tagIds, 'tags'],
+    ]) {
+      const kept = repaired[field].filter((id) => ids.has(id));
+      if (kept.length < repaired[field].length) {
+        report('wings', wing.id, `Removed ${repaired[field].length - kept.length} missing ${label}`);
+        repaired[field] = kept;
+      }
+    }
+    return repaired;
+  });
+  const wingIds = idsOf('wings', wings);
+
+  const highlights = data.highlights.filter((highlight) => {
+    if (wingIds.has(highlight.wingId)) return true;
+    report('highlights', highlight.id, 'Dropped: its wing is missing');
+    return false;
+  });
+
+  const connections = data.connections.filter((connection) => {
+    if (connection.wingId1 === connection.wingId2) {
+      report('connections', connection.id, 'Dropped: connects a wing to itself');
+      return false;
+    }
+    if (wingIds.has(connection.wingId1) && wingIds.has(connection.wingId2)) return true;
+    report('connections', connection.id, 'Dropped: connects a missing wing');
+    return false;
+  });
+
+  return {
+    data: { ...data, nests, wings, highlights, connections },
+    issues,
+  };
+}
+
+/**
+ * Move nests with a missing parent, or in a parent cycle, to the top level
+ */
+function repairNestParents(nests, knownNestIds, report) {
+  const repaired = nests.map((nest) => ({ ...nest }));
+  const byId = new Map(repaired.map((nest) => [nest.id, nest]));
+
+  for (const nest of repaired) {
+    if (nest.parentId && !byId.has(nest.parentId) && !knownNestIds.has(nest.parentId)) {
+      report('nests', nest.id, 'Moved to the top level: its parent nest is missing');
+      nest.parentId = null;
+    }
+  }
+
+  for (const nest of repaired) {
+    const seen = new Set([nest.id]);
+    let current = byId.get(nest.parentId);
+    while (current) {
+      if (seen.has(current.id)) {
+        report('nests', current.id, 'Moved to the top level: its parents form a cycle');
+        current.parentId = null;
+        break;
+      }
+      seen.add(current.id);
+      current = byId.get(current.parentId);
+    }
+  }
+
+  return repaired;
+}
+
+// ============================================
+// MERGE PLANNING
+// ============================================
+
+/**
+ * Work out what a merge import would do
+ * Records are sorted into:
+ * - added: not in the library
+ * - unchanged: already in the library as they are
+ * - changed: same ID as a library record, different content
+ * - conflicts: different ID from a library record that is the same thing
+ *   (same URL, same collection name, same highlighted text, ...)
+ * Changed and conflicting records are settled per category by a strategy:
+ * - keep-newest: the more recently modified version wins
+ * - keep-existing: the library version is kept
+ * - keep-both: the backup version is added alongside (with a new ID if the IDs clash)
+ * References between imported records follow whichever record is kept.
+ * @param {Object} existing - Library records by category ({ wings: [...], ... })
+ * @param {Object} incoming - Backup records by category
+ * @param {Object} [strategies] - Strategy by category (default keep-newest)
+ * @returns {Object} { categories: { [category]: { added, unchanged, changed, conflicts } }, writes: { [category]: [records] } }
+ *   changed and conflicts list { incoming, existing } pairs
+ */
+export function planImport(existing, incoming, strategies = {}) {
+  const idMaps = {};
+  const categories = {};
+  const writes = {};
+
+  for (const category of IMPORT_CATEGORIES) {
+    const strategy = strategies[category] || DEFAULT_IMPORT_STRATEGY;
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    const existingRecords = existing[category] || [];
+    const byId = new Map(existingRecords.map((record) => [record.id, record]));
+    const byIdentity = new Map();
+    existingRecords.forEach((record) => {
+      const key = IDENTITY_KEYS[category](record);
+      if (!byIdentity.has(key)) byIdentity.set(key, record);
+    });
+
+    const idMap = new Map();
+    idMaps[category] = idMap;
+    const result = { added: [], unchanged: [], changed: [], conflicts: [] };
+    const toWrite = [];
+
+    let records = incoming[category] || [];
+    if (category === 'nests') records = parentsFirst(records);
+
+    for (const original of records) {
+      const record = remapReferences(category, original, idMaps);
+      const sameId = byId.get(record.id);
+      const sameThing = sameId ? undefined : byIdentity.get(IDENTITY_KEYS[category](record));
+      const match = sameId || sameThing;
+
+      if (!match) {
+        result.added.push(record);
+        idMap.set(original.id, record.id);
+        toWrite.push(record);
+        continue;
+      }
+
+      if (sameContent(match, { ...record, id: match.id })) {
+        result.unchanged.push(record);
+        idMap.set(original.id, match.id);
+        continue;
+      }
+
+      result[sameId ? 'changed' : 'conflicts'].push({ incoming: record, existing: match });
+
+      if (strategy === 'keep-both') {
+        const copy = sameId ? { ...record, id: generateId() } : record;
+        idMap.set(original.id, copy.id);
+        toWrite.push(copy);
+      } else {
+        idMap.set(original.id, match.id);
+        if (strategy === 'keep-newest' && getModifiedAt(record) > getModifiedAt(match)) {
+          toWrite.push({ ...record, id: match.id });
+        }
+      }
+    }
+
+    categories[category] = result;
+    writes[category] = toWrite;
+  }
+
+  return { categories, writes };
+}
+
+/**
+ * Get a short description of a record for import previews
+ * @param {string} category - Record category
+ * @param {Object} record - Record
+ * @returns {string}
+ */
+export function getImportLabel(category, record) {
+  switch (category) {
+    case 'wings':
+      return record.title || record.url || 'Untitled';
+    case 'highlights':
+      return `"${record.selectedText || ''}"`;
+    case 'connections':
+      return `${record.wingId1} ↔ ${record.wingId2}`;
+    default:
+      return record.name || 'Untitled';
+  }
+}
+
+/**
+ * Point a record's references at the IDs its targets were imported under
+ */
+function remapReferences(category, record, idMaps) {
+  const fields = REFERENCES[category];
+  if (!fields) return { ...record };
+
+  const remapped = { ...record };
+  for (const [field, target] of Object.entries(fields)) {
+    const map = idMaps[target];
+    const value = record[field];
+    if (!map || value == null) continue;
+    remapped[field] = Array.isArray(value)
+      ? [...new Set(value.map((id) => map.get(id) ?? id))]
+      : map.get(value) ?? value;
+  }
+  return remapped;
+}
+
+/**
+ * Order nests so parents come before their children
+ * Nests in a parent cycle keep their original order at the end.
+ */
+function parentsFirst(nests) {
+  const ids = new Set(nests.map((nest) => nest.id));
+  const placed = new Set();
+  const ordered = [];
+  let remaining = nests;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter((nest) => !nest.parentId || !ids.has(nest.parentId) || placed.has(nest.parentId));
+    if (ready.length === 0) break;
+    ready.forEach((nest) => {
+      ordered.push(nest);
+      placed.add(nest.id);
+    });
+    remaining = remaining.filter((nest) => !placed.has(nest.id));
+  }
+
+  return [...ordered, ...remaining];
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * When a record was last modified
+ * Collections, nests, wings, highlights and tags carry an updatedAt;
+ * connections only know when they were analyzed.
+ */
+function getModifiedAt(record) {
+  return record.updatedAt ?? record.analyzedAt ?? record.timestamp ?? record.createdAt ?? 0;
+}
+
+/**
+ * Compare two records by value, ignoring key order
+ */
+function sameContent(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,270 @@
+/**
+ * Wing - Markdown
+ * Writes wings as Markdown notes with YAML frontmatter, in the form Obsidian
+ * and similar note apps read: highlights as blockquotes and related wings as
+ * [[wikilinks]]. Also renders the Markdown of a wing's notes for preview.
+ */
+
+import { createZip } from './zip.js';
+
+// Characters note apps don't allow in file names (and so in wikilinks)
+const UNSAFE_NAME_CHARACTERS = /[\\/:*?"<>|#^[\]\x00-\x1F\x7F]/g;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Get the note name of a wing: its title, made safe as a file name
+ * The note is saved as `${name}.md` and linked to as [[name]].
+ * @param {string} title - Wing title
+ * @returns {string} Note name
+ */
+export function getMarkdownFileName(title) {
+  const name = (title || '')
+    .replace(UNSAFE_NAME_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/[.\s]+$/, '');
+  return name || 'Untitled';
+}
+
+/**
+ * Write one wing as a Markdown note
+ * @param {Object} wing - Wing
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.collections] - Collections of the wing
+ * @param {Array<Object>} [context.nests] - Nests of the wing
+ * @param {Array<Object>} [context.tags] - Tags of the wing
+ * @param {Array<Object>} [context.highlights] - Highlights of the wing
+ * @param {Array<string>} [context.related] - Note names of related wings
+ * @returns {string} Markdown
+ */
+export function wingToMarkdown(wing, { collections = [], nests = [], tags = [], highlights = [], related = [] } = {}) {
+  const lines = [
+    '---',
+    `url: ${yamlString(wing.url)}`,
+    `title: ${yamlString(wing.title || 'Untitled')}`,
+    ...yamlList('collections', collections.map((c) => c.name)),
+    ...yamlList('nests', nests.map((n) => n.name)),
+    ...yamlList('tags', tags.map((t) => t.name)),
+    `saved: ${new Date(wing.timestamp || Date.now()).toISOString().split('T')[0]}`,
+    '---',
+    '',
+    `# ${wing.title || 'Untitled'}`,
+    '',
+  ];
+
+  if (wing.summary) {
+    lines.push(wing.summary.trim(), '');
+  }
+
+  if (wing.notes?.trim()) {
+    lines.push('## Notes', '', wing.notes.trim(), '');
+  }
+
+  const quoted = highlights
+    .filter((h) => h.selectedText)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  if (quoted.length > 0) {
+    lines.push('## Highlights', '');
+    for (const highlight of quoted) {
+      lines.push(...highlight.selectedText.trim().split('\n').map((line) => `> ${line}`.trimEnd()), '');
+      if (highlight.annotation) {
+        lines.push(highlight.annotation.trim(), '');
+      }
+    }
+  }
+
+  if (related.length > 0) {
+    lines.push('## Related', '', ...related.map((name) => `- [[${name}]]`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write every wing of a library as a Markdown note
+ * Wings with the same title get numbered note names, and wikilinks between
+ * related wings use those names.
+ * @param {Object} data - Library records (as in a backup: wings, collections, nests, tags, highlights, connections)
+ * @returns {Array<Object>} Notes ({ name, content }), name including .md
+ */
+export function exportMarkdownNotes({ wings = [], collections = [], nests = [], tags = [], highlights = [], connections = [] }) {
+  const byId = (records) => new Map(records.map((record) => [record.id, record]));
+  const collectionsById = byId(collections);
+  const nestsById = byId(nests);
+  const tagsById = byId(tags);
+  const pick = (ids, map) => (ids || []).map((id) => map.get(id)).filter(Boolean);
+
+  // Note names are compared case-insensitively, as on most file systems
+  const names = new Map();
+  const usedNames = new Set();
+  for (const wing of wings) {
+    const base = getMarkdownFileName(wing.title);
+    let name = base;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${base} (${n})`;
+    }
+    usedNames.add(name.toLowerCase());
+    names.set(wing.id, name);
+  }
+
+  const highlightsByWing = new Map();
+  highlights.forEach((h) => {
+    if (!highlightsByWing.has(h.wingId)) highlightsByWing.set(h.wingId, []);
+    highlightsByWing.get(h.wingId).push(h);
+  });
+
+  const relatedByWing = new Map();
+  const relate = (from, to, score) => {
+    if (!names.has(from) || !names.has(to) || from === to) return;
+    if (!relatedByWing.has(from)) relatedByWing.set(from, new Map());
+    const related = relatedByWing.get(from);
+    related.set(to, Math.max(related.get(to) ?? 0, score || 0));
+  };
+  connections.forEach((c) => {
+    relate(c.wingId1, c.wingId2, c.score);
+    relate(c.wingId2, c.wingId1, c.score);
+  });
+
+  return wings.map((wing) => {
+    const related = [...(relatedByWing.get(wing.id) || new Map())]
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => names.get(id));
+
+    return {
+      name: `${names.get(wing.id)}.md`,
+      content: wingToMarkdown(wing, {
+        collections: pick(wing.collectionIds, collectionsById),
+        nests: pick(wing.nestIds, nestsById),
+        tags: pick(wing.tagIds, tagsById),
+        highlights: highlightsByWing.get(wing.id) || [],
+        related,
+      }),
+    };
+  });
+}
+
+/**
+ * Bundle the whole library as a zip of Markdown notes
+ * @param {Object} data - Library records (see exportMarkdownNotes)
+ * @returns {Uint8Array} Zip archive
+ */
+export function exportMarkdownZip(data) {
+  return createZip(exportMarkdownNotes(data));
+}
+
+// ============================================
+// PREVIEW
+// ============================================
+
+// Link schemes a rendered note may point to
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const FENCE = /^\s*```/;
+
+/**
+ * Render Markdown notes as HTML
+ * Covers what notes need: headings, paragraphs, lists, quotes, code, rules,
+ * emphasis and links. All text is escaped, and only http(s) and mailto links
+ * are kept, so the result can be put into a page as it is.
+ * @param {string} text - Markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !FENCE.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      html.push(`<pre><code>${escapeMarkup(code.join('\n'))}</code></pre>`);
+    } else if (HEADING.test(line)) {
+      const [, hashes, heading] = line.match(HEADING);
+      html.push(`<h${hashes.length}>${renderInline(heading)}</h${hashes.length}>`);
+      i++;
+    } else if (RULE.test(line)) {
+      html.push('<hr>');
+      i++;
+    } else if (line.startsWith('>')) {
+      const quoted = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quoted.push(lines[i].replace(/^>\s?/, ''));
+      html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      for (; i < lines.length && LIST_ITEM.test(lines[i]); i++) {
+        const [, marker, item] = lines[i].match(LIST_ITEM);
+        if (/\d/.test(marker) !== ordered) break;
+        items.push(`<li>${renderInline(item)}</li>`);
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${items.join('')}</${tag}>`);
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) paragraph.push(lines[i].trim());
+      html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || line.startsWith('>') || LIST_ITEM.test(line);
+}
+
+/**
+ * Render emphasis, code and links within a line
+ */
+function renderInline(text) {
+  // Code spans are set aside so nothing inside them is formatted
+  const codeSpans = [];
+  let html = escapeMarkup(text).replace(/`([^`]+)`/g, (match, code) => `\u0000${codeSpans.push(code) - 1}\u0000`);
+
+  html = html
+    // URLs may hold one level of parentheses, as in Wikipedia links
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => (
+      SAFE_LINK.test(url) ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>` : label
+    ))
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/\*(.+?)\*|(^|[^\p{L}\p{N}])_(.+?)_(?![\p{L}\p{N}])/gu, (match, a, before, b) => (
+      a !== undefined ? `<em>${a}</em>` : `${before}<em>${b}</em>`
+    ))
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
+}
+
+// Escapes without the DOM, as the background worker renders notes too
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// JSON strings are valid YAML double-quoted strings
+function yamlString(value) {
+  return JSON.stringify(String(value ?? ''));
+}
+
+function yamlList(key, values) {
+  if (values.length === 0) return [`${key}: []`];
+  return [`${key}:`, ...values.map((value) => `  - ${yamlString(value)}`)];
+}
@@ -0,0 +1,562 @@
+/**
+ * Wing - Schema Migrations
+ * Ordered registry of WingDB versions and the steps that upgrade to each one
+ */
+
+import { getDefaultPosition } from './positions.js';
+import { getDefaultReview } from './review.js';
+import { buildIndex } from './search.js';
+import { canonicalizeUrl } from './utils.js';
+
+// Meta record tracking which migrations have been applied
+export const MIGRATIONS_KEY = 'migrations';
+
+// ============================================
+// MIGRATION REGISTRY
+// ============================================
+
+/**
+ * Each migration upgrades the database to its version.
+ *
+ * - schema(database, transaction) runs inside onupgradeneeded, so every schema
+ *   step of an upgrade commits or rolls back together with the version bump.
+ * - data.run(transaction) runs after the database has opened, in its own
+ *   transaction over data.stores. It is marked applied in that same transaction,
+ *   so a worker killed mid-migration resumes at the first unfinished step.
+ *
+ * Append new migrations to the end; never edit one that has shipped.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Initial stores',
+    schema(database, transaction) {
+      const wingsStore = ensureStore(database, transaction, 'wings', { keyPath: 'id' });
+      ensureIndex(wingsStore, 'url', 'url', { unique: false });
+      ensureIndex(wingsStore, 'timestamp', 'timestamp', { unique: false });
+      ensureIndex(wingsStore, 'collectionId', 'collectionId', { unique: false });
+      ensureIndex(wingsStore, 'nestId', 'nestId', { unique: false });
+
+      const collectionsStore = ensureStore(database, transaction, 'collections', { keyPath: 'id' });
+      ensureIndex(collectionsStore, 'name', 'name', { unique: false });
+      ensureIndex(collectionsStore, 'createdAt', 'createdAt', { unique: false });
+
+      const nestsStore = ensureStore(database, transaction, 'nests', { keyPath: 'id' });
+      ensureIndex(nestsStore, 'collectionId', 'collectionId', { unique: false });
+      ensureIndex(nestsStore, 'parentId', 'parentId', { unique: false });
+      ensureIndex(nestsStore, 'name', 'name', { unique: false });
+
+      const highlightsStore = ensureStore(database, transaction, 'highlights', { keyPath: 'id' });
+      ensureIndex(highlightsStore, 'wingId', 'wingId', { unique: false });
+      ensureIndex(highlightsStore, 'timestamp', 'timestamp', { unique: false });
+    },
+  },
+  {
+    version: 2,
+    name: 'Wings in multiple collections and nests',
+    schema(database, transaction) {
+      const wingsStore = transaction.objectStore('wings');
+      deleteIndexIfExists(wingsStore, 'collectionId');
+      deleteIndexIfExists(wingsStore, 'nestId');
+      ensureIndex(wingsStore, 'collectionIds', 'collectionIds', { unique: false, multiEntry: true });
+      ensureIndex(wingsStore, 'nestIds', 'nestIds', { unique: false, multiEntry: true });
+    },
+    data: {
+      stores: ['wings'],
+      run: (transaction) => updateEachRecord(transaction.objectStore('wings'), migrateWingMemberships),
+    },
+  },
+  {
+    version: 3,
+    name: 'Connections',
+    schema(database, transaction) {
+      const connectionsStore = ensureStore(database, transaction, 'connections', { keyPath: 'id' });
+      ensureIndex(connectionsStore, 'wingId1', 'wingId1', { unique: false });
+      ensureIndex(connectionsStore, 'wingId2', 'wingId2', { unique: false });
+      ensureIndex(connectionsStore, 'score', 'score', { unique: false });
+      ensureIndex(connectionsStore, 'analyzedAt', 'analyzedAt', { unique: false });
+    },
+  },
+  {
+    version: 4,
+    name: 'Full-text search index',
+    schema(database, transaction) {
+      const searchIndexStore = ensureStore(database, transaction, 'searchIndex', { keyPath: 'wingId' });
+      ensureIndex(searchIndexStore, 'terms', 'terms', { unique: false, multiEntry: true });
+      ensureStore(database, transaction, 'meta', { keyPath: 'key' });
+    },
+    data: {
+      stores: ['wings', 'highlights', 'searchIndex', 'meta'],
+      async run(transaction) {
+        const [wings, highlights] = await Promise.all([
+          requestResult(transaction.objectStore('wings').getAll()),
+          requestResult(transaction.objectStore('highlights').getAll()),
+        ]);
+        const { entries, stats } = buildIndex(wings, highlights);
+
+        const indexStore = transaction.objectStore('searchIndex');
+        indexStore.clear();
+        entries.forEach((entry) => indexStore.put(entry));
+        transaction.objectStore('meta').put({ key: 'searchStats', ...stats });
+      },
+    },
+  },
+  {
+    version: 5,
+    name: 'Tags',
+    schema(database, transaction) {
+      const tagsStore = ensureStore(database, transaction, 'tags', { keyPath: 'id' });
+      ensureIndex(tagsStore, 'name', 'name', { unique: false });
+      ensureIndex(transaction.objectStore('wings'), 'tagIds', 'tagIds', { unique: false, multiEntry: true });
+    },
+    data: {
+      stores: ['wings'],
+      run: (transaction) => updateEachRecord(transaction.objectStore('wings'), defaultWingTags),
+    },
+  },
+  {
+    version: 6,
+    name: 'Trash',
+    schema(database, transaction) {
+      const trashStore = ensureStore(database, transaction, 'trash', { keyPath: 'id' });
+      ensureIndex(trashStore, 'deletedAt', 'deletedAt', { unique: false });
+    },
+  },
+  {
+    version: 7,
+    name: 'Undo journal',
+    schema(database, transaction) {
+      const journalStore = ensureStore(database, transaction, 'journal', { keyPath: 'seq', autoIncrement: true });
+      ensureIndex(journalStore, 'status', 'status', { unique: false });
+    },
+  },
+  {
+    version: 8,
+    name: 'Canonical URLs',
+    schema(database, transaction) {
+      ensureIndex(transaction.objectStore('wings'), 'canonicalUrl', 'canonicalUrl', { unique: false });
+    },
+    data: {
+      stores: ['wings'],
+      run: (transaction) => updateEachRecord(transaction.objectStore('wings'), defaultCanonicalUrl),
+    },
+  },
+  {
+    version: 9,
+    name: 'Title sort index',
+    schema(database, transaction) {
+      ensureIndex(transaction.objectStore('wings'), 'sortTitle', 'sortTitle', { unique: false });
+    },
+    data: {
+      stores: ['wings'],
+      run: (transaction) => updateEachRecord(transaction.objectStore('wings'), syncSortTitle),
+    },
+  },
+  {
+    version: 10,
+    name: 'Sync state',
+    schema(database, transaction) {
+      const syncStore = ensureStore(database, transaction, 'sync', { keyPath: 'key' });
+      ensureIndex(syncStore, 'updatedAt', 'updatedAt', { unique: false });
+    },
+  },
+  {
+    version: 11,
+    name: 'Manual order',
+    schema(database, transaction) {
+      ensureIndex(transaction.objectStore('wings'), 'position', 'position', { unique: false });
+    },
+    data: {
+      stores: ['collections', 'nests', 'wings'],
+      async run(transaction) {
+        for (const store of ['collections', 'nests', 'wings']) {
+          await updateEachRecord(transaction.objectStore(store), (record) => defaultPosition(store, record));
+        }
+      },
+    },
+  },
+  {
+    version: 12,
+    name: 'Reading status',
+    schema(database, transaction) {
+      ensureIndex(transaction.objectStore('wings'), 'status', 'status', { unique: false });
+    },
+    data: {
+      stores: ['wings'],
+      run: (transaction) => updateEachRecord(transaction.objectStore('wings'), defaultWingStatus),
+    },
+  },
+  {
+    version: 13,
+    name: 'Review schedule',
+    schema(database, transaction) {
+      for (const store of ['highlights', 'wings']) {
+        ensureIndex(transaction.objectStore(store), 'reviewDueAt', 'review.dueAt', { unique: false });
+      }
+    },
+    data: {
+      stores: ['highlights', 'wings'],
+      async run(transaction) {
+        for (const store of ['highlights', 'wings']) {
+          await updateEachRecord(transaction.objectStore(store), (record) => defaultReview(store, record));
+        }
+      },
+    },
+  },
+  {
+    version: 14,
+    name: 'Modification times',
+    schema() {
+      // Data only: records get an updatedAt
+    },
+    data: {
+      stores: ['collections', 'nests', 'wings', 'highlights', 'tags'],
+      async run(transaction) {
+        for (const store of ['collections', 'nests', 'wings', 'highlights', 'tags']) {
+          await updateEachRecord(transaction.objectStore(store), defaultUpdatedAt);
+        }
+      },
+    },
+  },
+];
+
+// Version the registry upgrades to
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ============================================
+// RECORD UPGRADES
+// ============================================
+
+/**
+ * Move a wing's single collectionId/nestId into the collectionIds/nestIds arrays
+ * @param {Object} wing - Wing record (modified in place)
+ * @returns {boolean} Whether the wing changed
+ */
+function migrateWingMemberships(wing) {
+  let changed = false;
+
+  if (wing.collectionId !== undefined || !wing.collectionIds) {
+    wing.collectionIds = wing.collectionId ? [wing.collectionId] : [];
+    delete wing.collectionId;
+    changed = true;
+  }
+
+  if (wing.nestId !== undefined || !wing.nestIds) {
+    wing.nestIds = wing.nestId ? [wing.nestId] : [];
+    delete wing.nestId;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Give wings saved before tags existed an empty tag list
+ * @param {Object} wing - Wing record (modified in place)
+ * @returns {boolean} Whether the wing changed
+ */
+function defaultWingTags(wing) {
+  if (wing.tagIds) return false;
+  wing.tagIds = [];
+  return true;
+}
+
+/**
+ * Give wings saved before canonical URLs existed one derived from their URL
+ * @param {Object} wing - Wing record (modified in place)
+ * @returns {boolean} Whether the wing changed
+ */
+function defaultCanonicalUrl(wing) {
+  if (wing.canonicalUrl) return false;
+  wing.canonicalUrl = canonicalizeUrl(wing.url);
+  return true;
+}
+
+/**
+ * Give wings saved before reading status existed the status of a new wing
+ * @param {Object} wing - Wing record (modified in place)
+ * @returns {boolean} Whether the wing changed
+ */
+function defaultWingStatus(wing) {
+  if (wing.status) return false;
+  wing.status = 'unread';
+  return true;
+}
+
+/**
+ * Get the key wings are sorted by when ordering by title
+ * @param {Object} wing - Wing record
+ * @returns {string} Lowercased title
+ */
+export function getSortTitle(wing) {
+  return (wing.title || '').toLowerCase();
+}
+
+/**
+ * Keep a wing's sortTitle in step with its title
+ * @param {Object} wing - Wing record (modified in place)
+ * @returns {boolean} Whether the wing changed
+ */
+function syncSortTitle(wing) {
+  const sortTitle = getSortTitle(wing);
+  if (wing.sortTitle === sortTitle) return false;
+  wing.sortTitle = sortTitle;
+  return true;
+}
+
+/**
+ * Give records saved before manual ordering existed their default position
+ * @param {string} store - 'collections' | 'nests' | 'wings'
+ * @param {Object} record - Record (modified in place)
+ * @returns {boolean} Whether the record changed
+ */
+function defaultPosition(store, record) {
+  if (typeof record.position === 'number') return false;
+  record.position = getDefaultPosition(store, record);
+  return true;
+}
+
+/**
+ * Give records saved before reviews existed their first review schedule
+ * @param {string} store - 'highlights' | 'wings'
+ * @param {Object} record - Record (modified in place)
+ * @returns {boolean} Whether the record changed
+ */
+function defaultReview(store, record) {
+  if (record.review) return false;
+  record.review = getDefaultReview(store, record);
+  return true;
+}
+
+/**
+ * Give records saved before modification times existed one, their creation time
+ * @param {Object} record - Collection, nest, wing, highlight or tag (modified in place)
+ * @returns {boolean} Whether the record changed
+ */
+function defaultUpdatedAt(record) {
+  if (typeof record.updatedAt === 'number') return false;
+  record.updatedAt = record.timestamp ?? record.createdAt ?? 0;
+  return true;
+}
+
+/**
+ * Bring a wing record from any past version up to the current shape
+ * Used for records that arrive outside a migration, such as imports.
+ * @param {Object} wing - Wing record
+ * @returns {Object} Upgraded copy of the wing
+ */
+export function upgradeWingRecord(wing) {
+  const upgraded = { ...wing };
+  migrateWingMemberships(upgraded);
+  defaultWingTags(upgraded);
+  defaultCanonicalUrl(upgraded);
+  syncSortTitle(upgraded);
+  defaultPosition('wings', upgraded);
+  defaultWingStatus(upgraded);
+  defaultReview('wings', upgraded);
+  defaultUpdatedAt(upgraded);
+  return upgraded;
+}
+
+/**
+ * Bring any library record from a past version up to the current shape
+ * @param {string} store - Library store the record belongs to
+ * @param {Object} record - Record
+ * @returns {Object} Upgraded copy of the record
+ */
+export function upgradeLibraryRecord(store, record) {
+  if (store === 'wings') return upgradeWingRecord(record);
+
+  const upgraded = { ...record };
+  if (store === 'collections' || store === 'nests') defaultPosition(store, upgraded);
+  if (store === 'highlights') defaultReview(store, upgraded);
+  if (['collections', 'nests', 'highlights', 'tags'].includes(store)) defaultUpdatedAt(upgraded);
+  return upgraded;
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * Run the schema step of every migration newer than oldVersion
+ * Must be called from onupgradeneeded. Data steps of the upgraded versions are
+ * queued in the migrations record and run later by runPendingMigrations.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+export function applySchemaMigrations(database, transaction, oldVersion) {
+  const steps = MIGRATIONS.filter((migration) => migration.version > oldVersion);
+  steps.forEach((migration) => migration.schema(database, transaction));
+
+  const metaStore = transaction.objectStore('meta');
+  const request = metaStore.get(MIGRATIONS_KEY);
+  request.onsuccess = () => {
+    const record = request.result || createMigrationsRecord(oldVersion);
+    const now = Date.now();
+
+    steps.forEach((migration) => {
+      // A new database has no data to migrate
+      if (migration.data && oldVersion > 0) {
+        if (!record.pending.includes(migration.version)) record.pending.push(migration.version);
+      } else {
+        markApplied(record, migration, now);
+      }
+    });
+
+    record.pending.sort((a, b) => a - b);
+    metaStore.put(record);
+  };
+}
+
+/**
+ * Run queued data steps in version order, each in its own transaction
+ * @param {IDBDatabase} database - Open database
+ * @returns {Promise<Array<number>>} Versions whose data steps ran
+ */
+export async function runPendingMigrations(database) {
+  const record = await readMigrationsRecord(database);
+  const ran = [];
+
+  for (const version of record.pending) {
+    const migration = MIGRATIONS.find((m) => m.version === version);
+    const transaction = database.transaction([...new Set([...migration.data.stores, 'meta'])], 'readwrite');
+    const done = transactionDone(transaction);
+
+    try {
+      await migration.data.run(transaction);
+
+      const metaStore = transaction.objectStore('meta');
+      const current = await requestResult(metaStore.get(MIGRATIONS_KEY));
+      current.pending = current.pending.filter((v) => v !== version);
+      markApplied(current, migration, Date.now());
+      metaStore.put(current);
+
+      await done;
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch {
+        // Already committed or aborted
+      }
+      await done.catch(() => {});
+      throw new Error(`Migration ${version} (${migration.name}) failed: ${error.message || error}`);
+    }
+
+    ran.push(version);
+  }
+
+  return ran;
+}
+
+/**
+ * Read the migrations record, creating it for databases that predate it
+ * @param {IDBDatabase} database - Open database
+ * @returns {Promise<Object>} Record ({ key, applied, pending })
+ */
+export async function readMigrationsRecord(database) {
+  const transaction = database.transaction('meta', 'readwrite');
+  const done = transactionDone(transaction);
+  const metaStore = transaction.objectStore('meta');
+
+  let record = await requestResult(metaStore.get(MIGRATIONS_KEY));
+  if (!record) {
+    record = createMigrationsRecord(database.version);
+    metaStore.put(record);
+  }
+
+  await done;
+  return record;
+}
+
+/**
+ * Create a migrations record for a database already at a version
+ * Versions reached before migrations were tracked have no appliedAt.
+ * @param {number} version - Current database version
+ * @returns {Object} Record ({ key, applied, pending })
+ */
+function createMigrationsRecord(version) {
+  const record = { key: MIGRATIONS_KEY, applied: [], pending: [] };
+  MIGRATIONS
+    .filter((migration) => migration.version <= version)
+    .forEach((migration) => markApplied(record, migration, null));
+  return record;
+}
+
+/**
+ * Add a migration to a record's applied list
+ * @param {Object} record - Migrations record (modified in place)
+ * @param {Object} migration - Migration from the registry
+ * @param {number|null} appliedAt - Timestamp, or null if unknown
+ */
+function markApplied(record, migration, appliedAt) {
+  if (record.applied.some((entry) => entry.version === migration.version)) return;
+  record.applied.push({ version: migration.version, name: migration.name, appliedAt });
+  record.applied.sort((a, b) => a.version - b.version);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Create a store unless the database already has it
+ * @returns {IDBObjectStore} The new or existing store
+ */
+function ensureStore(database, transaction, name, options) {
+  return database.objectStoreNames.contains(name)
+    ? transaction.objectStore(name)
+    : database.createObjectStore(name, options);
+}
+
+/**
+ * Create an index unless the store already has it
+ */
+function ensureIndex(store, name, keyPath, options) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, options);
+  }
+}
+
+/**
+ * Delete an index if the store has it
+ */
+function deleteIndexIfExists(store, name) {
+  if (store.indexNames.contains(name)) {
+    store.deleteIndex(name);
+  }
+}
+
+/**
+ * Apply an in-place upgrade to every record in a store, writing back changed ones
+ * @param {IDBObjectStore} store - Store to update
+ * @param {Function} upgrade - (record) => boolean, true if the record changed
+ */
+async function updateEachRecord(store, upgrade) {
+  const records = await requestResult(store.getAll());
+  records.forEach((record) => {
+    if (upgrade(record)) store.put(record);
+  });
+}
+
+/**
+ * Wrap IDBRequest in a Promise
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
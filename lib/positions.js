@@ -0,0 +1,71 @@
+/**
+ * Wing - Manual Order
+ * Fractional positions for ordering collections, nests and wings by hand.
+ * A moved record takes a position between its new neighbours, so a reorder
+ * writes one record instead of renumbering the list.
+ */
+
+/**
+ * Get the position a record has before it is ever moved
+ * Collections and nests start in the order they were created. Wings start
+ * newest first, so a new wing lands at the top of the manual order.
+ * @param {string} store - 'collections' | 'nests' | 'wings'
+ * @param {Object} record - Record without a position
+ * @returns {number} Position
+ */
+export function getDefaultPosition(store, record) {
+  if (store === 'wings') return record.timestamp ? -record.timestamp : 0;
+  return record.createdAt || 0;
+}
+
+/**
+ * Get a record's position, falling back to its default
+ * @param {string} store - 'collections' | 'nests' | 'wings'
+ * @param {Object} record - Collection, nest or wing
+ * @returns {number} Position
+ */
+export function getPosition(store, record) {
+  return typeof record.position === 'number' ? record.position : getDefaultPosition(store, record);
+}
+
+/**
+ * Sort records into their manual order, ties broken by ID
+ * @param {string} store - 'collections' | 'nests' | 'wings'
+ * @param {Array<Object>} records - Records to sort (not modified)
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortByPosition(store, records) {
+  return [...records].sort(
+    (a, b) => getPosition(store, a) - getPosition(store, b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+}
+
+/**
+ * Get a position between two others
+ * @param {number|null} before - Position of the record before (null at the start)
+ * @param {number|null} after - Position of the record after (null at the end)
+ * @returns {number|null} Position, or null if there is no room left between them
+ */
+export function positionBetween(before, after) {
+  if (before == null && after == null) return 0;
+  if (before == null) return after - 1;
+  if (after == null) return before + 1;
+  if (!(before < after)) return null;
+
+  const middle = before + (after - before) / 2;
+  // Halving the same gap over and over runs out of floating-point precision
+  return middle > before && middle < after ? middle : null;
+}
+
+/**
+ * Spread positions evenly between two others
+ * Used to renumber a list once positionBetween runs out of room.
+ * @param {number} before - Lower bound (exclusive)
+ * @param {number} after - Upper bound (exclusive)
+ * @param {number} count - Number of positions
+ * @returns {Array<number>} Ascending positions
+ */
+export function spreadPositions(before, after, count) {
+  const step = (after - before) / (count + 1);
+  return Array.from({ length: count }, (_, i) => before + step * (i + 1));
+}
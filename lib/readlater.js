@@ -0,0 +1,307 @@
+/**
+ * Wing - Read-Later Imports
+ * Reads the exports of Pocket, Instapaper and Raindrop into backups that go
+ * through the regular import
+ */
+
+import {
+  isBookmarksHtml,
+  parseBookmarksHtml,
+  folderTreeToBackup,
+  parseAttributes,
+  decodeBookmarkText,
+} from './bookmarks.js';
+
+// Import formats with the name shown to the user
+export const IMPORT_FORMATS = {
+  backup: 'Wing backup',
+  bookmarks: 'Bookmark file',
+  pocket: 'Pocket',
+  instapaper: 'Instapaper',
+  raindrop: 'Raindrop',
+};
+
+// Instapaper's own folders, which aren't collections
+const INSTAPAPER_FOLDERS = ['unread', 'archive', 'starred'];
+
+// Raindrop's folder for bookmarks not in a collection
+const RAINDROP_UNSORTED = 'unsorted';
+
+/**
+ * Work out the format of an import file from its contents
+ * @param {string} text - File contents
+ * @returns {string|null} Key of IMPORT_FORMATS, or null if unknown
+ */
+export function detectImportFormat(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+
+  if (start.startsWith('{')) return 'backup';
+  if (isBookmarksHtml(start)) return 'bookmarks';
+  if (/<title>\s*Pocket Export\s*<\/title>/i.test(start)) return 'pocket';
+
+  const [header = []] = parseCsvRecords(start.split(/\r?\n/, 1)[0]);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const hasColumns = (...names) => names.every((name) => columns.includes(name));
+  if (hasColumns('url', 'title', 'selection', 'folder', 'timestamp')) return 'instapaper';
+  if (hasColumns('url', 'folder', 'tags', 'created')) return 'raindrop';
+  if (hasColumns('url', 'title', 'time_added', 'tags')) return 'pocket';
+
+  return null;
+}
+
+/**
+ * Read a read-later export into a backup
+ * @param {string} format - 'pocket', 'instapaper', 'raindrop' or 'bookmarks' (see detectImportFormat)
+ * @param {string} text - File contents
+ * @returns {Object} { backup, skipped } - skipped counts entries without a web page URL
+ */
+export function parseReadLaterExport(format, text) {
+  switch (format) {
+    case 'bookmarks':
+      return parseBookmarksHtml(text);
+    case 'pocket':
+      return /^\s*</.test(text) ? parsePocketHtml(text) : parsePocketCsv(text);
+    case 'instapaper':
+      return parseInstapaperCsv(text);
+    case 'raindrop':
+      return isBookmarksHtml(text) ? parseBookmarksHtml(text) : parseRaindropCsv(text);
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+}
+
+// ============================================
+// POCKET
+// ============================================
+
+/**
+ * Read Pocket's HTML export
+ * Pocket has no folders; its tags become tags.
+ * @param {string} html - Export contents
+ * @returns {Object} { backup, skipped }
+ */
+export function parsePocketHtml(html) {
+  const root = createRoot();
+  for (const [, attributeText, title] of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+    const attributes = parseAttributes(attributeText);
+    root.bookmarks.push(createBookmark({
+      url: attributes.HREF,
+      title: decodeBookmarkText(title.replace(/<[^>]*>/g, '')).trim(),
+      addedAt: parseTimestamp(attributes.TIME_ADDED),
+      tags: splitList(attributes.TAGS, ','),
+    }));
+  }
+  return folderTreeToBackup(root);
+}
+
+/**
+ * Read Pocket's CSV export (title, url, time_added, tags, status)
+ * Tags are separated by "|".
+ * @param {string} text - Export contents
+ * @returns {Object} { backup, skipped }
+ */
+export function parsePocketCsv(text) {
+  const root = createRoot();
+  for (const row of parseCsv(text)) {
+    root.bookmarks.push(createBookmark({
+      url: row.url,
+      title: row.title,
+      addedAt: parseTimestamp(row.time_added),
+      tags: splitList(row.tags, '|'),
+    }));
+  }
+  return folderTreeToBackup(root);
+}
+
+// ============================================
+// INSTAPAPER
+// ============================================
+
+/**
+ * Read Instapaper's CSV export (URL, Title, Selection, Folder, Timestamp, and Tags in newer exports)
+ * Folders become collections, except Instapaper's own Unread and Archive;
+ * Starred becomes a tag. The selection becomes the summary.
+ * @param {string} text - Export contents
+ * @returns {Object} { backup, skipped }
+ */
+export function parseInstapaperCsv(text) {
+  const root = createRoot();
+  for (const row of parseCsv(text)) {
+    const folder = (row.folder || '').trim();
+    const tags = parseInstapaperTags(row.tags);
+    if (folder.toLowerCase() === 'starred') tags.push('Starred');
+
+    const bookmark = createBookmark({
+      url: row.url,
+      title: row.title,
+      addedAt: parseTimestamp(row.timestamp),
+      tags,
+      description: row.selection,
+    });
+
+    if (folder && !INSTAPAPER_FOLDERS.includes(folder.toLowerCase())) {
+      getFolder(root, [folder]).bookmarks.push(bookmark);
+    } else {
+      root.bookmarks.push(bookmark);
+    }
+  }
+  return folderTreeToBackup(root);
+}
+
+// Tags are a JSON list of names, or of { name } in some exports
+function parseInstapaperTags(value) {
+  if (!value || !value.trim()) return [];
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags)
+      ? tags.map((tag) => (typeof tag === 'string' ? tag : tag?.name)).filter(Boolean)
+      : [];
+  } catch {
+    return splitList(value, ',');
+  }
+}
+
+// ============================================
+// RAINDROP
+// ============================================
+
+/**
+ * Read Raindrop's CSV export (id, title, note, excerpt, url, folder, tags, created, ...)
+ * The folder path ("Design/Inspiration") becomes a collection and nests,
+ * except Unsorted. The excerpt, or else the note, becomes the summary.
+ * @param {string} text - Export contents
+ * @returns {Object} { backup, skipped }
+ */
+export function parseRaindropCsv(text) {
+  const root = createRoot();
+  for (const row of parseCsv(text)) {
+    const bookmark = createBookmark({
+      url: row.url,
+      title: row.title,
+      addedAt: parseTimestamp(row.created),
+      tags: splitList(row.tags, ','),
+      description: row.excerpt || row.note,
+    });
+
+    const path = splitList(row.folder, '/');
+    if (path.length > 0 && !(path.length === 1 && path[0].toLowerCase() === RAINDROP_UNSORTED)) {
+      getFolder(root, path).bookmarks.push(bookmark);
+    } else {
+      root.bookmarks.push(bookmark);
+    }
+  }
+  return folderTreeToBackup(root);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function createRoot() {
+  return { folders: [], bookmarks: [] };
+}
+
+function createBookmark({ url, title, addedAt, tags = [], description, icon }) {
+  return {
+    url: (url || '').trim(),
+    title: (title || '').trim(),
+    addedAt,
+    icon: icon || null,
+    tags,
+    description: (description || '').trim(),
+  };
+}
+
+/**
+ * Find or create the folder at a path below the root
+ */
+function getFolder(root, path) {
+  let folder = root;
+  for (const name of path) {
+    let child = folder.folders.find((f) => f.name === name);
+    if (!child) {
+      child = { name, description: '', addedAt: null, folders: [], bookmarks: [] };
+      folder.folders.push(child);
+    }
+    folder = child;
+  }
+  return folder;
+}
+
+function splitList(value, separator) {
+  return (value || '').split(separator).map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an export timestamp: Unix seconds, milliseconds or an ISO date
+ * @returns {number|null} Milliseconds, or null if missing or invalid
+ */
+export function parseTimestamp(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    // Seconds until the year 5138
+    return number < 1e11 ? number * 1000 : number;
+  }
+
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by lower-case column name
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows
+ */
+export function parseCsv(text) {
+  const [header = [], ...records] = parseCsvRecords(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return records.map((values) => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])));
+}
+
+/**
+ * Split CSV into records of fields
+ * Handles quoted fields with commas, quotes and line breaks; blank lines are dropped.
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => r.some((value) => value.trim()));
+}
@@ -0,0 +1,158 @@
+/**
+ * Wing - Review
+ * Spaced repetition for highlights, and optionally for old wings, using the
+ * SM-2 algorithm: each successful review pushes the next one further out,
+ * by a factor that grows or shrinks with how easy the recall was.
+ */
+
+export const REVIEW_ALARM = 'wing-review-reminder';
+
+// Grades offered after each review, weakest first
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+// SM-2 recall quality (0-5) of each grade; below 3 counts as forgotten
+const GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+// Ease factor of a record that hasn't been reviewed, and the lowest it can fall to
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after saving before a record first comes up: highlights are reviewed
+// the next day, while wings only resurface once they've gone quiet
+const FIRST_REVIEW_DAYS = {
+  highlights: 1,
+  wings: 30,
+};
+
+export const DEFAULT_REVIEW_SETTINGS = {
+  reminders: true,
+  reminderHour: 9,
+  resurfaceWings: false,
+  sessionSize: 20,
+};
+
+// chrome.storage.local key of the settings ({ reminders, reminderHour, resurfaceWings, sessionSize })
+const SETTINGS_KEY = 'reviewSettings';
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Get the review schedule a record starts with
+ * @param {string} store - 'highlights' | 'wings'
+ * @param {Object} record - Highlight or wing, with its timestamp
+ * @returns {Object} { ease, interval, repetitions, dueAt }
+ */
+export function getDefaultReview(store, record) {
+  const savedAt = record.timestamp || Date.now();
+  return {
+    ease: INITIAL_EASE,
+    interval: 0,
+    repetitions: 0,
+    dueAt: savedAt + FIRST_REVIEW_DAYS[store] * DAY_MS,
+  };
+}
+
+/**
+ * Work out the next review after grading one
+ * A forgotten record starts over a day later; a recalled one waits 1 day,
+ * then 6, then the previous interval times its ease.
+ * @param {Object} review - Current schedule ({ ease, interval, repetitions })
+ * @param {string} grade - One of REVIEW_GRADES
+ * @param {number} [now] - Time of the review
+ * @returns {Object} New schedule ({ ease, interval, repetitions, dueAt, reviewedAt }), interval in days
+ */
+export function scheduleReview(review, grade, now = Date.now()) {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) throw new Error(`Unknown grade: ${grade}`);
+
+  const { ease = INITIAL_EASE, interval = 0, repetitions = 0 } = review || {};
+  const nextEase = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  let nextInterval;
+  let nextRepetitions;
+  if (quality < 3) {
+    nextInterval = 1;
+    nextRepetitions = 0;
+  } else {
+    nextInterval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+    nextRepetitions = repetitions + 1;
+  }
+
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    dueAt: now + nextInterval * DAY_MS,
+    reviewedAt: now,
+  };
+}
+
+// ============================================
+// SETTINGS & REMINDERS
+// ============================================
+
+/**
+ * Get the review settings
+ * @returns {Promise<Object>} { reminders, reminderHour, resurfaceWings, sessionSize }
+ */
+export async function getReviewSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_REVIEW_SETTINGS, ...result[SETTINGS_KEY] };
+}
+
+/**
+ * Change the review settings and reschedule the reminder
+ * @param {Object} changes - { reminders, reminderHour, resurfaceWings, sessionSize }
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveReviewSettings(changes) {
+  const settings = { ...(await getReviewSettings()), ...changes };
+  const hour = Math.floor(Number(settings.reminderHour));
+  if (!(hour >= 0 && hour <= 23)) {
+    throw new Error(`Invalid reminder hour: ${settings.reminderHour}`);
+  }
+  settings.reminderHour = hour;
+  settings.reminders = Boolean(settings.reminders);
+  settings.resurfaceWings = Boolean(settings.resurfaceWings);
+  settings.sessionSize = Math.max(1, Math.floor(Number(settings.sessionSize)) || DEFAULT_REVIEW_SETTINGS.sessionSize);
+
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await scheduleReviewReminder({ reschedule: true });
+  return settings;
+}
+
+/**
+ * Create or clear the daily reminder alarm to match the settings
+ * @param {Object} [options]
+ * @param {boolean} [options.reschedule] - Replace an existing alarm (after the hour changed)
+ */
+export async function scheduleReviewReminder({ reschedule = false } = {}) {
+  const { reminders, reminderHour } = await getReviewSettings();
+  if (!reminders) {
+    await chrome.alarms.clear(REVIEW_ALARM);
+    return;
+  }
+  if (!reschedule && (await chrome.alarms.get(REVIEW_ALARM))) return;
+
+  chrome.alarms.create(REVIEW_ALARM, {
+    when: getNextReminderTime(reminderHour),
+    periodInMinutes: 24 * 60,
+  });
+}
+
+/**
+ * Get the next time the clock reaches an hour of the day
+ * @param {number} hour - Local hour (0-23)
+ * @param {number} [now] - Current time
+ * @returns {number} Timestamp, today if the hour is still ahead or tomorrow
+ */
+export function getNextReminderTime(hour, now = Date.now()) {
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
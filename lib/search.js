@@ -0,0 +1,207 @@
+/**
+ * Wing - Full-Text Search
+ * Tokenization and BM25 ranking for the persistent search index
+ */
+
+// Searchable fields and their relative weights (BM25F-style field boosting)
+export const SEARCH_FIELDS = {
+  title: 3,
+  url: 1,
+  summary: 2,
+  notes: 2,
+  highlights: 1.5,
+  fullContent: 1,
+};
+
+// BM25 tuning parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Terms longer than this are almost always noise (hashes, base64, etc.)
+const MAX_TERM_LENGTH = 40;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our',
+  'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into normalized search terms
+ * Lowercases, strips diacritics and drops stopwords and single characters
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in document order (may contain duplicates)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1 && term.length <= MAX_TERM_LENGTH && !STOPWORDS.has(term));
+}
+
+/**
+ * Get the searchable text of each field for a wing
+ * @param {Object} wing - Wing record
+ * @param {Array} highlights - Highlights belonging to the wing
+ * @returns {Object} Map of field name to text
+ */
+function getFieldTexts(wing, highlights = []) {
+  return {
+    title: wing.title || '',
+    url: wing.url || '',
+    summary: wing.summary || '',
+    notes: wing.notes || '',
+    highlights: highlights
+      .map((h) => [h.selectedText, h.annotation].filter(Boolean).join(' '))
+      .join(' '),
+    fullContent: wing.fullContent || '',
+  };
+}
+
+/**
+ * Build a search index entry for a wing
+ * @param {Object} wing - Wing record
+ * @param {Array} highlights - Highlights belonging to the wing
+ * @returns {Object} Index entry ({ wingId, terms, tf, lengths })
+ */
+export function buildIndexEntry(wing, highlights = []) {
+  const texts = getFieldTexts(wing, highlights);
+  const tf = {};
+  const lengths = {};
+
+  for (const field of Object.keys(SEARCH_FIELDS)) {
+    const terms = tokenize(texts[field]);
+    lengths[field] = terms.length;
+
+    for (const term of terms) {
+      if (!tf[term]) tf[term] = {};
+      tf[term][field] = (tf[term][field] || 0) + 1;
+    }
+  }
+
+  return {
+    wingId: wing.id,
+    terms: Object.keys(tf),
+    tf,
+    lengths,
+  };
+}
+
+/**
+ * Build index entries and corpus statistics for a whole library
+ * @param {Array} wings - Wing records
+ * @param {Array} highlights - All highlight records
+ * @returns {Object} { entries, stats }
+ */
+export function buildIndex(wings, highlights = []) {
+  const highlightsByWing = new Map();
+  highlights.forEach((h) => {
+    if (!highlightsByWing.has(h.wingId)) highlightsByWing.set(h.wingId, []);
+    highlightsByWing.get(h.wingId).push(h);
+  });
+
+  let stats = createEmptyStats();
+  const entries = wings.map((wing) => {
+    const entry = buildIndexEntry(wing, highlightsByWing.get(wing.id) || []);
+    stats = updateStats(stats, undefined, entry);
+    return entry;
+  });
+
+  return { entries, stats };
+}
+
+/**
+ * Create empty corpus statistics
+ * @returns {Object} Stats ({ docCount, totalLengths })
+ */
+export function createEmptyStats() {
+  const totalLengths = {};
+  for (const field of Object.keys(SEARCH_FIELDS)) {
+    totalLengths[field] = 0;
+  }
+  return { docCount: 0, totalLengths };
+}
+
+/**
+ * Apply an index entry change to corpus statistics
+ * @param {Object} stats - Current stats (not mutated)
+ * @param {Object|undefined} oldEntry - Entry being replaced or removed
+ * @param {Object|undefined} newEntry - Entry being added
+ * @returns {Object} Updated stats
+ */
+export function updateStats(stats, oldEntry, newEntry) {
+  const base = createEmptyStats();
+  const next = {
+    docCount: stats?.docCount || 0,
+    totalLengths: { ...base.totalLengths, ...stats?.totalLengths },
+  };
+
+  if (oldEntry) {
+    next.docCount--;
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      next.totalLengths[field] -= oldEntry.lengths?.[field] || 0;
+    }
+  }
+
+  if (newEntry) {
+    next.docCount++;
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      next.totalLengths[field] += newEntry.lengths?.[field] || 0;
+    }
+  }
+
+  next.docCount = Math.max(0, next.docCount);
+  return next;
+}
+
+/**
+ * Rank index entries against query terms using BM25F
+ * @param {Array<string>} queryTerms - Normalized query terms
+ * @param {Map<string, Array>} postings - Map of term to the entries containing it
+ * @param {Object} stats - Corpus statistics ({ docCount, totalLengths })
+ * @returns {Array<Object>} Ranked results ({ wingId, score, matchedFields }), best first
+ */
+export function rankEntries(queryTerms, postings, stats) {
+  const docCount = Math.max(stats?.docCount || 0, 1);
+  const avgLengths = {};
+  for (const field of Object.keys(SEARCH_FIELDS)) {
+    avgLengths[field] = (stats?.totalLengths?.[field] || 0) / docCount || 1;
+  }
+
+  const results = new Map();
+
+  for (const term of queryTerms) {
+    const entries = postings.get(term) || [];
+    if (entries.length === 0) continue;
+
+    const idf = Math.log(1 + (docCount - entries.length + 0.5) / (entries.length + 0.5));
+
+    for (const entry of entries) {
+      const termFreqs = entry.tf[term] || {};
+      let weightedTf = 0;
+
+      for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+        const freq = termFreqs[field] || 0;
+        if (!freq) continue;
+        const lengthNorm = 1 - B + B * ((entry.lengths[field] || 0) / avgLengths[field]);
+        weightedTf += (weight * freq) / lengthNorm;
+      }
+
+      if (weightedTf === 0) continue;
+
+      const result = results.get(entry.wingId) || { wingId: entry.wingId, score: 0, matchedFields: [] };
+      result.score += idf * ((weightedTf * (K1 + 1)) / (weightedTf + K1));
+      for (const field of Object.keys(termFreqs)) {
+        if (!result.matchedFields.includes(field)) result.matchedFields.push(field);
+      }
+      results.set(entry.wingId, result);
+    }
+  }
+
+  return [...results.values()].sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,466 @@
+/**
+ * Wing - Sync
+ * Keeps the library in step across devices through a copy kept on a remote
+ * backend. Each sync merges the local records with the remote copy field by
+ * field, the most recent change winning, and writes the result to both sides.
+ * When the library is encrypted, the remote copy is too: its sensitive fields
+ * are sealed with the library key, and only devices with that key can sync.
+ */
+
+import * as db from './db.js';
+import { IMPORT_CATEGORIES } from './import.js';
+import {
+  isSealed,
+  sealValue,
+  openValue,
+  sealRecord,
+  openRecord,
+  getKeyCheck,
+  matchesKeyCheck,
+} from './encryption.js';
+
+export const SYNC_ALARM = 'wing-sync';
+const SYNC_INTERVAL_MINUTES = 15;
+
+// chrome.storage.local key of the settings ({ enabled, backend, url, username, password })
+const SETTINGS_KEY = 'syncSettings';
+
+// chrome.storage.local key of the last result ({ lastSyncedAt, lastAttemptAt, lastError, pulled, pushed, conflicts })
+const STATUS_KEY = 'syncStatus';
+
+// Marks a remote copy, and the version of its layout (2 added encrypted copies)
+const SYNC_FORMAT = 'wing-sync';
+const SYNC_FORMAT_VERSION = 2;
+
+// File the WebDAV backend keeps the remote copy in
+const SYNC_FILE_NAME = 'wing-sync.json';
+
+// Attempts before giving up when the library or the remote copy changes mid-sync
+const MAX_SYNC_ATTEMPTS = 3;
+
+export const DEFAULT_SYNC_SETTINGS = {
+  enabled: false,
+  backend: 'webdav',
+  url: '',
+  username: '',
+  password: '',
+};
+
+/**
+ * Error for sync failures
+ * code is 'NOT_CONFIGURED', 'NETWORK', 'AUTH', 'REMOTE', 'INVALID', 'CONFLICT' or 'KEY'
+ */
+export class SyncError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SyncError';
+    this.code = code;
+  }
+}
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * Remote backends by name. create(settings) returns a backend with:
+ * - read(): Promise<{ snapshot, version }|null>, the remote copy or null if there is none
+ * - write(snapshot, previous): Promise, replacing the copy read as previous (null to
+ *   create it); fails with a CONFLICT SyncError if it has changed since
+ */
+export const SYNC_BACKENDS = {
+  webdav: { label: 'WebDAV', create: createWebDavBackend },
+};
+
+/**
+ * Keep the remote copy as a file in a WebDAV folder
+ * ETags make sure a copy another device wrote in the meantime isn't overwritten.
+ * @param {Object} settings - { url: folder URL, username, password }
+ * @returns {Object} Backend
+ */
+export function createWebDavBackend({ url, username, password }) {
+  if (!url) throw new SyncError('Enter the address of your WebDAV folder', 'NOT_CONFIGURED');
+  const fileUrl = new URL(SYNC_FILE_NAME, url.endsWith('/') ? url : `${url}/`).href;
+  const headers = username ? { Authorization: `Basic ${encodeCredentials(username, password || '')}` } : {};
+
+  return {
+    async read() {
+      const response = await sendRequest(fileUrl, { method: 'GET', headers, cache: 'no-store' });
+      if (response.status === 404) return null;
+
+      try {
+        return { snapshot: await response.json(), version: response.headers.get('ETag') };
+      } catch {
+        throw new SyncError(`${SYNC_FILE_NAME} on the server is not a Wing sync file`, 'INVALID');
+      }
+    },
+
+    async write(snapshot, previous) {
+      const condition = !previous
+        ? { 'If-None-Match': '*' }
+        : previous.version ? { 'If-Match': previous.version } : {};
+      const response = await sendRequest(fileUrl, {
+        method: 'PUT',
+        headers: { ...headers, ...condition, 'Content-Type': 'application/json' },
+        body: JSON.stringify(snapshot),
+      });
+      if (response.status === 412) {
+        throw new SyncError('Another device synced at the same time', 'CONFLICT');
+      }
+    },
+  };
+}
+
+async function sendRequest(url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new SyncError(`Could not reach the server: ${error.message}`, 'NETWORK');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new SyncError('The server refused the user name or password', 'AUTH');
+  }
+  if (!response.ok && response.status !== 404 && response.status !== 412) {
+    throw new SyncError(`The server answered with an error (${response.status})`, 'REMOTE');
+  }
+  return response;
+}
+
+function encodeCredentials(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// ============================================
+// MERGING
+// ============================================
+
+/**
+ * Merge local and remote sync entries
+ * Live records are merged field by field: the side that changed a field last
+ * wins, and equal change times fall back to comparing the values so every
+ * device picks the same one. A deletion wins unless the record was changed
+ * after it.
+ * @param {Array<Object>} localEntries - Local entries (see db.readSyncEntries)
+ * @param {Array<Object>} remoteEntries - Entries of the remote copy
+ * @param {Object} [options]
+ * @param {number} [options.since] - Last sync; fields both sides changed after it count as conflicts
+ * @returns {Object} { entries, conflicts: [{ store, id, field, kept: 'local' | 'remote' }] }
+ */
+export function mergeSyncEntries(localEntries, remoteEntries, { since = 0 } = {}) {
+  const local = new Map(localEntries.map((entry) => [entry.key, entry]));
+  const remote = new Map(remoteEntries.map((entry) => [entry.key, entry]));
+  const entries = [];
+  const conflicts = [];
+
+  for (const key of new Set([...local.keys(), ...remote.keys()])) {
+    const mine = local.get(key);
+    const theirs = remote.get(key);
+    entries.push(mine && theirs ? mergeEntry(mine, theirs, since, conflicts) : mine || theirs);
+  }
+  return { entries, conflicts };
+}
+
+function mergeEntry(local, remote, since, conflicts) {
+  const merged = {
+    key: local.key,
+    store: local.store,
+    id: local.id,
+    fields: mergeFieldTimes(local.fields, remote.fields),
+    updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+  };
+
+  if (!local.record || !remote.record) {
+    const live = local.record ? local : remote.record ? remote : null;
+    const deletedAt = Math.max(local.deletedAt || 0, remote.deletedAt || 0);
+    if (live && (live.updatedAt || 0) > deletedAt) {
+      return { ...merged, record: live.record, deletedAt: null };
+    }
+    return { ...merged, record: null, deletedAt };
+  }
+
+  const record = {};
+  for (const field of new Set([...Object.keys(local.record), ...Object.keys(remote.record)])) {
+    // The modification time follows the latest edit on either side, not a conflict
+    if (field === 'updatedAt') {
+      record.updatedAt = Math.max(local.record.updatedAt || 0, remote.record.updatedAt || 0);
+      continue;
+    }
+
+    const localTime = local.fields?.[field] || 0;
+    const remoteTime = remote.fields?.[field] || 0;
+    const localValue = toComparable(local.record[field]);
+    const remoteValue = toComparable(remote.record[field]);
+
+    const keepLocal = localTime !== remoteTime ? localTime > remoteTime : localValue >= remoteValue;
+    if (localValue !== remoteValue && localTime > since && remoteTime > since) {
+      conflicts.push({ store: local.store, id: local.id, field, kept: keepLocal ? 'local' : 'remote' });
+    }
+
+    const value = keepLocal ? local.record[field] : remote.record[field];
+    if (value !== undefined) record[field] = value;
+  }
+  return { ...merged, record, deletedAt: null };
+}
+
+function mergeFieldTimes(a = {}, b = {}) {
+  const times = { ...a };
+  Object.entries(b).forEach(([field, time]) => {
+    times[field] = Math.max(times[field] || 0, time);
+  });
+  return times;
+}
+
+function sameEntry(a, b) {
+  if (!a || !b) return false;
+  const state = ({ record, fields, updatedAt, deletedAt }) => toComparable([record, fields, updatedAt || 0, deletedAt || null]);
+  return state(a) === state(b);
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal values compare equal
+ * whatever order their fields were written in
+ */
+function toComparable(value) {
+  return JSON.stringify(value ?? null, (key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map((name) => [name, item[name]]))
+      : item
+  ));
+}
+
+// ============================================
+// REMOTE COPY
+// ============================================
+
+/**
+ * Build the remote copy, sealing the sensitive fields when the library is encrypted
+ * @param {Array<Object>} entries - Merged entries, with plain records
+ * @param {Object|null} keyCheck - Key check of the library key (see encryption.getKeyCheck)
+ */
+async function createSnapshot(entries, keyCheck) {
+  const sealed = keyCheck
+    ? await Promise.all(entries.map(async (entry) => (
+      entry.record ? { ...entry, record: await sealRecord(entry.store, entry.record) } : entry
+    )))
+    : entries;
+  return {
+    format: SYNC_FORMAT,
+    version: SYNC_FORMAT_VERSION,
+    syncedAt: Date.now(),
+    encryption: keyCheck,
+    entries: sealed,
+  };
+}
+
+/**
+ * Read the entries of a remote copy, leaving out any that aren't library records
+ */
+function readSnapshot(snapshot) {
+  if (snapshot?.format !== SYNC_FORMAT || !Array.isArray(snapshot.entries)) {
+    throw new SyncError('The remote copy is not a Wing sync file', 'INVALID');
+  }
+  if (snapshot.version > SYNC_FORMAT_VERSION) {
+    throw new SyncError('The remote copy was made by a newer version of Wing. Update Wing to sync.', 'INVALID');
+  }
+
+  return snapshot.entries.filter((entry) =>
+    entry
+    && IMPORT_CATEGORIES.includes(entry.store)
+    && typeof entry.id === 'string'
+    && entry.key === `${entry.store}:${entry.id}`
+    && (entry.record === null || (typeof entry.record === 'object' && entry.record.id === entry.id))
+  );
+}
+
+/**
+ * Read the entries of a remote copy with their sensitive fields opened
+ * An encrypted copy can only be read with the key it was sealed with.
+ * @param {Object} snapshot - Remote copy
+ * @param {Object|null} keyCheck - Key check of the library key (see encryption.getKeyCheck)
+ */
+async function openSnapshot(snapshot, keyCheck) {
+  const entries = readSnapshot(snapshot);
+  if (!snapshot.encryption) return entries;
+
+  if (!keyCheck) {
+    throw new SyncError(
+      'The synced library is encrypted. Turn on encryption with its passphrase to sync.',
+      'KEY'
+    );
+  }
+  if (!(await matchesKeyCheck(snapshot.encryption))) {
+    throw new SyncError(
+      'The synced library is encrypted with another key. Turn encryption off, then on again with its passphrase while sync is on.',
+      'KEY'
+    );
+  }
+  return Promise.all(entries.map(async (entry) => (
+    entry.record ? { ...entry, record: await openRecord(entry.store, entry.record) } : entry
+  )));
+}
+
+/**
+ * Get the key check of the configured remote copy, so encryption can be
+ * turned on with the key the other devices use
+ * @returns {Promise<Object|null>} Key check, or null if sync is off or the remote copy isn't encrypted
+ */
+export async function readRemoteKeyCheck() {
+  const settings = await getSyncSettings();
+  if (!settings.enabled) return null;
+
+  const remote = await SYNC_BACKENDS[settings.backend].create(settings).read();
+  return remote?.snapshot?.encryption || null;
+}
+
+// ============================================
+// SYNCING
+// ============================================
+
+/**
+ * Sync the library with a backend
+ * Local changes are written first; if the library changes meanwhile, or the
+ * remote copy is written by another device before ours, the sync starts over.
+ * Records are merged in plaintext and sealed again before they are written.
+ * @param {Object} backend - Backend (see SYNC_BACKENDS)
+ * @param {Object} [options]
+ * @param {number} [options.since] - Last sync, for counting conflicts
+ * @returns {Promise<Object>} { pulled, pushed, conflicts }, the number of records
+ *   changed locally and remotely and the fields both sides had changed
+ */
+export async function syncWith(backend, { since = 0 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const localEntries = await db.readSyncEntries();
+    const keyCheck = await getKeyCheck();
+    const remote = await backend.read();
+    const remoteEntries = remote ? await openSnapshot(remote.snapshot, keyCheck) : [];
+    const { entries, conflicts } = mergeSyncEntries(localEntries, remoteEntries, { since });
+
+    const local = new Map(localEntries.map((entry) => [entry.key, entry]));
+    const remoteByKey = new Map(remoteEntries.map((entry) => [entry.key, entry]));
+    const pulled = entries.filter((entry) => !sameEntry(entry, local.get(entry.key)));
+    const pushed = entries.filter((entry) => !sameEntry(entry, remoteByKey.get(entry.key)));
+    const readAt = new Map(localEntries.map((entry) => [entry.key, entry.updatedAt]));
+
+    try {
+      if (!(await db.applySyncEntries(pulled, readAt))) {
+        throw new SyncError('The library changed during sync', 'CONFLICT');
+      }
+      // A plaintext copy left from before encryption was turned on is sealed too
+      if (pushed.length > 0 || !remote || (keyCheck && !remote.snapshot.encryption)) {
+        await backend.write(await createSnapshot(entries, keyCheck), remote);
+      }
+    } catch (error) {
+      if (error instanceof SyncError && error.code === 'CONFLICT' && attempt < MAX_SYNC_ATTEMPTS) continue;
+      throw error;
+    }
+
+    return { pulled: pulled.length, pushed: pushed.length, conflicts: conflicts.length };
+  }
+}
+
+/**
+ * Sync with the configured backend and record the result
+ * @returns {Promise<Object>} { pulled, pushed, conflicts } (see syncWith)
+ */
+export async function syncNow() {
+  const settings = await getSyncSettings();
+  if (!settings.enabled) throw new SyncError('Sync is off', 'NOT_CONFIGURED');
+
+  const status = await getSyncStatus();
+  const startedAt = Date.now();
+  try {
+    const backend = SYNC_BACKENDS[settings.backend].create(settings);
+    const result = await syncWith(backend, { since: status.lastSyncedAt || 0 });
+    await setSyncStatus({ lastSyncedAt: startedAt, lastAttemptAt: startedAt, lastError: null, ...result });
+    return result;
+  } catch (error) {
+    await setSyncStatus({ ...status, lastAttemptAt: startedAt, lastError: error.message });
+    throw error;
+  }
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Get the sync settings
+ * The password is stored encrypted when encryption is on; it reads as null while locked.
+ * @returns {Promise<Object>} { enabled, backend, url, username, password }
+ */
+export async function getSyncSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  const settings = { ...DEFAULT_SYNC_SETTINGS, ...result[SETTINGS_KEY] };
+  return { ...settings, password: await openValue(settings.password) };
+}
+
+/**
+ * Save the sync settings and schedule syncing
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveSyncSettings(changes) {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  const stored = { ...DEFAULT_SYNC_SETTINGS, ...result[SETTINGS_KEY] };
+  const settings = { ...stored, ...changes };
+  if (!SYNC_BACKENDS[settings.backend]) {
+    throw new SyncError(`Unknown sync backend: ${settings.backend}`, 'NOT_CONFIGURED');
+  }
+  // Fails if the settings are incomplete
+  if (settings.enabled) SYNC_BACKENDS[settings.backend].create({ ...settings, password: '' });
+
+  // The stored password is kept unless a new one is given (it may be sealed and Wing locked)
+  if ('password' in changes) {
+    settings.password = changes.password ? await sealValue(changes.password) : '';
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await scheduleSync();
+  return getSyncSettings();
+}
+
+/**
+ * Re-save the sync password, encrypted or in plaintext
+ * Called with resealApiKeys when encryption is turned on or off.
+ * @param {boolean} encrypt - Whether to encrypt the password
+ */
+export async function resealSyncPassword(encrypt) {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  const settings = result[SETTINGS_KEY];
+  if (!settings?.password || isSealed(settings.password) === encrypt) return;
+
+  const password = await openValue(settings.password);
+  if (password === null) return;
+  await chrome.storage.local.set({
+    [SETTINGS_KEY]: { ...settings, password: encrypt ? await sealValue(password) : password },
+  });
+}
+
+/**
+ * Create or clear the sync alarm to match the settings
+ */
+export async function scheduleSync() {
+  const { enabled } = await getSyncSettings();
+  if (!enabled) {
+    await chrome.alarms.clear(SYNC_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(SYNC_ALARM))) {
+    chrome.alarms.create(SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: SYNC_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Get the result of the last sync
+ * @returns {Promise<Object>} { lastSyncedAt, lastAttemptAt, lastError, pulled, pushed, conflicts }
+ */
+export async function getSyncStatus() {
+  const result = await chrome.storage.local.get(STATUS_KEY);
+  return { lastSyncedAt: null, lastAttemptAt: null, lastError: null, ...result[STATUS_KEY] };
+}
+
+async function setSyncStatus(status) {
+  await chrome.storage.local.set({ [STATUS_KEY]: status });
+}
@@ -308,3 +308,41 @@ export function extractDomain(url) {
     return '';
   }
 }
+
+// Query parameters that only track how a visitor arrived at a page
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ref_src', 'ref_url', 'spm', 'si',
+]);
+
+/**
+ * Reduce a URL to a canonical form for spotting duplicates
+ * Drops the fragment, tracking params (utm_* and friends), a leading "www.",
+ * default ports and a trailing slash, and sorts the remaining query params.
+ * @param {string} url - URL to canonicalize
+ * @returns {string} Canonical URL (non-http URLs are returned unchanged)
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return '';
+
+  let urlObj;
+  try {
+    urlObj = new URL(url.trim());
+  } catch {
+    return url.trim();
+  }
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    return urlObj.href;
+  }
+
+  const params = [...urlObj.searchParams]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const host = urlObj.hostname.replace(/^www\./, '');
+  const port = urlObj.port ? `:${urlObj.port}` : '';
+  const path = urlObj.pathname.replace(/\/+$/, '');
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return `${urlObj.protocol}//${host}${port}${path}${query}`;
+}
@@ -215,6 +215,58 @@ const createScriptingMock = () => {
   };
 };
 
+// Alarms mock
+const createAlarmsMock = () => {
+  let alarms = {};
+  const alarmListeners = [];
+
+  return {
+    create: (name, alarmInfo = {}) => {
+      alarms[name] = {
+        name,
+        scheduledTime: alarmInfo.when || Date.now() + (alarmInfo.delayInMinutes || alarmInfo.periodInMinutes || 0) * 60000,
+        periodInMinutes: alarmInfo.periodInMinutes,
+      };
+      return Promise.resolve();
+    },
+
+    get: (name) => Promise.resolve(alarms[name]),
+
+    getAll: () => Promise.resolve(Object.values(alarms)),
+
+    clear: (name) => {
+      const existed = name in alarms;
+      delete alarms[name];
+      return Promise.resolve(existed);
+    },
+
+    clearAll: () => {
+      alarms = {};
+      return Promise.resolve(true);
+    },
+
+    onAlarm: {
+      addListener: (callback) => {
+        alarmListeners.push(callback);
+      },
+      removeListener: (callback) => {
+        const index = alarmListeners.indexOf(callback);
+        if (index > -1) {
+          alarmListeners.splice(index, 1);
+        }
+      },
+      _listeners: alarmListeners,
+      _simulateAlarm: (name) => {
+        const alarm = alarms[name] || { name, scheduledTime: Date.now() };
+        alarmListeners.forEach(listener => listener(alarm));
+      }
+    },
+
+    // Helper for testing
+    _clearAlarms: () => { alarms = {}; }
+  };
+};
+
 // Create the complete chrome mock object
 const createChromeMock = () => {
   const storageMock = {
@@ -222,15 +274,18 @@ const createChromeMock = () => {
     sync: createStorageMock(),
     session: createStorageMock()
   };
+  const alarmsMock = createAlarmsMock();
 
   return {
     storage: storageMock,
     runtime: createRuntimeMock(),
     tabs: createTabsMock(),
     scripting: createScriptingMock(),
+    alarms: alarmsMock,
 
     // Helper to reset all mocks
     _resetAll: () => {
+      alarmsMock._clearAlarms();
       storageMock.local._clearData();
       storageMock.sync._clearData();
       storageMock.session._clearData();
@@ -242,4 +297,4 @@ const createChromeMock = () => {
 const chromeMock = createChromeMock();
 
 export default chromeMock;
-export { createChromeMock, createStorageMock, createRuntimeMock, createTabsMock, createScriptingMock };
+export { createChromeMock, createStorageMock, createRuntimeMock, createTabsMock, createScriptingMock, createAlarmsMock };
@@ -1,309 +1,568 @@
 /**
  * IndexedDB Mock for Jest Testing
  * Simulates IndexedDB behavior for testing lib/db.js
+ *
+ * Requests are bound to their transaction, and a transaction only completes
+ * once every request issued on it (including ones chained from success
+ * callbacks) has settled, mirroring the auto-commit behavior of real
+ * IndexedDB. Key ranges, cursor iteration, multiEntry indexes and version
+ * upgrades that preserve existing stores are supported.
  */
 
+/**
+ * Deep-clone a stored value (structured clone is not available in jsdom)
+ */
+function cloneValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ArrayBuffer) return value.slice(0);
+  if (ArrayBuffer.isView(value)) return new value.constructor(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined) copy[key] = cloneValue(item);
+  }
+  return copy;
+}
+
+/**
+ * Build the error IndexedDB raises when a key, store or index already exists
+ */
+function constraintError(message) {
+  const error = new Error(message);
+  error.name = 'ConstraintError';
+  return error;
+}
+
+/**
+ * Check whether a value is a valid IndexedDB key
+ */
+function isValidKey(key) {
+  if (typeof key === 'number') return !Number.isNaN(key);
+  if (typeof key === 'string') return true;
+  if (key instanceof Date) return !Number.isNaN(key.getTime());
+  if (Array.isArray(key)) return key.every(isValidKey);
+  return false;
+}
+
+/**
+ * Compare two keys using IndexedDB ordering (number < date < string < array)
+ */
+function compareKeys(a, b) {
+  const rank = (k) => (typeof k === 'number' ? 1 : k instanceof Date ? 2 : typeof k === 'string' ? 3 : 4);
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+
+  if (ra === 4) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareKeys(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return a.length - b.length;
+  }
+
+  const va = ra === 2 ? a.getTime() : a;
+  const vb = rb === 2 ? b.getTime() : b;
+  if (va < vb) return -1;
+  if (va > vb) return 1;
+  return 0;
+}
+
+/**
+ * Resolve a keyPath (string, dotted string or array) against a value
+ */
+function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const parts = keyPath.map((p) => evaluateKeyPath(value, p));
+    return parts.every((p) => p !== undefined) ? parts : undefined;
+  }
+  return keyPath.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), value);
+}
+
+function toRange(query) {
+  if (query === undefined || query === null) return null;
+  return query instanceof MockIDBKeyRange ? query : MockIDBKeyRange.only(query);
+}
+
 class MockIDBRequest {
-  constructor() {
+  constructor(source = null, transaction = null) {
+    this.source = source;
+    this.transaction = transaction;
     this.result = null;
     this.error = null;
+    this.readyState = 'pending';
     this.onsuccess = null;
     this.onerror = null;
   }
 
   _resolve(result) {
     this.result = result;
+    this.readyState = 'done';
     if (this.onsuccess) {
-      this.onsuccess({ target: this });
+      this.onsuccess({ target: this, type: 'success' });
     }
   }
 
   _reject(error) {
     this.error = error;
+    this.readyState = 'done';
+    let prevented = false;
+    const event = {
+      target: this,
+      type: 'error',
+      preventDefault: () => { prevented = true; },
+      stopPropagation: () => {},
+    };
     if (this.onerror) {
-      this.onerror({ target: this });
+      this.onerror(event);
+    }
+    if (!prevented && this.transaction) {
+      this.transaction._fail(error, event);
     }
   }
 }
 
 class MockIDBCursor {
-  constructor(data, index = 0, store) {
-    this._data = data;
-    this._index = index;
-    this._store = store;
-    this.value = data[index] || null;
-    this.key = this.value?.id || null;
+  constructor(request, source, entries, position) {
+    this._request = request;
+    this._source = source;
+    this._entries = entries;
+    this._position = position;
+    this._load();
+  }
+
+  _load() {
+    const entry = this._entries[this._position];
+    this.key = entry.key;
+    this.primaryKey = entry.primaryKey;
+    this.value = cloneValue(entry.value);
+  }
+
+  _advanceTo(position) {
+    const tx = this._source._tx;
+    tx._schedule(() => {
+      if (position < this._entries.length) {
+        this._position = position;
+        this._load();
+        this._request._resolve(this);
+      } else {
+        this._request._resolve(null);
+      }
+    });
   }
 
   continue() {
-    this._index++;
-    if (this._index < this._data.length) {
-      this.value = this._data[this._index];
-      this.key = this.value?.id || null;
-    } else {
-      this.value = null;
-      this.key = null;
-    }
+    this._advanceTo(this._position + 1);
+  }
+
+  advance(count) {
+    this._advanceTo(this._position + count);
   }
 
   delete() {
-    if (this.value) {
-      const id = this.value.id;
-      this._store._deleteById(id);
-    }
+    return this._source._objectStore()._request((store) => store._deleteKey(this.primaryKey), true);
   }
 
   update(newValue) {
-    if (this.value) {
-      const id = this.value.id;
-      this._store._updateById(id, newValue);
-    }
+    return this._source._objectStore()._request((store) => store._write(newValue, this.primaryKey, false), true);
   }
 }
 
 class MockIDBIndex {
-  constructor(store, keyPath, options = {}) {
+  constructor(store, name, definition) {
     this._store = store;
-    this._keyPath = keyPath;
-    this._multiEntry = options.multiEntry || false;
+    this._tx = store._tx;
+    this.name = name;
+    this.keyPath = definition.keyPath;
+    this.multiEntry = !!definition.multiEntry;
+    this.unique = !!definition.unique;
+    this.objectStore = store;
   }
 
-  get(key) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      const data = this._store._getData();
-      let results;
+  _objectStore() {
+    return this._store;
+  }
 
-      if (this._multiEntry && Array.isArray(key)) {
-        results = data.filter(item => {
-          const value = item[this._keyPath];
-          return Array.isArray(value) && value.includes(key);
+  _entries(query, direction = 'next') {
+    const range = toRange(query);
+    const entries = [];
+
+    for (const record of this._store._state.records) {
+      const raw = evaluateKeyPath(record.value, this.keyPath);
+      if (raw === undefined) continue;
+
+      let keys;
+      if (this.multiEntry && Array.isArray(raw)) {
+        keys = [];
+        raw.filter(isValidKey).forEach((k) => {
+          if (!keys.some((existing) => compareKeys(existing, k) === 0)) keys.push(k);
         });
       } else {
-        results = data.filter(item => {
-          const value = item[this._keyPath];
-          if (Array.isArray(value)) {
-            return value.includes(key);
-          }
-          return value === key;
-        });
+        keys = isValidKey(raw) ? [raw] : [];
       }
 
-      request._resolve(results[0]);
-    }, 0);
-    return request;
+      keys.forEach((key) => {
+        if (!range || range.includes(key)) {
+          entries.push({ key, primaryKey: record.key, value: record.value });
+        }
+      });
+    }
+
+    entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+    if (direction.startsWith('prev')) entries.reverse();
+    if (direction.endsWith('unique')) {
+      return entries.filter((entry, i) => i === 0 || compareKeys(entry.key, entries[i - 1].key) !== 0);
+    }
+    return entries;
   }
 
-  getAll(key) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      let data = this._store._getData();
-
-      if (key !== undefined) {
-        if (this._multiEntry) {
-          data = data.filter(item => {
-            const value = item[this._keyPath];
-            if (Array.isArray(value)) {
-              return value.includes(key);
-            }
-            return value === key;
-          });
-        } else {
-          data = data.filter(item => item[this._keyPath] === key);
-        }
-      }
+  get(query) {
+    return this._store._request(() => cloneValue(this._entries(query)[0]?.value));
+  }
 
-      request._resolve(data);
-    }, 0);
-    return request;
+  getKey(query) {
+    return this._store._request(() => this._entries(query)[0]?.primaryKey);
   }
 
-  openCursor(range) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      let data = this._store._getData();
-
-      if (range) {
-        const key = range._value;
-        if (this._multiEntry) {
-          data = data.filter(item => {
-            const value = item[this._keyPath];
-            if (Array.isArray(value)) {
-              return value.includes(key);
-            }
-            return value === key;
-          });
-        } else {
-          data = data.filter(item => item[this._keyPath] === key);
-        }
-      }
+  getAll(query, count) {
+    return this._store._request(() => {
+      const entries = this._entries(query);
+      return (count ? entries.slice(0, count) : entries).map((e) => cloneValue(e.value));
+    });
+  }
 
-      if (data.length > 0) {
-        request._resolve(new MockIDBCursor(data, 0, this._store));
-      } else {
-        request._resolve(null);
-      }
-    }, 0);
+  getAllKeys(query, count) {
+    return this._store._request(() => {
+      const entries = this._entries(query);
+      return (count ? entries.slice(0, count) : entries).map((e) => e.primaryKey);
+    });
+  }
+
+  count(query) {
+    return this._store._request(() => this._entries(query).length);
+  }
+
+  openCursor(query, direction) {
+    const request = new MockIDBRequest(this, this._tx);
+    this._tx._schedule(() => {
+      const entries = this._entries(query, direction);
+      request._resolve(entries.length > 0 ? new MockIDBCursor(request, this, entries, 0) : null);
+    });
     return request;
   }
 }
 
 class MockIDBObjectStore {
-  constructor(name, keyPath) {
-    this._name = name;
-    this._keyPath = keyPath;
-    this._data = [];
-    this._indexes = new Map();
+  constructor(name, options = {}, state = null, tx = null) {
+    this.name = name;
+    this.keyPath = options.keyPath || null;
+    this.autoIncrement = !!options.autoIncrement;
+    this._state = state || { records: [], indexes: new Map(), nextKey: 1 };
+    this._tx = tx;
+    this.transaction = tx;
+    const indexes = this._state.indexes;
     this.indexNames = {
-      contains: (name) => this._indexes.has(name)
+      contains: (indexName) => indexes.has(indexName),
+      get length() { return indexes.size; },
     };
   }
 
-  _getData() {
-    return [...this._data];
+  _bind(tx) {
+    return new MockIDBObjectStore(
+      this.name,
+      { keyPath: this.keyPath, autoIncrement: this.autoIncrement },
+      this._state,
+      tx
+    );
   }
 
-  _setData(data) {
-    this._data = [...data];
+  _objectStore() {
+    return this;
+  }
+
+  /**
+   * Queue an operation on the owning transaction and return its request
+   */
+  _request(operation, isWrite = false) {
+    const tx = this._tx;
+    if (!tx) {
+      throw new Error('InvalidStateError: object store is not bound to a transaction');
+    }
+    if (isWrite && tx.mode === 'readonly') {
+      throw new Error('ReadOnlyError: the transaction is read-only');
+    }
+    const request = new MockIDBRequest(this, tx);
+    tx._schedule(() => {
+      try {
+        if (isWrite) tx._snapshot(this);
+        request._resolve(operation(this));
+      } catch (error) {
+        request._reject(error);
+      }
+    });
+    return request;
   }
 
-  _deleteById(id) {
-    this._data = this._data.filter(item => item.id !== id);
+  _find(key) {
+    return this._state.records.findIndex((r) => compareKeys(r.key, key) === 0);
   }
 
-  _updateById(id, newValue) {
-    const index = this._data.findIndex(item => item.id === id);
+  _write(value, explicitKey, noOverwrite) {
+    let key = explicitKey;
+    if (this.keyPath) {
+      key = evaluateKeyPath(value, this.keyPath);
+      if (key === undefined && this.autoIncrement) {
+        key = this._state.nextKey;
+        value = { ...value, [this.keyPath]: key };
+      }
+    } else if (key === undefined && this.autoIncrement) {
+      key = this._state.nextKey;
+    }
+
+    if (!isValidKey(key)) {
+      throw new Error('DataError: invalid key');
+    }
+    if (typeof key === 'number' && key >= this._state.nextKey) {
+      this._state.nextKey = Math.floor(key) + 1;
+    }
+
+    const index = this._find(key);
+    if (index !== -1 && noOverwrite) {
+      throw constraintError('Key already exists');
+    }
+
+    const record = { key, value: cloneValue(value) };
     if (index !== -1) {
-      this._data[index] = { ...newValue };
+      this._state.records[index] = record;
+    } else {
+      this._state.records.push(record);
+      this._state.records.sort((a, b) => compareKeys(a.key, b.key));
     }
+    return key;
+  }
+
+  _deleteKey(query) {
+    const range = toRange(query);
+    this._state.records = this._state.records.filter((r) => !range.includes(r.key));
   }
 
-  createIndex(name, keyPath, options) {
-    const index = new MockIDBIndex(this, keyPath, options);
-    this._indexes.set(name, index);
-    return index;
+  _entries(query, direction = 'next') {
+    const range = toRange(query);
+    const entries = this._state.records
+      .filter((r) => !range || range.includes(r.key))
+      .map((r) => ({ key: r.key, primaryKey: r.key, value: r.value }));
+    if (direction.startsWith('prev')) entries.reverse();
+    return entries;
+  }
+
+  // Helpers for testing
+  _getData() {
+    return this._state.records.map((r) => cloneValue(r.value));
+  }
+
+  _setData(data) {
+    this._state.records = [];
+    data.forEach((item) => {
+      this._state.records.push({ key: evaluateKeyPath(item, this.keyPath), value: cloneValue(item) });
+    });
+    this._state.records.sort((a, b) => compareKeys(a.key, b.key));
+  }
+
+  createIndex(name, keyPath, options = {}) {
+    if (this._state.indexes.has(name)) {
+      throw constraintError(`index "${name}" already exists`);
+    }
+    this._state.indexes.set(name, { keyPath, ...options });
+    return new MockIDBIndex(this, name, this._state.indexes.get(name));
   }
 
   deleteIndex(name) {
-    this._indexes.delete(name);
+    this._state.indexes.delete(name);
   }
 
   index(name) {
-    return this._indexes.get(name);
+    const definition = this._state.indexes.get(name);
+    if (!definition) {
+      throw new Error(`NotFoundError: index "${name}" does not exist`);
+    }
+    return new MockIDBIndex(this, name, definition);
   }
 
-  add(value) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      const exists = this._data.some(item => item[this._keyPath] === value[this._keyPath]);
-      if (exists) {
-        request._reject(new Error('Key already exists'));
-      } else {
-        this._data.push({ ...value });
-        request._resolve(value[this._keyPath]);
-      }
-    }, 0);
-    return request;
+  add(value, key) {
+    return this._request((store) => store._write(value, key, true), true);
   }
 
-  put(value) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      const index = this._data.findIndex(item => item[this._keyPath] === value[this._keyPath]);
-      if (index !== -1) {
-        this._data[index] = { ...value };
-      } else {
-        this._data.push({ ...value });
-      }
-      request._resolve(value[this._keyPath]);
-    }, 0);
-    return request;
+  put(value, key) {
+    return this._request((store) => store._write(value, key, false), true);
   }
 
-  get(key) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      const item = this._data.find(item => item[this._keyPath] === key);
-      request._resolve(item);
-    }, 0);
-    return request;
+  get(query) {
+    return this._request(() => cloneValue(this._entries(query)[0]?.value));
   }
 
-  getAll() {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      request._resolve([...this._data]);
-    }, 0);
-    return request;
+  getKey(query) {
+    return this._request(() => this._entries(query)[0]?.primaryKey);
   }
 
-  delete(key) {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      this._data = this._data.filter(item => item[this._keyPath] !== key);
-      request._resolve();
-    }, 0);
-    return request;
+  getAll(query, count) {
+    return this._request(() => {
+      const entries = this._entries(query);
+      return (count ? entries.slice(0, count) : entries).map((e) => cloneValue(e.value));
+    });
+  }
+
+  getAllKeys(query, count) {
+    return this._request(() => {
+      const entries = this._entries(query);
+      return (count ? entries.slice(0, count) : entries).map((e) => e.primaryKey);
+    });
+  }
+
+  count(query) {
+    return this._request(() => this._entries(query).length);
+  }
+
+  delete(query) {
+    return this._request((store) => store._deleteKey(query), true);
   }
 
   clear() {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      this._data = [];
-      request._resolve();
-    }, 0);
-    return request;
+    return this._request((store) => {
+      store._state.records = [];
+    }, true);
   }
 
-  openCursor() {
-    const request = new MockIDBRequest();
-    setTimeout(() => {
-      if (this._data.length > 0) {
-        request._resolve(new MockIDBCursor(this._data, 0, this));
-      } else {
-        request._resolve(null);
-      }
-    }, 0);
+  openCursor(query, direction) {
+    const request = new MockIDBRequest(this, this._tx);
+    this._tx._schedule(() => {
+      const entries = this._entries(query, direction);
+      request._resolve(entries.length > 0 ? new MockIDBCursor(request, this, entries, 0) : null);
+    });
     return request;
   }
 }
 
 class MockIDBTransaction {
-  constructor(db, storeNames, mode) {
+  constructor(db, storeNames, mode = 'readonly') {
+    this.db = db;
     this._db = db;
     this._storeNames = Array.isArray(storeNames) ? storeNames : [storeNames];
+    this.mode = mode;
     this._mode = mode;
+    this.error = null;
     this.oncomplete = null;
     this.onerror = null;
     this.onabort = null;
+    this._pending = 0;
+    this._finished = false;
+    this._snapshots = new Map();
+    this._completionTimer = null;
+
+    this._storeNames.forEach((name) => {
+      if (mode !== 'versionchange' && !db._stores.has(name)) {
+        throw new Error(`NotFoundError: object store "${name}" does not exist`);
+      }
+    });
+
+    this._scheduleCompletion();
+  }
 
-    // Auto-complete after event loop
+  get objectStoreNames() {
+    return [...this._storeNames];
+  }
+
+  /**
+   * Run an operation asynchronously while keeping the transaction alive
+   */
+  _schedule(operation) {
+    if (this._finished) {
+      throw new Error('TransactionInactiveError: the transaction has finished');
+    }
+    this._pending++;
+    clearTimeout(this._completionTimer);
     setTimeout(() => {
-      if (this.oncomplete) {
-        this.oncomplete({ target: this });
+      this._pending--;
+      if (!this._finished) {
+        operation();
       }
-    }, 10);
+      this._scheduleCompletion();
+    }, 0);
+  }
+
+  _scheduleCompletion() {
+    clearTimeout(this._completionTimer);
+    this._completionTimer = setTimeout(() => {
+      if (this._pending === 0 && !this._finished) {
+        this._finished = true;
+        if (this.oncomplete) {
+          this.oncomplete({ target: this, type: 'complete' });
+        }
+      }
+    }, 0);
+  }
+
+  _snapshot(store) {
+    if (!this._snapshots.has(store.name)) {
+      this._snapshots.set(store.name, { state: store._state, records: [...store._state.records] });
+    }
+  }
+
+  _fail(error, event) {
+    if (this._finished) return;
+    this.error = error;
+    if (this.onerror) {
+      this.onerror(event || { target: this, type: 'error' });
+    }
+    this.abort();
+  }
+
+  abort() {
+    if (this._finished) return;
+    this._finished = true;
+    clearTimeout(this._completionTimer);
+    this._snapshots.forEach(({ state, records }) => {
+      state.records = records;
+    });
+    if (!this.error) {
+      this.error = new Error('AbortError: the transaction was aborted');
+    }
+    if (this.onabort) {
+      this.onabort({ target: this, type: 'abort' });
+    }
   }
 
   objectStore(name) {
-    return this._db._stores.get(name);
+    const store = this._db._stores.get(name);
+    if (!store || (this.mode !== 'versionchange' && !this._storeNames.includes(name))) {
+      throw new Error(`NotFoundError: object store "${name}" is not in this transaction`);
+    }
+    return store._bind(this);
   }
 }
 
 class MockIDBDatabase {
   constructor(name, version) {
+    this.name = name;
     this._name = name;
+    this.version = version;
     this._version = version;
     this._stores = new Map();
+    const stores = this._stores;
     this.objectStoreNames = {
-      contains: (name) => this._stores.has(name)
+      contains: (storeName) => stores.has(storeName),
+      get length() { return stores.size; },
     };
   }
 
   createObjectStore(name, options = {}) {
-    const store = new MockIDBObjectStore(name, options.keyPath || 'id');
+    if (this._stores.has(name)) {
+      throw constraintError(`object store "${name}" already exists`);
+    }
+    const store = new MockIDBObjectStore(name, options);
     this._stores.set(name, store);
-    return store;
+    return store._bind(this._upgradeTransaction);
   }
 
   deleteObjectStore(name) {
@@ -315,29 +574,44 @@ class MockIDBDatabase {
   }
 
   close() {
-    // No-op for mock
+    this._closed = true;
   }
 }
 
 class MockIDBKeyRange {
-  constructor(value) {
-    this._value = value;
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
   }
 
   static only(value) {
-    return new MockIDBKeyRange(value);
+    return new MockIDBKeyRange(value, value);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new MockIDBKeyRange(lower, upper, lowerOpen, upperOpen);
   }
 
-  static bound(lower, upper, lowerOpen, upperOpen) {
-    return new MockIDBKeyRange({ lower, upper, lowerOpen, upperOpen });
+  static lowerBound(value, open = false) {
+    return new MockIDBKeyRange(value, undefined, open, false);
   }
 
-  static lowerBound(value, open) {
-    return new MockIDBKeyRange({ lower: value, open });
+  static upperBound(value, open = false) {
+    return new MockIDBKeyRange(undefined, value, false, open);
   }
 
-  static upperBound(value, open) {
-    return new MockIDBKeyRange({ upper: value, open });
+  includes(key) {
+    if (this.lower !== undefined) {
+      const c = compareKeys(key, this.lower);
+      if (c < 0 || (c === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const c = compareKeys(key, this.upper);
+      if (c > 0 || (c === 0 && this.upperOpen)) return false;
+    }
+    return true;
   }
 }
 
@@ -350,22 +624,51 @@ const mockIndexedDB = {
 
     setTimeout(() => {
       const existingDb = databases.get(name);
-      const isUpgrade = !existingDb || (existingDb && existingDb._version < version);
+      const oldVersion = existingDb?._version || 0;
+      const newVersion = version ?? (oldVersion || 1);
 
-      let db;
-      if (existingDb && existingDb._version >= version) {
-        db = existingDb;
-      } else {
-        db = new MockIDBDatabase(name, version);
-        databases.set(name, db);
+      if (newVersion < oldVersion) {
+        request._reject(new Error(`VersionError: requested version ${newVersion} is lower than ${oldVersion}`));
+        return;
       }
 
-      if (isUpgrade && request.onupgradeneeded) {
-        request.onupgradeneeded({
-          target: { result: db, transaction: new MockIDBTransaction(db, [], 'versionchange') },
-          oldVersion: existingDb?._version || 0,
-          newVersion: version
-        });
+      const db = existingDb || new MockIDBDatabase(name, newVersion);
+      databases.set(name, db);
+
+      if (newVersion > oldVersion) {
+        db._version = newVersion;
+        db.version = newVersion;
+
+        const upgradeTx = new MockIDBTransaction(db, [], 'versionchange');
+        db._upgradeTransaction = upgradeTx;
+        request.result = db;
+        request.transaction = upgradeTx;
+
+        let upgradeError = null;
+        if (request.onupgradeneeded) {
+          try {
+            request.onupgradeneeded({
+              target: request,
+              oldVersion,
+              newVersion,
+            });
+          } catch (error) {
+            upgradeError = error;
+          }
+        }
+
+        const finish = () => {
+          db._upgradeTransaction = null;
+          request.transaction = null;
+          if (upgradeError || upgradeTx.error) {
+            request._reject(upgradeError || upgradeTx.error);
+          } else {
+            request._resolve(db);
+          }
+        };
+        upgradeTx.oncomplete = finish;
+        upgradeTx.onabort = finish;
+        return;
       }
 
       request._resolve(db);
@@ -383,13 +686,36 @@ const mockIndexedDB = {
     return request;
   },
 
+  cmp: (a, b) => compareKeys(a, b),
+
   // Helper for testing
   _clearAll: () => {
     databases.clear();
   },
 
-  _getDatabase: (name) => databases.get(name)
+  _getDatabase: (name) => databases.get(name),
+
+  /**
+   * Seed a database at a given version with raw store contents, bypassing
+   * onupgradeneeded. Used by migration tests to build fixture databases.
+   * @param {string} name - Database name
+   * @param {number} version - Version to report as the current one
+   * @param {Object} stores - { storeName: { keyPath, indexes: [[name, keyPath, options]], records: [] } }
+   */
+  _seedDatabase: (name, version, stores) => {
+    const db = new MockIDBDatabase(name, version);
+    Object.entries(stores).forEach(([storeName, spec]) => {
+      const store = new MockIDBObjectStore(storeName, { keyPath: spec.keyPath || 'id' });
+      (spec.indexes || []).forEach(([indexName, keyPath, options]) => {
+        store.createIndex(indexName, keyPath, options);
+      });
+      store._setData(spec.records || []);
+      db._stores.set(storeName, store);
+    });
+    databases.set(name, db);
+    return db;
+  },
 };
 
 export default mockIndexedDB;
-export { MockIDBDatabase, MockIDBObjectStore, MockIDBTransaction, MockIDBKeyRange };
+export { MockIDBDatabase, MockIDBObjectStore, MockIDBTransaction, MockIDBKeyRange, compareKeys };
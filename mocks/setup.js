@@ -4,6 +4,9 @@
  */
 
 import { jest } from '@jest/globals';
+import { serialize, deserialize } from 'node:v8';
+import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'node:util';
 import chromeMock from './chrome.js';
 import indexedDBMock, { MockIDBKeyRange } from './indexedDB.js';
 
@@ -14,6 +17,20 @@ global.chrome = chromeMock;
 global.indexedDB = indexedDBMock;
 global.IDBKeyRange = MockIDBKeyRange;
 
+// jsdom doesn't provide structuredClone
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => deserialize(serialize(value));
+}
+
+// jsdom doesn't provide WebCrypto's subtle API or TextEncoder/TextDecoder
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+if (typeof global.TextEncoder !== 'function') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
 // Mock navigator.onLine
 Object.defineProperty(navigator, 'onLine', {
   get: () => true,
@@ -1,6 +1,6 @@
 /**
  * Wing - Onboarding Page Logic
- * 3-step onboarding: Welcome → Connect AI → Getting Started
+ * 3-step onboarding: Welcome → Connect AI → Getting Started (with an optional bookmark import)
  */
 
 import {
@@ -11,6 +11,8 @@ import {
   validateApiKey,
   hasApiKey,
 } from '../lib/api.js';
+import { requestBookmarksAccess, listBookmarkFolders, importBrowserBookmarks } from '../lib/bookmarks.js';
+import { escapeHtml } from '../lib/utils.js';
 
 // ============================================
 // DOM Elements
@@ -36,6 +38,12 @@ const elements = {
   continueWithoutBtn: document.getElementById('continueWithoutBtn'),
   startBtn: document.getElementById('startBtn'),
   readySubtitle: document.getElementById('readySubtitle'),
+  chooseFoldersBtn: document.getElementById('chooseFoldersBtn'),
+  bookmarkFolders: document.getElementById('bookmarkFolders'),
+  bookmarkFolderList: document.getElementById('bookmarkFolderList'),
+  summarizeBookmarks: document.getElementById('summarizeBookmarks'),
+  importBookmarksBtn: document.getElementById('importBookmarksBtn'),
+  bookmarkStatus: document.getElementById('bookmarkStatus'),
 };
 
 const providerCards = document.querySelectorAll('.provider-card');
@@ -153,6 +161,83 @@ function toggleVisibility() {
   elements.apiKeyInput.type = isPassword ? 'text' : 'password';
 }
 
+// ============================================
+// Bookmark Import
+// ============================================
+function showBookmarkStatus(message, type) {
+  elements.bookmarkStatus.textContent = message;
+  elements.bookmarkStatus.className = `api-status ${type}`;
+}
+
+async function handleChooseFolders() {
+  try {
+    if (!(await requestBookmarksAccess())) {
+      showBookmarkStatus('Wing needs access to your bookmarks to import them.', 'error');
+      return;
+    }
+
+    const folders = listBookmarkFolders(await chrome.bookmarks.getTree());
+    elements.bookmarkFolderList.innerHTML = folders.map((folder) => `
+      <label class="bookmark-folder" style="padding-left: ${folder.depth * 20}px">
+        <input type="checkbox" value="${escapeHtml(folder.id)}" data-depth="${folder.depth}" checked>
+        <span>${escapeHtml(folder.title)}</span>
+        <span class="bookmark-folder-count">${folder.bookmarkCount}</span>
+      </label>
+    `).join('');
+
+    elements.summarizeBookmarks.disabled = !(await hasApiKey());
+    elements.chooseFoldersBtn.classList.add('hidden');
+    elements.bookmarkFolders.classList.remove('hidden');
+  } catch (error) {
+    showBookmarkStatus(`Could not read your bookmarks: ${error.message}`, 'error');
+  }
+}
+
+// Choosing a folder chooses the folders inside it too
+function handleFolderToggle(event) {
+  const checkbox = event.target;
+  const boxes = [...elements.bookmarkFolderList.querySelectorAll('input[type="checkbox"]')];
+  const depth = Number(checkbox.dataset.depth);
+
+  for (const box of boxes.slice(boxes.indexOf(checkbox) + 1)) {
+    if (Number(box.dataset.depth) <= depth) break;
+    box.checked = checkbox.checked;
+  }
+}
+
+async function handleImportBookmarks() {
+  const folderIds = [...elements.bookmarkFolderList.querySelectorAll('input:checked')].map((box) => box.value);
+  if (folderIds.length === 0) {
+    showBookmarkStatus('Choose at least one folder to import.', 'error');
+    return;
+  }
+
+  // Reading the pages needs its own permission, asked for while the click still counts
+  const summarize = elements.summarizeBookmarks.checked
+    ? await requestBookmarksAccess({ pages: true })
+    : false;
+
+  elements.importBookmarksBtn.disabled = true;
+  elements.importBookmarksBtn.textContent = 'Importing...';
+  showBookmarkStatus('Importing your bookmarks...', 'info');
+
+  try {
+    const result = await importBrowserBookmarks(folderIds, { queueSummaries: summarize });
+    const skipped = result.alreadyWinged + result.skipped;
+    showBookmarkStatus(
+      `Imported ${result.imported} bookmarks${skipped ? `, skipped ${skipped}` : ''}.` +
+        (summarize && result.imported ? ' Summaries will be added in the background.' : ''),
+      'success'
+    );
+    elements.bookmarkFolders.classList.add('hidden');
+  } catch (error) {
+    showBookmarkStatus(`Import failed: ${error.message}`, 'error');
+  } finally {
+    elements.importBookmarksBtn.disabled = false;
+    elements.importBookmarksBtn.textContent = 'Import Selected Folders';
+  }
+}
+
 // ============================================
 // Finish
 // ============================================
@@ -178,6 +263,9 @@ elements.skipBtn.addEventListener('click', handleSkip);
 elements.addKeyBtn.addEventListener('click', handleAddKey);
 elements.continueWithoutBtn.addEventListener('click', handleContinueWithout);
 elements.startBtn.addEventListener('click', handleStart);
+elements.chooseFoldersBtn.addEventListener('click', handleChooseFolders);
+elements.bookmarkFolderList.addEventListener('change', handleFolderToggle);
+elements.importBookmarksBtn.addEventListener('click', handleImportBookmarks);
 
 // Save on Enter
 elements.apiKeyInput.addEventListener('keypress', (e) => {
@@ -1,6 +1,7 @@
 /**
  * Wing - Options Page JavaScript
- * Handles settings, API key management, and data import/export
+ * Handles settings, API key management, encryption, tags, trash, and data import/export
+ * (backups and bookmark files)
  */
 
 import * as db from '../lib/db.js';
@@ -12,7 +13,55 @@ import {
   saveApiKey as saveProviderApiKey,
   removeApiKey as removeProviderApiKey,
   validateApiKey,
+  hasApiKey,
+  resealApiKeys,
 } from '../lib/api.js';
+import {
+  EncryptionError,
+  getEncryptionState,
+  enableEncryption,
+  disableEncryption,
+  unlock,
+  lock,
+  isSealedBackup,
+  sealBackup,
+  openBackup,
+} from '../lib/encryption.js';
+import { escapeHtml, formatDate, truncateText, debounce } from '../lib/utils.js';
+import { IMPORT_CATEGORIES, getImportLabel, validateBackup, repairReferences } from '../lib/import.js';
+import { subscribeToChanges, isLocalChange, changeTouches } from '../lib/changes.js';
+import {
+  exportBookmarksHtml,
+  requestBookmarksAccess,
+  listBookmarkFolders,
+  importBrowserBookmarks,
+} from '../lib/bookmarks.js';
+import { exportMarkdownZip } from '../lib/markdown.js';
+import { getReviewSettings, saveReviewSettings } from '../lib/review.js';
+import { IMPORT_FORMATS, detectImportFormat, parseReadLaterExport } from '../lib/readlater.js';
+import {
+  BUNDLE_IMPORT_STRATEGIES,
+  isCollectionBundle,
+  getBundleCollection,
+  bundleToBackup,
+  importCollectionBundle,
+} from '../lib/bundles.js';
+import {
+  getBackupSettings,
+  saveBackupSettings,
+  runAutoBackup,
+  listBackups,
+  readBackupFile,
+} from '../lib/backups.js';
+import {
+  SyncError,
+  getSyncSettings,
+  saveSyncSettings,
+  getSyncStatus,
+  syncNow,
+  readRemoteKeyCheck,
+  resealSyncPassword,
+} from '../lib/sync.js';
 
 // ============================================
 // DOM Elements
@@ -27,11 +76,74 @@ const elements = {
   apiKeyStatus: document.getElementById('apiKeyStatus'),
   providerLink: document.getElementById('providerLink'),
   providerList: document.getElementById('providerList'),
+  encryptionStatus: document.getElementById('encryptionStatus'),
+  encryptionSetup: document.getElementById('encryptionSetup'),
+  encryptionPassphrase: document.getElementById('encryptionPassphrase'),
+  encryptionConfirm: document.getElementById('encryptionConfirm'),
+  enableEncryption: document.getElementById('enableEncryption'),
+  encryptionUnlock: document.getElementById('encryptionUnlock'),
+  unlockPassphrase: document.getElementById('unlockPassphrase'),
+  unlockEncryption: document.getElementById('unlockEncryption'),
+  encryptionControls: document.getElementById('encryptionControls'),
+  lockEncryption: document.getElementById('lockEncryption'),
+  disableEncryption: document.getElementById('disableEncryption'),
+  exportPassphrase: document.getElementById('exportPassphrase'),
+  chooseBookmarkFolders: document.getElementById('chooseBookmarkFolders'),
+  browserBookmarks: document.getElementById('browserBookmarks'),
+  bookmarkFolderList: document.getElementById('bookmarkFolderList'),
+  summarizeBookmarks: document.getElementById('summarizeBookmarks'),
+  importBrowserBookmarks: document.getElementById('importBrowserBookmarks'),
+  cancelBrowserBookmarks: document.getElementById('cancelBrowserBookmarks'),
+  browserBookmarksStatus: document.getElementById('browserBookmarksStatus'),
   exportData: document.getElementById('exportData'),
+  exportBookmarks: document.getElementById('exportBookmarks'),
+  exportMarkdown: document.getElementById('exportMarkdown'),
   importData: document.getElementById('importData'),
   importFile: document.getElementById('importFile'),
   importStatus: document.getElementById('importStatus'),
+  importUnlock: document.getElementById('importUnlock'),
+  importPassphrase: document.getElementById('importPassphrase'),
+  openImport: document.getElementById('openImport'),
+  cancelImportUnlock: document.getElementById('cancelImportUnlock'),
+  importPreview: document.getElementById('importPreview'),
+  importProgress: document.getElementById('importProgress'),
+  importMode: document.getElementById('importMode'),
+  importModeGroup: document.getElementById('importModeGroup'),
+  bundleTargetGroup: document.getElementById('bundleTargetGroup'),
+  bundleTarget: document.getElementById('bundleTarget'),
+  importPreviewList: document.getElementById('importPreviewList'),
+  importReplaceWarning: document.getElementById('importReplaceWarning'),
+  applyImport: document.getElementById('applyImport'),
+  cancelImport: document.getElementById('cancelImport'),
   clearAllData: document.getElementById('clearAllData'),
+  tagList: document.getElementById('tagList'),
+  tagsEmpty: document.getElementById('tagsEmpty'),
+  backupFrequency: document.getElementById('backupFrequency'),
+  backupKeep: document.getElementById('backupKeep'),
+  backupStatus: document.getElementById('backupStatus'),
+  backupList: document.getElementById('backupList'),
+  backUpNow: document.getElementById('backUpNow'),
+  syncUrl: document.getElementById('syncUrl'),
+  syncUsername: document.getElementById('syncUsername'),
+  syncPassword: document.getElementById('syncPassword'),
+  syncStatus: document.getElementById('syncStatus'),
+  enableSync: document.getElementById('enableSync'),
+  syncNow: document.getElementById('syncNow'),
+  disableSync: document.getElementById('disableSync'),
+  reviewReminders: document.getElementById('reviewReminders'),
+  reviewReminderHour: document.getElementById('reviewReminderHour'),
+  reviewSessionSize: document.getElementById('reviewSessionSize'),
+  reviewResurfaceWings: document.getElementById('reviewResurfaceWings'),
+  reviewStatus: document.getElementById('reviewStatus'),
+  startReview: document.getElementById('startReview'),
+  trashRetention: document.getElementById('trashRetention'),
+  trashList: document.getElementById('trashList'),
+  trashEmpty: document.getElementById('trashEmpty'),
+  emptyTrash: document.getElementById('emptyTrash'),
+  healthStatus: document.getElementById('healthStatus'),
+  healthList: document.getElementById('healthList'),
+  checkLibrary: document.getElementById('checkLibrary'),
+  repairLibrary: document.getElementById('repairLibrary'),
   toastContainer: document.getElementById('toastContainer'),
   // Stats
   statWings: document.getElementById('statWings'),
@@ -44,6 +156,20 @@ const elements = {
 let providers = {};
 let currentProvider = 'anthropic';
 
+// Library changes from other contexts waiting to be applied
+let pendingLibraryChanges = [];
+
+// Backup being previewed, and the merge strategy chosen for each category
+let pendingImport = null;
+let importStrategies = {};
+
+// Where the previewed backup came from ({ source, skipped, bundle }), for the import report
+// (bundle is the shared collection file the backup was made from)
+let pendingImportInfo = {};
+
+// Passphrase-protected backup waiting for its passphrase
+let pendingSealedImport = null;
+
 // ============================================
 // Toast Notifications
 // ============================================
@@ -97,8 +223,7 @@ async function renderProviderStatus() {
 
   for (const key of providerKeys) {
     const config = providers[key];
-    const apiKey = await getApiKey(key);
-    const isConfigured = !!apiKey;
+    const isConfigured = await hasApiKey(key);
     const isActive = key === currentProvider;
 
     statusHtml.push(`
@@ -144,7 +269,9 @@ async function loadApiKey() {
     const apiKey = await getApiKey(currentProvider);
     elements.apiKey.value = apiKey || '';
 
-    if (apiKey) {
+    if (!apiKey && (await hasApiKey(currentProvider))) {
+      showStatus(`${providers[currentProvider].name} API key is encrypted. Unlock Wing to use it.`, 'info');
+    } else if (apiKey) {
       showStatus(`${providers[currentProvider].name} API key is configured`, 'success');
     } else {
       showStatus(`No API key configured for ${providers[currentProvider].name}`, 'info');
@@ -226,23 +353,703 @@ function showStatus(message, type) {
   elements.apiKeyStatus.classList.remove('hidden');
 }
 
+// ============================================
+// Encryption
+// ============================================
+const encryptionStatusLabels = {
+  off: 'Encryption is off.',
+  locked: 'Encryption is on and Wing is locked. Unlock it to read and save pages.',
+  unlocked: 'Encryption is on and Wing is unlocked. It locks again when the browser closes.',
+};
+
+async function loadEncryptionState() {
+  try {
+    const state = await getEncryptionState();
+    elements.encryptionStatus.textContent = encryptionStatusLabels[state];
+    elements.encryptionSetup.classList.toggle('hidden', state !== 'off');
+    elements.encryptionUnlock.classList.toggle('hidden', state !== 'locked');
+    elements.encryptionControls.classList.toggle('hidden', state !== 'unlocked');
+  } catch (error) {
+    console.error('Error loading encryption state:', error);
+  }
+}
+
+async function turnOnEncryption() {
+  const passphrase = elements.encryptionPassphrase.value;
+  if (passphrase !== elements.encryptionConfirm.value) {
+    showToast('The passphrases don\'t match', 'error');
+    return;
+  }
+
+  const btn = elements.enableEncryption;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    // Use the key the synced library is sealed with, so this browser can keep syncing
+    const keyCheck = await readRemoteKeyCheck().catch((error) => {
+      console.error('Error reading the synced library:', error);
+      return null;
+    });
+    await enableEncryption(passphrase, keyCheck);
+    try {
+      await resealApiKeys(true);
+      await resealSyncPassword(true);
+      await db.encryptLibrary();
+    } catch (error) {
+      // Part of the library may already be encrypted. Decrypt it before the key
+      // is dropped; if that fails too, encryption stays on so nothing is lost.
+      try {
+        await db.decryptLibrary();
+        await resealApiKeys(false);
+        await resealSyncPassword(false);
+        await disableEncryption();
+      } catch (rollbackError) {
+        console.error('Error turning encryption back off:', rollbackError);
+      }
+      throw error;
+    }
+
+    elements.encryptionPassphrase.value = '';
+    elements.encryptionConfirm.value = '';
+    showToast('Encryption turned on', 'success');
+  } catch (error) {
+    console.error('Encryption error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to turn on encryption', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+    await loadEncryptionState();
+  }
+}
+
+async function turnOffEncryption() {
+  if (!confirm('Turn off encryption? Your pages, highlights, and API keys will be stored in plaintext again.')) {
+    return;
+  }
+
+  const btn = elements.disableEncryption;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    await db.decryptLibrary();
+    await resealApiKeys(false);
+    await resealSyncPassword(false);
+    await disableEncryption();
+    showToast('Encryption turned off', 'success');
+  } catch (error) {
+    console.error('Decryption error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to turn off encryption', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+    await loadEncryptionState();
+  }
+}
+
+async function unlockWing() {
+  const btn = elements.unlockEncryption;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    await unlock(elements.unlockPassphrase.value);
+    elements.unlockPassphrase.value = '';
+    showToast('Wing unlocked', 'success');
+    await Promise.all([loadEncryptionState(), loadApiKey()]);
+  } catch (error) {
+    console.error('Unlock error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to unlock', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+async function lockWing() {
+  try {
+    await lock();
+    showToast('Wing locked', 'info');
+    await Promise.all([loadEncryptionState(), loadApiKey()]);
+  } catch (error) {
+    console.error('Lock error:', error);
+    showToast('Failed to lock', 'error');
+  }
+}
+
 // ============================================
 // Data Statistics
 // ============================================
 async function loadStats() {
   try {
-    const data = await db.exportAllData();
-    const { collections, nests, wings, highlights, connections } = data.data;
+    const counts = await db.getLibraryCounts();
 
-    elements.statWings.textContent = wings?.length || 0;
-    elements.statCollections.textContent = collections?.length || 0;
-    elements.statHighlights.textContent = highlights?.length || 0;
-    elements.statConnections.textContent = connections?.length || 0;
+    elements.statWings.textContent = counts.wings;
+    elements.statCollections.textContent = counts.collections;
+    elements.statHighlights.textContent = counts.highlights;
+    elements.statConnections.textContent = counts.connections;
   } catch (error) {
     console.error('Error loading stats:', error);
   }
 }
 
+// ============================================
+// Tag Management
+// ============================================
+async function loadTags() {
+  try {
+    const [tags, wings] = await Promise.all([db.getAllTags(), db.getAllWings()]);
+    renderTags(tags, wings);
+  } catch (error) {
+    console.error('Error loading tags:', error);
+  }
+}
+
+function renderTags(tags, wings) {
+  if (tags.length === 0) {
+    elements.tagList.innerHTML = '';
+    elements.tagsEmpty.classList.remove('hidden');
+    return;
+  }
+
+  elements.tagsEmpty.classList.add('hidden');
+
+  const sorted = [...tags].sort((a, b) => a.name.localeCompare(b.name));
+
+  elements.tagList.innerHTML = sorted
+    .map((tag) => {
+      const count = wings.filter((w) => (w.tagIds || []).includes(tag.id)).length;
+      const mergeOptions = sorted
+        .filter((t) => t.id !== tag.id)
+        .map((t) => `<option value="${t.id}">#${escapeHtml(t.name)}</option>`)
+        .join('');
+
+      return `
+        <div class="tag-item" data-tag-id="${tag.id}">
+          <span class="tag-item-name">#${escapeHtml(tag.name)}</span>
+          <span class="tag-item-count">${count} ${count === 1 ? 'wing' : 'wings'}</span>
+          <button class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+          ${mergeOptions ? `
+            <select class="form-select" data-action="merge">
+              <option value="">Merge into...</option>
+              ${mergeOptions}
+            </select>
+          ` : ''}
+          <button class="btn btn-danger btn-sm" data-action="delete">Delete</button>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+async function renameTag(tagId) {
+  const tag = await db.getTag(tagId);
+  if (!tag) return;
+
+  const name = prompt('Rename tag', tag.name);
+  if (name === null || name.trim() === tag.name) return;
+
+  try {
+    await db.renameTag(tagId, name);
+    showToast('Tag renamed', 'success');
+    await loadTags();
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    showToast(
+      error.message === 'Tag already exists'
+        ? 'A tag with that name already exists. Use merge instead.'
+        : 'Failed to rename tag',
+      'error'
+    );
+  }
+}
+
+async function mergeTag(sourceId, targetId) {
+  const [source, target] = await Promise.all([db.getTag(sourceId), db.getTag(targetId)]);
+  if (!source || !target) return;
+
+  if (!confirm(`Merge #${source.name} into #${target.name}? #${source.name} will be removed.`)) {
+    await loadTags();
+    return;
+  }
+
+  try {
+    const updated = await db.mergeTags([sourceId], targetId);
+    showToast(`Merged into #${target.name} (${updated} wings updated)`, 'success');
+    await loadTags();
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    showToast('Failed to merge tags', 'error');
+  }
+}
+
+async function deleteTag(tagId) {
+  const tag = await db.getTag(tagId);
+  if (!tag) return;
+
+  if (!confirm(`Delete #${tag.name}? It will be removed from all wings.`)) return;
+
+  try {
+    await db.deleteTag(tagId);
+    showToast('Tag deleted', 'success');
+    await loadTags();
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    showToast('Failed to delete tag', 'error');
+  }
+}
+
+// ============================================
+// Trash
+// ============================================
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const trashTypeLabels = {
+  wing: 'Wing',
+  collection: 'Collection',
+  nest: 'Nest',
+};
+
+async function loadTrash() {
+  try {
+    const [entries, settings] = await Promise.all([
+      db.getTrash(),
+      chrome.storage.local.get({ trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS }),
+    ]);
+    elements.trashRetention.value = String(settings.trashRetentionDays);
+    renderTrash(entries);
+  } catch (error) {
+    console.error('Error loading trash:', error);
+  }
+}
+
+function describeTrashContents(entry) {
+  const { records = {} } = entry;
+  const parts = [];
+  if (entry.type === 'collection' && records.nests?.length) {
+    parts.push(`${records.nests.length} nests`);
+  }
+  if (records.highlights?.length) {
+    parts.push(`${records.highlights.length} highlights`);
+  }
+  return parts.length > 0 ? ` · with ${parts.join(', ')}` : '';
+}
+
+function renderTrash(entries) {
+  elements.trashEmpty.classList.toggle('hidden', entries.length > 0);
+  elements.emptyTrash.disabled = entries.length === 0;
+
+  elements.trashList.innerHTML = entries
+    .map((entry) => `
+      <div class="trash-item" data-entry-id="${entry.id}">
+        <div class="trash-item-info">
+          <div class="trash-item-label">${escapeHtml(entry.label || 'Untitled')}</div>
+          <div class="trash-item-meta">
+            ${trashTypeLabels[entry.type] || 'Item'} · deleted ${formatDate(entry.deletedAt, true)}${describeTrashContents(entry)}
+          </div>
+        </div>
+        <button class="btn btn-secondary btn-sm" data-action="restore">Restore</button>
+        <button class="btn btn-danger btn-sm" data-action="delete">Delete Forever</button>
+      </div>
+    `)
+    .join('');
+}
+
+async function restoreTrashEntry(entryId) {
+  try {
+    const entry = await db.restoreFromTrash(entryId);
+    showToast(`Restored ${entry.label || 'item'}`, 'success');
+    await Promise.all([loadTrash(), loadStats(), loadTags()]);
+  } catch (error) {
+    console.error('Restore error:', error);
+    showToast(`Failed to restore: ${error.message}`, 'error');
+  }
+}
+
+async function deleteTrashEntry(entryId) {
+  if (!confirm('Permanently delete this item? This cannot be undone.')) return;
+
+  try {
+    await db.deleteTrashEntry(entryId);
+    showToast('Permanently deleted', 'success');
+    await loadTrash();
+  } catch (error) {
+    console.error('Delete from trash error:', error);
+    showToast('Failed to delete item', 'error');
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+  try {
+    await db.emptyTrash();
+    showToast('Trash emptied', 'success');
+    await loadTrash();
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    showToast('Failed to empty trash', 'error');
+  }
+}
+
+async function handleTrashRetentionChange() {
+  const trashRetentionDays = Number(elements.trashRetention.value);
+
+  try {
+    await chrome.storage.local.set({ trashRetentionDays });
+    showToast(
+      trashRetentionDays ? `Trash will be emptied after ${trashRetentionDays} days` : 'Trash will be kept until emptied',
+      'success'
+    );
+  } catch (error) {
+    console.error('Error saving trash retention:', error);
+    showToast('Failed to save setting', 'error');
+  }
+}
+
+// ============================================
+// Automatic Backups
+// ============================================
+// Backups listed in the options page, by download ID
+let backupsById = new Map();
+
+async function loadBackups() {
+  try {
+    const [settings, history] = await Promise.all([getBackupSettings(), listBackups()]);
+    elements.backupFrequency.value = settings.frequency;
+    elements.backupKeep.value = String(settings.keep);
+    renderBackups(history);
+  } catch (error) {
+    console.error('Error loading backups:', error);
+  }
+}
+
+function renderBackups({ backups, lastRunAt, lastError }) {
+  backupsById = new Map(backups.map((backup) => [String(backup.downloadId), backup]));
+
+  const failed = lastError && lastRunAt && lastRunAt > (backups[0]?.createdAt || 0);
+  elements.backupStatus.classList.toggle('error', Boolean(failed));
+  if (failed) {
+    elements.backupStatus.textContent = `The last backup failed ${formatDate(lastRunAt, true)}: ${lastError}`;
+  } else if (backups.length > 0) {
+    elements.backupStatus.textContent = `Last backup ${formatDate(backups[0].createdAt, true)}`;
+  } else {
+    elements.backupStatus.textContent = 'No automatic backups yet.';
+  }
+
+  elements.backupList.innerHTML = backups
+    .map((backup) => `
+      <div class="trash-item" data-download-id="${backup.downloadId}">
+        <div class="trash-item-info">
+          <div class="trash-item-label">${escapeHtml(backup.name)}</div>
+          <div class="trash-item-meta">
+            ${formatDate(backup.createdAt, true)} · ${Math.max(1, Math.round(backup.size / 1024))} KB${backup.encrypted ? ' · encrypted' : ''}
+          </div>
+        </div>
+        <button class="btn btn-secondary btn-sm" data-action="show">Show in Folder</button>
+        <button class="btn btn-secondary btn-sm" data-action="restore">Restore</button>
+      </div>
+    `)
+    .join('');
+}
+
+async function handleBackupSettingsChange() {
+  try {
+    const settings = await saveBackupSettings({
+      frequency: elements.backupFrequency.value,
+      keep: Number(elements.backupKeep.value),
+    });
+    showToast(
+      settings.frequency === 'off' ? 'Automatic backups turned off' : `Backing up ${settings.frequency}, keeping ${settings.keep}`,
+      'success'
+    );
+    await loadBackups();
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    showToast('Failed to save setting', 'error');
+  }
+}
+
+async function backUpNow() {
+  const btn = elements.backUpNow;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    await runAutoBackup();
+    showToast('Backup saved to Wing Backups', 'success');
+  } catch (error) {
+    console.error('Backup error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to back up', 'error');
+  } finally {
+    await loadBackups();
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Preview restoring a backup from the Wing Backups folder
+ * Restores from the copy Wing keeps of the backup. Backups made before those
+ * copies were kept are shown in their folder, and the file picker opens to
+ * import them instead.
+ */
+async function restoreBackup(downloadId) {
+  const backup = backupsById.get(downloadId);
+  if (!backup) return;
+
+  let text;
+  try {
+    text = await readBackupFile(backup);
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    chrome.downloads.show(backup.downloadId);
+    showToast(`Choose ${backup.name} to restore it`, 'info');
+    triggerImport();
+    return;
+  }
+
+  try {
+    elements.importStatus.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await previewImportText(text);
+  } catch (error) {
+    console.error('Import error:', error);
+    showImportStatus(`Import failed: ${error.message}`, 'error');
+    showToast(`Import failed: ${error.message}`, 'error');
+    closeImportPreview();
+  }
+}
+
+// ============================================
+// Sync
+// ============================================
+async function loadSync() {
+  try {
+    const [settings, status] = await Promise.all([getSyncSettings(), getSyncStatus()]);
+    elements.syncUrl.value = settings.url;
+    elements.syncUsername.value = settings.username;
+    elements.enableSync.querySelector('.btn-text').textContent = settings.enabled ? 'Save' : 'Save & Sync';
+    elements.syncNow.classList.toggle('hidden', !settings.enabled);
+    elements.disableSync.classList.toggle('hidden', !settings.enabled);
+    renderSyncStatus(settings, status);
+  } catch (error) {
+    console.error('Error loading sync settings:', error);
+  }
+}
+
+function renderSyncStatus(settings, { lastSyncedAt, lastAttemptAt, lastError, pulled, pushed, conflicts }) {
+  const failed = settings.enabled && lastError && lastAttemptAt > (lastSyncedAt || 0);
+  elements.syncStatus.classList.toggle('error', Boolean(failed));
+
+  if (!settings.enabled) {
+    elements.syncStatus.textContent = 'Sync is off.';
+  } else if (failed) {
+    elements.syncStatus.textContent = `The last sync failed ${formatDate(lastAttemptAt, true)}: ${lastError}`;
+  } else if (lastSyncedAt) {
+    const details = [`${pulled} received`, `${pushed} sent`];
+    if (conflicts > 0) details.push(`${conflicts} conflicting ${conflicts === 1 ? 'edit' : 'edits'} settled by the latest change`);
+    elements.syncStatus.textContent = `Last synced ${formatDate(lastSyncedAt, true)} (${details.join(', ')})`;
+  } else {
+    elements.syncStatus.textContent = 'Not synced yet.';
+  }
+}
+
+/**
+ * Save the WebDAV folder and sync right away
+ * Wing needs access to the server, which is asked for first, while the
+ * click still counts as a user gesture.
+ */
+async function enableSync() {
+  let origin;
+  try {
+    origin = new URL(elements.syncUrl.value.trim()).origin;
+  } catch {
+    showToast('Enter the address of your WebDAV folder', 'error');
+    return;
+  }
+
+  const btn = elements.enableSync;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      showToast('Wing needs access to the server to sync', 'error');
+      return;
+    }
+
+    const changes = {
+      enabled: true,
+      url: elements.syncUrl.value.trim(),
+      username: elements.syncUsername.value.trim(),
+    };
+    if (elements.syncPassword.value) changes.password = elements.syncPassword.value;
+    await saveSyncSettings(changes);
+    elements.syncPassword.value = '';
+
+    const result = await syncNow();
+    showToast(`Synced: ${result.pulled} received, ${result.pushed} sent`, 'success');
+  } catch (error) {
+    console.error('Sync error:', error);
+    const known = error instanceof SyncError || error instanceof EncryptionError;
+    showToast(known ? error.message : 'Failed to sync', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+    await loadSync();
+  }
+}
+
+async function syncLibraryNow() {
+  const btn = elements.syncNow;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const result = await syncNow();
+    showToast(`Synced: ${result.pulled} received, ${result.pushed} sent`, 'success');
+  } catch (error) {
+    console.error('Sync error:', error);
+    const known = error instanceof SyncError || error instanceof EncryptionError;
+    showToast(known ? error.message : 'Failed to sync', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+    await loadSync();
+  }
+}
+
+async function disableSync() {
+  try {
+    await saveSyncSettings({ enabled: false });
+    showToast('Sync turned off. The copy on the server is left as it is.', 'success');
+  } catch (error) {
+    console.error('Error turning off sync:', error);
+    showToast('Failed to turn off sync', 'error');
+  } finally {
+    await loadSync();
+  }
+}
+
+// ============================================
+// Review
+// ============================================
+async function loadReview() {
+  try {
+    const settings = await getReviewSettings();
+    elements.reviewReminders.checked = settings.reminders;
+    elements.reviewReminderHour.value = String(settings.reminderHour);
+    elements.reviewReminderHour.disabled = !settings.reminders;
+    elements.reviewSessionSize.value = String(settings.sessionSize);
+    elements.reviewResurfaceWings.checked = settings.resurfaceWings;
+
+    const due = await db.countDueReviews({ includeWings: settings.resurfaceWings });
+    elements.reviewStatus.textContent = due > 0
+      ? `${due} ${due === 1 ? 'item is' : 'items are'} due for review.`
+      : 'Nothing to review right now.';
+  } catch (error) {
+    console.error('Error loading review settings:', error);
+  }
+}
+
+async function handleReviewSettingsChange() {
+  try {
+    await saveReviewSettings({
+      reminders: elements.reviewReminders.checked,
+      reminderHour: Number(elements.reviewReminderHour.value),
+      sessionSize: Number(elements.reviewSessionSize.value),
+      resurfaceWings: elements.reviewResurfaceWings.checked,
+    });
+    showToast('Review settings saved', 'success');
+  } catch (error) {
+    console.error('Error saving review settings:', error);
+    showToast('Failed to save setting', 'error');
+  } finally {
+    await loadReview();
+  }
+}
+
+// ============================================
+// Library Health
+// ============================================
+/**
+ * Show the last health report (written by the background check or by this page)
+ */
+async function loadLibraryHealth() {
+  try {
+    const { libraryHealth } = await chrome.storage.local.get('libraryHealth');
+    renderLibraryHealth(libraryHealth);
+  } catch (error) {
+    console.error('Error loading library health:', error);
+  }
+}
+
+function renderLibraryHealth(report) {
+  if (!report) {
+    elements.healthStatus.textContent = 'Not checked yet.';
+    elements.healthList.innerHTML = '';
+    elements.repairLibrary.disabled = true;
+    return;
+  }
+
+  const checked = `Last checked ${formatDate(report.checkedAt, true)}`;
+  elements.healthStatus.textContent = report.problems > 0
+    ? `${checked}: ${report.problems} problem${report.problems !== 1 ? 's' : ''} found.`
+    : `${checked}: no problems found.`;
+  elements.repairLibrary.disabled = report.problems === 0;
+
+  elements.healthList.innerHTML = report.checks
+    .filter((check) => check.count > 0)
+    .map((check) => `
+      <div class="health-item">
+        <span class="health-item-label">${escapeHtml(check.label)}</span>
+        <span class="health-item-count">${check.count}</span>
+      </div>
+    `)
+    .join('');
+}
+
+async function checkLibraryHealth() {
+  const btn = elements.checkLibrary;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const report = await db.checkLibrary();
+    await chrome.storage.local.set({ libraryHealth: report });
+    renderLibraryHealth(report);
+  } catch (error) {
+    console.error('Library check error:', error);
+    showToast('Failed to check library', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+async function repairLibraryHealth() {
+  const btn = elements.repairLibrary;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const repaired = await db.repairLibrary();
+    const report = await db.checkLibrary();
+    await chrome.storage.local.set({ libraryHealth: report });
+    renderLibraryHealth(report);
+    showToast(`Fixed ${repaired.problems} problem${repaired.problems !== 1 ? 's' : ''}`, 'success');
+    await Promise.all([loadStats(), loadTags()]);
+  } catch (error) {
+    console.error('Library repair error:', error);
+    showToast('Failed to repair library', 'error');
+    btn.disabled = false;
+  } finally {
+    btn.classList.remove('loading');
+  }
+}
+
 // ============================================
 // Data Management
 // ============================================
@@ -252,30 +1059,77 @@ async function exportData() {
   btn.disabled = true;
 
   try {
-    const data = await db.exportAllData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
-      type: 'application/json',
-    });
-    const url = URL.createObjectURL(blob);
+    const passphrase = elements.exportPassphrase.value;
+    const backup = await db.exportAllData();
+    const data = passphrase ? await sealBackup(backup, passphrase) : backup;
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', 'wing-backup', 'json');
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `wing-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    showToast('Data exported successfully', 'success');
+    elements.exportPassphrase.value = '';
+    showToast(passphrase ? 'Protected backup exported' : 'Data exported successfully', 'success');
   } catch (error) {
     console.error('Export error:', error);
-    showToast('Failed to export data', 'error');
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to export data', 'error');
   } finally {
     btn.classList.remove('loading');
     btn.disabled = false;
   }
 }
 
+/**
+ * Export the library as a bookmarks.html file other browsers and services can import
+ */
+async function exportBookmarks() {
+  const btn = elements.exportBookmarks;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const backup = await db.exportAllData();
+    downloadFile(exportBookmarksHtml(backup.data), 'text/html', 'wing-bookmarks', 'html');
+    showToast('Bookmarks exported', 'success');
+  } catch (error) {
+    console.error('Bookmark export error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to export bookmarks', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Export every wing as a Markdown note, bundled in a zip
+ */
+async function exportMarkdown() {
+  const btn = elements.exportMarkdown;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const backup = await db.exportAllData();
+    downloadFile(exportMarkdownZip(backup.data), 'application/zip', 'wing-markdown', 'zip');
+    showToast('Markdown notes exported', 'success');
+  } catch (error) {
+    console.error('Markdown export error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to export Markdown', 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+function downloadFile(contents, type, name, extension) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function triggerImport() {
   elements.importFile.click();
 }
@@ -296,51 +1150,330 @@ async function handleImport(event) {
   try {
     showImportStatus('Reading file...', 'validating');
 
-    const text = await file.text();
-    let data;
+    await previewImportText(await file.text());
+  } catch (error) {
+    console.error('Import error:', error);
+    showImportStatus(`Import failed: ${error.message}`, 'error');
+    showToast(`Import failed: ${error.message}`, 'error');
+    closeImportPreview();
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
 
-    try {
-      data = JSON.parse(text);
-    } catch {
-      throw new Error('Invalid JSON format');
-    }
+/**
+ * Work out what an import file is and preview importing it
+ * @param {string} text - File contents
+ */
+async function previewImportText(text) {
+  const format = detectImportFormat(text);
+  if (!format) {
+    throw new Error('Unrecognized file. Choose a Wing backup, a bookmarks.html file, or a Pocket, Instapaper or Raindrop export.');
+  }
 
-    // Validate structure
-    if (!data.data) {
-      throw new Error('Invalid backup file: missing data object');
-    }
+  if (format !== 'backup') {
+    showImportStatus(`Reading ${IMPORT_FORMATS[format]} export...`, 'validating');
+    const { backup, skipped } = parseReadLaterExport(format, text);
+    await startImportPreview(backup, { skipped, source: IMPORT_FORMATS[format] });
+    return;
+  }
+
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON format');
+  }
 
-    if (!data.version) {
-      throw new Error('Invalid backup file: missing version');
+  if (isCollectionBundle(data)) {
+    await startBundlePreview(data);
+    return;
+  }
+
+  if (isSealedBackup(data)) {
+    pendingSealedImport = data;
+    elements.importUnlock.classList.remove('hidden');
+    elements.importPassphrase.focus();
+    showImportStatus('This backup is protected. Enter its passphrase to open it.', 'validating');
+    return;
+  }
+
+  await startImportPreview(data);
+}
+
+/**
+ * Decrypt the pending protected backup and preview it
+ */
+async function openSealedImport() {
+  if (!pendingSealedImport) return;
+
+  const btn = elements.openImport;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const data = await openBackup(pendingSealedImport, elements.importPassphrase.value);
+    closeImportUnlock();
+    await startImportPreview(data);
+  } catch (error) {
+    console.error('Import error:', error);
+    if (error instanceof EncryptionError) {
+      showImportStatus(error.message, 'error');
+    } else {
+      showImportStatus(`Import failed: ${error.message}`, 'error');
+      closeImportUnlock();
+      closeImportPreview();
     }
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
 
-    // Show what will be imported
-    const { collections, nests, wings, highlights, connections } = data.data;
-    const summary = [
-      wings?.length ? `${wings.length} wings` : null,
-      collections?.length ? `${collections.length} collections` : null,
-      highlights?.length ? `${highlights.length} highlights` : null,
-      connections?.length ? `${connections.length} connections` : null,
-    ].filter(Boolean).join(', ');
+function closeImportUnlock() {
+  pendingSealedImport = null;
+  elements.importPassphrase.value = '';
+  elements.importUnlock.classList.add('hidden');
+  elements.importFile.value = '';
+}
 
-    showImportStatus(`Found: ${summary || 'empty backup'}`, 'validating');
+/**
+ * Preview importing a collection someone shared, as a new collection to start with
+ * @param {Object} bundle - Collection bundle
+ */
+async function startBundlePreview(bundle) {
+  const collection = getBundleCollection(bundle);
+  const existing = await db.getAllCollections();
+
+  elements.bundleTarget.innerHTML = [
+    `<option value="">A new collection, "${escapeHtml(collection.name)}"</option>`,
+    ...existing.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`),
+  ].join('');
+
+  await startImportPreview(bundleToBackup(bundle), {
+    source: `shared "${collection.name}" collection`,
+    bundle,
+    strategies: BUNDLE_IMPORT_STRATEGIES,
+  });
+}
 
-    // Confirm import
-    const replace = confirm(
-      `Import ${summary || 'data'}?\n\nClick OK to replace all existing data.\nClick Cancel to merge with existing data.`
-    );
+async function handleBundleTargetChange() {
+  const { bundle } = pendingImportInfo;
+  if (!bundle) return;
 
+  try {
+    pendingImport = bundleToBackup(bundle, { collectionId: elements.bundleTarget.value || null });
+    await renderImportPreview();
+  } catch (error) {
+    console.error('Import preview error:', error);
+    showToast('Failed to update the import preview', 'error');
+  }
+}
+
+/**
+ * Preview importing a backup
+ * @param {Object} data - Backup, or another service's export converted to one
+ * @param {Object} [options]
+ * @param {number} [options.skipped] - Entries of the export left out because they aren't web pages
+ * @param {string} [options.source] - Name of the export format, if not a backup
+ * @param {Object} [options.bundle] - Shared collection the backup was made from
+ * @param {Object} [options.strategies] - Merge strategies to start with
+ */
+async function startImportPreview(data, { skipped = 0, source = null, bundle = null, strategies = {} } = {}) {
+  // Validate structure
+  if (!data.data) {
+    throw new Error('Invalid backup file: missing data object');
+  }
+
+  if (!data.version) {
+    throw new Error('Invalid backup file: missing version');
+  }
+
+  pendingImport = data;
+  pendingImportInfo = { skipped, source, bundle };
+  importStrategies = { ...strategies };
+  elements.importMode.value = 'merge';
+  // A shared collection is always merged, into a new collection or a chosen one
+  elements.importModeGroup.classList.toggle('hidden', Boolean(bundle));
+  elements.bundleTargetGroup.classList.toggle('hidden', !bundle);
+  await renderImportPreview();
+
+  const from = source ? ` in the ${source} export` : '';
+  const leftOut = skipped ? ` ${skipped} entries that aren't web pages were left out.` : '';
+  showImportStatus(`Found${from}: ${describeBackup(data) || 'nothing to import'}.${leftOut} Review the import below.`, 'validating');
+}
+
+function describeBackup(data) {
+  const { collections, wings, highlights, connections } = data.data;
+  return [
+    wings?.length ? `${wings.length} wings` : null,
+    collections?.length ? `${collections.length} collections` : null,
+    highlights?.length ? `${highlights.length} highlights` : null,
+    connections?.length ? `${connections.length} connections` : null,
+  ].filter(Boolean).join(', ');
+}
+
+const importCategoryLabels = {
+  tags: 'Tags',
+  collections: 'Collections',
+  nests: 'Nests',
+  wings: 'Wings',
+  highlights: 'Highlights',
+  connections: 'Connections',
+};
+
+const importStrategyLabels = {
+  'keep-newest': 'Keep newest',
+  'keep-existing': 'Keep existing',
+  'keep-both': 'Keep both',
+};
+
+// Conflicting records listed per category in the preview
+const MAX_PREVIEW_CONFLICTS = 5;
+
+/**
+ * Show what merging the pending backup would do, category by category
+ */
+async function renderImportPreview() {
+  const replace = elements.importMode.value === 'replace';
+  elements.importReplaceWarning.classList.toggle('hidden', !replace);
+  elements.importPreview.classList.remove('hidden');
+
+  if (replace) {
+    // Nothing is merged, so references can only point into the backup itself
+    const { data, issues } = validateBackup(pendingImport);
+    elements.importPreviewList.innerHTML = renderImportIssues([...issues, ...repairReferences(data).issues]);
+    return;
+  }
+
+  const plan = await db.previewImport(pendingImport, importStrategies);
+
+  const rows = IMPORT_CATEGORIES
+    .map((category) => {
+      const { added, unchanged, changed, conflicts } = plan.categories[category];
+      if (added.length + unchanged.length + changed.length + conflicts.length === 0) return '';
+
+      const counts = [
+        `${added.length} new`,
+        changed.length ? `${changed.length} changed` : null,
+        conflicts.length ? `${conflicts.length} conflicting` : null,
+        unchanged.length ? `${unchanged.length} unchanged` : null,
+      ].filter(Boolean).join(' · ');
+
+      const differing = [...changed, ...conflicts];
+      const strategy = importStrategies[category] || 'keep-newest';
+
+      return `
+        <div class="import-category" data-category="${category}">
+          <div class="import-category-header">
+            <span class="import-category-name">${importCategoryLabels[category]}</span>
+            <span class="import-category-counts">${counts}</span>
+            ${differing.length > 0 ? `
+              <select class="form-select" data-action="strategy" aria-label="${importCategoryLabels[category]} that differ">
+                ${Object.entries(importStrategyLabels)
+                  .map(([value, label]) => `<option value="${value}" ${value === strategy ? 'selected' : ''}>${label}</option>`)
+                  .join('')}
+              </select>
+            ` : ''}
+          </div>
+          ${differing.length > 0 ? `
+            <details>
+              <summary>Show differences</summary>
+              <ul>
+                ${differing.slice(0, MAX_PREVIEW_CONFLICTS).map(({ incoming, existing }) => `
+                  <li>Backup: ${escapeHtml(truncateText(getImportLabel(category, incoming), 60))}
+                    — Library: ${escapeHtml(truncateText(getImportLabel(category, existing), 60))}</li>
+                `).join('')}
+                ${differing.length > MAX_PREVIEW_CONFLICTS ? `<li>and ${differing.length - MAX_PREVIEW_CONFLICTS} more</li>` : ''}
+              </ul>
+            </details>
+          ` : ''}
+        </div>
+      `;
+    })
+    .join('');
+
+  elements.importPreviewList.innerHTML =
+    renderImportIssues(plan.issues) + (rows || '<p class="tags-empty">Nothing to import.</p>');
+}
+
+// Repaired problems listed in the preview
+const MAX_PREVIEW_ISSUES = 10;
+
+/**
+ * List the problems found in a backup and how they will be fixed
+ */
+function renderImportIssues(issues) {
+  if (issues.length === 0) return '';
+
+  return `
+    <div class="import-category import-issues">
+      <details>
+        <summary>${issues.length} problem${issues.length !== 1 ? 's' : ''} found in the backup will be fixed</summary>
+        <ul>
+          ${issues.slice(0, MAX_PREVIEW_ISSUES).map((issue) => `
+            <li>${issue.category ? `${importCategoryLabels[issue.category]} ${escapeHtml(issue.id || '')}: ` : ''}${escapeHtml(issue.message)}</li>
+          `).join('')}
+          ${issues.length > MAX_PREVIEW_ISSUES ? `<li>and ${issues.length - MAX_PREVIEW_ISSUES} more</li>` : ''}
+        </ul>
+      </details>
+    </div>
+  `;
+}
+
+async function handleImportStrategyChange(category, strategy) {
+  importStrategies[category] = strategy;
+  try {
+    await renderImportPreview();
+  } catch (error) {
+    console.error('Import preview error:', error);
+    showToast('Failed to update the import preview', 'error');
+  }
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+
+  const replace = elements.importMode.value === 'replace';
+  if (replace && !confirm('Replace all existing data with this backup?')) return;
+
+  const btn = elements.applyImport;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
     showImportStatus('Importing...', 'validating');
-    await db.importData(data, replace);
+    elements.importProgress.value = 0;
+    elements.importProgress.classList.remove('hidden');
+    const onProgress = (written, total) => {
+      elements.importProgress.value = written / total;
+      showImportStatus(`Importing... ${written} of ${total}`, 'validating');
+    };
+
+    let message;
+    if (replace) {
+      await db.importData(pendingImport, true, { onProgress });
+      message = `Successfully imported: ${describeBackup(pendingImport) || 'empty backup'}`;
+    } else if (pendingImportInfo.bundle) {
+      const plan = await importCollectionBundle(pendingImport, { strategies: importStrategies, onProgress });
+      message = describeImportResult(plan);
+    } else {
+      const plan = await db.importData(pendingImport, false, { strategies: importStrategies, onProgress });
+      message = describeImportResult(plan);
+    }
+    if (pendingImportInfo.skipped) {
+      message += ` Skipped ${pendingImportInfo.skipped} entries that aren't web pages.`;
+    }
 
-    showImportStatus(`Successfully imported: ${summary}`, 'success');
+    showImportStatus(message, 'success');
     showToast('Data imported successfully', 'success');
+    closeImportPreview();
 
     // Refresh stats
     await loadStats();
-
-    // Reset file input
-    elements.importFile.value = '';
+    await loadTags();
   } catch (error) {
     console.error('Import error:', error);
     showImportStatus(`Import failed: ${error.message}`, 'error');
@@ -351,6 +1484,52 @@ async function handleImport(event) {
   }
 }
 
+/**
+ * Report what a merge import added, updated and left alone
+ * Wings already in the library are skipped, unless a shared collection
+ * linked them to itself.
+ */
+function describeImportResult(plan) {
+  const added = IMPORT_CATEGORIES
+    .filter((category) => plan.categories[category].added.length > 0)
+    .map((category) => `${plan.categories[category].added.length} ${importCategoryLabels[category].toLowerCase()}`);
+  const addedCount = (category) => plan.categories[category].added.length;
+  const updated = IMPORT_CATEGORIES.reduce(
+    (sum, category) => sum + plan.writes[category].length - addedCount(category),
+    0
+  );
+  const { unchanged, changed, conflicts } = plan.categories.wings;
+  const linked = plan.linked || 0;
+  const keptWings = unchanged.length + changed.length + conflicts.length - (plan.writes.wings.length - addedCount('wings')) - linked;
+
+  return [
+    added.length > 0 ? `Imported ${added.join(', ')}.` : 'Nothing new to import.',
+    updated > 0 ? `Updated ${updated} existing records.` : null,
+    linked > 0 ? `Added ${linked} wings already in your library to the collection.` : null,
+    keptWings > 0 ? `Skipped ${keptWings} wings already in your library.` : null,
+  ].filter(Boolean).join(' ');
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  pendingImportInfo = {};
+  importStrategies = {};
+  elements.importProgress.classList.add('hidden');
+  elements.importPreview.classList.add('hidden');
+  elements.importModeGroup.classList.remove('hidden');
+  elements.bundleTargetGroup.classList.add('hidden');
+  elements.importPreviewList.innerHTML = '';
+
+  // Reset file input
+  elements.importFile.value = '';
+}
+
+function cancelImport() {
+  closeImportUnlock();
+  closeImportPreview();
+  elements.importStatus.className = 'import-status hidden';
+}
+
 async function clearAllData() {
   if (
     !confirm(
@@ -368,12 +1547,111 @@ async function clearAllData() {
     await db.clearAllData();
     showToast('All data cleared', 'success');
     await loadStats();
+    await loadTags();
+    await loadTrash();
   } catch (error) {
     console.error('Clear data error:', error);
     showToast('Failed to clear data', 'error');
   }
 }
 
+// ============================================
+// Browser Bookmarks
+// ============================================
+
+function showBookmarksStatus(message, type) {
+  elements.browserBookmarksStatus.textContent = message;
+  elements.browserBookmarksStatus.className = `import-status ${type}`;
+}
+
+/**
+ * Ask for access to the browser's bookmarks and list their folders to choose from
+ */
+async function chooseBookmarkFolders() {
+  try {
+    if (!(await requestBookmarksAccess())) {
+      showBookmarksStatus('Wing needs access to your bookmarks to import them.', 'error');
+      return;
+    }
+
+    const folders = listBookmarkFolders(await chrome.bookmarks.getTree());
+    elements.bookmarkFolderList.innerHTML = folders.map((folder) => `
+      <label class="bookmark-folder" style="padding-left: ${folder.depth * 20}px">
+        <input type="checkbox" value="${escapeHtml(folder.id)}" data-depth="${folder.depth}" checked>
+        <span>${escapeHtml(folder.title)}</span>
+        <span class="bookmark-folder-count">${folder.bookmarkCount}</span>
+      </label>
+    `).join('');
+
+    elements.summarizeBookmarks.checked = false;
+    elements.summarizeBookmarks.disabled = !(await hasApiKey());
+    elements.browserBookmarks.classList.remove('hidden');
+    elements.browserBookmarksStatus.className = 'import-status hidden';
+  } catch (error) {
+    console.error('Bookmark folders error:', error);
+    showToast('Failed to read your bookmarks', 'error');
+  }
+}
+
+/**
+ * Choosing a folder chooses the folders inside it too
+ */
+function handleBookmarkFolderToggle(event) {
+  const checkbox = event.target;
+  const boxes = [...elements.bookmarkFolderList.querySelectorAll('input[type="checkbox"]')];
+  const depth = Number(checkbox.dataset.depth);
+
+  for (const box of boxes.slice(boxes.indexOf(checkbox) + 1)) {
+    if (Number(box.dataset.depth) <= depth) break;
+    box.checked = checkbox.checked;
+  }
+}
+
+async function importChosenBookmarks() {
+  const folderIds = [...elements.bookmarkFolderList.querySelectorAll('input:checked')].map((box) => box.value);
+  if (folderIds.length === 0) {
+    showBookmarksStatus('Choose at least one folder to import.', 'error');
+    return;
+  }
+
+  const summarize = elements.summarizeBookmarks.checked;
+  // Reading the pages needs its own permission, asked for while the click still counts
+  const pagesGranted = summarize ? await requestBookmarksAccess({ pages: true }) : false;
+
+  const btn = elements.importBrowserBookmarks;
+  btn.classList.add('loading');
+  btn.disabled = true;
+
+  try {
+    const result = await importBrowserBookmarks(folderIds, { queueSummaries: pagesGranted });
+    const notes = [
+      result.alreadyWinged ? `${result.alreadyWinged} already winged` : null,
+      result.skipped ? `${result.skipped} not web pages` : null,
+    ].filter(Boolean);
+    const summaries = pagesGranted && result.imported ? ' Summaries will be added in the background.' : '';
+    showBookmarksStatus(
+      `Imported ${result.imported} bookmarks${notes.length ? ` (skipped ${notes.join(', ')})` : ''}.${summaries}`,
+      'success'
+    );
+    elements.browserBookmarks.classList.add('hidden');
+    showToast('Bookmarks imported', 'success');
+
+    await loadStats();
+    await loadTags();
+  } catch (error) {
+    console.error('Bookmark import error:', error);
+    showBookmarksStatus(`Import failed: ${error.message}`, 'error');
+  } finally {
+    btn.classList.remove('loading');
+    btn.disabled = false;
+  }
+}
+
+function closeBrowserBookmarks() {
+  elements.browserBookmarks.classList.add('hidden');
+  elements.bookmarkFolderList.innerHTML = '';
+}
+
 // ============================================
 // Theme Management
 // ============================================
@@ -421,17 +1699,134 @@ function setupEventListeners() {
   elements.toggleVisibility.addEventListener('click', toggleApiKeyVisibility);
   elements.saveApiKey.addEventListener('click', saveApiKey);
   elements.removeApiKey.addEventListener('click', removeApiKey);
+
+  // Encryption
+  elements.enableEncryption.addEventListener('click', turnOnEncryption);
+  elements.unlockEncryption.addEventListener('click', unlockWing);
+  elements.unlockPassphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') unlockWing();
+  });
+  elements.lockEncryption.addEventListener('click', lockWing);
+  elements.disableEncryption.addEventListener('click', turnOffEncryption);
   elements.exportData.addEventListener('click', exportData);
+  elements.exportBookmarks.addEventListener('click', exportBookmarks);
+  elements.exportMarkdown.addEventListener('click', exportMarkdown);
   elements.importData.addEventListener('click', triggerImport);
   elements.importFile.addEventListener('change', handleImport);
   elements.clearAllData.addEventListener('click', clearAllData);
 
+  // Browser bookmarks
+  elements.chooseBookmarkFolders.addEventListener('click', chooseBookmarkFolders);
+  elements.bookmarkFolderList.addEventListener('change', handleBookmarkFolderToggle);
+  elements.importBrowserBookmarks.addEventListener('click', importChosenBookmarks);
+  elements.cancelBrowserBookmarks.addEventListener('click', closeBrowserBookmarks);
+
+  // Library health
+  elements.checkLibrary.addEventListener('click', checkLibraryHealth);
+  elements.repairLibrary.addEventListener('click', repairLibraryHealth);
+
+  // Import preview
+  elements.importMode.addEventListener('change', () => {
+    renderImportPreview().catch((error) => {
+      console.error('Import preview error:', error);
+    });
+  });
+  elements.bundleTarget.addEventListener('change', handleBundleTargetChange);
+  elements.importPreviewList.addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'strategy') return;
+    handleImportStrategyChange(e.target.closest('.import-category').dataset.category, e.target.value);
+  });
+  elements.applyImport.addEventListener('click', applyImport);
+  elements.cancelImport.addEventListener('click', cancelImport);
+  elements.openImport.addEventListener('click', openSealedImport);
+  elements.importPassphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') openSealedImport();
+  });
+  elements.cancelImportUnlock.addEventListener('click', cancelImport);
+
+  // Automatic backups
+  elements.backupFrequency.addEventListener('change', handleBackupSettingsChange);
+  elements.backupKeep.addEventListener('change', handleBackupSettingsChange);
+  elements.backUpNow.addEventListener('click', backUpNow);
+  elements.backupList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const downloadId = btn.closest('.trash-item').dataset.downloadId;
+
+    if (btn.dataset.action === 'show') chrome.downloads.show(Number(downloadId));
+    if (btn.dataset.action === 'restore') restoreBackup(downloadId);
+  });
+
+  // Sync
+  elements.enableSync.addEventListener('click', enableSync);
+  elements.syncNow.addEventListener('click', syncLibraryNow);
+  elements.disableSync.addEventListener('click', disableSync);
+
+  // Review
+  elements.reviewReminders.addEventListener('change', handleReviewSettingsChange);
+  elements.reviewReminderHour.addEventListener('change', handleReviewSettingsChange);
+  elements.reviewSessionSize.addEventListener('change', handleReviewSettingsChange);
+  elements.reviewResurfaceWings.addEventListener('change', handleReviewSettingsChange);
+  elements.startReview.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') });
+  });
+
+  // Trash actions
+  elements.trashRetention.addEventListener('change', handleTrashRetentionChange);
+  elements.emptyTrash.addEventListener('click', emptyTrash);
+  elements.trashList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const entryId = btn.closest('.trash-item').dataset.entryId;
+
+    if (btn.dataset.action === 'restore') restoreTrashEntry(entryId);
+    if (btn.dataset.action === 'delete') deleteTrashEntry(entryId);
+  });
+
+  // Tag actions
+  elements.tagList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const tagId = btn.closest('.tag-item').dataset.tagId;
+
+    if (btn.dataset.action === 'rename') renameTag(tagId);
+    if (btn.dataset.action === 'delete') deleteTag(tagId);
+  });
+
+  elements.tagList.addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'merge' || !e.target.value) return;
+    mergeTag(e.target.closest('.tag-item').dataset.tagId, e.target.value);
+  });
+
   // Save API key on Enter
   elements.apiKey.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') saveApiKey();
   });
 }
 
+// ============================================
+// Live Updates
+// ============================================
+/**
+ * Refresh the sections affected by changes made in the popup, on pages or
+ * in the background
+ */
+function queueLibraryChange(event) {
+  if (isLocalChange(event)) return;
+  pendingLibraryChanges.push(event);
+  applyLibraryChanges();
+}
+
+const applyLibraryChanges = debounce(() => {
+  const events = pendingLibraryChanges;
+  pendingLibraryChanges = [];
+  const touches = (...stores) => events.some((event) => changeTouches(event, ...stores));
+
+  if (touches('wings', 'collections', 'highlights', 'connections')) loadStats();
+  if (touches('tags', 'wings')) loadTags();
+  if (touches('trash')) loadTrash();
+}, 300);
+
 // ============================================
 // Initialization
 // ============================================
@@ -440,8 +1835,21 @@ async function init() {
     await db.initDB();
     await loadTheme();
     await loadProviders();
+    await loadEncryptionState();
     await loadStats();
+    await loadTags();
+    await loadTrash();
+    await loadBackups();
+    await loadSync();
+    await loadReview();
+    await loadLibraryHealth();
     setupEventListeners();
+    subscribeToChanges(queueLibraryChange);
+    // Scheduled backups and syncs run in the background
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.autoBackups) loadBackups();
+      if (area === 'local' && changes.syncStatus) loadSync();
+    });
     console.log('Wing options page initialized');
   } catch (error) {
     console.error('Failed to initialize options page:', error);
@@ -5,6 +5,12 @@
 
 import * as db from '../lib/db.js';
 import * as api from '../lib/api.js';
+import { subscribeToChanges, isLocalChange, changeTouches, getChangedWingIds } from '../lib/changes.js';
+import { EncryptionError, getEncryptionState, unlock } from '../lib/encryption.js';
+import { getMarkdownFileName, wingToMarkdown, renderMarkdown } from '../lib/markdown.js';
+import { exportCollectionBundle, getBundleFileName } from '../lib/bundles.js';
+import { sortByPosition } from '../lib/positions.js';
+import { getReviewSettings } from '../lib/review.js';
 import {
   generateId,
   formatDate,
@@ -22,19 +28,36 @@ import {
 let currentView = 'wings';
 let collections = [];
 let nests = [];
-let wings = [];
+let wings = []; // Wings loaded so far: list pages, opened wings, or the whole library
+let allWingsLoaded = false;
+let tags = [];
 let currentWingData = null;
 let editingCollectionId = null;
 let editingNestId = null;
 let currentCollectionId = null;
 let selectedWingId = null;
 let draggedWingId = null;
+let draggedNestId = null;
+let draggedCollectionId = null;
+let draggedWingList = null; // Element listing the dragged wing, where it can be reordered
 let currentSortOption = 'newest';
 let activeCollectionFilter = null;
+let activeTagFilter = null;
 let currentSearchQuery = '';
+let searchRequestId = 0;
 let isQueryLoading = false;
 let currentWingHighlights = [];
 let currentWingConnections = [];
+let currentWingDuplicates = [];
+let pendingLibraryChanges = [];
+
+// Notes autosave: wait this long after typing stops, then save
+const NOTES_AUTOSAVE_DELAY_MS = 1000;
+let notesSaveTimer = null;
+let notesWingId = null; // Wing whose notes are in the editor
+
+// Tag names being edited, keyed by editor prefix ('new' = Wing It, 'edit' = details)
+const tagEditorNames = { new: [], edit: [] };
 
 // Chat state
 let chatMessages = [];
@@ -46,6 +69,8 @@ let noApiKey = false;
 const WINGS_PER_PAGE = 20;
 let currentPage = 1;
 let totalFilteredWings = 0;
+let listedWings = [];
+let listCursor = null;
 
 // ============================================
 // DOM Elements
@@ -57,6 +82,7 @@ const elements = {
   // Views
   wingsView: document.getElementById('wingsView'),
   collectionsView: document.getElementById('collectionsView'),
+  queueView: document.getElementById('queueView'),
   queryView: document.getElementById('queryView'),
   searchContainer: document.getElementById('searchContainer'),
 
@@ -69,6 +95,14 @@ const elements = {
   sortLabel: document.getElementById('sortLabel'),
   sortMenu: document.getElementById('sortMenu'),
   filterChips: document.getElementById('filterChips'),
+  tagSuggestions: document.getElementById('tagSuggestions'),
+
+  // Queue
+  queueList: document.getElementById('queueList'),
+  queueEmpty: document.getElementById('queueEmpty'),
+  reviewBanner: document.getElementById('reviewBanner'),
+  reviewBannerText: document.getElementById('reviewBannerText'),
+  startReviewBtn: document.getElementById('startReviewBtn'),
 
   // Collections
   addCollectionBtn: document.getElementById('addCollectionBtn'),
@@ -88,7 +122,11 @@ const elements = {
   wingFavicon: document.getElementById('wingFavicon'),
   wingTitle: document.getElementById('wingTitle'),
   wingUrl: document.getElementById('wingUrl'),
+  wingDuplicateWarning: document.getElementById('wingDuplicateWarning'),
+  wingDuplicateText: document.getElementById('wingDuplicateText'),
+  wingDuplicateView: document.getElementById('wingDuplicateView'),
   wingCollections: document.getElementById('wingCollections'),
+  wingTags: document.getElementById('wingTags'),
   noCollectionsMsg: document.getElementById('noCollectionsMsg'),
   wingNestsContainer: document.getElementById('wingNestsContainer'),
   wingNests: document.getElementById('wingNests'),
@@ -121,6 +159,13 @@ const elements = {
   nestCancel: document.getElementById('nestCancel'),
   nestSave: document.getElementById('nestSave'),
 
+  // Unlock Modal
+  unlockModal: document.getElementById('unlockModal'),
+  unlockModalClose: document.getElementById('unlockModalClose'),
+  unlockPassphrase: document.getElementById('unlockPassphrase'),
+  unlockCancel: document.getElementById('unlockCancel'),
+  unlockConfirm: document.getElementById('unlockConfirm'),
+
   // Wing Details Modal
   wingDetailsModal: document.getElementById('wingDetailsModal'),
   wingDetailsTitle: document.getElementById('wingDetailsTitle'),
@@ -129,11 +174,15 @@ const elements = {
   wingHighlightsSection: document.getElementById('wingHighlightsSection'),
   highlightsCount: document.getElementById('highlightsCount'),
   wingHighlightsList: document.getElementById('wingHighlightsList'),
+  wingDuplicatesSection: document.getElementById('wingDuplicatesSection'),
+  wingDuplicatesList: document.getElementById('wingDuplicatesList'),
+  wingEditTags: document.getElementById('wingEditTags'),
   wingEditCollections: document.getElementById('wingEditCollections'),
   wingEditNestsContainer: document.getElementById('wingEditNestsContainer'),
   wingEditNests: document.getElementById('wingEditNests'),
   wingDetailsSave: document.getElementById('wingDetailsSave'),
   wingDetailsDelete: document.getElementById('wingDetailsDelete'),
+  wingDetailsExport: document.getElementById('wingDetailsExport'),
   wingDetailsOpen: document.getElementById('wingDetailsOpen'),
 
   // Connections Section
@@ -151,16 +200,204 @@ const elements = {
 // ============================================
 // Toast Notifications
 // ============================================
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', action = null) {
   const toast = document.createElement('div');
   toast.className = `toast toast-${type}`;
   toast.textContent = message;
+
+  // Optional action button (e.g. Undo)
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
   elements.toastContainer.appendChild(toast);
 
   setTimeout(() => {
     toast.style.animation = 'slideIn 0.2s ease-out reverse';
     setTimeout(() => toast.remove(), 200);
-  }, 3000);
+  }, action ? 5000 : 3000);
+}
+
+function showUndoToast(message) {
+  showToast(message, 'success', { label: 'Undo', onClick: undoLastChange });
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+async function reloadLibrary() {
+  [collections, nests, tags] = await Promise.all([
+    db.getAllCollections(),
+    db.getAllNests(),
+    db.getAllTags(),
+  ]);
+  wings = [];
+  allWingsLoaded = false;
+
+  // Drop filters that point at records that no longer exist
+  if (activeCollectionFilter && !collections.some((c) => c.id === activeCollectionFilter)) {
+    activeCollectionFilter = null;
+  }
+  if (activeTagFilter && !tags.some((t) => t.id === activeTagFilter)) {
+    activeTagFilter = null;
+  }
+
+  // The open wing may have been removed or changed
+  if (!elements.wingDetailsModal.classList.contains('hidden')) {
+    closeModal(elements.wingDetailsModal);
+  }
+
+  renderFilteredWings(false);
+  renderCollections();
+  renderQueue();
+  renderFilterChips();
+  renderTagSuggestions();
+}
+
+async function undoLastChange() {
+  try {
+    const result = await db.undo();
+    if (!result) {
+      showToast('Nothing to undo', 'info');
+      return;
+    }
+    await reloadLibrary();
+    showToast(`Undone: ${result.label}`, 'success', { label: 'Redo', onClick: redoLastChange });
+  } catch (error) {
+    console.error('Error undoing change:', error);
+    showToast(error instanceof db.JournalConflictError ? error.message : 'Failed to undo', 'error');
+  }
+}
+
+async function redoLastChange() {
+  try {
+    const result = await db.redo();
+    if (!result) {
+      showToast('Nothing to redo', 'info');
+      return;
+    }
+    await reloadLibrary();
+    showToast(`Redone: ${result.label}`, 'success', { label: 'Undo', onClick: undoLastChange });
+  } catch (error) {
+    console.error('Error redoing change:', error);
+    showToast(error instanceof db.JournalConflictError ? error.message : 'Failed to redo', 'error');
+  }
+}
+
+// ============================================
+// Unlock
+// ============================================
+function openUnlockModal() {
+  elements.unlockPassphrase.value = '';
+  openModal(elements.unlockModal);
+  elements.unlockPassphrase.focus();
+}
+
+async function unlockWing() {
+  const btn = elements.unlockConfirm;
+  btn.disabled = true;
+
+  try {
+    await unlock(elements.unlockPassphrase.value);
+    closeModal(elements.unlockModal);
+    showToast('Wing unlocked', 'success');
+
+    // Reload the wings, now with their encrypted text
+    wings = [];
+    allWingsLoaded = false;
+    renderFilteredWings(false);
+  } catch (error) {
+    console.error('Unlock error:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to unlock', 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ============================================
+// Live Updates
+// ============================================
+/**
+ * Collect changes made in other contexts (content scripts, options page,
+ * background) and apply them in one pass
+ */
+function queueLibraryChange(event) {
+  if (isLocalChange(event)) return;
+  pendingLibraryChanges.push(event);
+  applyLibraryChanges();
+}
+
+const applyLibraryChanges = debounce(async () => {
+  const events = pendingLibraryChanges;
+  pendingLibraryChanges = [];
+  if (events.length === 0) return;
+
+  const event = {
+    changes: events.flatMap((e) => e.changes),
+    stores: [...new Set(events.flatMap((e) => e.stores))],
+  };
+
+  try {
+    if (changeTouches(event, 'collections', 'nests', 'tags')) {
+      [collections, nests, tags] = await Promise.all([
+        db.getAllCollections(),
+        db.getAllNests(),
+        db.getAllTags(),
+      ]);
+    }
+
+    const changedWingIds = getChangedWingIds(event);
+    if (changeTouches(event, 'wings')) {
+      wings = [];
+      allWingsLoaded = false;
+    }
+
+    if (changeTouches(event, 'wings', 'highlights', 'collections', 'nests', 'tags')) {
+      renderFilteredWings(false);
+      renderCollections();
+      renderQueue();
+      renderFilterChips();
+      renderTagSuggestions();
+    }
+
+    if (selectedWingId && !elements.wingDetailsModal.classList.contains('hidden')) {
+      await refreshOpenWingDetails(event, changedWingIds);
+    }
+  } catch (error) {
+    console.error('Error applying library changes:', error);
+  }
+}, 150);
+
+/**
+ * Update the wing details view after its wing or highlights changed elsewhere
+ */
+async function refreshOpenWingDetails(event, changedWingIds) {
+  if (changedWingIds && !changedWingIds.has(selectedWingId)) return;
+
+  const wing = await db.getWing(selectedWingId);
+  if (!wing) {
+    closeModal(elements.wingDetailsModal);
+    showToast('This wing was deleted in another window', 'info');
+    return;
+  }
+
+  const wingChanged = !changedWingIds || event.changes.some(
+    (change) => change.store === 'wings' && change.key === selectedWingId
+  );
+  if (wingChanged) {
+    await openWingDetails(selectedWingId);
+    return;
+  }
+
+  currentWingHighlights = await db.getHighlightsByWing(selectedWingId);
+  renderWingHighlights();
 }
 
 // ============================================
@@ -177,10 +414,19 @@ function switchView(viewName) {
   elements.wingsView.classList.toggle('hidden', viewName !== 'wings');
   elements.collectionsView.classList.toggle('active', viewName === 'collections');
   elements.collectionsView.classList.toggle('hidden', viewName !== 'collections');
+  elements.queueView.classList.toggle('active', viewName === 'queue');
+  elements.queueView.classList.toggle('hidden', viewName !== 'queue');
   elements.queryView.classList.toggle('active', viewName === 'query');
   elements.queryView.classList.toggle('hidden', viewName !== 'query');
 
   elements.searchContainer.classList.toggle('hidden', viewName !== 'wings');
+
+  if (viewName === 'collections') {
+    renderCollections();
+  }
+  if (viewName === 'queue') {
+    renderQueue();
+  }
 }
 
 // ============================================
@@ -255,32 +501,123 @@ function getSelectedCheckboxValues(container) {
 }
 
 // ============================================
-// Sorting
+// Tag Editor
 // ============================================
-function sortWings(wingsArray, sortOption) {
-  switch (sortOption) {
-    case 'newest':
-      return wingsArray.sort((a, b) => b.timestamp - a.timestamp);
-    case 'oldest':
-      return wingsArray.sort((a, b) => a.timestamp - b.timestamp);
-    case 'title-asc':
-      return wingsArray.sort((a, b) =>
-        (a.title || '').toLowerCase().localeCompare((b.title || '').toLowerCase())
-      );
-    case 'title-desc':
-      return wingsArray.sort((a, b) =>
-        (b.title || '').toLowerCase().localeCompare((a.title || '').toLowerCase())
-      );
-    default:
-      return wingsArray;
+function renderTagEditor(container) {
+  const names = tagEditorNames[container.dataset.prefix];
+
+  container.innerHTML = `
+    ${names.map((name, index) => `
+      <span class="tag-chip">
+        #${escapeHtml(name)}
+        <button class="tag-chip-remove" data-index="${index}" title="Remove tag">&times;</button>
+      </span>
+    `).join('')}
+    <input type="text" class="tag-input" list="tagSuggestions"
+           placeholder="${names.length === 0 ? 'Add tags...' : ''}">
+  `;
+}
+
+function setTagEditorNames(container, names) {
+  tagEditorNames[container.dataset.prefix] = [...names];
+  renderTagEditor(container);
+}
+
+function addTagToEditor(container, rawName) {
+  const names = tagEditorNames[container.dataset.prefix];
+  const name = rawName.trim().replace(/^#/, '');
+  if (!name || names.some((n) => n.toLowerCase() === name.toLowerCase())) return;
+
+  names.push(name);
+  renderTagEditor(container);
+  container.querySelector('.tag-input').focus();
+}
+
+function removeTagFromEditor(container, index) {
+  tagEditorNames[container.dataset.prefix].splice(index, 1);
+  renderTagEditor(container);
+}
+
+/**
+ * Get the tag names in an editor, including any text still in its input
+ */
+function getTagEditorNames(container) {
+  const pending = container.querySelector('.tag-input')?.value.trim().replace(/^#/, '');
+  const names = [...tagEditorNames[container.dataset.prefix]];
+  if (pending && !names.some((n) => n.toLowerCase() === pending.toLowerCase())) {
+    names.push(pending);
   }
+  return names;
+}
+
+function getTagNames(tagIds = []) {
+  return tagIds
+    .map((id) => tags.find((t) => t.id === id)?.name)
+    .filter(Boolean);
 }
 
+function renderTagSuggestions() {
+  elements.tagSuggestions.innerHTML = tags
+    .map((t) => `<option value="${escapeHtml(t.name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Resolve editor tag names to IDs, creating new tags as needed
+ */
+async function resolveTagIds(names, group) {
+  const resolved = await db.getOrCreateTags(names, { group });
+  resolved.forEach((tag) => {
+    if (!tags.some((t) => t.id === tag.id)) tags.push(tag);
+  });
+  renderTagSuggestions();
+  return resolved.map((t) => t.id);
+}
+
+function setupTagEditor(container) {
+  container.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.tag-chip-remove');
+    if (removeBtn) {
+      removeTagFromEditor(container, Number(removeBtn.dataset.index));
+      return;
+    }
+    container.querySelector('.tag-input')?.focus();
+  });
+
+  container.addEventListener('keydown', (e) => {
+    if (!e.target.matches('.tag-input')) return;
+    const input = e.target;
+
+    if ((e.key === 'Enter' || e.key === ',') && input.value.trim()) {
+      // Keep Enter from also confirming the modal
+      e.preventDefault();
+      e.stopPropagation();
+      addTagToEditor(container, input.value);
+    } else if (e.key === 'Backspace' && !input.value) {
+      const names = tagEditorNames[container.dataset.prefix];
+      if (names.length > 0) removeTagFromEditor(container, names.length - 1);
+    }
+  });
+
+  // Picking a suggestion from the datalist adds it straight away
+  container.addEventListener('input', (e) => {
+    if (!e.target.matches('.tag-input')) return;
+    const value = e.target.value.trim();
+    if (tags.some((t) => t.name === value) && e.inputType !== 'insertText') {
+      addTagToEditor(container, value);
+    }
+  });
+}
+
+// ============================================
+// Sorting
+// ============================================
 const sortLabels = {
   newest: 'Newest',
   oldest: 'Oldest',
   'title-asc': 'A-Z',
   'title-desc': 'Z-A',
+  manual: 'Manual',
 };
 
 function updateSortUI() {
@@ -313,26 +650,43 @@ function handleSortChange(sortOption) {
 // ============================================
 // Filter Chips
 // ============================================
-function renderFilterChips() {
-  if (collections.length === 0) {
+async function renderFilterChips() {
+  // Only offer tags that are actually in use
+  let usedTags = [];
+  try {
+    const counts = await Promise.all(tags.map((t) => db.countWings({ tagId: t.id })));
+    usedTags = tags.filter((_, i) => counts[i] > 0);
+  } catch (error) {
+    console.error('Error counting tag usage:', error);
+  }
+
+  if (collections.length === 0 && usedTags.length === 0) {
     elements.filterChips.classList.add('hidden');
     return;
   }
 
   elements.filterChips.classList.remove('hidden');
 
-  const chipsHtml = collections.map((c) => `
+  const chipsHtml = sortByPosition('collections', collections).map((c) => `
     <button class="filter-chip ${activeCollectionFilter === c.id ? 'active' : ''}" data-collection-id="${c.id}">
       <span class="filter-chip-dot" style="background: ${c.color}"></span>
       ${escapeHtml(c.name)}
     </button>
   `).join('');
 
-  const clearChip = activeCollectionFilter
+  const tagChipsHtml = usedTags
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((t) => `
+      <button class="filter-chip filter-chip-tag ${activeTagFilter === t.id ? 'active' : ''}" data-tag-id="${t.id}">
+        #${escapeHtml(t.name)}
+      </button>
+    `).join('');
+
+  const clearChip = activeCollectionFilter || activeTagFilter
     ? '<button class="filter-chip filter-chip-clear" data-action="clear">Clear filter</button>'
     : '';
 
-  elements.filterChips.innerHTML = chipsHtml + clearChip;
+  elements.filterChips.innerHTML = chipsHtml + tagChipsHtml + clearChip;
 }
 
 function handleFilterChipClick(collectionId) {
@@ -345,8 +699,15 @@ function handleFilterChipClick(collectionId) {
   renderFilteredWings();
 }
 
+function handleTagFilterChipClick(tagId) {
+  activeTagFilter = activeTagFilter === tagId ? null : tagId;
+  renderFilterChips();
+  renderFilteredWings();
+}
+
 function clearCollectionFilter() {
   activeCollectionFilter = null;
+  activeTagFilter = null;
   renderFilterChips();
   renderFilteredWings();
 }
@@ -357,65 +718,101 @@ function clearCollectionFilter() {
 function highlightText(text, query) {
   if (!query || !text) return escapeHtml(text || '');
 
-  const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(`(${escapedQuery})`, 'gi');
+  // Highlight each query term rather than only the exact phrase
+  const terms = query
+    .split(/\s+/)
+    .filter((term) => term.length > 1)
+    .map((term) => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return escapeHtml(text);
+
+  const regex = new RegExp(`(${terms.join('|')})`, 'gi');
   const escaped = escapeHtml(text);
   return escaped.replace(regex, '<span class="search-match">$1</span>');
 }
 
 function getMatchedFields(wing, query) {
   if (!query) return [];
+  return wing.matchedFields || [];
+}
 
-  const lowerQuery = query.toLowerCase();
-  const matches = [];
-
-  if (wing.title?.toLowerCase().includes(lowerQuery)) matches.push('title');
-  if (wing.url?.toLowerCase().includes(lowerQuery)) matches.push('url');
-  if (wing.summary?.toLowerCase().includes(lowerQuery)) matches.push('summary');
+// Labels for matches in fields that aren't visible on the card
+const matchFieldLabels = {
+  summary: 'summary',
+  highlights: 'highlights',
+  fullContent: 'page content',
+};
 
-  return matches;
+function getMatchInfoText(matchedFields) {
+  const hidden = matchedFields
+    .filter((field) => matchFieldLabels[field])
+    .map((field) => matchFieldLabels[field]);
+  return hidden.length > 0 ? `Match in ${hidden.join(', ')}` : '';
 }
 
 // ============================================
 // Filtered Rendering
 // ============================================
-function renderFilteredWings(resetPage = true) {
+async function renderFilteredWings(resetPage = true) {
   if (resetPage) {
     currentPage = 1;
   }
 
-  let filtered = [...wings];
+  const requestId = ++searchRequestId;
 
-  // Apply collection filter
-  if (activeCollectionFilter) {
-    filtered = filtered.filter((w) =>
-      (w.collectionIds || []).includes(activeCollectionFilter)
-    );
-  }
+  try {
+    if (currentSearchQuery.trim()) {
+      // Search results are ranked by relevance; filter and page them in memory
+      let results = await db.searchWings(currentSearchQuery);
+      // A newer search started while this one was running
+      if (requestId !== searchRequestId) return;
+
+      if (activeCollectionFilter) {
+        results = results.filter((w) => (w.collectionIds || []).includes(activeCollectionFilter));
+      }
+      if (activeTagFilter) {
+        results = results.filter((w) => (w.tagIds || []).includes(activeTagFilter));
+      }
 
-  // Apply search filter
-  if (currentSearchQuery.trim()) {
-    const lowerQuery = currentSearchQuery.toLowerCase();
-    filtered = filtered.filter((w) =>
-      w.title?.toLowerCase().includes(lowerQuery) ||
-      w.url?.toLowerCase().includes(lowerQuery) ||
-      w.summary?.toLowerCase().includes(lowerQuery)
-    );
-  }
+      totalFilteredWings = results.length;
+      listedWings = results.slice(0, currentPage * WINGS_PER_PAGE);
+      listCursor = null;
+    } else {
+      // Re-read the pages already shown so edits and deletions show up
+      const page = await db.queryWings({
+        filter: getListFilter(),
+        sort: currentSortOption,
+        limit: currentPage * WINGS_PER_PAGE,
+      });
+      if (requestId !== searchRequestId) return;
 
-  totalFilteredWings = filtered.length;
+      totalFilteredWings = page.total;
+      listedWings = page.wings;
+      listCursor = page.cursor;
+    }
+  } catch (error) {
+    console.error('Error loading wings:', error);
+    if (requestId !== searchRequestId) return;
+    totalFilteredWings = 0;
+    listedWings = [];
+    listCursor = null;
+  }
 
-  // Apply pagination
-  const paginatedWings = filtered.slice(0, currentPage * WINGS_PER_PAGE);
+  rememberWings(listedWings);
+  renderWingsWithHighlighting(listedWings, currentSearchQuery, totalFilteredWings);
+}
 
-  renderWingsWithHighlighting(paginatedWings, currentSearchQuery, totalFilteredWings);
+function getListFilter() {
+  return {
+    collectionId: activeCollectionFilter,
+    tagId: activeTagFilter,
+  };
 }
 
 function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wingsToRender.length) {
   if (totalCount === 0) {
     elements.wingsList.innerHTML = '';
     elements.wingsEmpty.classList.remove('hidden');
-    if (searchQuery || activeCollectionFilter) {
+    if (searchQuery || activeCollectionFilter || activeTagFilter) {
       elements.wingsEmpty.querySelector('.empty-text').textContent = 'No matching wings';
       elements.wingsEmpty.querySelector('.empty-subtext').textContent = 'Try a different search or filter';
     } else {
@@ -427,10 +824,9 @@ function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wi
 
   elements.wingsEmpty.classList.add('hidden');
 
-  const sortedWings = sortWings([...wingsToRender], currentSortOption);
   const hasMore = wingsToRender.length < totalCount;
 
-  let html = sortedWings
+  let html = wingsToRender
     .map((wing) => {
       const wingCollections = (wing.collectionIds || [])
         .map((id) => collections.find((c) => c.id === id))
@@ -439,8 +835,7 @@ function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wi
       // Show up to 3 collections
       const displayCollections = wingCollections.slice(0, 3);
 
-      const matchedFields = getMatchedFields(wing, searchQuery);
-      const showMatchInfo = searchQuery && matchedFields.length > 0;
+      const matchInfo = searchQuery ? getMatchInfoText(getMatchedFields(wing, searchQuery)) : '';
 
       const title = searchQuery
         ? highlightText(wing.title || 'Untitled', searchQuery)
@@ -458,6 +853,10 @@ function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wi
         </span>
       `).join('');
 
+      const tagBadges = getTagNames(wing.tagIds).slice(0, 3).map((name) => `
+        <span class="wing-card-tag">#${escapeHtml(name)}</span>
+      `).join('');
+
       return `
       <div class="wing-card" data-wing-id="${wing.id}" draggable="true">
         <img class="wing-card-favicon" src="${getFaviconUrl(wing.url)}" alt=""
@@ -465,14 +864,21 @@ function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wi
         <div class="wing-card-content">
           <div class="wing-card-title">${title}</div>
           <div class="wing-card-url">${url}</div>
-          ${showMatchInfo && matchedFields.includes('summary') ? `
+          ${matchInfo ? `
             <div class="wing-card-match-info">
-              <span>Match in summary</span>
+              <span>${matchInfo}</span>
+            </div>
+          ` : ''}
+          ${wing.scrollDepth ? `
+            <div class="wing-card-progress" title="${Math.round(wing.scrollDepth * 100)}% read">
+              <div class="wing-card-progress-bar" style="width: ${Math.round(wing.scrollDepth * 100)}%"></div>
             </div>
           ` : ''}
           <div class="wing-card-meta">
             <span>${formatDate(wing.timestamp)}</span>
             ${collectionBadges}
+            ${tagBadges}
+            ${wing.status && wing.status !== 'unread' ? `<span class="wing-card-status" data-status="${wing.status}">${statusLabels[wing.status]}</span>` : ''}
             ${!wing.summary ? `<span class="wing-card-badge-no-summary">${noApiKey ? 'No API key' : 'Summarizing...'}</span>` : ''}
           </div>
         </div>
@@ -497,9 +903,69 @@ function renderWingsWithHighlighting(wingsToRender, searchQuery, totalCount = wi
   }
 }
 
-function loadMoreWings() {
+async function loadMoreWings() {
   currentPage++;
-  renderFilteredWings(false);
+
+  // Search results are already in memory
+  if (currentSearchQuery.trim() || !listCursor) {
+    renderFilteredWings(false);
+    return;
+  }
+
+  const requestId = ++searchRequestId;
+  try {
+    const page = await db.queryWings({
+      filter: getListFilter(),
+      sort: currentSortOption,
+      limit: WINGS_PER_PAGE,
+      cursor: listCursor,
+    });
+    if (requestId !== searchRequestId) return;
+
+    listedWings = [...listedWings, ...page.wings];
+    listCursor = page.cursor;
+    totalFilteredWings = page.total;
+    rememberWings(page.wings);
+    renderWingsWithHighlighting(listedWings, '', totalFilteredWings);
+  } catch (error) {
+    console.error('Error loading more wings:', error);
+    showToast('Failed to load more wings', 'error');
+  }
+}
+
+// ============================================
+// Wing Cache
+// ============================================
+/**
+ * Keep loaded wings in the local cache, replacing older copies
+ */
+function rememberWings(loadedWings) {
+  const byId = new Map(wings.map((w) => [w.id, w]));
+  loadedWings.forEach((w) => byId.set(w.id, w));
+  wings = [...byId.values()];
+}
+
+/**
+ * Load the whole library, for views that need every wing
+ */
+async function loadAllWings() {
+  if (!allWingsLoaded) {
+    wings = await db.getAllWings();
+    allWingsLoaded = true;
+  }
+  return wings;
+}
+
+/**
+ * Get a wing from the cache, loading it if it isn't there yet
+ */
+async function findWing(wingId) {
+  let wing = wings.find((w) => w.id === wingId);
+  if (!wing) {
+    wing = await db.getWing(wingId);
+    if (wing) rememberWings([wing]);
+  }
+  return wing;
 }
 
 // ============================================
@@ -509,6 +975,7 @@ function renderWings() {
   // Reset filters and render via the main filtered function
   currentSearchQuery = '';
   activeCollectionFilter = null;
+  activeTagFilter = null;
   elements.searchInput.value = '';
   renderFilteredWings(true);
 }
@@ -516,7 +983,17 @@ function renderWings() {
 // ============================================
 // Collections Rendering
 // ============================================
-function renderCollections() {
+async function renderCollections() {
+  // The collections view lists every wing, so the library is only loaded once it's shown
+  if (currentView !== 'collections') return;
+  try {
+    await loadAllWings();
+  } catch (error) {
+    console.error('Error loading wings:', error);
+    showToast('Failed to load wings', 'error');
+    return;
+  }
+
   // Find uncategorized wings (no collection assignment)
   const uncategorizedWings = wings.filter(
     (w) => !w.collectionIds || w.collectionIds.length === 0
@@ -530,11 +1007,11 @@ function renderCollections() {
 
   elements.collectionsEmpty.classList.add('hidden');
 
-  let html = collections
+  let html = sortByPosition('collections', collections)
     .map((collection) => {
-      const collectionWings = wings.filter((w) =>
+      const collectionWings = sortByPosition('wings', wings.filter((w) =>
         (w.collectionIds || []).includes(collection.id)
-      );
+      ));
       const collectionNests = nests.filter(
         (n) => n.collectionId === collection.id && !n.parentId
       );
@@ -546,7 +1023,7 @@ function renderCollections() {
 
       return `
       <div class="collection-card" data-collection-id="${collection.id}">
-        <div class="collection-header drop-target" data-collection-id="${collection.id}">
+        <div class="collection-header drop-target" data-collection-id="${collection.id}" draggable="true">
           <div class="collection-color" style="background: ${collection.color}"></div>
           <div class="collection-info">
             <div class="collection-name">${escapeHtml(collection.name)}</div>
@@ -558,6 +1035,7 @@ function renderCollections() {
           </div>
           <div class="collection-count">${collectionWings.length} wings</div>
           <div class="collection-actions">
+            <button class="collection-action-btn share-collection-btn" title="Share">📤</button>
             <button class="collection-action-btn edit-collection-btn" title="Edit">✏️</button>
             <button class="collection-action-btn delete-collection-btn" title="Delete">🗑️</button>
           </div>
@@ -602,7 +1080,7 @@ function renderCollections() {
         </div>
         <div class="collection-content hidden">
           <div class="collection-wings">
-            ${uncategorizedWings.map((w) => `
+            ${sortByPosition('wings', uncategorizedWings).map((w) => `
               <div class="collection-wing-item" data-wing-id="${w.id}" draggable="true">
                 <img class="collection-wing-favicon" src="${getFaviconUrl(w.url)}" alt=""
                      onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>🔗</text></svg>'">
@@ -619,7 +1097,7 @@ function renderCollections() {
 }
 
 function renderNestsTree(nestsList, collectionId, parentId = null) {
-  const filteredNests = nestsList.filter((n) => n.parentId === parentId);
+  const filteredNests = sortByPosition('nests', nestsList.filter((n) => n.parentId === parentId));
 
   if (filteredNests.length === 0 && parentId === null) {
     return '<div class="empty-nests">No nests yet</div>';
@@ -628,10 +1106,10 @@ function renderNestsTree(nestsList, collectionId, parentId = null) {
   return filteredNests
     .map((nest) => {
       const childNests = nests.filter((n) => n.parentId === nest.id);
-      const nestWings = wings.filter((w) => (w.nestIds || []).includes(nest.id));
+      const nestWings = sortByPosition('wings', wings.filter((w) => (w.nestIds || []).includes(nest.id)));
 
       return `
-      <div class="nest-item drop-target" data-nest-id="${nest.id}" data-collection-id="${nest.collectionId}">
+      <div class="nest-item drop-target" data-nest-id="${nest.id}" data-collection-id="${nest.collectionId}" draggable="true">
         <span class="nest-icon">📁</span>
         <span class="nest-name">${escapeHtml(nest.name)}</span>
         <span class="nest-count">(${nestWings.length})</span>
@@ -657,6 +1135,96 @@ function renderNestsTree(nestsList, collectionId, parentId = null) {
     .join('');
 }
 
+// ============================================
+// Reading Queue
+// ============================================
+const statusLabels = {
+  unread: 'Unread',
+  reading: 'Reading',
+  done: 'Done',
+  archived: 'Archived',
+};
+
+async function renderQueue() {
+  if (currentView !== 'queue') return;
+
+  let queue;
+  try {
+    queue = await db.getReadingQueue();
+  } catch (error) {
+    console.error('Error loading reading queue:', error);
+    showToast('Failed to load the reading queue', 'error');
+    return;
+  }
+  rememberWings(queue);
+  renderReviewBanner();
+
+  if (queue.length === 0) {
+    elements.queueList.innerHTML = '';
+    elements.queueEmpty.classList.remove('hidden');
+    return;
+  }
+  elements.queueEmpty.classList.add('hidden');
+
+  // Each status is its own list, so wings are reordered within it
+  elements.queueList.innerHTML = ['reading', 'unread']
+    .map((status) => {
+      const statusWings = queue.filter((w) => w.status === status);
+      if (statusWings.length === 0) return '';
+
+      return `
+      <div class="queue-section">
+        <div class="collection-wings-title">${statusLabels[status]} (${statusWings.length})</div>
+        <div class="queue-items">
+          ${statusWings.map((w) => `
+            <div class="collection-wing-item queue-item" data-wing-id="${w.id}" draggable="true">
+              <img class="collection-wing-favicon" src="${getFaviconUrl(w.url)}" alt=""
+                   onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>🔗</text></svg>'">
+              <span class="collection-wing-title">${escapeHtml(truncateText(w.title || 'Untitled', 40))}</span>
+              <div class="queue-item-actions">
+                <button class="collection-action-btn" data-status="done" title="Mark as done">✓</button>
+                <button class="collection-action-btn" data-status="archived" title="Archive">🗄️</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+    })
+    .join('');
+}
+
+/**
+ * Show how many highlights are due for review above the queue
+ */
+async function renderReviewBanner() {
+  try {
+    const { resurfaceWings } = await getReviewSettings();
+    const due = await db.countDueReviews({ includeWings: resurfaceWings });
+    elements.reviewBannerText.textContent = `${due} ${due === 1 ? 'item' : 'items'} due for review`;
+    elements.reviewBanner.classList.toggle('hidden', due === 0);
+  } catch (error) {
+    console.error('Error counting reviews:', error);
+  }
+}
+
+/**
+ * Move a wing to another reading status from the queue or the details view
+ */
+async function changeWingStatus(wingId, status) {
+  try {
+    const updated = await db.setWingStatus(wingId, status);
+    rememberWings([updated]);
+
+    renderFilteredWings(false);
+    renderQueue();
+    showUndoToast(`Marked as ${statusLabels[status].toLowerCase()}`);
+  } catch (error) {
+    console.error('Error changing reading status:', error);
+    showToast('Failed to change the reading status', 'error');
+  }
+}
+
 // ============================================
 // Color Picker
 // ============================================
@@ -686,6 +1254,7 @@ function closeModal(modal) {
 }
 
 function closeAllModals() {
+  flushWingNotes();
   document.querySelectorAll('.modal').forEach((modal) => {
     modal.classList.add('hidden');
   });
@@ -695,6 +1264,12 @@ function closeAllModals() {
 // Wing It Flow (Quick Wing)
 // ============================================
 async function openWingItModal() {
+  // Saving a page writes encrypted text
+  if ((await getEncryptionState()) === 'locked') {
+    openUnlockModal();
+    return;
+  }
+
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
@@ -703,8 +1278,10 @@ async function openWingItModal() {
       return;
     }
 
-    // Check if already winged
-    const existingWing = await db.getWingByUrl(tab.url);
+    // Check if already winged, or saved under another variant of this URL
+    const canonicalUrl = await getPageCanonicalUrl(tab.id);
+    const duplicates = await db.findDuplicateWings(tab.url, { canonicalUrl });
+    const existingWing = duplicates.find((w) => w.url === tab.url);
     if (existingWing) {
       showToast('This page is already winged!', 'warning');
       // Open details modal instead
@@ -717,7 +1294,9 @@ async function openWingItModal() {
       url: tab.url,
       title: tab.title,
       favicon: tab.favIconUrl || getFaviconUrl(tab.url),
+      canonicalUrl,
       tabId: tab.id,
+      duplicateId: duplicates[0]?.id || null,
     };
 
     // Update modal preview
@@ -729,6 +1308,14 @@ async function openWingItModal() {
     elements.wingTitle.textContent = currentWingData.title || 'Untitled';
     elements.wingUrl.textContent = currentWingData.url;
 
+    // Warn about a likely duplicate, but still allow saving
+    if (duplicates.length > 0) {
+      elements.wingDuplicateText.textContent = `Possibly saved already as "${truncateText(duplicates[0].title || 'Untitled', 40)}"`;
+      elements.wingDuplicateWarning.classList.remove('hidden');
+    } else {
+      elements.wingDuplicateWarning.classList.add('hidden');
+    }
+
     // Render collection checkboxes
     if (collections.length === 0) {
       elements.wingCollections.classList.add('hidden');
@@ -743,6 +1330,8 @@ async function openWingItModal() {
     elements.wingNestsContainer.classList.add('hidden');
     elements.wingNests.innerHTML = '';
 
+    setTagEditorNames(elements.wingTags, []);
+
     openModal(elements.wingItModal);
   } catch (error) {
     console.error('Error opening Wing It modal:', error);
@@ -750,6 +1339,31 @@ async function openWingItModal() {
   }
 }
 
+/**
+ * Read the <link rel="canonical"> URL of a tab, if the page declares one
+ */
+async function getPageCanonicalUrl(tabId) {
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => document.querySelector('link[rel="canonical"]')?.href || null,
+    });
+    return result;
+  } catch {
+    // Pages such as chrome:// URLs can't be scripted
+    return null;
+  }
+}
+
+function viewDuplicateWing() {
+  const duplicateId = currentWingData?.duplicateId;
+  if (!duplicateId) return;
+
+  closeModal(elements.wingItModal);
+  currentWingData = null;
+  openWingDetails(duplicateId);
+}
+
 function updateNestsForSelectedCollections() {
   const selectedCollectionIds = getSelectedCheckboxValues(elements.wingCollections);
 
@@ -781,24 +1395,28 @@ async function saveWing() {
   try {
     const collectionIds = getSelectedCheckboxValues(elements.wingCollections);
     const nestIds = getSelectedCheckboxValues(elements.wingNests);
+    const savedWing = await db.journalGroup('Save wing', async (group) => {
+      const tagIds = await resolveTagIds(getTagEditorNames(elements.wingTags), group);
 
-    const wing = {
-      id: generateId(),
-      url: currentWingData.url,
-      title: currentWingData.title,
-      favicon: currentWingData.favicon,
-      summary: null, // Will be generated in background
-      fullContent: null,
-      collectionIds,
-      nestIds,
-    };
-
-    const savedWing = await db.createWing(wing);
+      return db.createWing({
+        id: generateId(),
+        url: currentWingData.url,
+        canonicalUrl: currentWingData.canonicalUrl,
+        title: currentWingData.title,
+        favicon: currentWingData.favicon,
+        summary: null, // Will be generated in background
+        fullContent: null,
+        collectionIds,
+        nestIds,
+        tagIds,
+      }, { group });
+    });
     wings.push(savedWing);
 
     closeModal(elements.wingItModal);
     renderWings();
-    showToast('Page winged!', 'success');
+    renderFilterChips();
+    showUndoToast('Page winged!');
 
     // Notify the content script that the page is now winged
     try {
@@ -954,7 +1572,7 @@ async function saveInlineCollection() {
     // Also update filter chips in the background
     renderFilterChips();
 
-    showToast('Collection created!', 'success');
+    showUndoToast('Collection created!');
   } catch (error) {
     console.error('Error creating collection:', error);
     showToast('Failed to create collection', 'error');
@@ -1005,7 +1623,7 @@ async function saveCollection() {
         };
       }
 
-      showToast('Collection updated', 'success');
+      showUndoToast('Collection updated');
     } else {
       const collection = await db.createCollection({
         id: generateId(),
@@ -1015,7 +1633,7 @@ async function saveCollection() {
       });
 
       collections.push(collection);
-      showToast('Collection created', 'success');
+      showUndoToast('Collection created');
     }
 
     closeModal(elements.collectionModal);
@@ -1027,8 +1645,32 @@ async function saveCollection() {
   }
 }
 
+/**
+ * Download a collection as a file others can import into their Wing
+ */
+async function shareCollection(id) {
+  const collection = collections.find((c) => c.id === id);
+  if (!collection) return;
+
+  try {
+    const bundle = await exportCollectionBundle(id);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${getBundleFileName(collection)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast(`Exported "${collection.name}" with ${bundle.data.wings.length} wings to share`, 'success');
+  } catch (error) {
+    console.error('Error sharing collection:', error);
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to share collection', 'error');
+  }
+}
+
 async function deleteCollection(id) {
-  if (!confirm('Delete this collection? Wings will remain but lose this collection tag.')) {
+  if (!confirm('Move this collection to the trash? Wings will remain but lose this collection tag.')) {
     return;
   }
 
@@ -1053,7 +1695,7 @@ async function deleteCollection(id) {
     renderCollections();
     renderFilterChips();
     renderFilteredWings();
-    showToast('Collection deleted', 'success');
+    showUndoToast('Collection moved to trash');
   } catch (error) {
     console.error('Error deleting collection:', error);
     showToast('Failed to delete collection', 'error');
@@ -1108,21 +1750,17 @@ async function saveNest() {
 
   try {
     if (editingNestId) {
-      await db.updateNest(editingNestId, {
+      const updated = await db.updateNest(editingNestId, {
         name,
         parentId: elements.nestParent.value || null,
       });
 
       const index = nests.findIndex((n) => n.id === editingNestId);
       if (index !== -1) {
-        nests[index] = {
-          ...nests[index],
-          name,
-          parentId: elements.nestParent.value || null,
-        };
+        nests[index] = updated;
       }
 
-      showToast('Nest updated', 'success');
+      showUndoToast('Nest updated');
     } else {
       const nest = await db.createNest({
         id: generateId(),
@@ -1132,19 +1770,19 @@ async function saveNest() {
       });
 
       nests.push(nest);
-      showToast('Nest created', 'success');
+      showUndoToast('Nest created');
     }
 
     closeModal(elements.nestModal);
     renderCollections();
   } catch (error) {
     console.error('Error saving nest:', error);
-    showToast('Failed to save nest', 'error');
+    showToast(error instanceof db.NestMoveError ? error.message : 'Failed to save nest', 'error');
   }
 }
 
 async function deleteNest(id) {
-  if (!confirm('Delete this nest? Child nests will be moved up.')) {
+  if (!confirm('Move this nest to the trash? Child nests will be moved up.')) {
     return;
   }
 
@@ -1163,7 +1801,7 @@ async function deleteNest(id) {
     }));
 
     renderCollections();
-    showToast('Nest deleted', 'success');
+    showUndoToast('Nest moved to trash');
   } catch (error) {
     console.error('Error deleting nest:', error);
     showToast('Failed to delete nest', 'error');
@@ -1174,7 +1812,10 @@ async function deleteNest(id) {
 // Wing Details (with Edit)
 // ============================================
 async function openWingDetails(wingId) {
-  const wing = wings.find((w) => w.id === wingId);
+  // Save notes still being typed before the editor is replaced
+  await flushWingNotes();
+
+  const wing = await findWing(wingId);
   if (!wing) return;
 
   selectedWingId = wingId;
@@ -1195,6 +1836,8 @@ async function openWingDetails(wingId) {
     .map((id) => nests.find((n) => n.id === id))
     .filter(Boolean);
 
+  const wingTagNames = getTagNames(wing.tagIds);
+
   elements.wingDetailsTitle.textContent = truncateText(wing.title || 'Untitled', 30);
 
   elements.wingDetailsContent.innerHTML = `
@@ -1228,6 +1871,29 @@ async function openWingDetails(wingId) {
       <div class="wing-details-value">${formatDate(wing.timestamp, true)}</div>
     </div>
 
+    <div class="wing-details-section">
+      <label class="wing-details-label" for="wingStatusSelect">Status</label>
+      <select id="wingStatusSelect" class="form-select">
+        ${db.WING_STATUSES.map((status) => `
+          <option value="${status}" ${(wing.status || 'unread') === status ? 'selected' : ''}>${statusLabels[status]}</option>
+        `).join('')}
+      </select>
+    </div>
+
+    <div class="wing-details-section">
+      <div class="wing-notes-header">
+        <label class="wing-details-label" for="wingNotesInput">Notes</label>
+        <span id="wingNotesStatus" class="wing-notes-status"></span>
+        <div class="wing-notes-tabs">
+          <button class="wing-notes-tab active" data-notes-mode="write">Write</button>
+          <button class="wing-notes-tab" data-notes-mode="preview">Preview</button>
+        </div>
+      </div>
+      <textarea id="wingNotesInput" class="form-input wing-notes-input" rows="5"
+                placeholder="Your thoughts on this page. Markdown works: **bold**, - lists, [links](https://...)"></textarea>
+      <div id="wingNotesPreview" class="wing-notes-preview hidden"></div>
+    </div>
+
     ${
       wingCollections.length > 0
         ? `
@@ -1262,6 +1928,19 @@ async function openWingDetails(wingId) {
     `
         : ''
     }
+
+    ${
+      wingTagNames.length > 0
+        ? `
+      <div class="wing-details-section">
+        <div class="wing-details-label">Tags</div>
+        <div class="wing-details-value">
+          ${wingTagNames.map((name) => `<span class="wing-card-tag">#${escapeHtml(name)}</span>`).join(' ')}
+        </div>
+      </div>
+    `
+        : ''
+    }
   `;
 
   // Render highlights
@@ -1269,8 +1948,10 @@ async function openWingDetails(wingId) {
 
   // Load and render connections
   loadWingConnections(wing.id);
+  loadWingDuplicates(wing);
 
-  // Render edit checkboxes
+  // Render edit controls
+  setTagEditorNames(elements.wingEditTags, wingTagNames);
   renderCollectionCheckboxes(elements.wingEditCollections, wing.collectionIds || [], 'edit');
 
   // Update nests based on selected collections
@@ -1290,12 +1971,90 @@ async function openWingDetails(wingId) {
   openModal(elements.wingDetailsModal);
 
   // Add retry summary button listener if present
+  document.getElementById('wingStatusSelect').addEventListener('change', (e) => {
+    changeWingStatus(wing.id, e.target.value);
+  });
+  setupWingNotes(wing);
+
   const retrySummaryBtn = document.getElementById('retrySummaryBtn');
   if (retrySummaryBtn) {
     retrySummaryBtn.addEventListener('click', () => handleRetrySummary(wing));
   }
 }
 
+// ============================================
+// Wing Notes
+// ============================================
+
+/**
+ * Fill the notes editor of the open wing and autosave as it's edited
+ * While Wing is locked its notes can't be read, so they can't be edited either.
+ */
+function setupWingNotes(wing) {
+  const input = document.getElementById('wingNotesInput');
+  const locked = wing.notes === null;
+
+  notesWingId = wing.id;
+  input.value = wing.notes || '';
+  input.disabled = locked;
+  setNotesStatus(locked ? 'Unlock Wing to edit' : '');
+
+  input.addEventListener('input', () => {
+    setNotesStatus('Editing…');
+    clearTimeout(notesSaveTimer);
+    notesSaveTimer = setTimeout(flushWingNotes, NOTES_AUTOSAVE_DELAY_MS);
+  });
+  input.addEventListener('blur', flushWingNotes);
+
+  elements.wingDetailsContent.querySelectorAll('.wing-notes-tab').forEach((tab) => {
+    tab.addEventListener('click', () => showNotesMode(tab.dataset.notesMode));
+  });
+}
+
+function showNotesMode(mode) {
+  const input = document.getElementById('wingNotesInput');
+  const preview = document.getElementById('wingNotesPreview');
+
+  elements.wingDetailsContent.querySelectorAll('.wing-notes-tab').forEach((tab) => {
+    tab.classList.toggle('active', tab.dataset.notesMode === mode);
+  });
+  if (mode === 'preview') {
+    // renderMarkdown escapes the text and keeps only http(s) and mailto links
+    preview.innerHTML = input.value.trim()
+      ? renderMarkdown(input.value)
+      : '<p class="wing-notes-empty">Nothing written yet</p>';
+  }
+  input.classList.toggle('hidden', mode === 'preview');
+  preview.classList.toggle('hidden', mode !== 'preview');
+}
+
+function setNotesStatus(text) {
+  const status = document.getElementById('wingNotesStatus');
+  if (status) status.textContent = text;
+}
+
+/**
+ * Save the notes in the editor now, if a save is waiting
+ */
+async function flushWingNotes() {
+  if (!notesSaveTimer) return;
+  clearTimeout(notesSaveTimer);
+  notesSaveTimer = null;
+
+  const input = document.getElementById('wingNotesInput');
+  if (!input || !notesWingId) return;
+
+  try {
+    const updated = await db.saveWingNotes(notesWingId, input.value);
+    rememberWings([updated]);
+    if (notesWingId === updated.id) setNotesStatus('Saved');
+  } catch (error) {
+    console.error('Error saving notes:', error);
+    setNotesStatus('Not saved');
+    showToast(error instanceof EncryptionError ? error.message : 'Failed to save notes', 'error');
+  }
+}
+
 /**
  * Retry generating summary for a wing
  */
@@ -1450,7 +2209,7 @@ async function deleteHighlightFromPopup(highlightId) {
     await db.deleteHighlight(highlightId);
     currentWingHighlights = currentWingHighlights.filter((h) => h.id !== highlightId);
     renderWingHighlights();
-    showToast('Highlight deleted', 'success');
+    showUndoToast('Highlight deleted');
   } catch (error) {
     console.error('Error deleting highlight:', error);
     showToast('Failed to delete highlight', 'error');
@@ -1572,7 +2331,7 @@ async function removeConnection(wingId1, wingId2) {
     if (response.success) {
       currentWingConnections = currentWingConnections.filter((w) => w.id !== wingId2);
       renderWingConnections();
-      showToast('Connection removed', 'success');
+      showUndoToast('Connection removed');
     }
   } catch (error) {
     console.error('Error removing connection:', error);
@@ -1580,6 +2339,74 @@ async function removeConnection(wingId1, wingId2) {
   }
 }
 
+// ============================================
+// Duplicate Wings
+// ============================================
+async function loadWingDuplicates(wing) {
+  try {
+    currentWingDuplicates = await db.findDuplicateWings(wing.url, {
+      canonicalUrl: wing.canonicalUrl,
+      excludeId: wing.id,
+    });
+  } catch (error) {
+    console.error('Error loading duplicates:', error);
+    currentWingDuplicates = [];
+  }
+  renderWingDuplicates();
+}
+
+function renderWingDuplicates() {
+  if (currentWingDuplicates.length === 0) {
+    elements.wingDuplicatesSection.classList.add('hidden');
+    elements.wingDuplicatesList.innerHTML = '';
+    return;
+  }
+
+  elements.wingDuplicatesSection.classList.remove('hidden');
+  elements.wingDuplicatesList.innerHTML = currentWingDuplicates
+    .map(
+      (wing) => `
+        <div class="connection-item" data-wing-id="${wing.id}">
+          <img class="connection-favicon" src="${getFaviconUrl(wing.url)}" alt="" onerror="this.src='../icons/icon16.png'">
+          <div class="connection-info">
+            <div class="connection-title">${escapeHtml(wing.title || 'Untitled')}</div>
+            <div class="connection-meta">
+              <span class="connection-type">Saved ${formatDate(wing.timestamp)}</span>
+            </div>
+          </div>
+          <div class="connection-actions">
+            <button class="connection-action-btn" data-action="open" title="Open page">↗</button>
+            <button class="btn btn-secondary btn-sm" data-action="merge" title="Merge into this wing">Merge here</button>
+          </div>
+        </div>
+      `
+    )
+    .join('');
+}
+
+async function mergeDuplicateWing(sourceId) {
+  const target = wings.find((w) => w.id === selectedWingId);
+  const source = currentWingDuplicates.find((w) => w.id === sourceId);
+  if (!target || !source) return;
+
+  if (!confirm(`Merge "${source.title || 'Untitled'}" into this wing? Its collections, nests, tags, highlights and connections will move here.`)) {
+    return;
+  }
+
+  try {
+    const merged = await db.mergeWings(target.id, source.id);
+
+    wings = wings.filter((w) => w.id !== source.id).map((w) => (w.id === merged.id ? merged : w));
+    renderWings();
+    renderFilterChips();
+    openWingDetails(merged.id);
+    showUndoToast('Wings merged');
+  } catch (error) {
+    console.error('Error merging wings:', error);
+    showToast('Failed to merge wings', 'error');
+  }
+}
+
 function openConnectedWing(wingId) {
   const wing = currentWingConnections.find((w) => w.id === wingId);
   if (wing) {
@@ -1599,19 +2426,24 @@ async function saveWingChanges() {
   try {
     const collectionIds = getSelectedCheckboxValues(elements.wingEditCollections);
     const nestIds = getSelectedCheckboxValues(elements.wingEditNests);
-
-    await db.updateWing(selectedWingId, { collectionIds, nestIds });
+    const tagIds = await db.journalGroup('Edit wing', async (group) => {
+      const ids = await resolveTagIds(getTagEditorNames(elements.wingEditTags), group);
+      await db.updateWing(selectedWingId, { collectionIds, nestIds, tagIds: ids }, { group });
+      return ids;
+    });
 
     const wingIndex = wings.findIndex((w) => w.id === selectedWingId);
     if (wingIndex !== -1) {
       wings[wingIndex].collectionIds = collectionIds;
       wings[wingIndex].nestIds = nestIds;
+      wings[wingIndex].tagIds = tagIds;
     }
 
     closeModal(elements.wingDetailsModal);
     renderWings();
     renderCollections();
-    showToast('Wing updated', 'success');
+    renderFilterChips();
+    showUndoToast('Wing updated');
   } catch (error) {
     console.error('Error saving wing changes:', error);
     showToast('Failed to update wing', 'error');
@@ -1624,7 +2456,7 @@ async function saveWingChanges() {
 async function deleteWing() {
   if (!selectedWingId) return;
 
-  if (!confirm('Delete this wing?')) return;
+  if (!confirm('Move this wing to the trash?')) return;
 
   try {
     await db.deleteWing(selectedWingId);
@@ -1633,7 +2465,7 @@ async function deleteWing() {
     closeModal(elements.wingDetailsModal);
     renderWings();
     renderCollections();
-    showToast('Wing deleted', 'success');
+    showUndoToast('Wing moved to trash');
   } catch (error) {
     console.error('Error deleting wing:', error);
     showToast('Failed to delete wing', 'error');
@@ -1647,6 +2479,37 @@ function openWingPage() {
   }
 }
 
+/**
+ * Download the open wing as a Markdown note, with its highlights and related wings
+ */
+async function exportWingMarkdown() {
+  const wing = await findWing(selectedWingId);
+  if (!wing) return;
+
+  try {
+    const name = getMarkdownFileName(wing.title);
+    const markdown = wingToMarkdown(wing, {
+      collections: collections.filter((c) => (wing.collectionIds || []).includes(c.id)),
+      nests: nests.filter((n) => (wing.nestIds || []).includes(n.id)),
+      tags: tags.filter((t) => (wing.tagIds || []).includes(t.id)),
+      highlights: currentWingHighlights,
+      related: currentWingConnections.map((related) => getMarkdownFileName(related.title)),
+    });
+
+    const url = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.md`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting wing:', error);
+    showToast('Failed to export wing', 'error');
+  }
+}
+
 // ============================================
 // Search
 // ============================================
@@ -1829,6 +2692,14 @@ async function handleQuery() {
     return;
   }
 
+  try {
+    await loadAllWings();
+  } catch (error) {
+    console.error('Error loading wings:', error);
+    showToast('Failed to load wings', 'error');
+    return;
+  }
+
   if (wings.length === 0) {
     showToast('No wings saved yet. Wing some pages first!', 'error');
     return;
@@ -1885,9 +2756,17 @@ function autoResizeTextarea() {
 // ============================================
 function handleDragStart(e) {
   const wingElement = e.target.closest('[data-wing-id]');
-  if (!wingElement) return;
+  if (!wingElement) {
+    if (e.target.closest('.nest-item')) {
+      handleNestDragStart(e);
+    } else {
+      handleCollectionDragStart(e);
+    }
+    return;
+  }
 
   draggedWingId = wingElement.dataset.wingId;
+  draggedWingList = wingElement.parentElement;
   wingElement.classList.add('dragging');
 
   // Set drag data
@@ -1896,21 +2775,35 @@ function handleDragStart(e) {
 }
 
 function handleDragEnd(e) {
-  const wingElement = e.target.closest('[data-wing-id]');
-  if (wingElement) {
-    wingElement.classList.remove('dragging');
+  const draggedElement = e.target.closest('[data-wing-id], .nest-item, .collection-header');
+  if (draggedElement) {
+    draggedElement.classList.remove('dragging');
   }
   draggedWingId = null;
+  draggedWingList = null;
+  draggedNestId = null;
+  draggedCollectionId = null;
 
   // Remove all drag-over states
   document.querySelectorAll('.drag-over').forEach((el) => {
     el.classList.remove('drag-over');
   });
+  clearReorderIndicators();
 }
 
 function handleDragOver(e) {
+  clearReorderIndicators();
+  const reorderDrop = getReorderDrop(e);
+  if (reorderDrop) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    reorderDrop.element.classList.remove('drag-over');
+    reorderDrop.element.classList.add(`drop-${reorderDrop.placement}`);
+    return;
+  }
+
   const dropTarget = e.target.closest('.drop-target');
-  if (!dropTarget || !draggedWingId) return;
+  if (!dropTarget || !(draggedWingId || canDropNest(dropTarget))) return;
 
   e.preventDefault();
   e.dataTransfer.dropEffect = 'move';
@@ -1931,7 +2824,20 @@ function handleDragLeave(e) {
 async function handleDrop(e) {
   e.preventDefault();
 
+  const reorderDrop = getReorderDrop(e);
+  clearReorderIndicators();
+  if (reorderDrop) {
+    reorderDrop.element.classList.remove('drag-over');
+    await dropReorder(reorderDrop);
+    return;
+  }
+
   const dropTarget = e.target.closest('.drop-target');
+  if (dropTarget && draggedNestId) {
+    dropTarget.classList.remove('drag-over');
+    if (canDropNest(dropTarget)) await dropNest(draggedNestId, dropTarget);
+    return;
+  }
   if (!dropTarget || !draggedWingId) return;
 
   dropTarget.classList.remove('drag-over');
@@ -1974,7 +2880,7 @@ async function handleDrop(e) {
       }
 
       const nest = nests.find((n) => n.id === nestId);
-      showToast(`Added to ${nest?.name || 'nest'}`, 'success');
+      showUndoToast(`Added to ${nest?.name || 'nest'}`);
     } else if (collectionHeader) {
       // Dropping on a collection
       const collectionId = collectionHeader.dataset.collectionId;
@@ -1996,7 +2902,7 @@ async function handleDrop(e) {
       }
 
       const collection = collections.find((c) => c.id === collectionId);
-      showToast(`Added to ${collection?.name || 'collection'}`, 'success');
+      showUndoToast(`Added to ${collection?.name || 'collection'}`);
     }
 
     // Re-render both views
@@ -2008,6 +2914,194 @@ async function handleDrop(e) {
   }
 }
 
+function handleNestDragStart(e) {
+  const nestElement = e.target.closest('.nest-item');
+  if (!nestElement) return;
+
+  draggedNestId = nestElement.dataset.nestId;
+  nestElement.classList.add('dragging');
+
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', draggedNestId);
+}
+
+/**
+ * Check whether the dragged nest may be dropped on a collection or nest
+ * A nest can't go inside itself or one of its own nests.
+ */
+function canDropNest(dropTarget) {
+  if (!draggedNestId) return false;
+
+  const nestItem = dropTarget.closest('.nest-item');
+  if (!nestItem) return Boolean(dropTarget.closest('.collection-header'));
+
+  let current = nests.find((n) => n.id === nestItem.dataset.nestId);
+  while (current) {
+    if (current.id === draggedNestId) return false;
+    current = nests.find((n) => n.id === current.parentId);
+  }
+  return true;
+}
+
+function handleCollectionDragStart(e) {
+  const header = e.target.closest('.collection-header.drop-target');
+  if (!header) return;
+
+  draggedCollectionId = header.dataset.collectionId;
+  header.classList.add('dragging');
+
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', draggedCollectionId);
+}
+
+/**
+ * Move a nest under the nest it was dropped on, or to the top level of a collection
+ */
+async function dropNest(nestId, dropTarget) {
+  const nestItem = dropTarget.closest('.nest-item');
+  const destination = nestItem
+    ? { parentId: nestItem.dataset.nestId }
+    : { collectionId: dropTarget.closest('.collection-header').dataset.collectionId };
+
+  const nest = nests.find((n) => n.id === nestId);
+  const unchanged = destination.parentId
+    ? nest?.parentId === destination.parentId
+    : !nest?.parentId && nest?.collectionId === destination.collectionId;
+  if (unchanged) return;
+
+  try {
+    await db.moveNest(nestId, destination);
+    await reloadLibrary();
+
+    const target = nestItem
+      ? nests.find((n) => n.id === destination.parentId)?.name
+      : collections.find((c) => c.id === destination.collectionId)?.name;
+    showUndoToast(`Moved ${nest?.name || 'nest'} to ${target || 'the collection'}`);
+  } catch (error) {
+    console.error('Error moving nest:', error);
+    showToast(error instanceof db.NestMoveError ? error.message : 'Failed to move nest', 'error');
+  }
+}
+
+/**
+ * Work out whether a drop lands before or after an element, or inside it
+ * Elements that accept drops inside (nests) only reorder near their edges.
+ */
+function getDropPlacement(e, element, allowInside = false) {
+  const rect = element.getBoundingClientRect();
+  const offset = (e.clientY - rect.top) / rect.height;
+  if (allowInside) {
+    if (offset < 0.25) return 'before';
+    if (offset > 0.75) return 'after';
+    return 'inside';
+  }
+  return offset < 0.5 ? 'before' : 'after';
+}
+
+/**
+ * The wings list can be put in order by hand while it's sorted that way
+ */
+function canReorderWingsList() {
+  return currentSortOption === 'manual' && !currentSearchQuery.trim();
+}
+
+/**
+ * Find where the dragged collection, nest or wing would go in its list
+ * Collections and nests move among their siblings. Wings move within the
+ * collection or nest they were dragged from, or within the wings list while
+ * it's sorted by hand.
+ * @returns {Object|null} { element, placement, store, id, targetId, siblingIds }, or null if
+ *   the drag isn't over a place to reorder to
+ */
+function getReorderDrop(e) {
+  const listIds = (parent, selector, key) => [...parent.children]
+    .filter((el) => el.matches(selector))
+    .map((el) => el.dataset[key]);
+
+  if (draggedCollectionId) {
+    const header = e.target.closest('.collection-header.drop-target');
+    if (!header || header.dataset.collectionId === draggedCollectionId) return null;
+    return {
+      element: header,
+      placement: getDropPlacement(e, header),
+      store: 'collections',
+      id: draggedCollectionId,
+      targetId: header.dataset.collectionId,
+      siblingIds: [...elements.collectionsList.querySelectorAll('.collection-header.drop-target')]
+        .map((el) => el.dataset.collectionId),
+    };
+  }
+
+  if (draggedNestId) {
+    const nestItem = e.target.closest('.nest-item');
+    if (!nestItem || nestItem.dataset.nestId === draggedNestId || !canDropNest(nestItem)) return null;
+
+    const placement = getDropPlacement(e, nestItem, true);
+    if (placement === 'inside') return null;
+    return {
+      element: nestItem,
+      placement,
+      store: 'nests',
+      id: draggedNestId,
+      targetId: nestItem.dataset.nestId,
+      siblingIds: listIds(nestItem.parentElement, '.nest-item', 'nestId'),
+    };
+  }
+
+  if (draggedWingId) {
+    const wingItem = e.target.closest('[data-wing-id]');
+    if (!wingItem || wingItem.dataset.wingId === draggedWingId || wingItem.parentElement !== draggedWingList) return null;
+    if (wingItem.matches('.wing-card') && !canReorderWingsList()) return null;
+    return {
+      element: wingItem,
+      placement: getDropPlacement(e, wingItem),
+      store: 'wings',
+      id: draggedWingId,
+      targetId: wingItem.dataset.wingId,
+      siblingIds: listIds(draggedWingList, '[data-wing-id]', 'wingId'),
+    };
+  }
+
+  return null;
+}
+
+function clearReorderIndicators() {
+  document.querySelectorAll('.drop-before, .drop-after').forEach((el) => {
+    el.classList.remove('drop-before', 'drop-after');
+  });
+}
+
+/**
+ * Put the dragged collection, nest or wing before or after the one it was dropped on
+ * A nest dropped beside a nest elsewhere moves there first.
+ */
+async function dropReorder({ placement, store, id, targetId, siblingIds }) {
+  const orderedIds = siblingIds.filter((siblingId) => siblingId !== id);
+  orderedIds.splice(orderedIds.indexOf(targetId) + (placement === 'after' ? 1 : 0), 0, id);
+
+  try {
+    const nest = nests.find((n) => n.id === id);
+    const target = nests.find((n) => n.id === targetId);
+    const movesNest = store === 'nests' && nest && target &&
+      ((nest.parentId || null) !== (target.parentId || null) || nest.collectionId !== target.collectionId);
+
+    if (movesNest) {
+      await db.journalGroup('Move nest', async (group) => {
+        const destination = target.parentId ? { parentId: target.parentId } : { collectionId: target.collectionId };
+        await db.moveNest(id, destination, { group });
+        await db.reorder('nests', orderedIds, id, { group });
+      });
+    } else {
+      await db.reorder(store, orderedIds, id);
+    }
+    await reloadLibrary();
+    showUndoToast(movesNest ? `Moved ${nest.name || 'nest'}` : 'Order updated');
+  } catch (error) {
+    console.error('Error reordering:', error);
+    showToast(error instanceof db.NestMoveError ? error.message : 'Failed to update the order', 'error');
+  }
+}
+
 // ============================================
 // Event Listeners
 // ============================================
@@ -2057,10 +3151,22 @@ function setupEventListeners() {
   elements.nestCancel.addEventListener('click', () => closeModal(elements.nestModal));
   elements.nestSave.addEventListener('click', saveNest);
 
+  // Unlock Modal
+  elements.unlockModalClose.addEventListener('click', () => closeModal(elements.unlockModal));
+  elements.unlockCancel.addEventListener('click', () => closeModal(elements.unlockModal));
+  elements.unlockConfirm.addEventListener('click', unlockWing);
+  elements.unlockPassphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') unlockWing();
+  });
+
   // Wing Details Modal
-  elements.wingDetailsModalClose.addEventListener('click', () => closeModal(elements.wingDetailsModal));
+  elements.wingDetailsModalClose.addEventListener('click', () => {
+    flushWingNotes();
+    closeModal(elements.wingDetailsModal);
+  });
   elements.wingDetailsSave.addEventListener('click', saveWingChanges);
   elements.wingDetailsDelete.addEventListener('click', deleteWing);
+  elements.wingDetailsExport.addEventListener('click', exportWingMarkdown);
   elements.wingDetailsOpen.addEventListener('click', openWingPage);
 
   // Edit collection checkbox changes -> update available nests
@@ -2101,6 +3207,22 @@ function setupEventListeners() {
     }
   });
 
+  // Duplicate wings list
+  elements.wingDuplicatesList.addEventListener('click', (e) => {
+    const item = e.target.closest('.connection-item');
+    if (!item) return;
+
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'merge') {
+      mergeDuplicateWing(item.dataset.wingId);
+    } else {
+      const wing = currentWingDuplicates.find((w) => w.id === item.dataset.wingId);
+      if (wing) chrome.tabs.create({ url: wing.url });
+    }
+  });
+
+  elements.wingDuplicateView.addEventListener('click', viewDuplicateWing);
+
   // Refresh connections button
   elements.refreshConnectionsBtn.addEventListener('click', () => {
     if (selectedWingId) {
@@ -2129,6 +3251,11 @@ function setupEventListeners() {
 
     const collectionId = collectionCard.dataset.collectionId;
 
+    if (e.target.closest('.share-collection-btn')) {
+      shareCollection(collectionId);
+      return;
+    }
+
     if (e.target.closest('.edit-collection-btn')) {
       const collection = collections.find((c) => c.id === collectionId);
       openCollectionModal(collection);
@@ -2172,9 +3299,33 @@ function setupEventListeners() {
     }
   });
 
+  // Queue: mark wings done or archived, or open them
+  elements.queueList.addEventListener('click', (e) => {
+    const statusBtn = e.target.closest('[data-status]');
+    const queueItem = e.target.closest('.queue-item');
+    if (!queueItem) return;
+
+    if (statusBtn) {
+      changeWingStatus(queueItem.dataset.wingId, statusBtn.dataset.status);
+    } else {
+      openWingDetails(queueItem.dataset.wingId);
+    }
+  });
+
+  // Drag and Drop - Queue (reordering within a status)
+  elements.startReviewBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') });
+  });
+  elements.queueList.addEventListener('dragstart', handleDragStart);
+  elements.queueList.addEventListener('dragend', handleDragEnd);
+  elements.queueList.addEventListener('dragover', handleDragOver);
+  elements.queueList.addEventListener('drop', handleDrop);
+
   // Drag and Drop - Wings list
   elements.wingsList.addEventListener('dragstart', handleDragStart);
   elements.wingsList.addEventListener('dragend', handleDragEnd);
+  elements.wingsList.addEventListener('dragover', handleDragOver);
+  elements.wingsList.addEventListener('drop', handleDrop);
 
   // Drag and Drop - Collections list (both source and drop target)
   elements.collectionsList.addEventListener('dragstart', handleDragStart);
@@ -2215,9 +3366,15 @@ function setupEventListeners() {
       clearCollectionFilter();
     } else if (chip.dataset.collectionId) {
       handleFilterChipClick(chip.dataset.collectionId);
+    } else if (chip.dataset.tagId) {
+      handleTagFilterChipClick(chip.dataset.tagId);
     }
   });
 
+  // Tag editors (Wing It modal and wing details)
+  setupTagEditor(elements.wingTags);
+  setupTagEditor(elements.wingEditTags);
+
   // Query (Chat)
   elements.queryBtn.addEventListener('click', handleQuery);
 
@@ -2277,6 +3434,19 @@ function setupEventListeners() {
       }
     }
 
+    // Ctrl/Cmd + Z - undo, Ctrl/Cmd + Shift + Z - redo
+    // (text fields keep their own native undo)
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      if (e.target.matches('input, textarea, [contenteditable="true"]')) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        redoLastChange();
+      } else {
+        undoLastChange();
+      }
+      return;
+    }
+
     // Ctrl/Cmd + F - focus search
     if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
       if (currentView === 'wings') {
@@ -2300,10 +3470,11 @@ async function init() {
       currentSortOption = prefs.wingsSortOption;
     }
 
-    [collections, nests, wings] = await Promise.all([
+    // Wings are loaded a page at a time by the list
+    [collections, nests, tags] = await Promise.all([
       db.getAllCollections(),
       db.getAllNests(),
-      db.getAllWings(),
+      db.getAllTags(),
     ]);
 
     // Check API key state for badge rendering
@@ -2313,7 +3484,13 @@ async function init() {
     renderWings();
     renderCollections();
     renderFilterChips();
+    renderTagSuggestions();
     setupEventListeners();
+    subscribeToChanges(queueLibraryChange);
+
+    if ((await getEncryptionState()) === 'locked') {
+      openUnlockModal();
+    }
 
     console.log('Wing popup initialized');
   } catch (error) {
@@ -0,0 +1,144 @@
+/**
+ * Wing - Review Page
+ * Works through the highlights (and, if enabled, old wings) due for review,
+ * one at a time, grading each to schedule the next review
+ */
+
+import * as db from '../lib/db.js';
+import { getEncryptionState } from '../lib/encryption.js';
+import { REVIEW_GRADES, getReviewSettings, scheduleReview } from '../lib/review.js';
+import { truncateText } from '../lib/utils.js';
+
+// ============================================
+// DOM Elements
+// ============================================
+const elements = {
+  reviewProgress: document.getElementById('reviewProgress'),
+  reviewCard: document.getElementById('reviewCard'),
+  reviewQuote: document.getElementById('reviewQuote'),
+  reviewAnnotation: document.getElementById('reviewAnnotation'),
+  reviewSummary: document.getElementById('reviewSummary'),
+  reviewSource: document.getElementById('reviewSource'),
+  reviewDone: document.getElementById('reviewDone'),
+  reviewDoneText: document.getElementById('reviewDoneText'),
+  reviewLocked: document.getElementById('reviewLocked'),
+  toastContainer: document.getElementById('toastContainer'),
+};
+
+const gradeButtons = document.querySelectorAll('.grade-btn');
+
+// ============================================
+// State
+// ============================================
+// Items due in this session ({ store, record, wing }), and the one being reviewed
+let items = [];
+let current = 0;
+let grading = false;
+
+// ============================================
+// Initialization
+// ============================================
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  gradeButtons.forEach((button) => {
+    button.addEventListener('click', () => gradeCurrent(button.dataset.grade));
+  });
+  document.addEventListener('keydown', handleKeydown);
+
+  try {
+    await db.initDB();
+    if ((await getEncryptionState()) === 'locked') {
+      elements.reviewLocked.classList.remove('hidden');
+      return;
+    }
+
+    const { sessionSize, resurfaceWings } = await getReviewSettings();
+    items = await db.getDueReviews({ limit: sessionSize, includeWings: resurfaceWings });
+    showCurrent();
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+    showToast('Failed to load reviews', 'error');
+  }
+}
+
+// ============================================
+// Review
+// ============================================
+function showCurrent() {
+  const item = items[current];
+  elements.reviewCard.classList.toggle('hidden', !item);
+  elements.reviewDone.classList.toggle('hidden', Boolean(item));
+  elements.reviewProgress.textContent = item ? `${current + 1} of ${items.length}` : '';
+
+  if (!item) {
+    elements.reviewDoneText.textContent = items.length > 0
+      ? `All done: you reviewed ${items.length} ${items.length === 1 ? 'item' : 'items'}`
+      : 'Nothing to review right now';
+    return;
+  }
+
+  const { store, record, wing } = item;
+  if (store === 'highlights') {
+    elements.reviewQuote.textContent = record.selectedText || '';
+    setOptionalText(elements.reviewAnnotation, record.annotation);
+    setOptionalText(elements.reviewSummary, '');
+  } else {
+    elements.reviewQuote.textContent = wing.title || wing.url;
+    setOptionalText(elements.reviewAnnotation, '');
+    setOptionalText(elements.reviewSummary, truncateText(wing.summary || '', 280));
+  }
+  elements.reviewSource.textContent = store === 'highlights' ? wing.title || wing.url : wing.url;
+  elements.reviewSource.href = wing.url;
+
+  gradeButtons.forEach((button) => {
+    const { interval } = scheduleReview(record.review, button.dataset.grade);
+    button.querySelector('.grade-interval').textContent = interval === 1 ? '1 day' : `${interval} days`;
+  });
+}
+
+function setOptionalText(element, text) {
+  element.textContent = text || '';
+  element.classList.toggle('hidden', !text);
+}
+
+async function gradeCurrent(grade) {
+  const item = items[current];
+  if (!item || grading) return;
+
+  grading = true;
+  try {
+    await db.gradeReview(item.store, item.record.id, grade);
+    current++;
+    showCurrent();
+  } catch (error) {
+    console.error('Error grading review:', error);
+    showToast('Failed to save review', 'error');
+  } finally {
+    grading = false;
+  }
+}
+
+/**
+ * Grade with the number keys, 1 (again) to 4 (easy)
+ */
+function handleKeydown(event) {
+  if (event.metaKey || event.ctrlKey || event.altKey) return;
+  const grade = REVIEW_GRADES[Number(event.key) - 1];
+  if (grade) gradeCurrent(grade);
+}
+
+// ============================================
+// Toast Notifications
+// ============================================
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = message;
+  elements.toastContainer.appendChild(toast);
+
+  setTimeout(() => {
+    toast.style.animation = 'slideIn 0.2s ease-out reverse';
+    setTimeout(() => toast.remove(), 200);
+  }, 3000);
+}
@@ -1,6 +1,6 @@
 /**
  * Wing Performance Integration Tests (Section 13)
- * Tests for performance with large datasets (50+ wings)
+ * Tests for performance with large datasets (50+ wings, and a 20k wing library)
  */
 
 import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
@@ -245,6 +245,165 @@ describe('Performance Tests (Section 13)', () => {
     });
   });
 
+  describe('13.6 Large Library Performance (20k wings)', () => {
+    const LARGE_LIBRARY_SIZE = 20000;
+    let seedPage;
+
+    beforeAll(async () => {
+      if (!extensionId) return;
+
+      // Seed straight into IndexedDB from an extension page; createWing would
+      // also journal and index every wing, which isn't what's being measured
+      seedPage = await browser.newPage();
+      await seedPage.goto(`chrome-extension://${extensionId}/options/options.html`, {
+        waitUntil: 'networkidle0',
+        timeout: 10000
+      });
+      await seedPage.evaluate(async (count) => {
+        const db = await import('/lib/db.js');
+        await db.initDB();
+        await db.clearAllData();
+
+        const database = await new Promise((resolve, reject) => {
+          const request = indexedDB.open('WingDB');
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        const transaction = database.transaction('wings', 'readwrite');
+        const store = transaction.objectStore('wings');
+        const now = Date.now();
+        for (let i = 0; i < count; i++) {
+          const title = `Perf Wing ${String(i).padStart(5, '0')}`;
+          store.put({
+            id: `perf-${i}`,
+            url: `https://example.com/perf/${i}`,
+            canonicalUrl: `https://example.com/perf/${i}`,
+            title,
+            sortTitle: title.toLowerCase(),
+            summary: null,
+            collectionIds: i % 10 === 0 ? ['perf-collection'] : [],
+            nestIds: [],
+            tagIds: [],
+            timestamp: now - i,
+          });
+        }
+        await new Promise((resolve, reject) => {
+          transaction.oncomplete = resolve;
+          transaction.onerror = () => reject(transaction.error);
+        });
+        database.close();
+      }, LARGE_LIBRARY_SIZE);
+    });
+
+    afterAll(async () => {
+      if (!seedPage) return;
+      await seedPage.evaluate(async () => {
+        const db = await import('/lib/db.js');
+        await db.clearAllData();
+      });
+      await seedPage.close();
+    });
+
+    test('Popup opens quickly and renders only the first page', async () => {
+      if (!extensionId) return;
+
+      const page = await browser.newPage();
+      const startTime = Date.now();
+
+      await page.goto(`chrome-extension://${extensionId}/popup/popup.html`, {
+        waitUntil: 'networkidle0',
+        timeout: 10000
+      });
+      await page.waitForSelector('.wing-card', { timeout: 5000 });
+
+      const loadTime = Date.now() - startTime;
+      console.log(`Popup load time with ${LARGE_LIBRARY_SIZE} wings: ${loadTime}ms`);
+
+      const cardCount = await page.$$eval('.wing-card', (cards) => cards.length);
+      const countText = await page.$eval('.wings-count', (el) => el.textContent);
+
+      await page.close();
+
+      expect(cardCount).toBe(20);
+      expect(countText).toContain(`of ${LARGE_LIBRARY_SIZE} wings`);
+      expect(loadTime).toBeLessThan(3000);
+    });
+
+    test('Load More streams the next page quickly', async () => {
+      if (!extensionId) return;
+
+      const page = await browser.newPage();
+      await page.goto(`chrome-extension://${extensionId}/popup/popup.html`, {
+        waitUntil: 'networkidle0',
+        timeout: 10000
+      });
+      await page.waitForSelector('#loadMoreWings', { timeout: 5000 });
+
+      const startTime = Date.now();
+      for (let i = 0; i < 5; i++) {
+        await page.click('#loadMoreWings');
+        await page.waitForFunction(
+          (expected) => document.querySelectorAll('.wing-card').length === expected,
+          { timeout: 2000 },
+          20 * (i + 2)
+        );
+      }
+      const totalTime = Date.now() - startTime;
+      const avgTime = totalTime / 5;
+      console.log(`Load More: 5 pages in ${totalTime}ms (avg: ${avgTime.toFixed(2)}ms each)`);
+
+      await page.close();
+
+      expect(avgTime).toBeLessThan(500);
+    });
+
+    test('queryWings reads a page without scanning the library', async () => {
+      if (!extensionId) return;
+
+      const timings = await seedPage.evaluate(async () => {
+        const db = await import('/lib/db.js');
+        const time = async (fn) => {
+          const start = performance.now();
+          const result = await fn();
+          return { ms: performance.now() - start, result };
+        };
+
+        const first = await time(() => db.queryWings({ sort: 'newest', limit: 20 }));
+        const next = await time(() => db.queryWings({ sort: 'newest', limit: 20, cursor: first.result.cursor }));
+        const byTitle = await time(() => db.queryWings({ sort: 'title-desc', limit: 20 }));
+        const filtered = await time(() => db.queryWings({ filter: { collectionId: 'perf-collection' }, limit: 20 }));
+        const all = await time(() => db.getAllWings());
+
+        return {
+          first: first.ms,
+          next: next.ms,
+          byTitle: byTitle.ms,
+          filtered: filtered.ms,
+          all: all.ms,
+          firstIds: first.result.wings.map((w) => w.id),
+          nextIds: next.result.wings.map((w) => w.id),
+          total: first.result.total,
+          filteredTotal: filtered.result.total,
+        };
+      });
+      console.log(
+        `queryWings: first page ${timings.first.toFixed(1)}ms, next page ${timings.next.toFixed(1)}ms, ` +
+        `title sort ${timings.byTitle.toFixed(1)}ms, filtered ${timings.filtered.toFixed(1)}ms; ` +
+        `getAllWings ${timings.all.toFixed(1)}ms`
+      );
+
+      expect(timings.total).toBe(LARGE_LIBRARY_SIZE);
+      expect(timings.filteredTotal).toBe(LARGE_LIBRARY_SIZE / 10);
+      expect(timings.firstIds[0]).toBe('perf-0');
+      expect(timings.nextIds[0]).toBe('perf-20');
+      expect(timings.first).toBeLessThan(200);
+      expect(timings.next).toBeLessThan(200);
+      expect(timings.byTitle).toBeLessThan(200);
+      // A page should cost a fraction of loading everything
+      expect(timings.first).toBeLessThan(timings.all);
+    });
+  });
+
   describe('13.5 Stability', () => {
     test('Multiple popup opens without errors', async () => {
       if (!extensionId) return;
@@ -6,9 +6,11 @@
 import { jest } from '@jest/globals';
 
 let api;
+let encryption;
 
 beforeAll(async () => {
   api = await import('../../lib/api.js');
+  encryption = await import('../../lib/encryption.js');
 });
 
 describe('Provider Configuration', () => {
@@ -128,6 +130,39 @@ describe('API Key Management', () => {
       expect(hasKey).toBe(false);
     });
   });
+
+  describe('with encryption on', () => {
+    beforeEach(async () => {
+      await encryption.enableEncryption('correct horse battery');
+    });
+
+    test('saves keys encrypted and reads them back', async () => {
+      await api.saveApiKey('anthropic', 'sk-ant-secret-key');
+
+      const stored = chrome.storage.local._getData();
+      expect(encryption.isSealed(stored.anthropicApiKey)).toBe(true);
+      expect(await api.getApiKey('anthropic')).toBe('sk-ant-secret-key');
+    });
+
+    test('resealApiKeys encrypts and decrypts stored keys', async () => {
+      await chrome.storage.local.set({ openaiApiKey: 'sk-plain-key' });
+
+      await api.resealApiKeys(true);
+      expect(encryption.isSealed(chrome.storage.local._getData().openaiApiKey)).toBe(true);
+
+      await api.resealApiKeys(false);
+      expect(chrome.storage.local._getData().openaiApiKey).toBe('sk-plain-key');
+    });
+
+    test('a locked key counts as configured but cannot be used', async () => {
+      await api.saveApiKey('anthropic', 'sk-ant-secret-key');
+      await encryption.lock();
+
+      expect(await api.getApiKey('anthropic')).toBeNull();
+      expect(await api.hasApiKey('anthropic')).toBe(true);
+      await expect(api.makeApiRequest({ prompt: 'Test' })).rejects.toMatchObject({ code: 'LOCKED' });
+    });
+  });
 });
 
 describe('API Key Validation', () => {
@@ -403,6 +438,32 @@ describe('Query Wings', () => {
     expect(body.messages[0].content).toContain('Has summary');
     expect(body.messages[0].content).not.toContain('no-summary');
   });
+
+  test('queryWings includes notes, and wings that only have notes', async () => {
+    const wings = [
+      testUtils.createMockWing({ id: 'with-summary', title: 'Summarized', summary: 'Has summary', notes: 'Try the **second** recipe' }),
+      testUtils.createMockWing({ id: 'notes-only', title: 'Noted', summary: null, notes: 'Sourdough needs a warm kitchen' }),
+      testUtils.createMockWing({ id: 'empty', title: 'Empty', summary: null, notes: '   ' }),
+    ];
+
+    global.fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({
+          content: [{ text: 'Keep it warm [2].' }]
+        })
+      })
+    );
+
+    const result = await api.queryWings('Question?', wings);
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('My notes:\nTry the **second** recipe');
+    expect(body.messages[0].content).toContain('[2] "Noted"');
+    expect(body.messages[0].content).not.toContain('Empty');
+    expect(result.citations.map((w) => w.id)).toEqual(['notes-only']);
+  });
 });
 
 describe('API Request Construction', () => {
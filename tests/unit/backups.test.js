@@ -0,0 +1,166 @@
+/**
+ * Wing Automatic Backup Tests
+ * Tests for lib/backups.js - scheduling, writing and rotating backups
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+let backups;
+let db;
+let encryption;
+
+beforeAll(async () => {
+  backups = await import('../../lib/backups.js');
+  db = await import('../../lib/db.js');
+  encryption = await import('../../lib/encryption.js');
+});
+
+// Downloads by ID, as the browser would record them
+let downloads;
+
+function createDownloadsMock() {
+  let nextId = 1;
+  return {
+    download: jest.fn(({ url, filename }) => {
+      const id = nextId++;
+      downloads.set(id, { id, url, filename: `/home/user/Downloads/${filename}`, exists: true, state: 'complete' });
+      return Promise.resolve(id);
+    }),
+    search: jest.fn(({ id }) => Promise.resolve(downloads.has(id) ? [downloads.get(id)] : [])),
+    removeFile: jest.fn((id) => {
+      downloads.get(id).exists = false;
+      return Promise.resolve();
+    }),
+    erase: jest.fn(({ id }) => {
+      downloads.delete(id);
+      return Promise.resolve([id]);
+    }),
+  };
+}
+
+function readDownload(id) {
+  const base64 = downloads.get(id).url.replace('data:application/json;base64,', '');
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0))));
+}
+
+beforeEach(async () => {
+  downloads = new Map();
+  chrome.downloads = createDownloadsMock();
+  await db.initDB();
+  await db.clearAllData();
+});
+
+afterEach(() => {
+  delete chrome.downloads;
+});
+
+describe('Settings and schedule', () => {
+  test('backups are off by default', async () => {
+    expect(await backups.getBackupSettings()).toEqual(backups.DEFAULT_BACKUP_SETTINGS);
+
+    await backups.scheduleAutoBackup();
+    expect(await chrome.alarms.get(backups.AUTO_BACKUP_ALARM)).toBeUndefined();
+  });
+
+  test('saving a frequency schedules the alarm, and turning it off clears it', async () => {
+    await backups.saveBackupSettings({ frequency: 'weekly' });
+    expect((await chrome.alarms.get(backups.AUTO_BACKUP_ALARM)).periodInMinutes).toBe(backups.BACKUP_FREQUENCIES.weekly);
+
+    await backups.saveBackupSettings({ frequency: 'daily' });
+    expect((await chrome.alarms.get(backups.AUTO_BACKUP_ALARM)).periodInMinutes).toBe(backups.BACKUP_FREQUENCIES.daily);
+
+    await backups.saveBackupSettings({ frequency: 'off' });
+    expect(await chrome.alarms.get(backups.AUTO_BACKUP_ALARM)).toBeUndefined();
+  });
+
+  test('rejects unknown frequencies and keeps at least one backup', async () => {
+    await expect(backups.saveBackupSettings({ frequency: 'hourly' })).rejects.toThrow('Unknown backup frequency');
+    expect((await backups.saveBackupSettings({ keep: 0 })).keep).toBe(backups.DEFAULT_BACKUP_SETTINGS.keep);
+    expect((await backups.saveBackupSettings({ keep: -2 })).keep).toBe(1);
+  });
+});
+
+describe('runAutoBackup', () => {
+  test('writes the library to the Wing Backups folder', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Saved page' }));
+
+    const entry = await backups.runAutoBackup();
+
+    const [options] = chrome.downloads.download.mock.calls[0];
+    expect(options).toMatchObject({ saveAs: false, conflictAction: 'uniquify' });
+    expect(options.filename).toMatch(/^Wing Backups\/wing-backup-\d{4}-\d{2}-\d{2}-\d{4}\.json$/);
+    expect(readDownload(entry.downloadId).data.wings.map((w) => w.title)).toEqual(['Saved page']);
+    expect(entry).toMatchObject({ encrypted: false, size: expect.any(Number) });
+
+    const history = await backups.listBackups();
+    expect(history.backups).toEqual([expect.objectContaining({ downloadId: entry.downloadId, path: expect.stringContaining('Wing Backups') })]);
+    expect(history.lastError).toBeNull();
+  });
+
+  test('keeps only the newest backups', async () => {
+    await backups.saveBackupSettings({ keep: 2 });
+    const first = await backups.runAutoBackup();
+    const second = await backups.runAutoBackup();
+    const third = await backups.runAutoBackup();
+
+    expect(chrome.downloads.removeFile).toHaveBeenCalledWith(first.downloadId);
+    expect(downloads.has(first.downloadId)).toBe(false);
+    expect((await backups.listBackups()).backups.map((b) => b.downloadId)).toEqual([third.downloadId, second.downloadId]);
+
+    expect(await backups.rotateBackups(1)).toBe(1);
+    expect((await backups.listBackups()).backups.map((b) => b.downloadId)).toEqual([third.downloadId]);
+  });
+
+  test('forgets backups deleted outside Wing', async () => {
+    const entry = await backups.runAutoBackup();
+    downloads.get(entry.downloadId).exists = false;
+
+    expect((await backups.listBackups()).backups).toEqual([]);
+    const { autoBackups } = await chrome.storage.local.get('autoBackups');
+    expect(autoBackups.backups).toEqual([]);
+    await expect(backups.readBackupFile(entry)).rejects.toThrow('No copy');
+  });
+
+  test('keeps a copy of each backup to restore from, until it is rotated out', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Saved page' }));
+    await backups.saveBackupSettings({ keep: 1 });
+    const first = await backups.runAutoBackup();
+    const [listed] = (await backups.listBackups()).backups;
+
+    expect(JSON.parse(await backups.readBackupFile(listed))).toEqual(readDownload(first.downloadId));
+
+    await backups.runAutoBackup();
+    await expect(backups.readBackupFile(first)).rejects.toThrow(`No copy of ${first.name}`);
+  });
+
+  test('seals backups of an encrypted library with the library key', async () => {
+    await encryption.enableEncryption('library passphrase');
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', summary: 'Secret summary' }));
+
+    const entry = await backups.runAutoBackup();
+    const file = readDownload(entry.downloadId);
+
+    expect(entry.encrypted).toBe(true);
+    expect(encryption.isSealedBackup(file)).toBe(true);
+    expect(JSON.stringify(file)).not.toContain('Secret summary');
+    expect((await encryption.openBackup(file, 'library passphrase')).data.wings[0].summary).toBe('Secret summary');
+  });
+
+  test('records the failure and writes nothing while locked', async () => {
+    await encryption.enableEncryption('library passphrase');
+    await encryption.lock();
+
+    await expect(backups.runAutoBackup()).rejects.toMatchObject({ code: 'LOCKED' });
+
+    expect(chrome.downloads.download).not.toHaveBeenCalled();
+    const history = await backups.listBackups();
+    expect(history.lastError).toMatch(/Unlock Wing/);
+    expect(history.lastRunAt).toEqual(expect.any(Number));
+  });
+});
+
+describe('Helpers', () => {
+  test('getBackupFileName includes the date and time', () => {
+    expect(backups.getBackupFileName(new Date(2024, 4, 1, 9, 30))).toBe('wing-backup-2024-05-01-0930.json');
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Wing Bookmark Tests
+ * Tests for lib/bookmarks.js - bookmark files and importing the browser's bookmarks
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+let bookmarks;
+let db;
+
+beforeAll(async () => {
+  bookmarks = await import('../../lib/bookmarks.js');
+  db = await import('../../lib/db.js');
+});
+
+const CHROME_EXPORT = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000" LAST_MODIFIED="1700000100" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/a" ADD_DATE="1700000200" ICON="data:image/png;base64,AAAA">Page &amp; A</A>
+        <DT><H3 ADD_DATE="1700000300">Research</H3>
+        <DL><p>
+            <DT><A HREF="https://example.com/b" ADD_DATE="1700000400">Page B</A>
+            <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://example.com/root">Loose page</A>
+</DL><p>
+`;
+
+const FIREFOX_EXPORT = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">
+<title>Bookmarks</title>
+<h1>Bookmarks Menu</h1>
+<dl><p>
+    <dt><h3 ADD_DATE="1700000000">Reading</h3>
+    <dd>Things to read
+    <dl><p>
+        <dt><a href="https://example.com/c" ADD_DATE="1700000500" TAGS="ai,Research">Page C</a>
+        <dd>A page about &quot;C&quot;
+        <dt><a href="place:sort=8">Recent tags</a>
+    </dl><p>
+</dl>
+`;
+
+function convert(html) {
+  const { backup, skipped } = bookmarks.parseBookmarksHtml(html);
+  return { ...backup.data, skipped, version: backup.version };
+}
+
+describe('isBookmarksHtml', () => {
+  test('recognizes the bookmark file doctype', () => {
+    expect(bookmarks.isBookmarksHtml(CHROME_EXPORT)).toBe(true);
+    expect(bookmarks.isBookmarksHtml('{"version": 9}')).toBe(false);
+    expect(bookmarks.isBookmarksHtml('<html><body></body></html>')).toBe(false);
+  });
+});
+
+describe('parseBookmarksHtml', () => {
+  test('turns top-level folders into collections and subfolders into nests', () => {
+    const { collections, nests, wings } = convert(CHROME_EXPORT);
+
+    expect(collections.map((c) => c.name)).toEqual(['Bookmarks bar']);
+    expect(nests).toEqual([expect.objectContaining({ name: 'Research', collectionId: collections[0].id, parentId: null })]);
+
+    const byUrl = Object.fromEntries(wings.map((w) => [w.url, w]));
+    expect(byUrl['https://example.com/a']).toMatchObject({
+      title: 'Page & A',
+      collectionIds: [collections[0].id],
+      nestIds: [],
+      timestamp: 1700000200000,
+    });
+    expect(byUrl['https://example.com/b']).toMatchObject({ collectionIds: [collections[0].id], nestIds: [nests[0].id] });
+    expect(byUrl['https://example.com/root']).toMatchObject({ collectionIds: [], nestIds: [] });
+  });
+
+  test('skips bookmarks that are not web pages', () => {
+    const { wings, skipped } = convert(CHROME_EXPORT);
+
+    expect(wings).toHaveLength(3);
+    expect(skipped).toBe(1);
+  });
+
+  test('reads tags and descriptions from lowercase files', () => {
+    const { collections, wings, tags, skipped } = convert(FIREFOX_EXPORT);
+
+    expect(collections[0]).toMatchObject({ name: 'Reading', description: 'Things to read' });
+    expect(tags.map((t) => t.name)).toEqual(['ai', 'Research']);
+    expect(wings).toEqual([expect.objectContaining({
+      url: 'https://example.com/c',
+      summary: 'A page about "C"',
+      tagIds: tags.map((t) => t.id),
+    })]);
+    expect(skipped).toBe(1);
+  });
+
+  test('merges a page bookmarked in several folders into one wing', () => {
+    const { collections, wings } = convert(`<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>One</H3>
+    <DL><p><DT><A HREF="https://example.com/page" TAGS="x">Page</A></DL><p>
+    <DT><H3>Two</H3>
+    <DL><p><DT><A HREF="https://example.com/page/" TAGS="X,y">Page again</A></DL><p>
+</DL><p>`);
+
+    expect(wings).toHaveLength(1);
+    expect(wings[0].title).toBe('Page');
+    expect(wings[0].collectionIds).toEqual(collections.map((c) => c.id));
+    expect(wings[0].tagIds).toHaveLength(2);
+  });
+
+  test('merges folders with the same name in the same place', () => {
+    const { collections } = convert(`<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>Work</H3><DL><p></DL><p>
+    <DT><H3>work</H3><DL><p></DL><p>
+</DL><p>`);
+
+    expect(collections).toHaveLength(1);
+  });
+
+  test('produces an importable backup', () => {
+    const { version, highlights, connections } = convert(CHROME_EXPORT);
+
+    expect(version).toEqual(expect.any(Number));
+    expect(highlights).toEqual([]);
+    expect(connections).toEqual([]);
+  });
+});
+
+describe('exportBookmarksHtml', () => {
+  function library() {
+    const collection = testUtils.createMockCollection({ id: 'c1', name: 'Reading <list>', description: 'Long reads' });
+    const nest = testUtils.createMockNest({ id: 'n1', name: 'Deep', collectionId: 'c1', parentId: null });
+    const child = testUtils.createMockNest({ id: 'n2', name: 'Deeper', collectionId: 'c1', parentId: 'n1' });
+    return {
+      collections: [collection],
+      nests: [nest, child],
+      tags: [{ id: 't1', name: 'ai', createdAt: 1 }],
+      wings: [
+        testUtils.createMockWing({
+          id: 'w1',
+          url: 'https://example.com/?a=1&b="2"',
+          title: 'Quotes "and" ampersands & co',
+          summary: 'Summary <b>text</b>',
+          collectionIds: ['c1'],
+          nestIds: ['n2'],
+          tagIds: ['t1'],
+          timestamp: 1700000000000,
+        }),
+        testUtils.createMockWing({ id: 'w2', url: 'https://example.com/top', collectionIds: ['c1'], nestIds: [] }),
+        testUtils.createMockWing({ id: 'w3', url: 'https://example.com/loose', collectionIds: [], nestIds: [] }),
+      ],
+    };
+  }
+
+  test('writes a Netscape bookmark file', () => {
+    const html = bookmarks.exportBookmarksHtml(library());
+
+    expect(bookmarks.isBookmarksHtml(html)).toBe(true);
+    expect(html).toContain('<H3 ADD_DATE=');
+    expect(html).toContain('>Reading &lt;list&gt;</H3>');
+    expect(html).toContain('<DD>Long reads');
+    expect(html).toContain('HREF="https://example.com/?a=1&amp;b=&quot;2&quot;" ADD_DATE="1700000000"');
+    expect(html).toContain('TAGS="ai"');
+    expect(html).toContain('<DD>Summary &lt;b&gt;text&lt;/b&gt;');
+  });
+
+  test('round-trips folders, memberships and text', () => {
+    const source = library();
+    const { collections, nests, wings, tags } = convert(bookmarks.exportBookmarksHtml(source));
+
+    expect(collections).toEqual([expect.objectContaining({ name: 'Reading <list>', description: 'Long reads' })]);
+    const deep = nests.find((n) => n.name === 'Deep');
+    const deeper = nests.find((n) => n.name === 'Deeper');
+    expect(deeper.parentId).toBe(deep.id);
+
+    const byUrl = Object.fromEntries(wings.map((w) => [w.url, w]));
+    expect(byUrl['https://example.com/?a=1&b=%222%22']).toMatchObject({
+      title: 'Quotes "and" ampersands & co',
+      summary: 'Summary <b>text</b>',
+      nestIds: [deeper.id],
+      tagIds: [tags[0].id],
+      timestamp: 1700000000000,
+    });
+    expect(byUrl['https://example.com/top']).toMatchObject({ collectionIds: [collections[0].id], nestIds: [] });
+    expect(byUrl['https://example.com/loose'].collectionIds).toEqual([]);
+  });
+});
+
+// Shaped like chrome.bookmarks.getTree()
+const BROWSER_TREE = [{
+  id: '0',
+  title: '',
+  children: [
+    {
+      id: '1',
+      title: 'Bookmarks bar',
+      children: [
+        { id: '10', title: 'On the bar', url: 'https://example.com/bar', dateAdded: 1700000000000 },
+        {
+          id: '11',
+          title: 'Work',
+          dateAdded: 1690000000000,
+          children: [
+            { id: '110', title: 'Work page', url: 'https://example.com/work' },
+            {
+              id: '111',
+              title: 'Projects',
+              children: [
+                { id: '1110', title: 'Project page', url: 'https://example.com/project' },
+                { id: '1111', title: 'Settings', url: 'chrome://settings' },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+    {
+      id: '2',
+      title: 'Other bookmarks',
+      children: [
+        { id: '20', title: 'Recipes', children: [{ id: '200', title: 'Soup', url: 'https://example.com/soup' }] },
+      ],
+    },
+  ],
+}];
+
+describe('listBookmarkFolders', () => {
+  test('lists every folder below the invisible root in tree order', () => {
+    const folders = bookmarks.listBookmarkFolders(BROWSER_TREE);
+
+    expect(folders.map((f) => [f.id, f.depth, f.bookmarkCount])).toEqual([
+      ['1', 0, 1],
+      ['11', 1, 1],
+      ['111', 2, 2],
+      ['2', 0, 0],
+      ['20', 1, 1],
+    ]);
+    expect(folders[2].path).toBe('Bookmarks bar / Work / Projects');
+  });
+});
+
+describe('convertBookmarkTree', () => {
+  const everything = ['1', '11', '111', '2', '20'];
+
+  test('maps folders inside the root folders to collections and nests', () => {
+    const { backup, skipped } = bookmarks.convertBookmarkTree(BROWSER_TREE, everything);
+    const { collections, nests, wings } = backup.data;
+
+    expect(collections.map((c) => c.name)).toEqual(['Work', 'Recipes']);
+    expect(collections[0].createdAt).toBe(1690000000000);
+    expect(nests).toEqual([expect.objectContaining({ name: 'Projects', collectionId: collections[0].id, parentId: null })]);
+
+    const byUrl = Object.fromEntries(wings.map((w) => [w.url, w]));
+    expect(byUrl['https://example.com/bar']).toMatchObject({ collectionIds: [], timestamp: 1700000000000 });
+    expect(byUrl['https://example.com/project']).toMatchObject({ collectionIds: [collections[0].id], nestIds: [nests[0].id] });
+    expect(skipped).toBe(1);
+  });
+
+  test('imports only chosen folders and creates their parents', () => {
+    const { backup } = bookmarks.convertBookmarkTree(BROWSER_TREE, ['111']);
+    const { collections, nests, wings } = backup.data;
+
+    expect(collections.map((c) => c.name)).toEqual(['Work']);
+    expect(nests.map((n) => n.name)).toEqual(['Projects']);
+    expect(wings.map((w) => w.url)).toEqual(['https://example.com/project']);
+  });
+
+  test('leaves out pages that are already winged', () => {
+    const { backup, alreadyWinged } = bookmarks.convertBookmarkTree(BROWSER_TREE, ['20'], {
+      skipUrls: new Set(['https://example.com/soup']),
+    });
+
+    expect(backup.data.wings).toEqual([]);
+    expect(alreadyWinged).toBe(1);
+  });
+});
+
+describe('importBrowserBookmarks', () => {
+  let sendMessage;
+
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+    chrome.bookmarks = { getTree: jest.fn(() => Promise.resolve(BROWSER_TREE)) };
+    sendMessage = jest.spyOn(chrome.runtime, 'sendMessage');
+  });
+
+  afterEach(() => {
+    delete chrome.bookmarks;
+    sendMessage.mockRestore();
+  });
+
+  const queued = () => sendMessage.mock.calls.map(([message]) => message).filter((m) => m.type === 'QUEUE_SUMMARIES');
+
+  test('adds the bookmarks of the chosen folders as wings', async () => {
+    const result = await bookmarks.importBrowserBookmarks(['11', '111']);
+
+    expect(result).toEqual({ imported: 2, skipped: 1, alreadyWinged: 0 });
+    const wings = await db.getAllWings();
+    expect(wings.map((w) => w.url).sort()).toEqual(['https://example.com/project', 'https://example.com/work']);
+    expect(queued()).toEqual([]);
+  });
+
+  test('skips winged pages and reuses collections with the same name', async () => {
+    await db.createCollection({ id: 'c1', name: 'work', color: '#000000' });
+    await db.createWing(testUtils.createMockWing({ id: 'w1', url: 'https://example.com/work' }));
+
+    const result = await bookmarks.importBrowserBookmarks(['11']);
+
+    expect(result).toMatchObject({ imported: 0, alreadyWinged: 1 });
+    const collections = await db.getAllCollections();
+    expect(collections).toEqual([expect.objectContaining({ id: 'c1', name: 'work', color: '#000000' })]);
+  });
+
+  test('queues summaries for the imported wings', async () => {
+    await bookmarks.importBrowserBookmarks(['20'], { queueSummaries: true });
+
+    const [wing] = await db.getAllWings();
+    expect(queued()).toEqual([{ type: 'QUEUE_SUMMARIES', wingIds: [wing.id] }]);
+  });
+});
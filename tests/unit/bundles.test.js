@@ -0,0 +1,214 @@
+/**
+ * Wing Collection Bundle Tests
+ * Tests for lib/bundles.js - sharing one collection and importing it elsewhere
+ */
+
+import { expect, describe, test, beforeAll, beforeEach } from '@jest/globals';
+
+let bundles;
+let db;
+
+beforeAll(async () => {
+  bundles = await import('../../lib/bundles.js');
+  db = await import('../../lib/db.js');
+});
+
+beforeEach(async () => {
+  await db.initDB();
+  await db.clearAllData();
+});
+
+/**
+ * A shared collection with a nest, two wings, a highlight, a connection and a
+ * tag, next to a private collection that must stay out of the bundle
+ */
+async function seedSharedCollection() {
+  await db.createCollection(testUtils.createMockCollection({ id: 'col-shared', name: 'Bread' }));
+  await db.createCollection(testUtils.createMockCollection({ id: 'col-private', name: 'Private' }));
+  await db.createNest(testUtils.createMockNest({ id: 'nest-rye', name: 'Rye', collectionId: 'col-shared' }));
+  await db.createNest(testUtils.createMockNest({ id: 'nest-private', name: 'Mine', collectionId: 'col-private' }));
+  await db.createTag({ id: 'tag-baking', name: 'baking' });
+
+  await db.createWing(testUtils.createMockWing({
+    id: 'wing-sourdough',
+    url: 'https://example.com/sourdough',
+    title: 'Sourdough',
+    collectionIds: ['col-shared', 'col-private'],
+    nestIds: ['nest-private'],
+    tagIds: ['tag-baking'],
+  }));
+  await db.createWing(testUtils.createMockWing({
+    id: 'wing-rye',
+    url: 'https://example.com/rye',
+    title: 'Rye',
+    nestIds: ['nest-rye'],
+  }));
+  await db.createWing(testUtils.createMockWing({ id: 'wing-other', url: 'https://example.com/other', collectionIds: ['col-private'] }));
+
+  await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-sourdough', selectedText: 'Feed the starter' }));
+  await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-2', wingId: 'wing-other' }));
+  await db.createConnection(testUtils.createMockConnection({ id: 'conn-1', wingId1: 'wing-sourdough', wingId2: 'wing-rye' }));
+  await db.createConnection(testUtils.createMockConnection({ id: 'conn-2', wingId1: 'wing-sourdough', wingId2: 'wing-other' }));
+}
+
+describe('exportCollectionBundle', () => {
+  test('includes the collection and everything in it, and nothing else', async () => {
+    await seedSharedCollection();
+
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    const ids = (category) => bundle.data[category].map((record) => record.id).sort();
+
+    expect(bundle).toMatchObject({ format: bundles.BUNDLE_FORMAT, formatVersion: 1, version: expect.any(Number) });
+    expect(ids('collections')).toEqual(['col-shared']);
+    expect(ids('nests')).toEqual(['nest-rye']);
+    expect(ids('wings')).toEqual(['wing-rye', 'wing-sourdough']);
+    expect(ids('highlights')).toEqual(['hl-1']);
+    expect(ids('connections')).toEqual(['conn-1']);
+    expect(ids('tags')).toEqual(['tag-baking']);
+  });
+
+  test('keeps the wings\' other collections, nests, reading progress and review schedules private', async () => {
+    await seedSharedCollection();
+    await db.setWingStatus('wing-sourdough', 'done');
+    await db.saveReadingProgress('wing-sourdough', { depth: 0.9, position: 0.9 });
+
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    const sourdough = bundle.data.wings.find((wing) => wing.id === 'wing-sourdough');
+
+    expect(sourdough).toMatchObject({ collectionIds: ['col-shared'], nestIds: [], summary: expect.any(String) });
+    expect(sourdough).not.toHaveProperty('status');
+    expect(sourdough).not.toHaveProperty('scrollDepth');
+    expect(sourdough).not.toHaveProperty('review');
+    expect(bundle.data.highlights[0]).not.toHaveProperty('review');
+  });
+
+  test('rejects unknown collections', async () => {
+    await expect(bundles.exportCollectionBundle('missing')).rejects.toThrow('Collection not found');
+  });
+});
+
+describe('bundleToBackup', () => {
+  test('gives every record a new ID and keeps the references between them', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+
+    const { data } = bundles.bundleToBackup(bundle);
+    const [collection] = data.collections;
+    const rye = data.wings.find((wing) => wing.title === 'Rye');
+    const sourdough = data.wings.find((wing) => wing.title === 'Sourdough');
+
+    expect(collection.id).not.toBe('col-shared');
+    expect(data.nests[0]).toMatchObject({ collectionId: collection.id });
+    expect(rye).toMatchObject({ collectionIds: [collection.id], nestIds: [data.nests[0].id] });
+    expect(sourdough.tagIds).toEqual([data.tags[0].id]);
+    expect(data.highlights[0].wingId).toBe(sourdough.id);
+    expect([data.connections[0].wingId1, data.connections[0].wingId2].sort()).toEqual([rye.id, sourdough.id].sort());
+  });
+
+  test('points the contents at an existing collection instead', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+
+    const { data } = bundles.bundleToBackup(bundle, { collectionId: 'col-target' });
+
+    expect(data.collections).toEqual([]);
+    expect(data.nests[0].collectionId).toBe('col-target');
+    expect(data.wings.every((wing) => wing.collectionIds.includes('col-target'))).toBe(true);
+  });
+
+  test('rejects files that are not bundles or come from a newer Wing', () => {
+    const bundle = { format: bundles.BUNDLE_FORMAT, formatVersion: 1, data: { collections: [{ id: 'c', name: 'C' }] } };
+
+    expect(() => bundles.bundleToBackup({ data: {} })).toThrow('Invalid collection file');
+    expect(() => bundles.bundleToBackup({ ...bundle, formatVersion: 2 })).toThrow('newer version of Wing');
+    expect(() => bundles.bundleToBackup({ ...bundle, data: { collections: [] } })).toThrow('exactly one collection');
+    expect(bundles.bundleToBackup(bundle).data.wings).toEqual([]);
+  });
+});
+
+describe('importCollectionBundle', () => {
+  test('imports a bundle as a new collection, even next to one with the same name', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    await db.updateCollection('col-shared', { description: 'My own notes on bread' });
+
+    await bundles.importCollectionBundle(bundles.bundleToBackup(bundle));
+
+    const copy = (await db.getAllCollections()).find((c) => c.name === 'Bread' && c.id !== 'col-shared');
+    expect(copy).toBeDefined();
+    expect((await db.getNestsByCollection(copy.id)).map((n) => n.name)).toEqual(['Rye']);
+    // The pages are already in this library, so they join the copy rather than being duplicated
+    expect(await db.getAllWings()).toHaveLength(3);
+    expect((await db.getWingsByCollection(copy.id)).map((w) => w.title).sort()).toEqual(['Rye', 'Sourdough']);
+    expect(await db.getAllTags()).toHaveLength(1);
+  });
+
+  test('brings highlights and connections into an empty library', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    await db.clearAllData();
+
+    await bundles.importCollectionBundle(bundles.bundleToBackup(bundle));
+    // Importing the same bundle again finds everything already there
+    const again = await bundles.importCollectionBundle(bundles.bundleToBackup(bundle));
+
+    expect(again.writes.wings).toEqual([]);
+    expect((await db.getAllCollections()).map((c) => c.name)).toEqual(['Bread']);
+    const sourdough = await db.getWingByUrl('https://example.com/sourdough');
+    expect(sourdough.tagIds).toHaveLength(1);
+    expect(await db.getHighlightsByWing(sourdough.id)).toHaveLength(1);
+    expect(await db.getAllConnections()).toHaveLength(1);
+  });
+
+  test('adds wings already in the library to the collection, keeping their other collections', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    await db.clearAllData();
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-mine', name: 'Mine' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-mine', url: 'https://example.com/rye', collectionIds: ['col-mine'] }));
+
+    const plan = await bundles.importCollectionBundle(bundles.bundleToBackup(bundle));
+
+    const shared = (await db.getAllCollections()).find((c) => c.name === 'Bread');
+    const wing = await db.getWing('wing-mine');
+    expect(plan.linked).toBe(1);
+    expect(wing.collectionIds).toEqual(['col-mine', shared.id]);
+    expect(wing.nestIds).toHaveLength(1);
+    expect(await db.getAllWings()).toHaveLength(2);
+  });
+
+  test('merges into an existing collection, reusing nests with the same name', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    await db.clearAllData();
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-mine', name: 'Baking' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-mine', name: 'Rye', collectionId: 'col-mine' }));
+
+    await bundles.importCollectionBundle(bundles.bundleToBackup(bundle, { collectionId: 'col-mine' }));
+
+    expect((await db.getAllCollections()).map((c) => c.id)).toEqual(['col-mine']);
+    expect((await db.getAllNests()).map((n) => n.id)).toEqual(['nest-mine']);
+    expect((await db.getWingsByNest('nest-mine')).map((w) => w.title)).toEqual(['Rye']);
+    expect(await db.getWingsByCollection('col-mine')).toHaveLength(2);
+  });
+
+  test('is undone in one step', async () => {
+    await seedSharedCollection();
+    const bundle = await bundles.exportCollectionBundle('col-shared');
+    await db.clearAllData();
+    await db.createWing(testUtils.createMockWing({ id: 'wing-mine', url: 'https://example.com/rye' }));
+
+    await bundles.importCollectionBundle(bundles.bundleToBackup(bundle));
+    expect(await db.undo()).toEqual({ label: 'Import collection' });
+
+    expect(await db.getAllCollections()).toEqual([]);
+    expect((await db.getWing('wing-mine')).collectionIds).toEqual([]);
+  });
+});
+
+describe('getBundleFileName', () => {
+  test('names the file after the collection', () => {
+    expect(bundles.getBundleFileName({ name: 'Reading List: 2024!' })).toBe('wing-collection-reading-list-2024');
+    expect(bundles.getBundleFileName({ name: '' })).toBe('wing-collection');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Wing Change Notification Tests
+ * Tests for lib/changes.js - delivering change events within and across contexts
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+let changes;
+
+beforeAll(async () => {
+  changes = await import('../../lib/changes.js');
+});
+
+describe('emitChanges', () => {
+  let unsubscribe;
+  let received;
+
+  beforeEach(() => {
+    received = [];
+    unsubscribe = changes.subscribeToChanges((event) => received.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  test('notifies subscribers in the same context', () => {
+    changes.emitChanges([{ store: 'wings', key: 'w1', type: 'put' }]);
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      changes: [{ store: 'wings', key: 'w1', type: 'put' }],
+      stores: ['wings'],
+      timestamp: expect.any(Number),
+    });
+    expect(changes.isLocalChange(received[0])).toBe(true);
+  });
+
+  test('lists each changed store once', () => {
+    changes.emitChanges([
+      { store: 'wings', key: 'w1', type: 'put' },
+      { store: 'highlights', key: 'h1', type: 'delete', wingId: 'w1' },
+      { store: 'wings', key: 'w2', type: 'delete' },
+    ]);
+
+    expect(received[0].stores).toEqual(['wings', 'highlights']);
+  });
+
+  test('sends the event to other contexts as a runtime message', () => {
+    const spy = jest.spyOn(chrome.runtime, 'sendMessage');
+
+    changes.emitChanges([{ store: 'tags', key: 't1', type: 'put' }]);
+
+    expect(spy).toHaveBeenCalledWith({ type: changes.CHANGE_MESSAGE_TYPE, event: received[0] });
+    spy.mockRestore();
+  });
+
+  test('ignores empty change lists', () => {
+    changes.emitChanges([]);
+
+    expect(received).toHaveLength(0);
+  });
+
+  test('keeps notifying when a subscriber throws', () => {
+    const failing = changes.subscribeToChanges(() => {
+      throw new Error('test listener failed');
+    });
+
+    changes.emitChanges([{ store: 'wings', key: 'w1', type: 'put' }]);
+
+    expect(received).toHaveLength(1);
+    failing();
+  });
+});
+
+describe('subscribeToChanges', () => {
+  const remoteEvent = {
+    source: 'another-context',
+    changes: [{ store: 'highlights', key: 'h1', type: 'put', wingId: 'w1' }],
+    stores: ['highlights'],
+    timestamp: 1,
+  };
+
+  test('receives events from other contexts', () => {
+    const callback = jest.fn();
+    const unsubscribe = changes.subscribeToChanges(callback);
+
+    chrome.runtime.onMessage._simulateMessage({ type: changes.CHANGE_MESSAGE_TYPE, event: remoteEvent });
+
+    expect(callback).toHaveBeenCalledWith(remoteEvent);
+    expect(changes.isLocalChange(remoteEvent)).toBe(false);
+    unsubscribe();
+  });
+
+  test('ignores unrelated runtime messages', () => {
+    const callback = jest.fn();
+    const unsubscribe = changes.subscribeToChanges(callback);
+
+    chrome.runtime.onMessage._simulateMessage({ type: 'CHECK_WINGED_PAGE', url: 'https://example.com' });
+
+    expect(callback).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  test('removes the runtime listener once the last subscriber leaves', () => {
+    const before = chrome.runtime.onMessage._listeners.length;
+    const first = changes.subscribeToChanges(() => {});
+    const second = changes.subscribeToChanges(() => {});
+
+    expect(chrome.runtime.onMessage._listeners.length).toBe(before + 1);
+
+    first();
+    expect(chrome.runtime.onMessage._listeners.length).toBe(before + 1);
+    second();
+    expect(chrome.runtime.onMessage._listeners.length).toBe(before);
+  });
+});
+
+describe('Inspecting events', () => {
+  test('changeTouches matches any of the given stores', () => {
+    const event = { changes: [], stores: ['wings', 'highlights'] };
+
+    expect(changes.changeTouches(event, 'tags', 'wings')).toBe(true);
+    expect(changes.changeTouches(event, 'trash')).toBe(false);
+  });
+
+  test('getChangedWingIds includes the wings of changed highlights', () => {
+    const ids = changes.getChangedWingIds({
+      changes: [
+        { store: 'wings', key: 'w1', type: 'put' },
+        { store: 'highlights', key: 'h1', type: 'delete', wingId: 'w2' },
+        { store: 'tags', key: 't1', type: 'put' },
+      ],
+    });
+
+    expect([...ids].sort()).toEqual(['w1', 'w2']);
+  });
+
+  test('getChangedWingIds returns null when wings were reset', () => {
+    expect(changes.getChangedWingIds({ changes: [{ store: 'wings', type: 'reset' }] })).toBeNull();
+    expect(changes.getChangedWingIds({ changes: [{ store: 'trash', type: 'reset' }] })).toEqual(new Set());
+  });
+});
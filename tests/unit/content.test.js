@@ -0,0 +1,103 @@
+/**
+ * Wing Content Script Tests
+ * Tests for the page badge and notes panel of content.js
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+
+let source;
+
+beforeAll(() => {
+  source = readFileSync(new URL('../../content.js', import.meta.url), 'utf8');
+});
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(chrome.runtime, 'sendMessage').mockImplementation(async (message) => respond(message));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Answer the content script's messages as the background worker does for a winged page
+ */
+function respond(message) {
+  switch (message.type) {
+    case 'CHECK_WINGED_PAGE':
+      return { isWinged: true, wingId: 'wing-1', highlights: [], pageUrls: ['http://localhost'] };
+    case 'GET_WING_NOTES':
+      return { success: true, notes: 'Saved notes' };
+    default:
+      return { success: true };
+  }
+}
+
+/**
+ * Run the content script on the test page, in a scope of its own
+ */
+async function loadWingedPage() {
+  new Function(source)();
+  await flush();
+  return document.querySelector('.wing-page-badge');
+}
+
+function sentTypes() {
+  return chrome.runtime.sendMessage.mock.calls.map(([message]) => message.type);
+}
+
+describe('Page badge', () => {
+  test('clicking the badge opens the popup, not the notes', async () => {
+    const badge = await loadWingedPage();
+
+    badge.querySelector('.wing-page-badge-text').click();
+    await flush();
+
+    expect(sentTypes()).toContain('OPEN_POPUP');
+    expect(document.querySelector('.wing-notes-panel')).toBeNull();
+  });
+
+  test('the Notes button opens and closes the notes panel', async () => {
+    const badge = await loadWingedPage();
+    const notesButton = badge.querySelector('.wing-page-badge-notes');
+
+    notesButton.click();
+    await flush();
+
+    const panel = document.querySelector('.wing-notes-panel');
+    expect(panel).not.toBeNull();
+    expect(panel.querySelector('.wing-notes-panel-input').value).toBe('Saved notes');
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_WING_NOTES', wingId: 'wing-1' });
+    expect(sentTypes()).not.toContain('OPEN_POPUP');
+
+    notesButton.click();
+    await flush();
+
+    expect(document.querySelector('.wing-notes-panel')).toBeNull();
+  });
+
+  test('closing the panel saves notes still being typed', async () => {
+    const badge = await loadWingedPage();
+    const notesButton = badge.querySelector('.wing-page-badge-notes');
+    notesButton.click();
+    await flush();
+
+    const input = document.querySelector('.wing-notes-panel-input');
+    input.value = 'Saved notes, and more';
+    input.dispatchEvent(new Event('input'));
+    notesButton.click();
+    await flush();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'SAVE_WING_NOTES',
+      wingId: 'wing-1',
+      notes: 'Saved notes, and more',
+    });
+    expect(document.querySelector('.wing-notes-panel')).toBeNull();
+  });
+});
@@ -3,14 +3,20 @@
  * Tests for lib/db.js - CRUD operations for wings, collections, nests, highlights, connections
  */
 
-import { jest, expect, describe, test, beforeAll, beforeEach } from '@jest/globals';
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
 
 // Import db functions after mocks are set up
 let db;
+let changes;
+let encryption;
+let positions;
 
 beforeAll(async () => {
   // Dynamic import after mocks are initialized
   db = await import('../../lib/db.js');
+  changes = await import('../../lib/changes.js');
+  encryption = await import('../../lib/encryption.js');
+  positions = await import('../../lib/positions.js');
 });
 
 describe('Database Initialization', () => {
@@ -291,6 +297,25 @@ describe('Collection Operations', () => {
       const wingAfter = await db.getWing('wing-in-collection');
       expect(wingAfter).toBeDefined();
     });
+
+    test('removes all of its nests and takes them off every wing', async () => {
+      await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+      await db.createNest(testUtils.createMockNest({ id: 'nest-top', collectionId: 'col-1' }));
+      // A nest inside it whose collectionId went stale
+      await db.createNest(testUtils.createMockNest({ id: 'nest-inner', collectionId: 'col-old', parentId: 'nest-top' }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', collectionIds: [], nestIds: ['nest-inner'] }));
+
+      await db.deleteCollection('col-1');
+
+      expect(await db.getAllNests()).toEqual([]);
+      expect((await db.getWing('wing-1')).nestIds).toEqual([]);
+
+      const [entry] = await db.getTrash();
+      await db.restoreFromTrash(entry.id);
+
+      expect((await db.getAllNests()).map((n) => [n.id, n.collectionId]).sort()).toEqual([['nest-inner', 'col-1'], ['nest-top', 'col-1']]);
+      expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: [], nestIds: ['nest-inner'] });
+    });
   });
 });
 
@@ -369,6 +394,111 @@ describe('Nest Operations', () => {
     });
   });
 
+  describe('moveNest', () => {
+    // Bread > Starters > Rye starters, with a wing in each nest, and an empty Pastry collection
+    async function seedNestTree() {
+      await db.createCollection(testUtils.createMockCollection({ id: 'col-bread' }));
+      await db.createCollection(testUtils.createMockCollection({ id: 'col-pastry' }));
+      await db.createNest(testUtils.createMockNest({ id: 'nest-starters', collectionId: 'col-bread' }));
+      await db.createNest(testUtils.createMockNest({ id: 'nest-rye', collectionId: 'col-bread', parentId: 'nest-starters' }));
+      await db.createNest(testUtils.createMockNest({ id: 'nest-loaves', collectionId: 'col-bread' }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-starter', collectionIds: ['col-bread'], nestIds: ['nest-starters'] }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-rye', collectionIds: ['col-bread'], nestIds: ['nest-rye'] }));
+      await db.createWing(testUtils.createMockWing({
+        id: 'wing-both',
+        collectionIds: ['col-bread'],
+        nestIds: ['nest-rye', 'nest-loaves'],
+      }));
+    }
+
+    test('moves a nest under another nest in the same collection', async () => {
+      await seedNestTree();
+
+      const moved = await db.moveNest('nest-rye', { parentId: 'nest-loaves' });
+
+      expect(moved).toMatchObject({ parentId: 'nest-loaves', collectionId: 'col-bread' });
+      expect((await db.getWing('wing-rye')).collectionIds).toEqual(['col-bread']);
+    });
+
+    test('moves a nest to the top level of its collection', async () => {
+      await seedNestTree();
+
+      await db.moveNest('nest-rye', { collectionId: 'col-bread' });
+
+      expect((await db.getNest('nest-rye')).parentId).toBeNull();
+    });
+
+    test('carries nests and wings along to another collection', async () => {
+      await seedNestTree();
+
+      await db.moveNest('nest-starters', { collectionId: 'col-pastry' });
+
+      expect(await db.getNest('nest-starters')).toMatchObject({ collectionId: 'col-pastry', parentId: null });
+      expect(await db.getNest('nest-rye')).toMatchObject({ collectionId: 'col-pastry', parentId: 'nest-starters' });
+      expect((await db.getWing('wing-starter')).collectionIds).toEqual(['col-pastry']);
+      expect((await db.getWing('wing-rye')).collectionIds).toEqual(['col-pastry']);
+      // Still in Loaves, so it stays in Bread too
+      expect((await db.getWing('wing-both')).collectionIds).toEqual(['col-bread', 'col-pastry']);
+      expect((await db.getWingsByCollection('col-bread')).map((w) => w.id)).toEqual(['wing-both']);
+    });
+
+    test('takes the collection of the new parent', async () => {
+      await seedNestTree();
+      await db.createNest(testUtils.createMockNest({ id: 'nest-croissants', collectionId: 'col-pastry' }));
+
+      await db.moveNest('nest-rye', { parentId: 'nest-croissants' });
+
+      expect(await db.getNest('nest-rye')).toMatchObject({ collectionId: 'col-pastry', parentId: 'nest-croissants' });
+      expect((await db.getWing('wing-rye')).collectionIds).toEqual(['col-pastry']);
+    });
+
+    test('rejects moving a nest into itself or its own nests', async () => {
+      await seedNestTree();
+
+      await expect(db.moveNest('nest-starters', { parentId: 'nest-starters' })).rejects.toMatchObject({ code: 'CYCLE' });
+      await expect(db.moveNest('nest-starters', { parentId: 'nest-rye' })).rejects.toThrow(db.NestMoveError);
+      expect((await db.getNest('nest-starters')).parentId).toBeNull();
+    });
+
+    test('rejects missing nests and destinations', async () => {
+      await seedNestTree();
+
+      await expect(db.moveNest('missing', { collectionId: 'col-bread' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      await expect(db.moveNest('nest-rye', { parentId: 'missing' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      await expect(db.moveNest('nest-rye', { collectionId: 'missing' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    test('updateNest moves nests the same way', async () => {
+      await seedNestTree();
+
+      await expect(db.updateNest('nest-starters', { parentId: 'nest-rye' })).rejects.toMatchObject({ code: 'CYCLE' });
+      await db.updateNest('nest-starters', { name: 'Levain', collectionId: 'col-pastry' });
+
+      expect(await db.getNest('nest-starters')).toMatchObject({ name: 'Levain', collectionId: 'col-pastry' });
+      expect((await db.getNest('nest-rye')).collectionId).toBe('col-pastry');
+    });
+
+    test('updateNest moves a nested nest to the top level of another collection', async () => {
+      await seedNestTree();
+
+      await db.updateNest('nest-rye', { collectionId: 'col-pastry' });
+
+      expect(await db.getNest('nest-rye')).toMatchObject({ collectionId: 'col-pastry', parentId: null });
+      expect((await db.getWing('wing-rye')).collectionIds).toEqual(['col-pastry']);
+      expect((await db.getNest('nest-starters')).collectionId).toBe('col-bread');
+    });
+
+    test('is undone in one step', async () => {
+      await seedNestTree();
+
+      await db.moveNest('nest-starters', { collectionId: 'col-pastry' });
+      expect(await db.undo()).toEqual({ label: 'Move nest' });
+
+      expect((await db.getNest('nest-rye')).collectionId).toBe('col-bread');
+      expect((await db.getWing('wing-rye')).collectionIds).toEqual(['col-bread']);
+    });
+  });
+
   describe('deleteNest', () => {
     test('deletes a nest', async () => {
       await db.createNest(testUtils.createMockNest({ id: 'nest-to-delete' }));
@@ -550,59 +680,1752 @@ describe('Search and Filter', () => {
   });
 });
 
-describe('Data Export/Import', () => {
+describe('Trash', () => {
   beforeEach(async () => {
     await db.initDB();
     await db.clearAllData();
+
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1', name: 'Research' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-parent', collectionId: 'col-1', parentId: null, name: 'Parent' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-child', collectionId: 'col-1', parentId: 'nest-parent', name: 'Child' }));
+    await db.createWing(testUtils.createMockWing({
+      id: 'wing-1',
+      title: 'Trashable Article',
+      collectionIds: ['col-1'],
+      nestIds: ['nest-parent']
+    }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-2' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+    await db.createConnection(testUtils.createMockConnection({ id: 'conn-1', wingId1: 'wing-2', wingId2: 'wing-1' }));
   });
 
-  test('exportAllData returns complete data structure', async () => {
-    // Create test data
-    await db.createCollection(testUtils.createMockCollection({ id: 'export-col' }));
-    await db.createWing(testUtils.createMockWing({ id: 'export-wing' }));
+  test('deleteWing moves the wing, highlights and connections to the trash', async () => {
+    await db.deleteWing('wing-1');
 
-    const exported = await db.exportAllData();
+    const trash = await db.getTrash();
+    expect(trash).toHaveLength(1);
+    expect(trash[0]).toMatchObject({ type: 'wing', itemId: 'wing-1', label: 'Trashable Article' });
+    expect(trash[0].records.highlights.map(h => h.id)).toEqual(['hl-1']);
+    expect(trash[0].records.connections.map(c => c.id)).toEqual(['conn-1']);
+    expect(await db.getHighlight('hl-1')).toBeUndefined();
+    expect(await db.getConnection('conn-1')).toBeUndefined();
+  });
 
-    expect(exported).toHaveProperty('version');
-    expect(exported).toHaveProperty('data');
-    expect(exported.data).toHaveProperty('collections');
-    expect(exported.data).toHaveProperty('wings');
+  test('restoring a wing brings back highlights, connections and search', async () => {
+    await db.deleteWing('wing-1');
+    const [entry] = await db.getTrash();
+
+    await db.restoreFromTrash(entry.id);
+
+    expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: ['col-1'], nestIds: ['nest-parent'] });
+    expect(await db.getHighlight('hl-1')).toBeDefined();
+    expect(await db.getConnection('conn-1')).toBeDefined();
+    expect((await db.searchWings('trashable')).map(w => w.id)).toEqual(['wing-1']);
+    expect(await db.getTrash()).toHaveLength(0);
   });
 
-  test('importData restores data correctly', async () => {
-    const exportData = {
-      version: 1,
-      exportDate: new Date().toISOString(),
-      data: {
-        collections: [testUtils.createMockCollection({ id: 'import-col', name: 'Imported' })],
-        nests: [],
-        wings: [testUtils.createMockWing({ id: 'import-wing', title: 'Imported Wing' })],
-        highlights: [],
-        connections: []
-      }
-    };
+  test('restoring a wing skips connections to wings that are gone', async () => {
+    await db.deleteWing('wing-1');
+    const [entry] = (await db.getTrash()).filter(e => e.itemId === 'wing-1');
+    await db.deleteWing('wing-2');
 
-    await db.importData(exportData, true);
+    await db.restoreFromTrash(entry.id);
 
-    const collections = await db.getAllCollections();
-    const wings = await db.getAllWings();
+    expect(await db.getWing('wing-1')).toBeDefined();
+    expect(await db.getConnection('conn-1')).toBeUndefined();
+  });
 
-    expect(collections).toHaveLength(1);
-    expect(collections[0].name).toBe('Imported');
-    expect(wings).toHaveLength(1);
-    expect(wings[0].title).toBe('Imported Wing');
+  test('deleteCollection trashes the collection with its nests', async () => {
+    await db.deleteCollection('col-1');
+
+    const [entry] = await db.getTrash();
+    expect(entry.type).toBe('collection');
+    expect(entry.records.collections.map(c => c.id)).toEqual(['col-1']);
+    expect(entry.records.nests.map(n => n.id).sort()).toEqual(['nest-child', 'nest-parent']);
+    expect(entry.detached).toEqual([{ wingId: 'wing-1', collectionIds: ['col-1'], nestIds: ['nest-parent'] }]);
   });
 
-  test('clearAllData removes all data', async () => {
-    await db.createCollection(testUtils.createMockCollection({ id: 'clear-col' }));
-    await db.createWing(testUtils.createMockWing({ id: 'clear-wing' }));
+  test('restoring a collection re-attaches its wings', async () => {
+    await db.deleteCollection('col-1');
+    const [entry] = await db.getTrash();
+
+    await db.restoreFromTrash(entry.id);
+
+    expect(await db.getCollection('col-1')).toBeDefined();
+    expect(await db.getAllNests()).toHaveLength(2);
+    expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: ['col-1'], nestIds: ['nest-parent'] });
+  });
+
+  test('restoring a nest moves its children back under it', async () => {
+    await db.deleteNest('nest-parent');
+    expect((await db.getNest('nest-child')).parentId).toBeNull();
+    expect((await db.getWing('wing-1')).nestIds).toEqual([]);
+
+    const [entry] = await db.getTrash();
+    await db.restoreFromTrash(entry.id);
+
+    expect((await db.getNest('nest-child')).parentId).toBe('nest-parent');
+    expect((await db.getWing('wing-1')).nestIds).toEqual(['nest-parent']);
+  });
+
+  test('restoring a nest fails while its collection is trashed', async () => {
+    await db.deleteNest('nest-child');
+    const [nestEntry] = await db.getTrash();
+    await db.deleteCollection('col-1');
+
+    await expect(db.restoreFromTrash(nestEntry.id)).rejects.toThrow("Restore the nest's collection first");
+    expect(await db.getTrash()).toHaveLength(2);
+    expect(await db.getNest('nest-child')).toBeUndefined();
+  });
+
+  test('restoreFromTrash throws for unknown entries', async () => {
+    await expect(db.restoreFromTrash('missing')).rejects.toThrow('Trash item not found');
+  });
+
+  test('deleteTrashEntry permanently removes an entry', async () => {
+    await db.deleteWing('wing-1');
+    const [entry] = await db.getTrash();
 
+    await db.deleteTrashEntry(entry.id);
+
+    expect(await db.getTrash()).toHaveLength(0);
+    expect(await db.getWing('wing-1')).toBeUndefined();
+  });
+
+  test('emptyTrash removes everything', async () => {
+    await db.deleteWing('wing-1');
+    await db.deleteWing('wing-2');
+
+    await db.emptyTrash();
+
+    expect(await db.getTrash()).toHaveLength(0);
+  });
+
+  test('purgeTrash only removes entries deleted before the cutoff', async () => {
+    const realNow = Date.now;
+    try {
+      Date.now = () => 1000;
+      await db.deleteWing('wing-1');
+      Date.now = () => 5000;
+      await db.deleteWing('wing-2');
+    } finally {
+      Date.now = realNow;
+    }
+
+    const purged = await db.purgeTrash(2000);
+
+    expect(purged).toBe(1);
+    const remaining = await db.getTrash();
+    expect(remaining.map(e => e.itemId)).toEqual(['wing-2']);
+  });
+});
+
+describe('Tag Operations', () => {
+  beforeEach(async () => {
+    await db.initDB();
     await db.clearAllData();
+  });
 
-    const collections = await db.getAllCollections();
-    const wings = await db.getAllWings();
+  describe('createTag', () => {
+    test('creates a tag with a normalized name', async () => {
+      const tag = await db.createTag({ id: 'tag-1', name: '  reading   list ' });
 
-    expect(collections).toHaveLength(0);
-    expect(wings).toHaveLength(0);
+      expect(tag.name).toBe('reading list');
+      expect(tag.createdAt).toBeDefined();
+      expect(await db.getTag('tag-1')).toMatchObject({ name: 'reading list' });
+    });
+
+    test('rejects duplicate names ignoring case', async () => {
+      await db.createTag({ id: 'tag-1', name: 'Research' });
+
+      await expect(db.createTag({ id: 'tag-2', name: 'research' })).rejects.toThrow('Tag already exists');
+      expect(await db.getAllTags()).toHaveLength(1);
+    });
+
+    test('rejects empty names', async () => {
+      await expect(db.createTag({ id: 'tag-1', name: '   ' })).rejects.toThrow('Tag name is required');
+    });
+  });
+
+  describe('getOrCreateTags', () => {
+    test('reuses existing tags and creates missing ones', async () => {
+      await db.createTag({ id: 'tag-existing', name: 'Design' });
+
+      const result = await db.getOrCreateTags(['design', 'Typography', 'DESIGN']);
+
+      expect(result).toHaveLength(2);
+      expect(result[0].id).toBe('tag-existing');
+      expect(result[1].name).toBe('Typography');
+      expect(await db.getAllTags()).toHaveLength(2);
+    });
+
+    test('returns empty array for no names', async () => {
+      expect(await db.getOrCreateTags(['', '  '])).toEqual([]);
+    });
+  });
+
+  describe('createWing', () => {
+    test('defaults tagIds to an empty array', async () => {
+      const wing = await db.createWing(testUtils.createMockWing({ id: 'wing-untagged' }));
+
+      expect(wing.tagIds).toEqual([]);
+    });
+  });
+
+  describe('getWingsByTag', () => {
+    test('finds wings through the multiEntry index', async () => {
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', tagIds: ['tag-a', 'tag-b'] }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-2', tagIds: ['tag-b'] }));
+
+      const tagged = await db.getWingsByTag('tag-b');
+
+      expect(tagged.map(w => w.id).sort()).toEqual(['wing-1', 'wing-2']);
+      expect(await db.getWingsByTag('tag-a')).toHaveLength(1);
+    });
+  });
+
+  describe('renameTag', () => {
+    test('renames a tag', async () => {
+      await db.createTag({ id: 'tag-1', name: 'Old' });
+
+      const updated = await db.renameTag('tag-1', 'New');
+
+      expect(updated.name).toBe('New');
+      expect((await db.getTag('tag-1')).name).toBe('New');
+    });
+
+    test('allows changing only the case of its own name', async () => {
+      await db.createTag({ id: 'tag-1', name: 'javascript' });
+
+      await expect(db.renameTag('tag-1', 'JavaScript')).resolves.toMatchObject({ name: 'JavaScript' });
+    });
+
+    test('rejects a name used by another tag', async () => {
+      await db.createTag({ id: 'tag-1', name: 'One' });
+      await db.createTag({ id: 'tag-2', name: 'Two' });
+
+      await expect(db.renameTag('tag-2', 'one')).rejects.toThrow('Tag already exists');
+      expect((await db.getTag('tag-2')).name).toBe('Two');
+    });
+
+    test('throws error for non-existent tag', async () => {
+      await expect(db.renameTag('missing', 'Name')).rejects.toThrow('Tag not found');
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('re-tags wings and removes the source tags', async () => {
+      await db.createTag({ id: 'tag-js', name: 'js' });
+      await db.createTag({ id: 'tag-javascript', name: 'javascript' });
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', tagIds: ['tag-js'] }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-2', tagIds: ['tag-js', 'tag-javascript'] }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-3', tagIds: [] }));
+
+      const updatedCount = await db.mergeTags(['tag-js'], 'tag-javascript');
+
+      expect(updatedCount).toBe(2);
+      expect(await db.getTag('tag-js')).toBeUndefined();
+      expect((await db.getWing('wing-1')).tagIds).toEqual(['tag-javascript']);
+      expect((await db.getWing('wing-2')).tagIds).toEqual(['tag-javascript']);
+      expect((await db.getWing('wing-3')).tagIds).toEqual([]);
+      expect(await db.getWingsByTag('tag-js')).toHaveLength(0);
+    });
+
+    test('rejects an unknown target without changing anything', async () => {
+      await db.createTag({ id: 'tag-1', name: 'One' });
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', tagIds: ['tag-1'] }));
+
+      await expect(db.mergeTags(['tag-1'], 'missing')).rejects.toThrow('Tag not found');
+      expect(await db.getTag('tag-1')).toBeDefined();
+      expect((await db.getWing('wing-1')).tagIds).toEqual(['tag-1']);
+    });
+  });
+
+  describe('deleteTag', () => {
+    test('removes the tag from every wing', async () => {
+      await db.createTag({ id: 'tag-1', name: 'One' });
+      await db.createTag({ id: 'tag-2', name: 'Two' });
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', tagIds: ['tag-1', 'tag-2'] }));
+
+      await db.deleteTag('tag-1');
+
+      expect(await db.getTag('tag-1')).toBeUndefined();
+      expect((await db.getWing('wing-1')).tagIds).toEqual(['tag-2']);
+    });
+  });
+});
+
+describe('Wing Queries', () => {
+  const seed = async () => {
+    const specs = [
+      { id: 'w1', title: 'banana', timestamp: 100, collectionIds: ['col-a'], tagIds: ['t1'] },
+      { id: 'w2', title: 'Apple', timestamp: 300, collectionIds: ['col-a', 'col-b'], nestIds: ['nest-1'] },
+      { id: 'w3', title: 'cherry', timestamp: 200, collectionIds: ['col-b'], tagIds: ['t1'] },
+      { id: 'w4', title: 'apple', timestamp: 300, collectionIds: ['col-a'], tagIds: ['t1'] },
+      { id: 'w5', title: null, timestamp: 50 },
+    ];
+    for (const spec of specs) {
+      await db.createWing(testUtils.createMockWing(spec));
+      // createWing stamps the current time; pin the timestamp for ordering
+      await db.updateWing(spec.id, { timestamp: spec.timestamp });
+    }
+  };
+
+  const collectAll = async (options) => {
+    const ids = [];
+    let cursor = null;
+    do {
+      const page = await db.queryWings({ ...options, cursor });
+      ids.push(...page.wings.map((w) => w.id));
+      cursor = page.cursor;
+    } while (cursor);
+    return ids;
+  };
+
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+    await seed();
+  });
+
+  test('returns the newest wings first with a total', async () => {
+    const page = await db.queryWings({ limit: 2 });
+
+    expect(page.wings.map((w) => w.id)).toEqual(['w4', 'w2']);
+    expect(page.total).toBe(5);
+    expect(page.cursor).not.toBeNull();
+  });
+
+  test('pages through every wing exactly once', async () => {
+    expect(await collectAll({ sort: 'newest', limit: 2 })).toEqual(['w4', 'w2', 'w3', 'w1', 'w5']);
+    expect(await collectAll({ sort: 'oldest', limit: 2 })).toEqual(['w5', 'w1', 'w3', 'w2', 'w4']);
+  });
+
+  test('sorts by title ignoring case', async () => {
+    expect(await collectAll({ sort: 'title-asc', limit: 3 })).toEqual(['w5', 'w2', 'w4', 'w1', 'w3']);
+    expect(await collectAll({ sort: 'title-desc', limit: 3 })).toEqual(['w3', 'w1', 'w4', 'w2', 'w5']);
+  });
+
+  test('keeps title order after a rename', async () => {
+    await db.updateWing('w3', { title: 'Aardvark' });
+
+    expect((await db.queryWings({ sort: 'title-asc', limit: 2 })).wings.map((w) => w.id)).toEqual(['w5', 'w3']);
+  });
+
+  test('filters by collection, nest and tag', async () => {
+    expect(await collectAll({ filter: { collectionId: 'col-a' }, limit: 2 })).toEqual(['w4', 'w2', 'w1']);
+    expect(await collectAll({ filter: { nestId: 'nest-1' } })).toEqual(['w2']);
+    expect(await collectAll({ filter: { tagId: 't1' }, sort: 'oldest', limit: 1 })).toEqual(['w1', 'w3', 'w4']);
+  });
+
+  test('combines filters', async () => {
+    const page = await db.queryWings({ filter: { collectionId: 'col-a', tagId: 't1' } });
+
+    expect(page.wings.map((w) => w.id)).toEqual(['w4', 'w1']);
+    expect(page.total).toBe(2);
+    expect(page.cursor).toBeNull();
+  });
+
+  test('returns an empty page past the end', async () => {
+    const page = await db.queryWings({ filter: { collectionId: 'missing' } });
+
+    expect(page).toEqual({ wings: [], cursor: null, total: 0 });
+  });
+
+  test('rejects unknown sort orders', async () => {
+    await expect(db.queryWings({ sort: 'random' })).rejects.toThrow('Unknown sort: random');
+  });
+
+  test('countWings counts all wings or a filter', async () => {
+    expect(await db.countWings()).toBe(5);
+    expect(await db.countWings({ collectionId: 'col-b' })).toBe(2);
+    expect(await db.countWings({ tagId: 't1' })).toBe(3);
+  });
+});
+
+describe('Manual Order', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  const collectionOrder = async () =>
+    positions.sortByPosition('collections', await db.getAllCollections()).map((c) => c.id);
+
+  test('puts new collections and nests last and new wings first', async () => {
+    const first = await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+    const nest = await db.createNest(testUtils.createMockNest({ id: 'nest-1', collectionId: 'col-1' }));
+    const wing = await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    expect(first.position).toBe(first.createdAt);
+    expect(nest.position).toBe(nest.createdAt);
+    expect(wing.position).toBe(-wing.timestamp);
+  });
+
+  test('moves a record between its new neighbours, writing only it', async () => {
+    for (const id of ['col-a', 'col-b', 'col-c']) {
+      await db.createCollection(testUtils.createMockCollection({ id }));
+    }
+    await db.updateCollection('col-a', { position: 1 });
+    await db.updateCollection('col-b', { position: 2 });
+    await db.updateCollection('col-c', { position: 3 });
+
+    const moved = await db.reorder('collections', ['col-a', 'col-c', 'col-b'], 'col-c');
+
+    expect(moved.position).toBe(1.5);
+    expect(await collectionOrder()).toEqual(['col-a', 'col-c', 'col-b']);
+    expect((await db.getCollection('col-b')).position).toBe(2);
+    expect(await db.undo()).toEqual({ label: 'Reorder' });
+    expect(await collectionOrder()).toEqual(['col-a', 'col-b', 'col-c']);
+  });
+
+  test('spreads the list out again when there is no room between neighbours', async () => {
+    for (const id of ['col-a', 'col-b', 'col-c']) {
+      await db.createCollection(testUtils.createMockCollection({ id }));
+    }
+    await db.updateCollection('col-a', { position: 1 });
+    await db.updateCollection('col-b', { position: 1 });
+    await db.updateCollection('col-c', { position: 2 });
+
+    await db.reorder('collections', ['col-a', 'col-c', 'col-b'], 'col-c');
+
+    expect(await collectionOrder()).toEqual(['col-a', 'col-c', 'col-b']);
+    const all = await db.getAllCollections();
+    expect(new Set(all.map((c) => c.position)).size).toBe(3);
+  });
+
+  test('pages wings in manual order, with and without a filter', async () => {
+    for (const id of ['w1', 'w2', 'w3']) {
+      await db.createWing(testUtils.createMockWing({ id, collectionIds: ['col-a'] }));
+    }
+    await db.updateWing('w1', { position: 1 });
+    await db.updateWing('w2', { position: 2 });
+    await db.updateWing('w3', { position: 3 });
+
+    await db.reorder('wings', ['w3', 'w1', 'w2'], 'w3');
+
+    const ids = async (options) => (await db.queryWings({ sort: 'manual', ...options })).wings.map((w) => w.id);
+    expect(await ids({})).toEqual(['w3', 'w1', 'w2']);
+    expect(await ids({ filter: { collectionId: 'col-a' } })).toEqual(['w3', 'w1', 'w2']);
+    const firstPage = await db.queryWings({ sort: 'manual', limit: 2 });
+    expect((await ids({ cursor: firstPage.cursor })).length).toBe(1);
+  });
+
+  test('puts a moved nest after its new siblings', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-a', collectionId: 'col-1' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-b', collectionId: 'col-1' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-child', collectionId: 'col-1', parentId: 'nest-a' }));
+
+    const moved = await db.moveNest('nest-child', { collectionId: 'col-1' });
+
+    expect(moved.position).toBeGreaterThan((await db.getNest('nest-a')).position);
+  });
+
+  test('rejects stores without a manual order and orders missing the record', async () => {
+    await expect(db.reorder('tags', ['t1'], 't1')).rejects.toThrow("can't be reordered");
+    await expect(db.reorder('collections', ['col-a'], 'col-b')).rejects.toThrow('must include the moved record');
+    await expect(db.reorder('collections', ['missing'], 'missing')).rejects.toThrow('Record not found');
+  });
+});
+
+describe('Reading Status', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('new wings start unread', async () => {
+    const wing = await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    expect(wing.status).toBe('unread');
+    expect(await db.countWingsByStatus()).toEqual({ unread: 1, reading: 0, done: 0, archived: 0 });
+  });
+
+  test('setWingStatus moves a wing through the lifecycle and is undoable', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    const done = await db.setWingStatus('wing-1', 'done');
+
+    expect(done).toMatchObject({ status: 'done', statusChangedAt: expect.any(Number) });
+    expect((await db.getWingsByStatus('done')).map((w) => w.id)).toEqual(['wing-1']);
+    expect(await db.undo()).toEqual({ label: 'Mark as done' });
+    expect((await db.getWing('wing-1')).status).toBe('unread');
+  });
+
+  test('setWingStatus rejects unknown statuses and wings', async () => {
+    await expect(db.setWingStatus('wing-1', 'skimmed')).rejects.toThrow('Unknown status: skimmed');
+    await expect(db.setWingStatus('missing', 'done')).rejects.toThrow('Wing not found');
+  });
+
+  test('startReadingWing only moves unread wings, without an undo step', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-unread' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-done', status: 'done' }));
+
+    expect(await db.startReadingWing('wing-unread')).toBe(true);
+    expect(await db.startReadingWing('wing-done')).toBe(false);
+    expect(await db.startReadingWing('missing')).toBe(false);
+
+    expect((await db.getWing('wing-unread')).status).toBe('reading');
+    expect((await db.getWing('wing-done')).status).toBe('done');
+    expect(await db.undo()).toEqual({ label: 'Save wing' });
+  });
+
+  test('startReadingWing stamps the modification time', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(5000);
+    try {
+      await db.startReadingWing('wing-1');
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(await db.getWing('wing-1')).toMatchObject({ statusChangedAt: 5000, updatedAt: 5000 });
+  });
+
+  test('startReadingWing keeps earlier edits undoable, and the wing started', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Old title' }));
+    await db.updateWing('wing-1', { title: 'New title' });
+    await db.startReadingWing('wing-1');
+
+    expect(await db.undo()).toEqual({ label: 'Edit wing' });
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'Old title', status: 'reading' });
+  });
+
+  test('redo survives opening a page', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Old title' }));
+    await db.updateWing('wing-1', { title: 'New title' });
+    await db.undo();
+
+    await db.startReadingWing('wing-1');
+
+    expect(await db.getJournalState()).toEqual({ undo: 'Save wing', redo: 'Edit wing' });
+    expect(await db.redo()).toEqual({ label: 'Edit wing' });
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'New title', status: 'reading' });
+  });
+
+  test('undoing a status change still works after the page is opened', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', status: 'reading' }));
+    await db.setWingStatus('wing-1', 'unread');
+    await db.startReadingWing('wing-1');
+
+    expect(await db.undo()).toEqual({ label: 'Mark as unread' });
+    expect((await db.getWing('wing-1')).status).toBe('reading');
+  });
+
+  test('the queue lists wings being read, then unread ones, each in manual order', async () => {
+    for (const [id, status] of [['w1', 'unread'], ['w2', 'reading'], ['w3', 'unread'], ['w4', 'done'], ['w5', 'archived']]) {
+      await db.createWing(testUtils.createMockWing({ id, status }));
+    }
+    await db.updateWing('w1', { position: 2 });
+    await db.updateWing('w3', { position: 1 });
+
+    expect((await db.getReadingQueue()).map((w) => w.id)).toEqual(['w2', 'w3', 'w1']);
+  });
+
+  test('saveReadingProgress keeps the furthest depth and the last position', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    await db.saveReadingProgress('wing-1', { depth: 0.8, position: 0.6 });
+    const saved = await db.saveReadingProgress('wing-1', { depth: 0.3, position: 0.12345 });
+
+    expect(saved).toEqual({ scrollDepth: 0.8, scrollPosition: 0.123 });
+    expect(await db.getWing('wing-1')).toMatchObject({
+      scrollDepth: 0.8,
+      scrollPosition: 0.123,
+      scrollUpdatedAt: expect.any(Number),
+    });
+  });
+
+  test('undo leaves reading progress as it is', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Before' }));
+    await db.updateWing('wing-1', { title: 'After' });
+    await db.saveReadingProgress('wing-1', { depth: 0.5, position: 0.5 });
+
+    await db.undo();
+
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'Before', scrollDepth: 0.5, scrollPosition: 0.5 });
+  });
+
+  test('saveReadingProgress clamps to the page and ignores missing wings', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    expect(await db.saveReadingProgress('wing-1', { depth: 1.4, position: -2 })).toEqual({ scrollDepth: 1, scrollPosition: 0 });
+    expect(await db.saveReadingProgress('missing', { depth: 0.5, position: 0.5 })).toBeNull();
+  });
+
+  test('queryWings filters by status', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'w1', collectionIds: ['col-a'] }));
+    await db.createWing(testUtils.createMockWing({ id: 'w2', collectionIds: ['col-a'], status: 'reading' }));
+
+    expect((await db.queryWings({ filter: { status: 'reading' } })).wings.map((w) => w.id)).toEqual(['w2']);
+    expect((await db.queryWings({ filter: { collectionId: 'col-a', status: 'unread' } })).wings.map((w) => w.id)).toEqual(['w1']);
+    expect(await db.countWings({ status: 'unread' })).toBe(1);
+  });
+});
+
+describe('Review', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('new highlights and wings get a review schedule', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    const highlight = await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+
+    expect(highlight.review).toEqual({ ease: 2.5, interval: 0, repetitions: 0, dueAt: highlight.timestamp + DAY_MS });
+    expect((await db.getWing('wing-1')).review.dueAt).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+  });
+
+  test('getDueReviews returns due highlights with their wing, most overdue first', async () => {
+    const now = Date.now();
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Compost' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-late', wingId: 'wing-1', review: { dueAt: now - 10 } }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-later', wingId: 'wing-1', review: { dueAt: now - 20 } }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-new', wingId: 'wing-1' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-orphan', wingId: 'gone', review: { dueAt: now - 30 } }));
+
+    const due = await db.getDueReviews({ now });
+
+    expect(due.map((item) => item.record.id)).toEqual(['hl-later', 'hl-late']);
+    expect(due[0]).toMatchObject({ store: 'highlights', wing: { id: 'wing-1', title: 'Compost' } });
+    expect((await db.getDueReviews({ now, limit: 1 })).map((item) => item.record.id)).toEqual(['hl-later']);
+    expect(await db.countDueReviews({ now })).toBe(3);
+  });
+
+  test('old wings are only resurfaced when asked for', async () => {
+    const now = Date.now();
+    await db.createWing(testUtils.createMockWing({ id: 'wing-old', review: { dueAt: now - 10 } }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-new' }));
+
+    expect(await db.getDueReviews({ now })).toEqual([]);
+    expect((await db.getDueReviews({ now, includeWings: true })).map((item) => [item.store, item.record.id]))
+      .toEqual([['wings', 'wing-old']]);
+    expect(await db.countDueReviews({ now, includeWings: true })).toBe(1);
+  });
+
+  test('gradeReview schedules the next review without touching undo', async () => {
+    const now = Date.now();
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Before' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1', review: { dueAt: now } }));
+    await db.updateWing('wing-1', { title: 'After' });
+
+    const graded = await db.gradeReview('highlights', 'hl-1', 'good', now);
+    await db.gradeReview('wings', 'wing-1', 'easy', now);
+
+    expect(graded.review).toMatchObject({ interval: 1, repetitions: 1, dueAt: now + DAY_MS, reviewedAt: now });
+    expect(await db.getDueReviews({ now })).toEqual([]);
+    expect(await db.undo()).toEqual({ label: 'Edit wing' });
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'Before', review: { reviewedAt: now } });
+  });
+
+  test('gradeReview rejects unknown records and stores', async () => {
+    await expect(db.gradeReview('highlights', 'missing', 'good')).rejects.toThrow('Highlight not found');
+    await expect(db.gradeReview('tags', 'tag-1', 'good')).rejects.toThrow("Can't review tags");
+  });
+});
+
+describe('Notes', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('saveWingNotes stores the notes and makes them searchable', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Soil' }));
+
+    const saved = await db.saveWingNotes('wing-1', 'Try **mycorrhizal** inoculants');
+
+    expect(saved).toMatchObject({ notes: 'Try **mycorrhizal** inoculants', notesUpdatedAt: expect.any(Number) });
+    const [result] = await db.searchWings('mycorrhizal');
+    expect(result).toMatchObject({ id: 'wing-1', matchedFields: ['notes'] });
+  });
+
+  test('each save is one undo step, and unchanged notes are not saved again', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.saveWingNotes('wing-1', 'First draft');
+    await db.saveWingNotes('wing-1', 'First draft');
+
+    expect(await db.getJournalState()).toEqual({ undo: 'Edit notes', redo: null });
+    expect(await db.undo()).toEqual({ label: 'Edit notes' });
+    expect((await db.getWing('wing-1')).notes).toBeUndefined();
+    expect(await db.searchWings('draft')).toHaveLength(0);
+  });
+
+  test('saves of the same notes in quick succession make one undo step', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    try {
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Before' }));
+      await db.createWing(testUtils.createMockWing({ id: 'wing-2' }));
+      await db.updateWing('wing-1', { title: 'After' });
+      await db.saveWingNotes('wing-1', 'First');
+      now.mockReturnValue(40000);
+      await db.saveWingNotes('wing-1', 'First draft');
+      now.mockReturnValue(80000);
+      await db.saveWingNotes('wing-1', 'First draft, revised');
+      await db.saveWingNotes('wing-2', 'Other notes');
+      now.mockReturnValue(200000);
+      await db.saveWingNotes('wing-2', 'Other notes, later');
+
+      expect(await db.undo()).toEqual({ label: 'Edit notes' });
+      expect((await db.getWing('wing-2')).notes).toBe('Other notes');
+      expect(await db.undo()).toEqual({ label: 'Edit notes' });
+      expect((await db.getWing('wing-2')).notes).toBeUndefined();
+      expect(await db.undo()).toEqual({ label: 'Edit notes' });
+      expect((await db.getWing('wing-1')).notes).toBeUndefined();
+      expect(await db.undo()).toEqual({ label: 'Edit wing' });
+      expect((await db.getWing('wing-1')).title).toBe('Before');
+
+      expect(await db.redo()).toEqual({ label: 'Edit wing' });
+      expect(await db.redo()).toEqual({ label: 'Edit notes' });
+      expect((await db.getWing('wing-1')).notes).toBe('First draft, revised');
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('saveWingNotes rejects missing wings', async () => {
+    await expect(db.saveWingNotes('missing', 'Notes')).rejects.toThrow('Wing not found');
+  });
+});
+
+describe('Duplicate Detection', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('createWing stores a canonical URL', async () => {
+    const wing = await db.createWing(testUtils.createMockWing({ url: 'https://www.example.com/post/?utm_source=news#top' }));
+
+    expect(wing.canonicalUrl).toBe('https://example.com/post');
+  });
+
+  test("createWing prefers the page's declared canonical URL", async () => {
+    const wing = await db.createWing(testUtils.createMockWing({
+      url: 'https://m.example.com/post?id=1',
+      canonicalUrl: 'https://example.com/articles/post',
+    }));
+
+    expect(wing.canonicalUrl).toBe('https://example.com/articles/post');
+  });
+
+  test('getWingByUrl finds wings saved under a URL variant', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', url: 'https://example.com/post' }));
+
+    const found = await db.getWingByUrl('https://www.example.com/post/?utm_medium=social#comments');
+
+    expect(found?.id).toBe('wing-1');
+  });
+
+  test('getWingByUrl matches through the page canonical link', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', url: 'https://example.com/articles/post' }));
+
+    const found = await db.getWingByUrl('https://amp.example.com/post', {
+      canonicalUrl: 'https://example.com/articles/post',
+    });
+
+    expect(found?.id).toBe('wing-1');
+  });
+
+  test('getWingByUrl prefers an exact match', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'variant', url: 'https://example.com/post/' }));
+    await db.createWing(testUtils.createMockWing({ id: 'exact', url: 'https://example.com/post' }));
+
+    expect((await db.getWingByUrl('https://example.com/post')).id).toBe('exact');
+  });
+
+  test('findDuplicateWings lists variants and can exclude a wing', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', url: 'https://example.com/post' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-2', url: 'https://example.com/post?utm_source=x' }));
+    await db.createWing(testUtils.createMockWing({ id: 'other', url: 'https://example.com/other' }));
+
+    const all = await db.findDuplicateWings('https://example.com/post#intro');
+    const others = await db.findDuplicateWings('https://example.com/post', { excludeId: 'wing-1' });
+
+    expect(all.map((w) => w.id).sort()).toEqual(['wing-1', 'wing-2']);
+    expect(others.map((w) => w.id)).toEqual(['wing-2']);
+  });
+
+  test('updateWing recomputes the canonical URL when the URL changes', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', url: 'https://example.com/a' }));
+
+    const updated = await db.updateWing('wing-1', { url: 'https://www.example.com/b/' });
+
+    expect(updated.canonicalUrl).toBe('https://example.com/b');
+  });
+});
+
+describe('Merging Wings', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+    await db.createWing(testUtils.createMockWing({
+      id: 'target',
+      title: 'Target',
+      summary: null,
+      collectionIds: ['col-1'],
+      tagIds: ['tag-1'],
+    }));
+    await db.createWing(testUtils.createMockWing({
+      id: 'source',
+      title: 'Source',
+      summary: 'Borrowed summary',
+      collectionIds: ['col-1', 'col-2'],
+      nestIds: ['nest-1'],
+      tagIds: ['tag-2'],
+    }));
+  });
+
+  test('combines collections, nests, tags and missing fields', async () => {
+    const merged = await db.mergeWings('target', 'source');
+
+    expect(merged.title).toBe('Target');
+    expect(merged.summary).toBe('Borrowed summary');
+    expect(merged.collectionIds).toEqual(['col-1', 'col-2']);
+    expect(merged.nestIds).toEqual(['nest-1']);
+    expect(merged.tagIds).toEqual(['tag-1', 'tag-2']);
+    expect(await db.getWing('source')).toBeUndefined();
+  });
+
+  test('keeps the notes of both wings', async () => {
+    await db.saveWingNotes('target', 'Target notes');
+    await db.saveWingNotes('source', 'Source notes');
+
+    const merged = await db.mergeWings('target', 'source');
+
+    expect(merged.notes).toBe('Target notes\n\nSource notes');
+    expect((await db.searchWings('source notes')).map((w) => w.id)).toEqual(['target']);
+  });
+
+  test('moves highlights to the target', async () => {
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'source', selectedText: 'moved quote' }));
+
+    await db.mergeWings('target', 'source');
+
+    expect((await db.getHighlightsByWing('target')).map((h) => h.id)).toEqual(['hl-1']);
+    expect((await db.searchWings('moved')).map((w) => w.id)).toEqual(['target']);
+    expect(await db.searchWings('source')).toHaveLength(0);
+  });
+
+  test('moves connections and keeps the stronger of overlapping ones', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'a' }));
+    await db.createWing(testUtils.createMockWing({ id: 'b' }));
+    await db.createConnection(testUtils.createMockConnection({ id: 'c-src-a', wingId1: 'source', wingId2: 'a', score: 0.9 }));
+    await db.createConnection(testUtils.createMockConnection({ id: 'c-tgt-a', wingId1: 'a', wingId2: 'target', score: 0.4 }));
+    await db.createConnection(testUtils.createMockConnection({ id: 'c-b-src', wingId1: 'b', wingId2: 'source', score: 0.5 }));
+    await db.createConnection(testUtils.createMockConnection({ id: 'c-self', wingId1: 'target', wingId2: 'source', score: 0.8 }));
+
+    await db.mergeWings('target', 'source');
+
+    const connections = await db.getConnectionsForWing('target');
+    expect(connections).toHaveLength(2);
+    expect(await db.getConnectionBetween('target', 'a')).toMatchObject({ id: 'c-tgt-a', score: 0.9 });
+    expect(await db.getConnectionBetween('b', 'target')).toMatchObject({ id: 'c-b-src', score: 0.5 });
+    expect(await db.getConnectionsForWing('source')).toHaveLength(0);
+  });
+
+  test('can be undone in one step', async () => {
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'source' }));
+    await db.mergeWings('target', 'source');
+
+    expect(await db.undo()).toEqual({ label: 'Merge wings' });
+
+    expect(await db.getWing('source')).toBeDefined();
+    expect((await db.getWing('target')).collectionIds).toEqual(['col-1']);
+    expect((await db.getHighlight('hl-1')).wingId).toBe('source');
+  });
+
+  test('rejects merging a wing into itself or a missing wing', async () => {
+    await expect(db.mergeWings('target', 'target')).rejects.toThrow('Cannot merge a wing into itself');
+    await expect(db.mergeWings('target', 'missing')).rejects.toThrow('Wing not found');
+  });
+});
+
+describe('Undo/Redo Journal', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('undo and redo a wing update', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Original' }));
+    await db.updateWing('wing-1', { title: 'Changed' });
+
+    expect(await db.undo()).toEqual({ label: 'Edit wing' });
+    expect((await db.getWing('wing-1')).title).toBe('Original');
+
+    expect(await db.redo()).toEqual({ label: 'Edit wing' });
+    expect((await db.getWing('wing-1')).title).toBe('Changed');
+  });
+
+  test('undo keeps the search index in step', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Original' }));
+    await db.updateWing('wing-1', { title: 'Renamed' });
+
+    await db.undo();
+
+    expect((await db.searchWings('original')).map(w => w.id)).toEqual(['wing-1']);
+    expect(await db.searchWings('renamed')).toHaveLength(0);
+  });
+
+  test('undoing a create removes the record', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+
+    await db.undo();
+
+    expect(await db.getCollection('col-1')).toBeUndefined();
+  });
+
+  test('undoing a wing delete restores it with its highlights', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Keep Me' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+    await db.deleteWing('wing-1');
+
+    expect(await db.undo()).toEqual({ label: 'Delete wing' });
+
+    expect(await db.getWing('wing-1')).toBeDefined();
+    expect(await db.getHighlight('hl-1')).toBeDefined();
+    expect(await db.getTrash()).toHaveLength(0);
+    expect((await db.searchWings('keep')).map(w => w.id)).toEqual(['wing-1']);
+  });
+
+  test('undoing a collection delete restores nests and wing membership', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+    await db.createNest(testUtils.createMockNest({ id: 'nest-1', collectionId: 'col-1' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', collectionIds: ['col-1'], nestIds: ['nest-1'] }));
+    await db.deleteCollection('col-1');
+
+    await db.undo();
+
+    expect(await db.getCollection('col-1')).toBeDefined();
+    expect(await db.getNest('nest-1')).toBeDefined();
+    expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: ['col-1'], nestIds: ['nest-1'] });
+  });
+
+  test('undo steps back through changes in order', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'v1' }));
+    await db.updateWing('wing-1', { title: 'v2' });
+    await db.updateWing('wing-1', { title: 'v3' });
+
+    await db.undo();
+    await db.undo();
+    expect((await db.getWing('wing-1')).title).toBe('v1');
+
+    await db.redo();
+    expect((await db.getWing('wing-1')).title).toBe('v2');
+  });
+
+  test('a new change clears the redo history', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'v1' }));
+    await db.updateWing('wing-1', { title: 'v2' });
+    await db.undo();
+
+    await db.updateWing('wing-1', { title: 'v3' });
+
+    expect(await db.redo()).toBeNull();
+    expect(await db.getJournalState()).toEqual({ undo: 'Edit wing', redo: null });
+  });
+
+  test('returns null when there is nothing to undo or redo', async () => {
+    expect(await db.undo()).toBeNull();
+    expect(await db.redo()).toBeNull();
+    expect(await db.getJournalState()).toEqual({ undo: null, redo: null });
+  });
+
+  test('failed writes are not journaled', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    await expect(db.updateWing('missing', { title: 'x' })).rejects.toThrow('Wing not found');
+
+    expect(await db.getJournalState()).toEqual({ undo: 'Save wing', redo: null });
+  });
+
+  test('journalGroup undoes several writes as one step', async () => {
+    await db.journalGroup('Save wing', async (group) => {
+      const [tag] = await db.getOrCreateTags(['grouped'], { group });
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', tagIds: [tag.id] }), { group });
+    });
+
+    expect(await db.getJournalState()).toEqual({ undo: 'Save wing', redo: null });
+
+    await db.undo();
+
+    expect(await db.getWing('wing-1')).toBeUndefined();
+    expect(await db.getAllTags()).toHaveLength(0);
+  });
+
+  test('journalGroup keeps writes made at the same time out of its step', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'First' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-2', title: 'Second' }));
+    let finishGroup;
+    const groupOpen = new Promise((resolve) => { finishGroup = resolve; });
+
+    const grouped = db.journalGroup('Move wing', async (group) => {
+      await db.updateWing('wing-1', { collectionIds: ['col-1'] }, { group });
+      await groupOpen;
+      await db.updateWing('wing-1', { nestIds: ['nest-1'] }, { group });
+    });
+    await db.updateWing('wing-2', { title: 'Renamed meanwhile' });
+    finishGroup();
+    await grouped;
+
+    expect(await db.getJournalState()).toEqual({ undo: 'Move wing', redo: null });
+    await db.undo();
+
+    expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: [], nestIds: [] });
+    expect((await db.getWing('wing-2')).title).toBe('Renamed meanwhile');
+    expect(await db.getJournalState()).toEqual({ undo: 'Edit wing', redo: 'Move wing' });
+
+    await db.undo();
+
+    expect((await db.getWing('wing-2')).title).toBe('Second');
+  });
+
+  test('drops an entry that conflicts with later changes', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.deleteWing('wing-1');
+    await db.emptyTrash();
+
+    await expect(db.undo()).rejects.toBeInstanceOf(db.JournalConflictError);
+
+    expect(await db.getWing('wing-1')).toBeUndefined();
+    expect(await db.getJournalState()).toEqual({ undo: 'Save wing', redo: null });
+  });
+
+  test('clearAllData clears the journal', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+
+    await db.clearAllData();
+
+    expect(await db.undo()).toBeNull();
+  });
+});
+
+describe('Change Events', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+    events = [];
+    unsubscribe = changes.subscribeToChanges((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  test('creating a wing emits one event after commit', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', url: 'https://www.example.com/bread/?utm_source=feed' }));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].changes).toEqual([
+      { store: 'wings', key: 'wing-1', type: 'put', url: 'https://example.com/bread' },
+    ]);
+  });
+
+  test('reading progress is saved without an event, but stamped for sync', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    events = [];
+
+    await db.saveReadingProgress('wing-1', { depth: 0.5, position: 0.4 });
+
+    expect(events).toEqual([]);
+    const [entry] = await db.readSyncEntries();
+    expect(entry.record.scrollDepth).toBe(0.5);
+    expect(entry.fields).toMatchObject({
+      scrollDepth: expect.any(Number),
+      scrollPosition: expect.any(Number),
+      scrollUpdatedAt: expect.any(Number),
+    });
+  });
+
+  test('highlight changes carry their wing', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+    await db.deleteHighlight('hl-1');
+
+    const highlightChanges = events.flatMap((e) => e.changes).filter((c) => c.store === 'highlights');
+    expect(highlightChanges).toEqual([
+      { store: 'highlights', key: 'hl-1', type: 'put', wingId: 'wing-1' },
+      { store: 'highlights', key: 'hl-1', type: 'delete', wingId: 'wing-1' },
+    ]);
+  });
+
+  test('deleting a wing reports everything it touched', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+    events = [];
+
+    await db.deleteWing('wing-1');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].stores).toEqual(expect.arrayContaining(['wings', 'highlights', 'trash']));
+    expect(events[0].stores).not.toContain('searchIndex');
+  });
+
+  test('failed writes emit nothing', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    events = [];
+
+    await expect(db.mergeWings('wing-1', 'missing')).rejects.toThrow('Wing not found');
+
+    expect(events).toHaveLength(0);
+  });
+
+  test('undo reports the records it restored', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    events = [];
+
+    await db.undo();
+
+    expect(events.flatMap((e) => e.changes)).toEqual([
+      { store: 'wings', key: 'wing-1', type: 'delete', url: 'https://example.com/test-page' },
+    ]);
+  });
+
+  test('bulk writes reset the stores they replaced', async () => {
+    await db.importData({ data: { wings: [testUtils.createMockWing({ id: 'wing-1' })] } }, true);
+    expect(events.pop().changes).toEqual(expect.arrayContaining([
+      { store: 'wings', type: 'reset' },
+      { store: 'highlights', type: 'reset' },
+    ]));
+
+    await db.emptyTrash();
+    expect(events.pop().changes).toEqual([{ store: 'trash', type: 'reset' }]);
+  });
+
+  test('reads emit nothing', async () => {
+    await db.getAllWings();
+    await db.queryWings();
+    await db.searchWings('anything');
+
+    expect(events).toHaveLength(0);
+  });
+});
+
+describe('Full-Text Search', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+
+    await db.createWing(testUtils.createMockWing({
+      id: 'wing-js',
+      title: 'JavaScript Tutorial',
+      url: 'https://js.dev/tutorial',
+      summary: 'Learn JavaScript from scratch',
+      fullContent: 'Variables, closures and promises explained'
+    }));
+
+    await db.createWing(testUtils.createMockWing({
+      id: 'wing-react',
+      title: 'React Guide',
+      url: 'https://react.dev/guide',
+      summary: 'Building UIs with React and JavaScript',
+      fullContent: 'Components and hooks'
+    }));
+
+    await db.createWing(testUtils.createMockWing({
+      id: 'wing-python',
+      title: 'Python Basics',
+      url: 'https://python.org/basics',
+      summary: 'Introduction to Python programming',
+      fullContent: 'Lists, dictionaries and comprehensions'
+    }));
+  });
+
+  test('ranks title matches above summary-only matches', async () => {
+    const results = await db.searchWings('javascript');
+
+    expect(results.map(w => w.id)).toEqual(['wing-js', 'wing-react']);
+    expect(results[0].matchedFields).toContain('title');
+    expect(results[1].matchedFields).not.toContain('title');
+    expect(results[0].searchScore).toBeGreaterThan(results[1].searchScore);
+  });
+
+  test('matches page content', async () => {
+    const results = await db.searchWings('closures');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].id).toBe('wing-js');
+    expect(results[0].matchedFields).toEqual(['fullContent']);
+  });
+
+  test('expands the last term as a prefix', async () => {
+    const results = await db.searchWings('pyth');
+
+    expect(results.map(w => w.id)).toEqual(['wing-python']);
+  });
+
+  test('does not expand a completed term', async () => {
+    const results = await db.searchWings('pyth ');
+
+    expect(results).toHaveLength(0);
+  });
+
+  test('is case and diacritic insensitive', async () => {
+    const results = await db.searchWings('RÉACT');
+
+    expect(results.map(w => w.id)).toEqual(['wing-react']);
+  });
+
+  test('returns empty array for blank or stopword-only queries', async () => {
+    expect(await db.searchWings('')).toEqual([]);
+    expect(await db.searchWings('the and of')).toEqual([]);
+  });
+
+  test('respects the limit option', async () => {
+    const results = await db.searchWings('javascript', { limit: 1 });
+
+    expect(results).toHaveLength(1);
+  });
+
+  test('reflects wing updates', async () => {
+    await db.updateWing('wing-python', { summary: 'Snake handling' });
+
+    expect(await db.searchWings('programming')).toHaveLength(0);
+    expect((await db.searchWings('snake')).map(w => w.id)).toEqual(['wing-python']);
+  });
+
+  test('drops deleted wings from the index', async () => {
+    await db.deleteWing('wing-js');
+
+    const results = await db.searchWings('javascript');
+
+    expect(results.map(w => w.id)).toEqual(['wing-react']);
+  });
+
+  test('indexes highlight text and annotations', async () => {
+    const highlight = await db.createHighlight(testUtils.createMockHighlight({
+      id: 'hl-search',
+      wingId: 'wing-python',
+      selectedText: 'Generators are lazy',
+      annotation: 'Revisit iterators'
+    }));
+
+    let results = await db.searchWings('iterators');
+    expect(results.map(w => w.id)).toEqual(['wing-python']);
+    expect(results[0].matchedFields).toEqual(['highlights']);
+
+    await db.deleteHighlight(highlight.id);
+
+    results = await db.searchWings('iterators');
+    expect(results).toHaveLength(0);
+  });
+
+  test('rebuilds the index after import', async () => {
+    await db.importData({
+      version: 1,
+      data: {
+        collections: [],
+        nests: [],
+        wings: [testUtils.createMockWing({ id: 'wing-rust', title: 'Rust Ownership' })],
+        highlights: [],
+        connections: []
+      }
+    }, true);
+
+    expect((await db.searchWings('ownership')).map(w => w.id)).toEqual(['wing-rust']);
+    expect(await db.searchWings('javascript')).toHaveLength(0);
+  });
+
+  test('updateWing rejects unknown wings without writing', async () => {
+    await expect(db.updateWing('missing', { title: 'Ghost' })).rejects.toThrow('Wing not found');
+
+    expect(await db.getWing('missing')).toBeUndefined();
+    expect(await db.searchWings('ghost')).toHaveLength(0);
+  });
+});
+
+describe('Data Export/Import', () => {
+  beforeEach(async () => {
+    await db.initDB();
+    await db.clearAllData();
+  });
+
+  test('exportAllData returns complete data structure', async () => {
+    // Create test data
+    await db.createCollection(testUtils.createMockCollection({ id: 'export-col' }));
+    await db.createWing(testUtils.createMockWing({ id: 'export-wing' }));
+
+    const exported = await db.exportAllData();
+
+    expect(exported).toHaveProperty('version');
+    expect(exported).toHaveProperty('data');
+    expect(exported.data).toHaveProperty('collections');
+    expect(exported.data).toHaveProperty('wings');
+  });
+
+  test('importData restores data correctly', async () => {
+    const exportData = {
+      version: 1,
+      exportDate: new Date().toISOString(),
+      data: {
+        collections: [testUtils.createMockCollection({ id: 'import-col', name: 'Imported' })],
+        nests: [],
+        wings: [testUtils.createMockWing({ id: 'import-wing', title: 'Imported Wing' })],
+        highlights: [],
+        connections: []
+      }
+    };
+
+    await db.importData(exportData, true);
+
+    const collections = await db.getAllCollections();
+    const wings = await db.getAllWings();
+
+    expect(collections).toHaveLength(1);
+    expect(collections[0].name).toBe('Imported');
+    expect(wings).toHaveLength(1);
+    expect(wings[0].title).toBe('Imported Wing');
+  });
+
+  test('merging keeps existing records and adds new ones', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-local', url: 'https://example.com/post', title: 'Local' }));
+
+    const plan = await db.importData({
+      version: 1,
+      data: {
+        wings: [
+          testUtils.createMockWing({ id: 'wing-dup', url: 'https://example.com/post?utm_source=x', title: 'Dup' }),
+          testUtils.createMockWing({ id: 'wing-new', url: 'https://example.com/new', title: 'Brand New' }),
+        ],
+        highlights: [testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-dup', selectedText: 'merged quote' })],
+      },
+    }, false, { strategies: { wings: 'keep-existing' } });
+
+    expect(plan.categories.wings.conflicts).toHaveLength(1);
+    expect((await db.getAllWings()).map((w) => w.id).sort()).toEqual(['wing-local', 'wing-new']);
+    expect((await db.getHighlight('hl-1')).wingId).toBe('wing-local');
+    expect((await db.searchWings('merged')).map((w) => w.id)).toEqual(['wing-local']);
+    expect((await db.searchWings('brand')).map((w) => w.id)).toEqual(['wing-new']);
+  });
+
+  test('previewImport does not write', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1', name: 'Reading' }));
+
+    const plan = await db.previewImport({
+      data: { collections: [testUtils.createMockCollection({ id: 'col-2', name: 'Reading' })] },
+    });
+
+    expect(plan.categories.collections.conflicts).toHaveLength(1);
+    expect((await db.getAllCollections()).map((c) => c.id)).toEqual(['col-1']);
+  });
+
+  test('keep-newest goes by when wings were last edited', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    try {
+      await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Original' }));
+      const beforeEdit = await db.exportAllData();
+      now.mockReturnValue(2000);
+      await db.updateWing('wing-1', { title: 'Edited' });
+      const afterEdit = await db.exportAllData();
+
+      // The library's edit is newer than the backup
+      await db.importData(beforeEdit);
+      expect((await db.getWing('wing-1')).title).toBe('Edited');
+
+      // The backup's edit is newer than the library
+      await db.importData(beforeEdit, true);
+      expect((await db.getWing('wing-1')).title).toBe('Original');
+      await db.importData(afterEdit);
+      expect(await db.getWing('wing-1')).toMatchObject({ title: 'Edited', updatedAt: 2000 });
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('keep-newest goes by when tags were last edited', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    try {
+      const tag = await db.createTag({ id: 'tag-1', name: 'garden' });
+      const beforeRename = await db.exportAllData();
+      now.mockReturnValue(2000);
+      await db.updateTag(tag.id, { name: 'allotment' });
+      const afterRename = await db.exportAllData();
+
+      await db.importData(beforeRename);
+      expect((await db.getTag('tag-1')).name).toBe('allotment');
+
+      await db.importData(beforeRename, true);
+      expect((await db.getTag('tag-1')).name).toBe('garden');
+      await db.importData(afterRename);
+      expect(await db.getTag('tag-1')).toMatchObject({ name: 'allotment', updatedAt: 2000 });
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('a merge import can be undone', async () => {
+    const saved = await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Before' }));
+
+    await db.importData({
+      data: { wings: [{ ...saved, title: 'After', updatedAt: saved.updatedAt + 1 }] },
+    });
+    expect((await db.getWing('wing-1')).title).toBe('After');
+
+    expect(await db.undo()).toEqual({ label: 'Import backup' });
+    expect((await db.getWing('wing-1')).title).toBe('Before');
+  });
+
+  test('reports progress as records are written', async () => {
+    const backup = {
+      data: {
+        collections: [testUtils.createMockCollection({ id: 'col-1' })],
+        wings: [
+          testUtils.createMockWing({ id: 'wing-1', url: 'https://example.com/1' }),
+          testUtils.createMockWing({ id: 'wing-2', url: 'https://example.com/2' }),
+        ],
+      },
+    };
+
+    const merged = [];
+    await db.importData(backup, false, { onProgress: (written, total) => merged.push([written, total]) });
+    expect(merged).toEqual([[1, 3], [2, 3], [3, 3]]);
+
+    const replaced = [];
+    await db.importData(backup, true, { onProgress: (written, total) => replaced.push([written, total]) });
+    expect(replaced).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+
+  test('rejects data without a data object', async () => {
+    await expect(db.importData({ version: 1 })).rejects.toThrow('Invalid import data format');
+    await expect(db.previewImport({})).rejects.toThrow('Invalid import data format');
+  });
+
+  test('rejects backups from a newer version without writing', async () => {
+    await expect(db.importData({ version: 999, data: { wings: [testUtils.createMockWing()] } }, true))
+      .rejects.toThrow('newer version of Wing');
+
+    expect(await db.getAllWings()).toHaveLength(0);
+  });
+
+  test('repairs broken references before writing', async () => {
+    const result = await db.importData({
+      version: 1,
+      data: {
+        wings: [testUtils.createMockWing({ id: 'wing-1', collectionIds: ['missing-col'] })],
+        highlights: [testUtils.createMockHighlight({ id: 'hl-orphan', wingId: 'missing-wing' })],
+      },
+    }, true);
+
+    expect((await db.getWing('wing-1')).collectionIds).toEqual([]);
+    expect(await db.getHighlight('hl-orphan')).toBeUndefined();
+    expect(result.issues.map((i) => i.message)).toEqual(expect.arrayContaining([
+      'Removed 1 missing collections',
+      'Dropped: its wing is missing',
+    ]));
+  });
+
+  test('merges may reference records already in the library', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1', name: 'Reading' }));
+
+    const plan = await db.importData({
+      data: { wings: [testUtils.createMockWing({ id: 'wing-1', collectionIds: ['col-1'] })] },
+    });
+
+    expect(plan.issues).toEqual([expect.objectContaining({ message: 'Upgraded from database version 1' })]);
+    expect((await db.getWing('wing-1')).collectionIds).toEqual(['col-1']);
+  });
+
+  test('tags round-trip through export and import', async () => {
+    await db.createTag({ id: 'tag-rt', name: 'Roundtrip' });
+    await db.createWing(testUtils.createMockWing({ id: 'wing-rt', tagIds: ['tag-rt'] }));
+
+    const exported = await db.exportAllData();
+    expect(exported.data.tags).toHaveLength(1);
+
+    await db.clearAllData();
+    expect(await db.getAllTags()).toHaveLength(0);
+
+    await db.importData(exported, true);
+
+    expect(await db.getAllTags()).toEqual(exported.data.tags);
+    expect((await db.getWingsByTag('tag-rt')).map(w => w.id)).toEqual(['wing-rt']);
+  });
+
+  test('clearAllData removes all data', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'clear-col' }));
+    await db.createWing(testUtils.createMockWing({ id: 'clear-wing' }));
+
+    await db.clearAllData();
+
+    const collections = await db.getAllCollections();
+    const wings = await db.getAllWings();
+
+    expect(collections).toHaveLength(0);
+    expect(wings).toHaveLength(0);
+  });
+});
+
+describe('Library Health', () => {
+  beforeEach(async () => {
+    // Reopen so the connection belongs to this test's mock database
+    db.closeDB();
+    await db.initDB();
+  });
+
+  // Write a record directly, bypassing the bookkeeping in db.js
+  async function writeRaw(storeName, record) {
+    const database = indexedDB._getDatabase('WingDB');
+    await new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).put(record);
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  test('createWing does not store highlight or connection lists', async () => {
+    const wing = await db.createWing(testUtils.createMockWing({ id: 'wing-plain' }));
+
+    expect(wing).not.toHaveProperty('highlights');
+    expect(wing).not.toHaveProperty('connections');
+  });
+
+  test('checkLibrary reports a consistent library as healthy', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-ok' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-ok', collectionIds: ['col-ok'] }));
+
+    const report = await db.checkLibrary();
+
+    expect(report.problems).toBe(0);
+    expect(report.checkedAt).toEqual(expect.any(Number));
+  });
+
+  test('repairLibrary fixes what checkLibrary finds', async () => {
+    const saved = await db.createWing(testUtils.createMockWing({ id: 'wing-broken' }));
+    await writeRaw('wings', { ...saved, collectionIds: ['col-gone'], highlights: [] });
+    await writeRaw('highlights', testUtils.createMockHighlight({ id: 'hl-orphan', wingId: 'wing-gone' }));
+
+    const report = await db.checkLibrary();
+    expect(report.problems).toBe(3);
+
+    const repaired = await db.repairLibrary();
+    expect(repaired.problems).toBe(3);
+
+    expect((await db.checkLibrary()).problems).toBe(0);
+    const wing = await db.getWing('wing-broken');
+    expect(wing.collectionIds).toEqual([]);
+    expect(wing).not.toHaveProperty('highlights');
+    expect(await db.getHighlightsByWing('wing-gone')).toHaveLength(0);
+  });
+
+  test('repairLibrary rebuilds missing search entries', async () => {
+    await writeRaw('wings', testUtils.createMockWing({
+      id: 'wing-unindexed',
+      title: 'Quasar observations',
+      tagIds: [],
+      canonicalUrl: 'https://example.com/test-page',
+      sortTitle: 'quasar observations',
+    }));
+
+    const report = await db.checkLibrary();
+    expect(report.checks.find((c) => c.id === 'searchIndex').examples).toEqual(['wing-unindexed']);
+
+    await db.repairLibrary();
+
+    expect((await db.searchWings('quasar')).map((w) => w.id)).toEqual(['wing-unindexed']);
+  });
+
+  test('a repair can be undone', async () => {
+    await writeRaw('highlights', testUtils.createMockHighlight({ id: 'hl-orphan', wingId: 'wing-gone' }));
+
+    await db.repairLibrary();
+    expect(await db.undo()).toEqual({ label: 'Repair library' });
+
+    expect(await db.getHighlightsByWing('wing-gone')).toHaveLength(1);
+  });
+});
+
+describe('Encryption at Rest', () => {
+  const PASSPHRASE = 'correct horse battery';
+
+  beforeEach(async () => {
+    // Reopen so the connection belongs to this test's mock database
+    db.closeDB();
+    await db.initDB();
+  });
+
+  function readRaw(storeName, key) {
+    const store = indexedDB._getDatabase('WingDB').transaction(storeName).objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  test('stores wing and highlight text encrypted and reads it back', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret', summary: 'Confidential roadmap' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-secret', wingId: 'wing-secret' }));
+
+    const raw = await readRaw('wings', 'wing-secret');
+    expect(encryption.isSealed(raw.summary)).toBe(true);
+    expect(encryption.isSealed((await readRaw('highlights', 'hl-secret')).selectedText)).toBe(true);
+
+    expect((await db.getWing('wing-secret')).summary).toBe('Confidential roadmap');
+    expect((await db.getHighlightsByWing('wing-secret'))[0].selectedText).toBe('This is highlighted text');
+  });
+
+  test('keeps encrypted text out of the search index', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret', title: 'Roadmap', summary: 'Confidential plans' }));
+
+    expect(await db.searchWings('confidential')).toEqual([]);
+    const [result] = await db.searchWings('roadmap');
+    expect(result).toMatchObject({ id: 'wing-secret', summary: 'Confidential plans' });
+  });
+
+  test('notes are encrypted and kept out of the search index', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret' }));
+
+    await db.saveWingNotes('wing-secret', 'Private thoughts');
+
+    expect(encryption.isSealed((await readRaw('wings', 'wing-secret')).notes)).toBe(true);
+    expect((await db.getWing('wing-secret')).notes).toBe('Private thoughts');
+    expect(await db.searchWings('private')).toEqual([]);
+  });
+
+  test('updates are encrypted too', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret' }));
+
+    const updated = await db.updateWing('wing-secret', { summary: 'Revised' });
+
+    expect(updated.summary).toBe('Revised');
+    expect(encryption.isSealed((await readRaw('wings', 'wing-secret')).summary)).toBe(true);
+  });
+
+  test('encryptLibrary and decryptLibrary convert existing records', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-old', summary: 'Written before encryption' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-trashed' }));
+    await db.deleteWing('wing-trashed');
+
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.encryptLibrary();
+
+    expect(encryption.isSealed((await readRaw('wings', 'wing-old')).summary)).toBe(true);
+    const [entry] = await db.getTrash();
+    expect(encryption.isSealed(entry.records.wings[0].fullContent)).toBe(true);
+    expect(await db.getJournalState()).toEqual({ undo: null, redo: null });
+    expect(await db.searchWings('encryption')).toEqual([]);
+
+    await db.decryptLibrary();
+    await encryption.disableEncryption();
+
+    expect((await readRaw('wings', 'wing-old')).summary).toBe('Written before encryption');
+    expect((await db.searchWings('encryption')).map((w) => w.id)).toEqual(['wing-old']);
+  });
+
+  test('encryptLibrary keeps edits and deletions made while it runs', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-edited', title: 'Before', summary: 'Old summary' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-deleted' }));
+    await encryption.enableEncryption(PASSPHRASE);
+
+    // Save and delete as soon as the rewrite starts encrypting what it read
+    const encrypt = crypto.subtle.encrypt.bind(crypto.subtle);
+    let interrupted = false;
+    const spy = jest.spyOn(crypto.subtle, 'encrypt').mockImplementation(async (...args) => {
+      if (!interrupted) {
+        interrupted = true;
+        await db.updateWing('wing-edited', { title: 'After', summary: 'New summary' });
+        await db.deleteWing('wing-deleted');
+      }
+      return encrypt(...args);
+    });
+    try {
+      await db.encryptLibrary();
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(interrupted).toBe(true);
+    expect(await db.getWing('wing-edited')).toMatchObject({ title: 'After', summary: 'New summary' });
+    expect(encryption.isSealed((await readRaw('wings', 'wing-edited')).summary)).toBe(true);
+    expect(await readRaw('wings', 'wing-deleted')).toBeUndefined();
+  });
+
+  test('decryptLibrary stops encrypting before the key is dropped', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-old', summary: 'Old summary' }));
+
+    // Save as soon as the rewrite starts decrypting what it read
+    const decrypt = crypto.subtle.decrypt.bind(crypto.subtle);
+    let interrupted = false;
+    const spy = jest.spyOn(crypto.subtle, 'decrypt').mockImplementation(async (...args) => {
+      if (!interrupted) {
+        interrupted = true;
+        await db.createWing(testUtils.createMockWing({ id: 'wing-during', summary: 'Saved during' }));
+      }
+      return decrypt(...args);
+    });
+    try {
+      await db.decryptLibrary();
+    } finally {
+      spy.mockRestore();
+    }
+    await db.createWing(testUtils.createMockWing({ id: 'wing-after', summary: 'Saved after' }));
+    await encryption.disableEncryption();
+
+    expect(interrupted).toBe(true);
+    expect((await readRaw('wings', 'wing-old')).summary).toBe('Old summary');
+    expect((await readRaw('wings', 'wing-during')).summary).toBe('Saved during');
+    expect((await readRaw('wings', 'wing-after')).summary).toBe('Saved after');
+  });
+
+  test('a failed decryptLibrary leaves encryption on', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret', summary: 'Confidential' }));
+
+    const spy = jest.spyOn(crypto.subtle, 'decrypt').mockRejectedValueOnce(new Error('Decryption failed'));
+    try {
+      await expect(db.decryptLibrary()).rejects.toThrow('Decryption failed');
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(await encryption.getEncryptionState()).toBe('unlocked');
+    await db.createWing(testUtils.createMockWing({ id: 'wing-new', summary: 'Still private' }));
+    expect(encryption.isSealed((await readRaw('wings', 'wing-new')).summary)).toBe(true);
+    expect((await db.getWing('wing-secret')).summary).toBe('Confidential');
+  });
+
+  test('while locked, text reads as null and cannot be written or exported', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret', title: 'Visible title' }));
+    await encryption.lock();
+
+    const wing = await db.getWing('wing-secret');
+    expect(wing.title).toBe('Visible title');
+    expect(wing.summary).toBeNull();
+
+    await expect(db.createWing(testUtils.createMockWing({ id: 'wing-new' }))).rejects.toMatchObject({ code: 'LOCKED' });
+    await expect(db.exportAllData()).rejects.toMatchObject({ code: 'LOCKED' });
+    await expect(db.decryptLibrary()).rejects.toMatchObject({ code: 'LOCKED' });
+
+    // Fields that aren't encrypted can still change
+    await expect(db.updateWing('wing-secret', { title: 'Renamed' })).resolves.toMatchObject({ title: 'Renamed' });
+  });
+
+  test('exports decrypted data and merges backups against decrypted records', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-secret', summary: 'Confidential' }));
+
+    const backup = await db.exportAllData();
+    expect(backup.data.wings[0].summary).toBe('Confidential');
+
+    const preview = await db.previewImport(backup);
+    expect(preview.categories.wings.unchanged).toHaveLength(1);
+
+    await db.importData(backup, true);
+    expect(encryption.isSealed((await readRaw('wings', 'wing-secret')).summary)).toBe(true);
   });
 });
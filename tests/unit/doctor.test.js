@@ -0,0 +1,168 @@
+/**
+ * Wing Library Doctor Tests
+ * Tests for lib/doctor.js - finding inconsistencies and planning their repair
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let doctor;
+
+beforeAll(async () => {
+  doctor = await import('../../lib/doctor.js');
+});
+
+function wing(overrides) {
+  return testUtils.createMockWing({
+    canonicalUrl: 'https://example.com/page',
+    sortTitle: 'test page',
+    url: 'https://example.com/page',
+    title: 'Test Page',
+    ...overrides,
+  });
+}
+
+function library(overrides = {}) {
+  const records = {
+    wings: [],
+    collections: [],
+    nests: [],
+    highlights: [],
+    connections: [],
+    tags: [],
+    ...overrides,
+  };
+  records.searchIndexIds ??= records.wings.map((w) => w.id);
+  return records;
+}
+
+function count(report, check) {
+  return report.checks.find((c) => c.id === check).count;
+}
+
+describe('examineLibrary', () => {
+  test('reports no problems for a consistent library', () => {
+    const report = doctor.examineLibrary(library({
+      collections: [testUtils.createMockCollection({ id: 'c1' })],
+      nests: [testUtils.createMockNest({ id: 'n1', collectionId: 'c1' })],
+      wings: [wing({ id: 'w1', collectionIds: ['c1'], nestIds: ['n1'] }), wing({ id: 'w2' })],
+      highlights: [testUtils.createMockHighlight({ id: 'h1', wingId: 'w1' })],
+      connections: [testUtils.createMockConnection({ id: 'x1', wingId1: 'w1', wingId2: 'w2' })],
+    }));
+
+    expect(report.problems).toBe(0);
+    expect(report.checks.map((c) => c.id)).toEqual(Object.keys(doctor.LIBRARY_CHECKS));
+    expect(report.repairs).toEqual({ put: {}, delete: {}, reindex: [], unindex: [] });
+  });
+
+  test('removes memberships of deleted collections, nests and tags', () => {
+    const report = doctor.examineLibrary(library({
+      collections: [testUtils.createMockCollection({ id: 'c1' })],
+      wings: [wing({ id: 'w1', collectionIds: ['c1', 'gone'], nestIds: ['gone'], tagIds: ['gone'] })],
+    }));
+
+    expect(count(report, 'missingMemberships')).toBe(1);
+    expect(report.repairs.put.wings[0]).toMatchObject({ collectionIds: ['c1'], nestIds: [], tagIds: [] });
+  });
+
+  test('removes nests outside the wing collections', () => {
+    const report = doctor.examineLibrary(library({
+      collections: [testUtils.createMockCollection({ id: 'c1' }), testUtils.createMockCollection({ id: 'c2' })],
+      nests: [testUtils.createMockNest({ id: 'n2', collectionId: 'c2' })],
+      wings: [wing({ id: 'w1', collectionIds: ['c1'], nestIds: ['n2'] })],
+    }));
+
+    expect(count(report, 'misplacedNests')).toBe(1);
+    expect(count(report, 'missingMemberships')).toBe(0);
+    expect(report.repairs.put.wings[0].nestIds).toEqual([]);
+  });
+
+  test('drops legacy highlight and connection arrays and fills derived fields', () => {
+    const report = doctor.examineLibrary(library({
+      wings: [wing({ id: 'w1', highlights: [], connections: [], canonicalUrl: undefined, sortTitle: 'stale' })],
+    }));
+
+    expect(count(report, 'unusedWingArrays')).toBe(1);
+    expect(count(report, 'staleDerivedFields')).toBe(1);
+    const fixed = report.repairs.put.wings[0];
+    expect(fixed).not.toHaveProperty('highlights');
+    expect(fixed).not.toHaveProperty('connections');
+    expect(fixed).toMatchObject({ canonicalUrl: 'https://example.com/page', sortTitle: 'test page' });
+  });
+
+  test('deletes nests of deleted collections and detaches nests from missing parents', () => {
+    const report = doctor.examineLibrary(library({
+      collections: [testUtils.createMockCollection({ id: 'c1' })],
+      nests: [
+        testUtils.createMockNest({ id: 'n1', collectionId: 'gone' }),
+        testUtils.createMockNest({ id: 'n2', collectionId: 'c1', parentId: 'gone' }),
+      ],
+    }));
+
+    expect(count(report, 'orphanedNests')).toBe(2);
+    expect(report.repairs.delete.nests).toEqual(['n1']);
+    expect(report.repairs.put.nests).toEqual([expect.objectContaining({ id: 'n2', parentId: null })]);
+  });
+
+  test('breaks nest cycles', () => {
+    const report = doctor.examineLibrary(library({
+      collections: [testUtils.createMockCollection({ id: 'c1' })],
+      nests: [
+        testUtils.createMockNest({ id: 'n1', collectionId: 'c1', parentId: 'n2' }),
+        testUtils.createMockNest({ id: 'n2', collectionId: 'c1', parentId: 'n1' }),
+      ],
+    }));
+
+    expect(count(report, 'nestCycles')).toBe(1);
+    expect(report.repairs.put.nests).toHaveLength(1);
+    expect(report.repairs.put.nests[0].parentId).toBeNull();
+  });
+
+  test('deletes highlights and connections of deleted wings', () => {
+    const report = doctor.examineLibrary(library({
+      wings: [wing({ id: 'w1' })],
+      highlights: [testUtils.createMockHighlight({ id: 'h1', wingId: 'gone' })],
+      connections: [
+        testUtils.createMockConnection({ id: 'x1', wingId1: 'w1', wingId2: 'gone' }),
+        testUtils.createMockConnection({ id: 'x2', wingId1: 'w1', wingId2: 'w1' }),
+      ],
+    }));
+
+    expect(report.repairs.delete.highlights).toEqual(['h1']);
+    expect(report.repairs.delete.connections).toEqual(['x1', 'x2']);
+    expect(report.problems).toBe(3);
+  });
+
+  test('keeps the best scored of duplicate connections', () => {
+    const report = doctor.examineLibrary(library({
+      wings: [wing({ id: 'w1' }), wing({ id: 'w2' })],
+      connections: [
+        testUtils.createMockConnection({ id: 'x1', wingId1: 'w1', wingId2: 'w2', score: 0.4 }),
+        testUtils.createMockConnection({ id: 'x2', wingId1: 'w2', wingId2: 'w1', score: 0.9 }),
+      ],
+    }));
+
+    expect(count(report, 'duplicateConnections')).toBe(1);
+    expect(report.repairs.delete.connections).toEqual(['x1']);
+  });
+
+  test('compares the search index with the wings', () => {
+    const report = doctor.examineLibrary(library({
+      wings: [wing({ id: 'w1' })],
+      searchIndexIds: ['gone'],
+    }));
+
+    expect(count(report, 'searchIndex')).toBe(2);
+    expect(report.repairs.reindex).toEqual(['w1']);
+    expect(report.repairs.unindex).toEqual(['gone']);
+  });
+
+  test('lists a limited number of examples', () => {
+    const report = doctor.examineLibrary(library({
+      wings: Array.from({ length: 8 }, (_, i) => wing({ id: `w${i}`, tagIds: ['gone'] })),
+    }));
+
+    const check = report.checks.find((c) => c.id === 'missingMemberships');
+    expect(check.count).toBe(8);
+    expect(check.examples).toHaveLength(5);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Wing Encryption Tests
+ * Tests for lib/encryption.js - passphrase keys, sealing records and protected backups
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let encryption;
+
+beforeAll(async () => {
+  encryption = await import('../../lib/encryption.js');
+});
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('Key management', () => {
+  test('encryption is off until enabled', async () => {
+    expect(await encryption.getEncryptionState()).toBe('off');
+  });
+
+  test('enabling encryption unlocks it', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+
+    expect(await encryption.getEncryptionState()).toBe('unlocked');
+    const { encryption: settings } = await chrome.storage.local.get('encryption');
+    expect(settings).toMatchObject({ salt: expect.any(String), iterations: expect.any(Number) });
+    expect(JSON.stringify(settings)).not.toContain(PASSPHRASE);
+  });
+
+  test('rejects short passphrases', async () => {
+    await expect(encryption.enableEncryption('short')).rejects.toMatchObject({ code: 'WEAK_PASSPHRASE' });
+    expect(await encryption.getEncryptionState()).toBe('off');
+  });
+
+  test('cannot be enabled twice', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+
+    await expect(encryption.enableEncryption(PASSPHRASE)).rejects.toMatchObject({ code: 'ALREADY_ENABLED' });
+  });
+
+  test('locks and unlocks with the passphrase', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await encryption.lock();
+    expect(await encryption.getEncryptionState()).toBe('locked');
+
+    await expect(encryption.unlock('wrong passphrase')).rejects.toMatchObject({ code: 'WRONG_PASSPHRASE' });
+    expect(await encryption.getEncryptionState()).toBe('locked');
+
+    await encryption.unlock(PASSPHRASE);
+    expect(await encryption.getEncryptionState()).toBe('unlocked');
+  });
+
+  test('the unlocked key lives in session storage only', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+
+    expect(Object.keys(await chrome.storage.session.get(null))).toEqual(['encryptionKey']);
+
+    // A new browser session starts locked
+    await chrome.storage.session.clear();
+    expect(await encryption.getEncryptionState()).toBe('locked');
+  });
+
+  test('disabling removes the settings and the key', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await encryption.disableEncryption();
+
+    expect(await encryption.getEncryptionState()).toBe('off');
+    expect(await chrome.storage.session.get(null)).toEqual({});
+  });
+
+  test('can be enabled with the key of another device', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const keyCheck = await encryption.getKeyCheck();
+    const sealed = await encryption.sealValue('Shared text');
+    await encryption.disableEncryption();
+
+    await expect(encryption.enableEncryption('wrong passphrase', keyCheck))
+      .rejects.toMatchObject({ code: 'WRONG_PASSPHRASE' });
+    expect(await encryption.getEncryptionState()).toBe('off');
+
+    await encryption.enableEncryption(PASSPHRASE, keyCheck);
+    expect(await encryption.matchesKeyCheck(keyCheck)).toBe(true);
+    expect(await encryption.openValue(sealed)).toBe('Shared text');
+  });
+
+  test('tells keys made from the same passphrase apart', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const keyCheck = await encryption.getKeyCheck();
+    await encryption.disableEncryption();
+
+    await encryption.enableEncryption(PASSPHRASE);
+    expect(await encryption.matchesKeyCheck(keyCheck)).toBe(false);
+  });
+});
+
+describe('Sealing records', () => {
+  test('leaves records alone while encryption is off', async () => {
+    const wing = testUtils.createMockWing({ id: 'w1' });
+
+    expect(await encryption.sealRecord('wings', wing)).toBe(wing);
+  });
+
+  test('encrypts only the sensitive fields', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const wing = testUtils.createMockWing({ id: 'w1', summary: 'Secret summary' });
+
+    const sealed = await encryption.sealRecord('wings', wing);
+
+    expect(encryption.isSealed(sealed.summary)).toBe(true);
+    expect(encryption.isSealed(sealed.fullContent)).toBe(true);
+    expect(sealed.title).toBe(wing.title);
+    expect(sealed.url).toBe(wing.url);
+    expect(JSON.stringify(sealed)).not.toContain('Secret summary');
+  });
+
+  test('opens sealed records back to the original', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const highlight = testUtils.createMockHighlight({ id: 'h1', wingId: 'w1' });
+
+    const sealed = await encryption.sealRecord('highlights', highlight);
+
+    expect(await encryption.openRecord('highlights', sealed)).toEqual(highlight);
+  });
+
+  test('sealed fields read as null while locked', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const sealed = await encryption.sealRecord('highlights', testUtils.createMockHighlight({ id: 'h1' }));
+    await encryption.lock();
+
+    const opened = await encryption.openRecord('highlights', sealed);
+
+    expect(opened.selectedText).toBeNull();
+    expect(opened.annotation).toBeNull();
+    expect(opened.xpath).toBe(sealed.xpath);
+  });
+
+  test('refuses to seal while locked', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await encryption.lock();
+
+    await expect(encryption.sealRecord('wings', { summary: 'New' })).rejects.toMatchObject({ code: 'LOCKED' });
+    // Nothing to encrypt, so nothing to refuse
+    await expect(encryption.sealRecord('wings', { title: 'New' })).resolves.toEqual({ title: 'New' });
+  });
+
+  test('withoutSealedFields drops encrypted values', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    const sealed = await encryption.sealRecord('wings', testUtils.createMockWing({ id: 'w1' }));
+
+    const stripped = encryption.withoutSealedFields(sealed);
+
+    expect(stripped).not.toHaveProperty('summary');
+    expect(stripped).not.toHaveProperty('fullContent');
+    expect(stripped.title).toBe(sealed.title);
+  });
+
+  test('sealValue and openValue round-trip', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+
+    const sealed = await encryption.sealValue('sk-ant-secret');
+
+    expect(encryption.isSealed(sealed)).toBe(true);
+    expect(await encryption.openValue(sealed)).toBe('sk-ant-secret');
+    expect(await encryption.openValue('plain')).toBe('plain');
+  });
+});
+
+describe('Protected backups', () => {
+  const backup = { version: 9, exportedAt: 1, data: { wings: [{ id: 'w1', title: 'Private page' }] } };
+
+  test('seals and opens a backup with its own passphrase', async () => {
+    const file = await encryption.sealBackup(backup, 'backup passphrase');
+
+    expect(encryption.isSealedBackup(file)).toBe(true);
+    expect(encryption.isSealedBackup(backup)).toBe(false);
+    expect(JSON.stringify(file)).not.toContain('Private page');
+    expect(await encryption.openBackup(file, 'backup passphrase')).toEqual(backup);
+  });
+
+  test('rejects the wrong passphrase', async () => {
+    const file = await encryption.sealBackup(backup, 'backup passphrase');
+
+    await expect(encryption.openBackup(file, 'another passphrase')).rejects.toMatchObject({
+      code: 'WRONG_PASSPHRASE',
+    });
+  });
+
+  test('seals a backup with the library key so it opens with the library passphrase', async () => {
+    await expect(encryption.sealLibraryBackup(backup)).rejects.toMatchObject({ code: 'NOT_ENABLED' });
+
+    await encryption.enableEncryption(PASSPHRASE);
+    const file = await encryption.sealLibraryBackup(backup);
+
+    expect(encryption.isSealedBackup(file)).toBe(true);
+    expect(await encryption.openBackup(file, PASSPHRASE)).toEqual(backup);
+
+    await encryption.lock();
+    await expect(encryption.sealLibraryBackup(backup)).rejects.toMatchObject({ code: 'LOCKED' });
+  });
+});
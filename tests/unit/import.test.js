@@ -0,0 +1,302 @@
+/**
+ * Wing Import Tests
+ * Tests for lib/import.js - validation, reference repair and merge planning
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let importer;
+
+beforeAll(async () => {
+  importer = await import('../../lib/import.js');
+});
+
+function wing(overrides) {
+  return testUtils.createMockWing({ timestamp: 100, ...overrides });
+}
+
+describe('validateBackup', () => {
+  test('rejects backups from a newer version', () => {
+    expect(() => importer.validateBackup({ version: 999, data: {} })).toThrow('newer version of Wing');
+  });
+
+  test('rejects malformed backups', () => {
+    expect(() => importer.validateBackup({ version: 1 })).toThrow('Invalid import data format');
+    expect(() => importer.validateBackup({ version: 'two', data: {} })).toThrow('Invalid backup version');
+    expect(() => importer.validateBackup({ version: 1, data: { wings: {} } })).toThrow('wings is not a list');
+  });
+
+  test('upgrades records from older versions', () => {
+    const { data, issues } = importer.validateBackup({
+      version: 1,
+      data: { wings: [{ id: 'w1', url: 'https://www.example.com/', title: 'Old', collectionId: 'c1', nestId: null }] },
+    });
+
+    expect(data.wings[0]).toMatchObject({
+      collectionIds: ['c1'],
+      nestIds: [],
+      tagIds: [],
+      canonicalUrl: 'https://example.com',
+      sortTitle: 'old',
+    });
+    expect(data.wings[0]).not.toHaveProperty('collectionId');
+    expect(issues).toEqual([expect.objectContaining({ message: 'Upgraded from database version 1' })]);
+  });
+
+  test('skips records missing required fields', () => {
+    const { data, issues } = importer.validateBackup({
+      data: {
+        wings: [{ id: 'w1', url: 'https://a.com' }, { id: 'w2' }, 'junk'],
+        highlights: [{ wingId: 'w1', selectedText: 'no id' }],
+      },
+    });
+
+    expect(data.wings.map((w) => w.id)).toEqual(['w1']);
+    expect(data.highlights).toEqual([]);
+    expect(issues.map((i) => i.message)).toEqual(expect.arrayContaining([
+      'Skipped: missing url',
+      'Skipped: not a record',
+      'Skipped: missing ID',
+    ]));
+  });
+
+  test('keeps the last copy of a duplicated ID', () => {
+    const { data, issues } = importer.validateBackup({
+      data: { tags: [{ id: 't1', name: 'First' }, { id: 't1', name: 'Second' }] },
+    });
+
+    expect(data.tags).toEqual([{ id: 't1', name: 'Second', updatedAt: 0 }]);
+    expect(issues).toEqual(expect.arrayContaining([expect.objectContaining({ id: 't1', message: 'Duplicate ID, kept the last copy' })]));
+  });
+
+  test('resets invalid membership lists', () => {
+    const { data } = importer.validateBackup({
+      data: { wings: [{ id: 'w1', url: 'https://a.com', collectionIds: 'c1', tagIds: ['t1', 4] }] },
+    });
+
+    expect(data.wings[0].collectionIds).toEqual([]);
+    expect(data.wings[0].tagIds).toEqual(['t1']);
+  });
+});
+
+describe('repairReferences', () => {
+  function repair(data, known) {
+    const { data: validated } = importer.validateBackup({ data });
+    return importer.repairReferences(validated, known);
+  }
+
+  test('removes memberships that point nowhere', () => {
+    const { data, issues } = repair({
+      collections: [{ id: 'c1', name: 'Kept' }],
+      wings: [{ id: 'w1', url: 'https://a.com', collectionIds: ['c1', 'c-gone'], nestIds: ['n-gone'], tagIds: ['t-gone'] }],
+    });
+
+    expect(data.wings[0]).toMatchObject({ collectionIds: ['c1'], nestIds: [], tagIds: [] });
+    expect(issues.map((i) => i.message)).toEqual([
+      'Removed 1 missing collections',
+      'Removed 1 missing nests',
+      'Removed 1 missing tags',
+    ]);
+  });
+
+  test('accepts references to records already in the library', () => {
+    const { data, issues } = repair(
+      {
+        wings: [{ id: 'w1', url: 'https://a.com', collectionIds: ['c-library'] }],
+        highlights: [{ id: 'h1', wingId: 'w-library', selectedText: 'quote' }],
+      },
+      { collections: ['c-library'], wings: ['w-library'] }
+    );
+
+    expect(data.wings[0].collectionIds).toEqual(['c-library']);
+    expect(data.highlights).toHaveLength(1);
+    expect(issues).toEqual([]);
+  });
+
+  test('drops orphaned highlights, nests and connections', () => {
+    const { data } = repair({
+      collections: [{ id: 'c1', name: 'Garden' }],
+      nests: [{ id: 'n1', collectionId: 'c-gone', name: 'Orphan' }],
+      wings: [{ id: 'w1', url: 'https://a.com' }],
+      highlights: [{ id: 'h1', wingId: 'w-gone', selectedText: 'quote' }],
+      connections: [
+        { id: 'x1', wingId1: 'w1', wingId2: 'w-gone' },
+        { id: 'x2', wingId1: 'w1', wingId2: 'w1' },
+      ],
+    });
+
+    expect(data.nests).toEqual([]);
+    expect(data.highlights).toEqual([]);
+    expect(data.connections).toEqual([]);
+  });
+
+  test('moves nests with missing parents or parent cycles to the top level', () => {
+    const { data, issues } = repair({
+      collections: [{ id: 'c1', name: 'Garden' }],
+      nests: [
+        { id: 'lost', collectionId: 'c1', parentId: 'gone', name: 'Lost' },
+        { id: 'a', collectionId: 'c1', parentId: 'b', name: 'A' },
+        { id: 'b', collectionId: 'c1', parentId: 'a', name: 'B' },
+      ],
+    });
+
+    const parents = Object.fromEntries(data.nests.map((n) => [n.id, n.parentId]));
+    expect(parents.lost).toBeNull();
+    expect([parents.a, parents.b].filter((p) => p === null)).toHaveLength(1);
+    expect(issues.filter((i) => i.message.includes('cycle'))).toHaveLength(1);
+  });
+});
+
+describe('planImport', () => {
+  test('sorts records into added and unchanged', () => {
+    const existing = { wings: [wing({ id: 'w1', url: 'https://a.com' })] };
+    const incoming = {
+      wings: [
+        wing({ id: 'w1', url: 'https://a.com' }),
+        wing({ id: 'w2', url: 'https://b.com' }),
+      ],
+    };
+
+    const plan = importer.planImport(existing, incoming);
+
+    expect(plan.categories.wings.unchanged.map((w) => w.id)).toEqual(['w1']);
+    expect(plan.categories.wings.added.map((w) => w.id)).toEqual(['w2']);
+    expect(plan.writes.wings.map((w) => w.id)).toEqual(['w2']);
+  });
+
+  test('ignores key order when comparing records', () => {
+    const existing = { tags: [{ id: 't1', name: 'Rust' }] };
+    const incoming = { tags: [{ name: 'Rust', id: 't1' }] };
+
+    expect(importer.planImport(existing, incoming).categories.tags.unchanged).toHaveLength(1);
+  });
+
+  describe('records with the same ID', () => {
+    const existing = {
+      wings: [wing({ id: 'w1', url: 'https://a.com', title: 'Local', updatedAt: 200 })],
+    };
+
+    test('keep-newest writes the backup version only if it was edited more recently', () => {
+      // Both copies were created at the same time; only the edits differ
+      const newer = { wings: [wing({ id: 'w1', url: 'https://a.com', title: 'Backup', updatedAt: 300 })] };
+      const older = { wings: [wing({ id: 'w1', url: 'https://a.com', title: 'Backup', updatedAt: 150 })] };
+
+      const newerPlan = importer.planImport(existing, newer);
+      expect(newerPlan.categories.wings.changed).toHaveLength(1);
+      expect(newerPlan.writes.wings).toEqual([expect.objectContaining({ id: 'w1', title: 'Backup' })]);
+
+      expect(importer.planImport(existing, older).writes.wings).toEqual([]);
+    });
+
+    test('keep-existing writes nothing', () => {
+      const incoming = { wings: [wing({ id: 'w1', url: 'https://a.com', title: 'Backup', timestamp: 300 })] };
+
+      const plan = importer.planImport(existing, incoming, { wings: 'keep-existing' });
+
+      expect(plan.writes.wings).toEqual([]);
+    });
+
+    test('keep-both adds a copy that the backup highlights follow', () => {
+      const incoming = {
+        wings: [wing({ id: 'w1', url: 'https://a.com', title: 'Backup' })],
+        highlights: [testUtils.createMockHighlight({ id: 'h1', wingId: 'w1' })],
+      };
+
+      const plan = importer.planImport(existing, incoming, { wings: 'keep-both' });
+
+      const [copy] = plan.writes.wings;
+      expect(copy.id).not.toBe('w1');
+      expect(copy.title).toBe('Backup');
+      expect(plan.writes.highlights).toEqual([expect.objectContaining({ id: 'h1', wingId: copy.id })]);
+    });
+  });
+
+  describe('the same thing under a different ID', () => {
+    const existing = {
+      collections: [testUtils.createMockCollection({ id: 'c-local', name: 'Reading', createdAt: 1 })],
+      wings: [wing({ id: 'w-local', url: 'https://example.com/post', title: 'Local', updatedAt: 200 })],
+    };
+    const incoming = {
+      collections: [testUtils.createMockCollection({ id: 'c-backup', name: ' reading ', createdAt: 1 })],
+      wings: [
+        wing({
+          id: 'w-backup',
+          url: 'https://www.example.com/post/?utm_source=feed',
+          title: 'Backup',
+          collectionIds: ['c-backup'],
+          updatedAt: 300,
+        }),
+      ],
+      highlights: [testUtils.createMockHighlight({ id: 'h1', wingId: 'w-backup' })],
+    };
+
+    test('is reported as a conflict', () => {
+      const plan = importer.planImport(existing, incoming);
+
+      expect(plan.categories.collections.conflicts).toEqual([
+        { incoming: expect.objectContaining({ id: 'c-backup' }), existing: existing.collections[0] },
+      ]);
+      expect(plan.categories.wings.conflicts).toHaveLength(1);
+    });
+
+    test('keep-existing points backup references at the library records', () => {
+      const plan = importer.planImport(existing, incoming, { collections: 'keep-existing', wings: 'keep-existing' });
+
+      expect(plan.writes.collections).toEqual([]);
+      expect(plan.writes.wings).toEqual([]);
+      expect(plan.writes.highlights).toEqual([expect.objectContaining({ id: 'h1', wingId: 'w-local' })]);
+    });
+
+    test('keep-newest overwrites the library record but keeps its ID', () => {
+      const plan = importer.planImport(existing, incoming, { collections: 'keep-existing' });
+
+      expect(plan.writes.wings).toEqual([
+        expect.objectContaining({ id: 'w-local', title: 'Backup', collectionIds: ['c-local'] }),
+      ]);
+    });
+
+    test('keep-both imports the backup record as is', () => {
+      const plan = importer.planImport(existing, incoming, { collections: 'keep-both', wings: 'keep-both' });
+
+      expect(plan.writes.collections.map((c) => c.id)).toEqual(['c-backup']);
+      expect(plan.writes.wings).toEqual([expect.objectContaining({ id: 'w-backup', collectionIds: ['c-backup'] })]);
+      expect(plan.writes.highlights[0].wingId).toBe('w-backup');
+    });
+  });
+
+  test('matches child nests through their merged parents', () => {
+    const existing = {
+      collections: [{ id: 'c1', name: 'Garden' }],
+      nests: [
+        { id: 'n-parent', collectionId: 'c1', parentId: null, name: 'Beds' },
+        { id: 'n-child', collectionId: 'c1', parentId: 'n-parent', name: 'Raised' },
+      ],
+    };
+    const incoming = {
+      collections: [{ id: 'c1', name: 'Garden' }],
+      nests: [
+        // Child listed first: parents are matched before their children
+        { id: 'b-child', collectionId: 'c1', parentId: 'b-parent', name: 'raised' },
+        { id: 'b-parent', collectionId: 'c1', parentId: null, name: 'beds' },
+      ],
+    };
+
+    const plan = importer.planImport(existing, incoming, { nests: 'keep-existing' });
+
+    expect(plan.categories.nests.conflicts.map((c) => c.existing.id)).toEqual(['n-parent', 'n-child']);
+    expect(plan.writes.nests).toEqual([]);
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => importer.planImport({}, {}, { wings: 'keep-all' })).toThrow('Unknown import strategy: keep-all');
+  });
+});
+
+describe('getImportLabel', () => {
+  test('describes records by category', () => {
+    expect(importer.getImportLabel('wings', { title: 'Post', url: 'https://a.com' })).toBe('Post');
+    expect(importer.getImportLabel('wings', { url: 'https://a.com' })).toBe('https://a.com');
+    expect(importer.getImportLabel('highlights', { selectedText: 'quote' })).toBe('"quote"');
+    expect(importer.getImportLabel('collections', { name: 'Reading' })).toBe('Reading');
+  });
+});
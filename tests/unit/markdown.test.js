@@ -0,0 +1,180 @@
+/**
+ * Wing Markdown Export Tests
+ * Tests for lib/markdown.js - wings as Markdown notes for Obsidian, and the notes preview
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let markdown;
+
+beforeAll(async () => {
+  markdown = await import('../../lib/markdown.js');
+});
+
+describe('getMarkdownFileName', () => {
+  test('removes characters file names and wikilinks cannot hold', () => {
+    expect(markdown.getMarkdownFileName('What is C#? A [guide] | 2024/25')).toBe('What is C A guide 2024 25');
+    expect(markdown.getMarkdownFileName('  Ends with dots...  ')).toBe('Ends with dots');
+  });
+
+  test('falls back to Untitled', () => {
+    expect(markdown.getMarkdownFileName('')).toBe('Untitled');
+    expect(markdown.getMarkdownFileName('///')).toBe('Untitled');
+  });
+
+  test('limits the length', () => {
+    expect(markdown.getMarkdownFileName('a'.repeat(300))).toHaveLength(100);
+  });
+});
+
+describe('wingToMarkdown', () => {
+  const wing = testUtils.createMockWing({
+    url: 'https://example.com/page',
+    title: 'A "quoted" title',
+    summary: 'The summary.',
+    timestamp: Date.UTC(2024, 4, 17, 12),
+  });
+
+  test('writes frontmatter, summary, highlights and related wings', () => {
+    const note = markdown.wingToMarkdown(wing, {
+      collections: [testUtils.createMockCollection({ name: 'Reading' })],
+      nests: [],
+      tags: [{ id: 't1', name: 'ai' }],
+      highlights: [
+        testUtils.createMockHighlight({ selectedText: 'Second\nline two', annotation: 'My note', timestamp: 2 }),
+        testUtils.createMockHighlight({ selectedText: 'First', annotation: '', timestamp: 1 }),
+      ],
+      related: ['Other page'],
+    });
+
+    expect(note).toBe([
+      '---',
+      'url: "https://example.com/page"',
+      'title: "A \\"quoted\\" title"',
+      'collections:',
+      '  - "Reading"',
+      'nests: []',
+      'tags:',
+      '  - "ai"',
+      'saved: 2024-05-17',
+      '---',
+      '',
+      '# A "quoted" title',
+      '',
+      'The summary.',
+      '',
+      '## Highlights',
+      '',
+      '> First',
+      '',
+      '> Second',
+      '> line two',
+      '',
+      'My note',
+      '',
+      '## Related',
+      '',
+      '- [[Other page]]',
+      '',
+    ].join('\n'));
+  });
+
+  test('leaves out empty sections', () => {
+    const note = markdown.wingToMarkdown({ ...wing, summary: null });
+
+    expect(note).not.toContain('## Highlights');
+    expect(note).not.toContain('## Related');
+    expect(note.trimEnd().endsWith('# A "quoted" title')).toBe(true);
+  });
+
+  test('adds the wing notes after the summary', () => {
+    const note = markdown.wingToMarkdown({ ...wing, notes: '- Read again\n- Ask **Sam**\n' });
+
+    expect(note).toContain('The summary.\n\n## Notes\n\n- Read again\n- Ask **Sam**\n');
+    expect(markdown.wingToMarkdown({ ...wing, notes: '  ' })).not.toContain('## Notes');
+  });
+});
+
+describe('renderMarkdown', () => {
+  test('renders headings, paragraphs and inline formatting', () => {
+    expect(markdown.renderMarkdown('# Title\n\nSome **bold**, *emphasis* and `x<y`\nnext line')).toBe(
+      '<h1>Title</h1>\n<p>Some <strong>bold</strong>, <em>emphasis</em> and <code>x&lt;y</code><br>next line</p>'
+    );
+  });
+
+  test('renders lists, quotes and code blocks', () => {
+    expect(markdown.renderMarkdown('- one\n- two\n\n1. first')).toBe('<ul><li>one</li><li>two</li></ul>\n<ol><li>first</li></ol>');
+    expect(markdown.renderMarkdown('> quoted')).toBe('<blockquote><p>quoted</p></blockquote>');
+    expect(markdown.renderMarkdown('```\n<b>*not bold*</b>\n```')).toBe('<pre><code>&lt;b&gt;*not bold*&lt;/b&gt;</code></pre>');
+  });
+
+  test('escapes HTML in the notes', () => {
+    expect(markdown.renderMarkdown('<img src=x onerror="alert(1)">')).toBe(
+      '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>'
+    );
+  });
+
+  test('links only to web and mail addresses', () => {
+    expect(markdown.renderMarkdown('[Wiki](https://en.wikipedia.org/wiki/A_(b))')).toBe(
+      '<p><a href="https://en.wikipedia.org/wiki/A_(b)" target="_blank" rel="noopener noreferrer">Wiki</a></p>'
+    );
+    expect(markdown.renderMarkdown('[click](javascript:alert(1))')).toBe('<p>click</p>');
+  });
+
+  test('leaves underscores inside words alone', () => {
+    expect(markdown.renderMarkdown('snake_case_name and _this_')).toBe('<p>snake_case_name and <em>this</em></p>');
+  });
+});
+
+describe('exportMarkdownNotes', () => {
+  function library() {
+    return {
+      collections: [testUtils.createMockCollection({ id: 'c1', name: 'Reading' })],
+      nests: [testUtils.createMockNest({ id: 'n1', name: 'Deep', collectionId: 'c1' })],
+      tags: [],
+      wings: [
+        testUtils.createMockWing({ id: 'w1', title: 'Page', collectionIds: ['c1'], nestIds: ['n1'] }),
+        testUtils.createMockWing({ id: 'w2', title: 'page' }),
+        testUtils.createMockWing({ id: 'w3', title: 'Third' }),
+      ],
+      highlights: [
+        testUtils.createMockHighlight({ id: 'h1', wingId: 'w1', selectedText: 'Quoted text' }),
+        testUtils.createMockHighlight({ id: 'h2', wingId: 'w3', selectedText: 'Not mine' }),
+      ],
+      connections: [
+        testUtils.createMockConnection({ id: 'x1', wingId1: 'w1', wingId2: 'w3', score: 0.4 }),
+        testUtils.createMockConnection({ id: 'x2', wingId1: 'w2', wingId2: 'w1', score: 0.9 }),
+        testUtils.createMockConnection({ id: 'x3', wingId1: 'w1', wingId2: 'gone', score: 1 }),
+      ],
+    };
+  }
+
+  test('writes one note per wing with unique names', () => {
+    const notes = markdown.exportMarkdownNotes(library());
+
+    expect(notes.map((n) => n.name)).toEqual(['Page.md', 'page (2).md', 'Third.md']);
+  });
+
+  test('gives each note only the memberships and highlights of its wing', () => {
+    const [first] = markdown.exportMarkdownNotes(library());
+
+    expect(first.content).toContain('collections:\n  - "Reading"');
+    expect(first.content).toContain('nests:\n  - "Deep"');
+    expect(first.content).toContain('> Quoted text');
+    expect(first.content).not.toContain('Not mine');
+  });
+
+  test('links related wings by note name, best connections first', () => {
+    const [first, second] = markdown.exportMarkdownNotes(library());
+
+    expect(first.content).toContain('## Related\n\n- [[page (2)]]\n- [[Third]]\n');
+    expect(second.content).toContain('- [[Page]]');
+  });
+
+  test('bundles the notes as a zip', () => {
+    const archive = markdown.exportMarkdownZip(library());
+
+    expect(archive).toBeInstanceOf(Uint8Array);
+    expect(new DataView(archive.buffer).getUint32(0, true)).toBe(0x04034b50);
+  });
+});
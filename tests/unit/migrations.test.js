@@ -0,0 +1,357 @@
+/**
+ * Wing Migration Tests
+ * Tests for lib/migrations.js - upgrading fixture databases from every past version
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+let db;
+let migrations;
+
+beforeAll(async () => {
+  db = await import('../../lib/db.js');
+  migrations = await import('../../lib/migrations.js');
+});
+
+beforeEach(() => {
+  db.closeDB();
+});
+
+// Store layouts as they shipped at each version
+function fixtureStores(version) {
+  const stores = {
+    wings: {
+      indexes: version < 2
+        ? [['url', 'url'], ['timestamp', 'timestamp'], ['collectionId', 'collectionId'], ['nestId', 'nestId']]
+        : [
+            ['url', 'url'],
+            ['timestamp', 'timestamp'],
+            ['collectionIds', 'collectionIds', { multiEntry: true }],
+            ['nestIds', 'nestIds', { multiEntry: true }],
+          ],
+      records: [
+        version < 2
+          ? { id: 'wing-1', url: 'https://example.com', title: 'Legacy Gardening', collectionId: 'col-1', nestId: 'nest-1', timestamp: 1 }
+          : { id: 'wing-1', url: 'https://example.com', title: 'Legacy Gardening', collectionIds: ['col-1'], nestIds: ['nest-1'], timestamp: 1 },
+      ],
+    },
+    collections: {
+      indexes: [['name', 'name'], ['createdAt', 'createdAt']],
+      records: [{ id: 'col-1', name: 'Garden', createdAt: 1 }],
+    },
+    nests: {
+      indexes: [['collectionId', 'collectionId'], ['parentId', 'parentId'], ['name', 'name']],
+      records: [{ id: 'nest-1', collectionId: 'col-1', parentId: null, name: 'Beds' }],
+    },
+    highlights: {
+      indexes: [['wingId', 'wingId'], ['timestamp', 'timestamp']],
+      records: [{ id: 'hl-1', wingId: 'wing-1', selectedText: 'compost tea', timestamp: 1 }],
+    },
+  };
+
+  if (version >= 3) {
+    stores.connections = {
+      indexes: [['wingId1', 'wingId1'], ['wingId2', 'wingId2'], ['score', 'score'], ['analyzedAt', 'analyzedAt']],
+    };
+  }
+  if (version >= 4) {
+    stores.searchIndex = { keyPath: 'wingId', indexes: [['terms', 'terms', { multiEntry: true }]] };
+    stores.meta = { keyPath: 'key' };
+  }
+  if (version >= 5) {
+    stores.wings.indexes.push(['tagIds', 'tagIds', { multiEntry: true }]);
+    stores.wings.records.forEach((wing) => { wing.tagIds = []; });
+    stores.tags = { indexes: [['name', 'name']], records: [{ id: 'tag-1', name: 'compost', createdAt: 3 }] };
+  }
+  if (version >= 6) {
+    stores.trash = { indexes: [['deletedAt', 'deletedAt']] };
+  }
+  if (version >= 7) {
+    stores.journal = { keyPath: 'seq', indexes: [['status', 'status']] };
+  }
+  if (version >= 8) {
+    stores.wings.indexes.push(['canonicalUrl', 'canonicalUrl']);
+    stores.wings.records.forEach((wing) => { wing.canonicalUrl = 'https://example.com'; });
+  }
+  if (version >= 9) {
+    stores.wings.indexes.push(['sortTitle', 'sortTitle']);
+    stores.wings.records.forEach((wing) => { wing.sortTitle = 'legacy gardening'; });
+  }
+  if (version >= 10) {
+    stores.sync = { keyPath: 'key', indexes: [['updatedAt', 'updatedAt']] };
+  }
+  if (version >= 11) {
+    stores.wings.indexes.push(['position', 'position']);
+    stores.wings.records.forEach((wing) => { wing.position = -1; });
+    stores.collections.records.forEach((collection) => { collection.position = 1; });
+    stores.nests.records.forEach((nest) => { nest.position = 0; });
+  }
+  if (version >= 12) {
+    stores.wings.indexes.push(['status', 'status']);
+    stores.wings.records.forEach((wing) => { wing.status = 'unread'; });
+  }
+  if (version >= 13) {
+    stores.wings.indexes.push(['reviewDueAt', 'review.dueAt']);
+    stores.highlights.indexes.push(['reviewDueAt', 'review.dueAt']);
+    stores.wings.records.forEach((wing) => { wing.review = { ease: 2.5, interval: 0, repetitions: 0, dueAt: 1 }; });
+    stores.highlights.records.forEach((highlight) => { highlight.review = { ease: 2.5, interval: 0, repetitions: 0, dueAt: 1 }; });
+  }
+  if (version >= 14) {
+    ['collections', 'nests', 'wings', 'highlights', 'tags'].forEach((store) => {
+      stores[store].records.forEach((record) => { record.updatedAt = 1; });
+    });
+  }
+
+  return stores;
+}
+
+function getRawDatabase() {
+  return indexedDB._getDatabase('WingDB');
+}
+
+describe('Migration registry', () => {
+  test('versions are consecutive from 1', () => {
+    const versions = migrations.MIGRATIONS.map((m) => m.version);
+
+    expect(versions).toEqual(versions.map((_, i) => i + 1));
+    expect(migrations.LATEST_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  test('every migration has a name and a schema step', () => {
+    migrations.MIGRATIONS.forEach((migration) => {
+      expect(migration.name).toEqual(expect.any(String));
+      expect(typeof migration.schema).toBe('function');
+    });
+  });
+});
+
+describe('New database', () => {
+  test('creates every store and marks all migrations applied', async () => {
+    await db.initDB();
+
+    const state = await db.getMigrationState();
+    expect(state.version).toBe(migrations.LATEST_VERSION);
+    expect(state.pending).toEqual([]);
+    expect(state.applied.map((m) => m.version)).toEqual(migrations.MIGRATIONS.map((m) => m.version));
+    state.applied.forEach((entry) => expect(entry.appliedAt).toEqual(expect.any(Number)));
+
+    const wingsStore = getRawDatabase()._stores.get('wings');
+    expect(wingsStore.indexNames.contains('collectionId')).toBe(false);
+    expect(wingsStore.indexNames.contains('collectionIds')).toBe(true);
+    expect(wingsStore.indexNames.contains('tagIds')).toBe(true);
+  });
+});
+
+describe('Upgrading fixture databases', () => {
+  const pastVersions = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+
+  test.each(pastVersions)('upgrades a version %i database to the latest schema', async (version) => {
+    indexedDB._seedDatabase('WingDB', version, fixtureStores(version));
+
+    await db.initDB();
+
+    const raw = getRawDatabase();
+    expect(raw.version).toBe(migrations.LATEST_VERSION);
+    ['wings', 'collections', 'nests', 'highlights', 'connections', 'searchIndex', 'meta', 'tags', 'trash', 'journal']
+      .forEach((name) => expect(raw.objectStoreNames.contains(name)).toBe(true));
+
+    const wingsStore = raw._stores.get('wings');
+    expect(wingsStore.indexNames.contains('collectionId')).toBe(false);
+    expect(wingsStore.indexNames.contains('nestId')).toBe(false);
+    expect(wingsStore.indexNames.contains('tagIds')).toBe(true);
+    expect(wingsStore.indexNames.contains('canonicalUrl')).toBe(true);
+    expect(wingsStore.indexNames.contains('sortTitle')).toBe(true);
+    expect(wingsStore.indexNames.contains('position')).toBe(true);
+    expect(wingsStore.indexNames.contains('status')).toBe(true);
+    expect(wingsStore.indexNames.contains('reviewDueAt')).toBe(true);
+    expect(raw._stores.get('highlights').indexNames.contains('reviewDueAt')).toBe(true);
+
+    const wing = await db.getWing('wing-1');
+    expect(wing).toMatchObject({
+      collectionIds: ['col-1'],
+      nestIds: ['nest-1'],
+      tagIds: [],
+      canonicalUrl: 'https://example.com',
+      sortTitle: 'legacy gardening',
+      position: -1,
+      status: 'unread',
+      review: { repetitions: 0, dueAt: expect.any(Number) },
+      updatedAt: 1,
+    });
+    expect(wing).not.toHaveProperty('collectionId');
+    expect(wing).not.toHaveProperty('nestId');
+    expect((await db.getWingsByCollection('col-1')).map((w) => w.id)).toEqual(['wing-1']);
+    expect(await db.getCollection('col-1')).toMatchObject({ position: 1 });
+    expect(await db.getNest('nest-1')).toMatchObject({ position: 0, updatedAt: expect.any(Number) });
+    if (version >= 5) expect(await db.getTag('tag-1')).toMatchObject({ updatedAt: 3 });
+    expect(await db.getHighlightsByWing('wing-1')).toEqual([
+      expect.objectContaining({ review: expect.objectContaining({ dueAt: expect.any(Number) }) }),
+    ]);
+
+    const state = await db.getMigrationState();
+    expect(state.pending).toEqual([]);
+    expect(state.applied.map((m) => m.version)).toEqual(migrations.MIGRATIONS.map((m) => m.version));
+  });
+
+  test.each([1, 2, 3])('builds the search index when upgrading from version %i', async (version) => {
+    indexedDB._seedDatabase('WingDB', version, fixtureStores(version));
+
+    await db.initDB();
+
+    expect((await db.searchWings('gardening')).map((w) => w.id)).toEqual(['wing-1']);
+    expect((await db.searchWings('compost')).map((w) => w.id)).toEqual(['wing-1']);
+  });
+
+  test('keeps data written after the upgrade working', async () => {
+    indexedDB._seedDatabase('WingDB', 1, fixtureStores(1));
+    await db.initDB();
+
+    await db.createWing(testUtils.createMockWing({ id: 'wing-2', collectionIds: ['col-1'] }));
+
+    expect((await db.getWingsByCollection('col-1')).map((w) => w.id).sort()).toEqual(['wing-1', 'wing-2']);
+  });
+
+  test('records migrations that predate tracking without a timestamp', async () => {
+    indexedDB._seedDatabase('WingDB', 3, fixtureStores(3));
+
+    await db.initDB();
+
+    const { applied } = await db.getMigrationState();
+    expect(applied.filter((m) => m.version <= 3).every((m) => m.appliedAt === null)).toBe(true);
+    expect(applied.filter((m) => m.version > 3).every((m) => typeof m.appliedAt === 'number')).toBe(true);
+  });
+
+  test('adopts an up-to-date database created before migrations were tracked', async () => {
+    indexedDB._seedDatabase('WingDB', migrations.LATEST_VERSION, fixtureStores(migrations.LATEST_VERSION));
+
+    await db.initDB();
+
+    const state = await db.getMigrationState();
+    expect(state.pending).toEqual([]);
+    expect(state.applied).toHaveLength(migrations.MIGRATIONS.length);
+  });
+
+  test('re-runs the migrations on a version 3 database that already has the later stores', async () => {
+    indexedDB._seedDatabase('WingDB', 3, fixtureStores(migrations.LATEST_VERSION));
+
+    await db.initDB();
+
+    const raw = getRawDatabase();
+    expect(raw.version).toBe(migrations.LATEST_VERSION);
+    expect(raw._stores.get('tags').indexNames.contains('name')).toBe(true);
+    expect(await db.getWing('wing-1')).toMatchObject({ tagIds: [], status: 'unread', updatedAt: 1 });
+    expect(await db.getTag('tag-1')).toMatchObject({ name: 'compost', updatedAt: 1 });
+    expect((await db.searchWings('compost')).map((w) => w.id)).toEqual(['wing-1']);
+
+    const state = await db.getMigrationState();
+    expect(state.pending).toEqual([]);
+    expect(state.applied).toHaveLength(migrations.MIGRATIONS.length);
+  });
+});
+
+describe('Interrupted migrations', () => {
+  let searchMigration;
+  let originalRun;
+
+  beforeEach(() => {
+    searchMigration = migrations.MIGRATIONS.find((m) => m.version === 4);
+    originalRun = searchMigration.data.run;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    searchMigration.data.run = originalRun;
+    console.warn.mockRestore();
+  });
+
+  test('resumes from the first unfinished data step', async () => {
+    indexedDB._seedDatabase('WingDB', 1, fixtureStores(1));
+    searchMigration.data.run = async (transaction) => {
+      await originalRun(transaction);
+      throw new Error('worker stopped');
+    };
+
+    await db.initDB();
+
+    let state = await db.getMigrationState();
+    expect(state.version).toBe(migrations.LATEST_VERSION);
+    expect(state.pending).toEqual([4, 5, 8, 9, 11, 12, 13, 14]);
+    expect(state.applied.map((m) => m.version)).not.toContain(4);
+    // Steps before the failure are kept, the failed one rolled back
+    expect(await db.getWing('wing-1')).toMatchObject({ collectionIds: ['col-1'] });
+    expect(await db.searchWings('gardening')).toHaveLength(0);
+    expect(console.warn).toHaveBeenCalled();
+
+    searchMigration.data.run = originalRun;
+    db.closeDB();
+    await db.initDB();
+
+    state = await db.getMigrationState();
+    expect(state.pending).toEqual([]);
+    expect((await db.searchWings('gardening')).map((w) => w.id)).toEqual(['wing-1']);
+    expect(await db.getWing('wing-1')).toMatchObject({ tagIds: [] });
+  });
+});
+
+describe('upgradeWingRecord', () => {
+  test('brings a version 1 wing up to date without mutating it', () => {
+    const legacy = { id: 'w', collectionId: 'c', nestId: null };
+
+    expect(migrations.upgradeWingRecord(legacy)).toEqual({
+      id: 'w',
+      collectionIds: ['c'],
+      nestIds: [],
+      tagIds: [],
+      canonicalUrl: '',
+      sortTitle: '',
+      position: 0,
+      status: 'unread',
+      review: { ease: 2.5, interval: 0, repetitions: 0, dueAt: expect.any(Number) },
+      updatedAt: 0,
+    });
+    expect(legacy.collectionId).toBe('c');
+  });
+
+  test('leaves current wings unchanged', () => {
+    const wing = {
+      id: 'w',
+      title: 'Wing',
+      collectionIds: ['c'],
+      nestIds: ['n'],
+      tagIds: ['t'],
+      canonicalUrl: 'https://example.com',
+      sortTitle: 'wing',
+      position: 2.5,
+      status: 'done',
+      review: { ease: 2.6, interval: 6, repetitions: 2, dueAt: 100 },
+      updatedAt: 50,
+    };
+
+    expect(migrations.upgradeWingRecord(wing)).toEqual(wing);
+  });
+});
+
+describe('upgradeLibraryRecord', () => {
+  test('gives collections and nests their creation time as position', () => {
+    expect(migrations.upgradeLibraryRecord('collections', { id: 'c', createdAt: 5 })).toEqual({ id: 'c', createdAt: 5, position: 5, updatedAt: 5 });
+    expect(migrations.upgradeLibraryRecord('nests', { id: 'n', position: 1.5, createdAt: 5 })).toMatchObject({ position: 1.5 });
+    expect(migrations.upgradeLibraryRecord('wings', { id: 'w', timestamp: 7 })).toMatchObject({ position: -7 });
+    expect(migrations.upgradeLibraryRecord('tags', { id: 't', name: 'x', createdAt: 5 })).toEqual({ id: 't', name: 'x', createdAt: 5, updatedAt: 5 });
+  });
+
+  test('gives records their creation time as modification time', () => {
+    expect(migrations.upgradeLibraryRecord('wings', { id: 'w', timestamp: 7 }).updatedAt).toBe(7);
+    expect(migrations.upgradeLibraryRecord('highlights', { id: 'h', timestamp: 8, updatedAt: 9 }).updatedAt).toBe(9);
+    expect(migrations.upgradeLibraryRecord('nests', { id: 'n', createdAt: 5 }).updatedAt).toBe(5);
+    expect(migrations.upgradeLibraryRecord('tags', { id: 't', createdAt: 6 }).updatedAt).toBe(6);
+  });
+
+  test('schedules the first review of highlights a day after they were saved', () => {
+    expect(migrations.upgradeLibraryRecord('highlights', { id: 'h', timestamp: 1000 }).review).toEqual({
+      ease: 2.5,
+      interval: 0,
+      repetitions: 0,
+      dueAt: 1000 + 24 * 60 * 60 * 1000,
+    });
+  });
+});
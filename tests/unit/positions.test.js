@@ -0,0 +1,64 @@
+/**
+ * Wing Manual Order Tests
+ * Tests for lib/positions.js - fractional positions for hand-made orders
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let positions;
+
+beforeAll(async () => {
+  positions = await import('../../lib/positions.js');
+});
+
+describe('positionBetween', () => {
+  test('finds a position between two others', () => {
+    expect(positions.positionBetween(1, 2)).toBe(1.5);
+    expect(positions.positionBetween(-10, 10)).toBe(0);
+  });
+
+  test('extends the list at either end', () => {
+    expect(positions.positionBetween(null, null)).toBe(0);
+    expect(positions.positionBetween(null, 5)).toBe(4);
+    expect(positions.positionBetween(5, null)).toBe(6);
+  });
+
+  test('reports when there is no room left', () => {
+    expect(positions.positionBetween(1, 1)).toBeNull();
+    expect(positions.positionBetween(2, 1)).toBeNull();
+
+    let after = 2;
+    let position = 1.5;
+    while (position !== null) {
+      after = position;
+      position = positions.positionBetween(1, after);
+    }
+    expect(after).toBeGreaterThan(1);
+  });
+});
+
+describe('spreadPositions', () => {
+  test('spaces positions evenly between the bounds', () => {
+    expect(positions.spreadPositions(0, 4, 3)).toEqual([1, 2, 3]);
+    expect(positions.spreadPositions(0, 1, 0)).toEqual([]);
+  });
+});
+
+describe('getPosition and sortByPosition', () => {
+  test('falls back to creation order for collections and nests, newest first for wings', () => {
+    expect(positions.getPosition('collections', { createdAt: 20 })).toBe(20);
+    expect(positions.getPosition('nests', { createdAt: 20, position: 3.5 })).toBe(3.5);
+    expect(positions.getPosition('wings', { timestamp: 20 })).toBe(-20);
+  });
+
+  test('sorts by position, then ID, without changing the input', () => {
+    const records = [
+      { id: 'b', position: 2 },
+      { id: 'c', createdAt: 1 },
+      { id: 'a', position: 2 },
+    ];
+
+    expect(positions.sortByPosition('collections', records).map((r) => r.id)).toEqual(['c', 'a', 'b']);
+    expect(records.map((r) => r.id)).toEqual(['b', 'c', 'a']);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Wing Read-Later Import Tests
+ * Tests for lib/readlater.js - reading Pocket, Instapaper and Raindrop exports
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let readlater;
+
+beforeAll(async () => {
+  readlater = await import('../../lib/readlater.js');
+});
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html>
+<head><title>Pocket Export</title></head>
+<body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://example.com/a" time_added="1700000000" tags="design,reading">Design &amp; Code</a></li>
+<li><a href="https://example.com/b" time_added="1700000100" tags="">Page B</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+<li><a href="mailto:me@example.com" time_added="1700000200" tags="">Not a page</a></li>
+</ul>
+</body>
+</html>
+`;
+
+const POCKET_CSV = `title,url,time_added,tags,status
+"Page, with comma",https://example.com/a,1700000000,design|reading,unread
+Page B,https://example.com/b,1700000100,,archive
+`;
+
+const INSTAPAPER_CSV = `URL,Title,Selection,Folder,Timestamp,Tags
+https://example.com/a,Page A,"A quote, ""quoted""",Unread,1700000000,"[""design""]"
+https://example.com/b,Page B,,Starred,1700000100,[]
+https://example.com/c,Page C,,Research,1700000200,
+`;
+
+const RAINDROP_CSV = `id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite
+1,Page A,My note,,https://example.com/a,Design/Inspiration,"design, color",2023-11-14T22:13:20.000Z,,,false
+2,Page B,,The excerpt,https://example.com/b,Unsorted,,2023-11-14T22:15:00.000Z,,,false
+3,Page C,,,https://example.com/c,Design,,not a date,,,false
+4,Bookmarklet,,,javascript:void(0),Design,,,,,false
+`;
+
+describe('detectImportFormat', () => {
+  test('recognizes each export', () => {
+    expect(readlater.detectImportFormat('{"version": 1, "data": {}}')).toBe('backup');
+    expect(readlater.detectImportFormat('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p></DL>')).toBe('bookmarks');
+    expect(readlater.detectImportFormat(POCKET_HTML)).toBe('pocket');
+    expect(readlater.detectImportFormat(POCKET_CSV)).toBe('pocket');
+    expect(readlater.detectImportFormat(INSTAPAPER_CSV)).toBe('instapaper');
+    expect(readlater.detectImportFormat(RAINDROP_CSV)).toBe('raindrop');
+  });
+
+  test('ignores a byte order mark and returns null for unknown files', () => {
+    expect(readlater.detectImportFormat(`﻿${INSTAPAPER_CSV}`)).toBe('instapaper');
+    expect(readlater.detectImportFormat('name,email\nAda,ada@example.com')).toBeNull();
+    expect(readlater.detectImportFormat('')).toBeNull();
+  });
+});
+
+describe('parseReadLaterExport', () => {
+  test('reads Pocket HTML with tags and dates', () => {
+    const { backup, skipped } = readlater.parseReadLaterExport('pocket', POCKET_HTML);
+
+    expect(skipped).toBe(1);
+    expect(backup.data.wings.map((w) => w.title)).toEqual(['Design & Code', 'Page B']);
+    expect(backup.data.wings[0].timestamp).toBe(1700000000 * 1000);
+    expect(backup.data.tags.map((t) => t.name).sort()).toEqual(['design', 'reading']);
+    expect(backup.data.wings[0].tagIds).toHaveLength(2);
+    expect(backup.data.collections).toEqual([]);
+  });
+
+  test('reads Pocket CSV, whose tags are separated by "|"', () => {
+    const { backup } = readlater.parseReadLaterExport('pocket', POCKET_CSV);
+
+    expect(backup.data.wings.map((w) => w.title)).toEqual(['Page, with comma', 'Page B']);
+    expect(backup.data.tags.map((t) => t.name).sort()).toEqual(['design', 'reading']);
+    expect(backup.data.wings[1].tagIds).toEqual([]);
+  });
+
+  test('reads Instapaper folders as collections, Starred as a tag and selections as summaries', () => {
+    const { backup } = readlater.parseReadLaterExport('instapaper', INSTAPAPER_CSV);
+    const [a, b, c] = backup.data.wings;
+    const tagName = (id) => backup.data.tags.find((t) => t.id === id).name;
+
+    expect(backup.data.collections.map((col) => col.name)).toEqual(['Research']);
+    expect(a.collectionIds).toEqual([]);
+    expect(a.summary).toBe('A quote, "quoted"');
+    expect(a.tagIds.map(tagName)).toEqual(['design']);
+    expect(b.tagIds.map(tagName)).toEqual(['Starred']);
+    expect(b.collectionIds).toEqual([]);
+    expect(c.collectionIds).toEqual([backup.data.collections[0].id]);
+    expect(c.timestamp).toBe(1700000200 * 1000);
+  });
+
+  test('reads Raindrop folder paths as collections and nests', () => {
+    const { backup, skipped } = readlater.parseReadLaterExport('raindrop', RAINDROP_CSV);
+    const byUrl = Object.fromEntries(backup.data.wings.map((w) => [w.url, w]));
+    const [a, b, c] = ['a', 'b', 'c'].map((page) => byUrl[`https://example.com/${page}`]);
+    const design = backup.data.collections.find((col) => col.name === 'Design');
+
+    expect(skipped).toBe(1);
+    expect(backup.data.collections.map((col) => col.name)).toEqual(['Design']);
+    expect(backup.data.nests.map((n) => n.name)).toEqual(['Inspiration']);
+    expect(a.collectionIds).toEqual([design.id]);
+    expect(a.nestIds).toEqual([backup.data.nests[0].id]);
+    expect(a.summary).toBe('My note');
+    expect(a.timestamp).toBe(Date.parse('2023-11-14T22:13:20.000Z'));
+    expect(backup.data.tags.map((t) => t.name).sort()).toEqual(['color', 'design']);
+    expect(b.collectionIds).toEqual([]);
+    expect(b.summary).toBe('The excerpt');
+    expect(c.collectionIds).toEqual([design.id]);
+    expect(c.timestamp).toEqual(expect.any(Number));
+  });
+
+  test('produces backups the regular import accepts', async () => {
+    const { validateBackup } = await import('../../lib/import.js');
+    const { backup } = readlater.parseReadLaterExport('raindrop', RAINDROP_CSV);
+
+    expect(() => validateBackup(backup)).not.toThrow();
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => readlater.parseReadLaterExport('delicious', '')).toThrow('Unknown import format');
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted commas, quotes, line breaks and CRLF', () => {
+    const rows = readlater.parseCsv('Name,Note\r\n"Ada, L.","Said ""hi""\nthen left"\r\n\r\nBob,\r\n');
+
+    expect(rows).toEqual([
+      { name: 'Ada, L.', note: 'Said "hi"\nthen left' },
+      { name: 'Bob', note: '' },
+    ]);
+  });
+
+  test('fills missing trailing columns with empty strings', () => {
+    expect(readlater.parseCsv('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+});
+
+describe('parseTimestamp', () => {
+  test('reads seconds, milliseconds and ISO dates', () => {
+    expect(readlater.parseTimestamp('1700000000')).toBe(1700000000000);
+    expect(readlater.parseTimestamp(1700000000000)).toBe(1700000000000);
+    expect(readlater.parseTimestamp('2023-11-14T22:13:20Z')).toBe(1700000000000);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(readlater.parseTimestamp('')).toBeNull();
+    expect(readlater.parseTimestamp(undefined)).toBeNull();
+    expect(readlater.parseTimestamp('yesterday-ish')).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Wing Review Tests
+ * Tests for lib/review.js - SM-2 scheduling and the daily reminder
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let review;
+
+beforeAll(async () => {
+  review = await import('../../lib/review.js');
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getDefaultReview', () => {
+  test('highlights come up a day after they are saved, wings after a month', () => {
+    expect(review.getDefaultReview('highlights', { timestamp: 1000 })).toEqual({
+      ease: 2.5,
+      interval: 0,
+      repetitions: 0,
+      dueAt: 1000 + DAY_MS,
+    });
+    expect(review.getDefaultReview('wings', { timestamp: 1000 }).dueAt).toBe(1000 + 30 * DAY_MS);
+  });
+});
+
+describe('scheduleReview', () => {
+  test('recalled records wait 1 day, then 6, then grow by their ease', () => {
+    const first = review.scheduleReview(review.getDefaultReview('highlights', { timestamp: 0 }), 'good', 0);
+    const second = review.scheduleReview(first, 'good', 0);
+    const third = review.scheduleReview(second, 'good', 0);
+
+    expect(first).toEqual({ ease: 2.5, interval: 1, repetitions: 1, dueAt: DAY_MS, reviewedAt: 0 });
+    expect(second).toMatchObject({ interval: 6, repetitions: 2 });
+    expect(third).toMatchObject({ interval: 15, repetitions: 3, dueAt: 15 * DAY_MS });
+  });
+
+  test('easy raises the ease and hard lowers it', () => {
+    const start = { ease: 2.5, interval: 6, repetitions: 2 };
+
+    expect(review.scheduleReview(start, 'easy', 0)).toMatchObject({ ease: 2.6, interval: 15 });
+    expect(review.scheduleReview(start, 'hard', 0)).toMatchObject({ ease: 2.36, interval: 15 });
+  });
+
+  test('again starts over a day later, and the ease never falls below 1.3', () => {
+    const lapsed = review.scheduleReview({ ease: 1.4, interval: 40, repetitions: 5 }, 'again', 0);
+
+    expect(lapsed).toMatchObject({ ease: 1.3, interval: 1, repetitions: 0, dueAt: DAY_MS });
+  });
+
+  test('rejects unknown grades', () => {
+    expect(() => review.scheduleReview({}, 'perfect')).toThrow('Unknown grade: perfect');
+  });
+});
+
+describe('Settings and reminder', () => {
+  test('reminders are on by default and schedule a daily alarm', async () => {
+    expect(await review.getReviewSettings()).toEqual(review.DEFAULT_REVIEW_SETTINGS);
+
+    await review.scheduleReviewReminder();
+    expect((await chrome.alarms.get(review.REVIEW_ALARM)).periodInMinutes).toBe(24 * 60);
+  });
+
+  test('changing the hour moves the alarm, and turning reminders off clears it', async () => {
+    await review.saveReviewSettings({ reminderHour: 20 });
+    expect(new Date((await chrome.alarms.get(review.REVIEW_ALARM)).scheduledTime).getHours()).toBe(20);
+
+    await review.saveReviewSettings({ reminders: false });
+    expect(await chrome.alarms.get(review.REVIEW_ALARM)).toBeUndefined();
+  });
+
+  test('rejects invalid hours and keeps at least one item per session', async () => {
+    await expect(review.saveReviewSettings({ reminderHour: 24 })).rejects.toThrow('Invalid reminder hour');
+    expect((await review.saveReviewSettings({ sessionSize: 0 })).sessionSize).toBe(review.DEFAULT_REVIEW_SETTINGS.sessionSize);
+    expect((await review.saveReviewSettings({ sessionSize: -3 })).sessionSize).toBe(1);
+  });
+
+  test('getNextReminderTime picks today if the hour is ahead, tomorrow otherwise', () => {
+    const morning = new Date(2024, 4, 10, 7, 30).getTime();
+    const evening = new Date(2024, 4, 10, 21, 0).getTime();
+
+    expect(review.getNextReminderTime(9, morning)).toBe(new Date(2024, 4, 10, 9).getTime());
+    expect(review.getNextReminderTime(9, evening)).toBe(new Date(2024, 4, 11, 9).getTime());
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Wing Search Tests
+ * Tests for lib/search.js - tokenization, index entries and BM25 ranking
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let search;
+
+beforeAll(async () => {
+  search = await import('../../lib/search.js');
+});
+
+describe('tokenize', () => {
+  test('lowercases and splits on punctuation', () => {
+    expect(search.tokenize('Hello, World! foo-bar')).toEqual(['hello', 'world', 'foo', 'bar']);
+  });
+
+  test('strips diacritics', () => {
+    expect(search.tokenize('Café Crème')).toEqual(['cafe', 'creme']);
+  });
+
+  test('drops stopwords and single characters', () => {
+    expect(search.tokenize('The art of a war x')).toEqual(['art', 'war']);
+  });
+
+  test('keeps non-latin letters and numbers', () => {
+    expect(search.tokenize('Привет 2024 東京')).toEqual(['привет', '2024', '東京']);
+  });
+
+  test('handles empty input', () => {
+    expect(search.tokenize('')).toEqual([]);
+    expect(search.tokenize(null)).toEqual([]);
+    expect(search.tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('buildIndexEntry', () => {
+  test('records term frequencies per field', () => {
+    const entry = search.buildIndexEntry(
+      testUtils.createMockWing({
+        id: 'w1',
+        title: 'Rust Rust Guide',
+        url: 'https://rust.dev',
+        summary: 'Ownership',
+        fullContent: ''
+      }),
+      [testUtils.createMockHighlight({ selectedText: 'borrow checker', annotation: 'rust' })]
+    );
+
+    expect(entry.wingId).toBe('w1');
+    expect(entry.tf.rust).toEqual({ title: 2, url: 1, highlights: 1 });
+    expect(entry.tf.ownership).toEqual({ summary: 1 });
+    expect(entry.terms).toEqual(expect.arrayContaining(['rust', 'guide', 'ownership', 'borrow', 'checker']));
+    expect(entry.lengths.title).toBe(3);
+    expect(entry.lengths.fullContent).toBe(0);
+  });
+
+  test('lists each term once', () => {
+    const entry = search.buildIndexEntry(testUtils.createMockWing({ title: 'echo echo echo' }));
+
+    expect(entry.terms.filter((t) => t === 'echo')).toHaveLength(1);
+  });
+});
+
+describe('updateStats', () => {
+  test('adds, replaces and removes entries', () => {
+    const a = { lengths: { title: 2, summary: 4 } };
+    const b = { lengths: { title: 3 } };
+
+    let stats = search.updateStats(search.createEmptyStats(), undefined, a);
+    expect(stats.docCount).toBe(1);
+    expect(stats.totalLengths.title).toBe(2);
+
+    stats = search.updateStats(stats, a, b);
+    expect(stats.docCount).toBe(1);
+    expect(stats.totalLengths.title).toBe(3);
+    expect(stats.totalLengths.summary).toBe(0);
+
+    stats = search.updateStats(stats, b, undefined);
+    expect(stats.docCount).toBe(0);
+    expect(stats.totalLengths.title).toBe(0);
+  });
+
+  test('does not mutate the input', () => {
+    const stats = search.createEmptyStats();
+    search.updateStats(stats, undefined, { lengths: { title: 5 } });
+
+    expect(stats.docCount).toBe(0);
+    expect(stats.totalLengths.title).toBe(0);
+  });
+});
+
+describe('rankEntries', () => {
+  function index(wings) {
+    const entries = wings.map((w) => search.buildIndexEntry(testUtils.createMockWing(w)));
+    const stats = entries.reduce((s, e) => search.updateStats(s, undefined, e), search.createEmptyStats());
+    const postings = new Map();
+    entries.forEach((entry) => {
+      entry.terms.forEach((term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(entry);
+      });
+    });
+    return { postings, stats };
+  }
+
+  const corpus = [
+    { id: 'title-hit', title: 'Gardening tips', summary: 'Soil and water', fullContent: '' },
+    { id: 'summary-hit', title: 'Weekend plans', summary: 'Some gardening', fullContent: '' },
+    { id: 'content-hit', title: 'Notes', summary: 'Misc', fullContent: 'gardening once' },
+    { id: 'no-hit', title: 'Cooking', summary: 'Pasta', fullContent: '' },
+  ];
+
+  test('weights fields by importance', () => {
+    const { postings, stats } = index(corpus);
+    const ranked = search.rankEntries(['gardening'], postings, stats);
+
+    expect(ranked.map((r) => r.wingId)).toEqual(['title-hit', 'summary-hit', 'content-hit']);
+  });
+
+  test('scores documents matching more terms higher', () => {
+    const { postings, stats } = index(corpus);
+    const ranked = search.rankEntries(['gardening', 'soil'], postings, stats);
+
+    expect(ranked[0].wingId).toBe('title-hit');
+    expect(ranked[0].matchedFields).toEqual(expect.arrayContaining(['title', 'summary']));
+  });
+
+  test('rarer terms contribute more', () => {
+    const { postings, stats } = index([
+      { id: 'common', title: 'guide', summary: '', fullContent: '' },
+      { id: 'rare', title: 'zephyr', summary: '', fullContent: '' },
+      { id: 'other', title: 'guide', summary: '', fullContent: '' },
+    ]);
+    const ranked = search.rankEntries(['guide', 'zephyr'], postings, stats);
+
+    expect(ranked[0].wingId).toBe('rare');
+  });
+
+  test('returns nothing for unknown terms', () => {
+    const { postings, stats } = index(corpus);
+
+    expect(search.rankEntries(['nonexistent'], postings, stats)).toEqual([]);
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * Wing Sync Tests
+ * Tests for lib/sync.js and the sync state kept by lib/db.js
+ */
+
+import { jest, expect, describe, test, beforeAll, beforeEach } from '@jest/globals';
+
+let sync;
+let db;
+let encryption;
+
+beforeAll(async () => {
+  sync = await import('../../lib/sync.js');
+  db = await import('../../lib/db.js');
+  encryption = await import('../../lib/encryption.js');
+});
+
+beforeEach(async () => {
+  await db.initDB();
+  await db.clearAllData();
+});
+
+/**
+ * Backend keeping the remote copy in memory, standing in for another device's server
+ */
+function createMemoryBackend() {
+  let copy = null;
+  let version = 0;
+
+  return {
+    get entries() {
+      return copy?.snapshot.entries || [];
+    },
+    // Change a record as another device would, later than anything local
+    editRemote(key, changes) {
+      const entry = copy.snapshot.entries.find((e) => e.key === key);
+      const at = Date.now() + 60000;
+      Object.assign(entry.record, changes);
+      Object.keys(changes).forEach((field) => { entry.fields[field] = at; });
+      entry.updatedAt = at;
+      version++;
+      copy.version = String(version);
+    },
+    deleteRemote(key) {
+      const entry = copy.snapshot.entries.find((e) => e.key === key);
+      const at = Date.now() + 60000;
+      Object.assign(entry, { record: null, updatedAt: at, deletedAt: at });
+      copy.version = String(++version);
+    },
+    read: jest.fn(async () => (copy ? structuredClone(copy) : null)),
+    write: jest.fn(async (snapshot, previous) => {
+      if ((previous?.version ?? null) !== (copy?.version ?? null)) {
+        throw new sync.SyncError('Another device synced at the same time', 'CONFLICT');
+      }
+      copy = { snapshot: structuredClone(snapshot), version: String(++version) };
+    }),
+  };
+}
+
+const entry = (overrides) => ({
+  key: 'wings:w1',
+  store: 'wings',
+  id: 'w1',
+  record: { id: 'w1', title: 'Title', summary: 'Summary' },
+  fields: { id: 1, title: 1, summary: 1 },
+  updatedAt: 1,
+  deletedAt: null,
+  ...overrides,
+});
+
+describe('Sync state', () => {
+  test('writes stamp the fields they change', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'First' }));
+    const [created] = await db.readSyncEntries();
+    expect(created).toMatchObject({ key: 'wings:wing-1', store: 'wings', deletedAt: null });
+    expect(created.fields.title).toBe(created.updatedAt);
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await db.updateWing('wing-1', { title: 'Second' });
+    const [updated] = await db.readSyncEntries();
+
+    expect(updated.record.title).toBe('Second');
+    expect(updated.fields.title).toBeGreaterThan(created.fields.title);
+    expect(updated.fields.url).toBe(created.fields.url);
+  });
+
+  test('deletions leave tombstones', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.deleteWing('wing-1');
+
+    const entries = await db.readSyncEntries();
+    expect(entries).toEqual([expect.objectContaining({ key: 'wings:wing-1', record: null, deletedAt: expect.any(Number) })]);
+  });
+
+  test('records from before sync read with no field times', async () => {
+    await db.importData({ data: { tags: [{ id: 'tag-1', name: 'Old' }] } }, false);
+    await db.clearAllData();
+    await db.createTag({ id: 'tag-2', name: 'New' });
+
+    const entries = await db.readSyncEntries();
+    expect(entries.map((e) => e.key)).toEqual(['tags:tag-2']);
+  });
+
+  test('replacing the library with a backup deletes the records it lacks', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-old' }));
+    await db.importData({ data: { wings: [testUtils.createMockWing({ id: 'wing-new' })] } }, true);
+
+    const byKey = Object.fromEntries((await db.readSyncEntries()).map((e) => [e.key, e]));
+    expect(byKey['wings:wing-old']).toMatchObject({ record: null, deletedAt: expect.any(Number) });
+    expect(byKey['wings:wing-new'].fields.title).toBe(byKey['wings:wing-new'].updatedAt);
+  });
+});
+
+describe('mergeSyncEntries', () => {
+  test('takes each field from the side that changed it last', () => {
+    const local = entry({ record: { id: 'w1', title: 'Local title', summary: 'Summary' }, fields: { id: 1, title: 5, summary: 1 }, updatedAt: 5 });
+    const remote = entry({ record: { id: 'w1', title: 'Title', summary: 'Remote summary' }, fields: { id: 1, title: 1, summary: 7 }, updatedAt: 7 });
+
+    const { entries, conflicts } = sync.mergeSyncEntries([local], [remote], { since: 1 });
+
+    expect(entries).toEqual([expect.objectContaining({
+      record: { id: 'w1', title: 'Local title', summary: 'Remote summary' },
+      fields: { id: 1, title: 5, summary: 7 },
+      updatedAt: 7,
+    })]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('reports fields both sides changed since the last sync', () => {
+    const local = entry({ record: { id: 'w1', title: 'Mine' }, fields: { title: 20 }, updatedAt: 20 });
+    const remote = entry({ record: { id: 'w1', title: 'Theirs' }, fields: { title: 30 }, updatedAt: 30 });
+
+    const { entries, conflicts } = sync.mergeSyncEntries([local], [remote], { since: 10 });
+
+    expect(entries[0].record.title).toBe('Theirs');
+    expect(conflicts).toEqual([{ store: 'wings', id: 'w1', field: 'title', kept: 'remote' }]);
+    expect(sync.mergeSyncEntries([local], [remote], { since: 25 }).conflicts).toEqual([]);
+  });
+
+  test('keeps the latest modification time without calling it a conflict', () => {
+    const local = entry({ record: { id: 'w1', title: 'Mine', updatedAt: 20 }, fields: { title: 20, updatedAt: 20 }, updatedAt: 20 });
+    const remote = entry({ record: { id: 'w1', summary: 'Theirs', updatedAt: 30 }, fields: { summary: 30, updatedAt: 30 }, updatedAt: 30 });
+
+    const { entries, conflicts } = sync.mergeSyncEntries([local], [remote], { since: 10 });
+
+    expect(entries[0].record).toEqual({ id: 'w1', title: 'Mine', summary: 'Theirs', updatedAt: 30 });
+    expect(conflicts).toEqual([]);
+  });
+
+  test('settles ties the same way on both devices', () => {
+    const a = entry({ record: { id: 'w1', title: 'Apple' }, fields: { title: 3 } });
+    const b = entry({ record: { id: 'w1', title: 'Banana' }, fields: { title: 3 } });
+
+    expect(sync.mergeSyncEntries([a], [b]).entries[0].record.title)
+      .toBe(sync.mergeSyncEntries([b], [a]).entries[0].record.title);
+  });
+
+  test('a deletion wins unless the record changed after it', () => {
+    const deleted = entry({ record: null, updatedAt: 10, deletedAt: 10 });
+
+    expect(sync.mergeSyncEntries([entry({ updatedAt: 5 })], [deleted]).entries[0]).toMatchObject({ record: null, deletedAt: 10 });
+    expect(sync.mergeSyncEntries([entry({ updatedAt: 15 })], [deleted]).entries[0]).toMatchObject({
+      record: expect.objectContaining({ title: 'Title' }),
+      deletedAt: null,
+    });
+  });
+
+  test('keeps records only one side has', () => {
+    const { entries } = sync.mergeSyncEntries([entry()], [entry({ key: 'wings:w2', id: 'w2', record: { id: 'w2' } })]);
+    expect(entries.map((e) => e.key)).toEqual(['wings:w1', 'wings:w2']);
+  });
+});
+
+describe('syncWith', () => {
+  test('the first sync pushes the library', async () => {
+    await db.createCollection(testUtils.createMockCollection({ id: 'col-1' }));
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', collectionIds: ['col-1'] }));
+    const backend = createMemoryBackend();
+
+    const result = await sync.syncWith(backend);
+
+    expect(result).toEqual({ pulled: 0, pushed: 2, conflicts: 0 });
+    expect(backend.entries.map((e) => e.key).sort()).toEqual(['collections:col-1', 'wings:wing-1']);
+  });
+
+  test('pulls remote changes and keeps search in step', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Sourdough basics' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    backend.editRemote('wings:wing-1', { title: 'Rye bread' });
+    const result = await sync.syncWith(backend);
+
+    expect(result).toMatchObject({ pulled: 1, pushed: 0 });
+    expect((await db.getWing('wing-1')).title).toBe('Rye bread');
+    expect((await db.searchWings('rye')).map((w) => w.id)).toEqual(['wing-1']);
+    expect(backend.write).toHaveBeenCalledTimes(1);
+  });
+
+  test('merges changes to different fields of the same wing', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', title: 'Old title', summary: 'Old summary' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    await db.updateWing('wing-1', { summary: 'Local summary' });
+    backend.editRemote('wings:wing-1', { title: 'Remote title' });
+    await sync.syncWith(backend);
+
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'Remote title', summary: 'Local summary' });
+    expect(backend.entries.find((e) => e.key === 'wings:wing-1').record)
+      .toMatchObject({ title: 'Remote title', summary: 'Local summary' });
+  });
+
+  test('applies remote deletions', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    await db.createHighlight(testUtils.createMockHighlight({ id: 'hl-1', wingId: 'wing-1' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    backend.deleteRemote('highlights:hl-1');
+    await sync.syncWith(backend);
+
+    expect(await db.getHighlight('hl-1')).toBeUndefined();
+    expect((await db.readSyncEntries()).find((e) => e.key === 'highlights:hl-1')).toMatchObject({ record: null });
+  });
+
+  test('starts over when another device writes first', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+    await db.updateWing('wing-1', { title: 'Changed here' });
+
+    const read = backend.read.getMockImplementation();
+    backend.read.mockImplementationOnce(async () => {
+      const copy = await read();
+      backend.editRemote('wings:wing-1', { summary: 'Changed there' });
+      return copy;
+    });
+    await sync.syncWith(backend);
+
+    expect(backend.write).toHaveBeenCalledTimes(3);
+    expect(backend.entries.find((e) => e.key === 'wings:wing-1').record)
+      .toMatchObject({ title: 'Changed here', summary: 'Changed there' });
+  });
+
+  test('keeps reading progress saved since the last sync', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    await db.saveReadingProgress('wing-1', { depth: 0.6, position: 0.4 });
+    const result = await sync.syncWith(backend);
+
+    expect(result).toMatchObject({ pulled: 0, pushed: 1 });
+    expect(await db.getWing('wing-1')).toMatchObject({ scrollDepth: 0.6, scrollPosition: 0.4 });
+    expect(backend.entries.find((e) => e.key === 'wings:wing-1').record)
+      .toMatchObject({ scrollDepth: 0.6, scrollPosition: 0.4 });
+  });
+
+  test('rejects remote copies that are not sync files', async () => {
+    const backend = { read: async () => ({ snapshot: { data: {} }, version: '1' }), write: jest.fn() };
+    await expect(sync.syncWith(backend)).rejects.toMatchObject({ code: 'INVALID' });
+  });
+
+  test('needs Wing unlocked', async () => {
+    await encryption.enableEncryption('library passphrase');
+    await encryption.lock();
+
+    await expect(sync.syncWith(createMemoryBackend())).rejects.toMatchObject({ code: 'LOCKED' });
+  });
+});
+
+describe('syncWith an encrypted library', () => {
+  const PASSPHRASE = 'library passphrase';
+
+  test('seals the remote copy and merges it in plaintext', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', summary: 'Private summary' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    const { snapshot } = await backend.read();
+    expect(snapshot.encryption).toEqual(await encryption.getKeyCheck());
+    expect(encryption.isSealed(snapshot.entries[0].record.summary)).toBe(true);
+    expect(JSON.stringify(snapshot)).not.toContain('Private summary');
+
+    backend.editRemote('wings:wing-1', { title: 'Renamed elsewhere' });
+    const result = await sync.syncWith(backend);
+
+    expect(result).toMatchObject({ pulled: 1, pushed: 0 });
+    expect(await db.getWing('wing-1')).toMatchObject({ title: 'Renamed elsewhere', summary: 'Private summary' });
+  });
+
+  test('seals a copy synced before encryption was turned on', async () => {
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', summary: 'Private summary' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.encryptLibrary();
+    await sync.syncWith(backend);
+
+    expect(backend.write).toHaveBeenCalledTimes(2);
+    expect(JSON.stringify((await backend.read()).snapshot)).not.toContain('Private summary');
+  });
+
+  test('needs the key the remote copy is sealed with', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await db.createWing(testUtils.createMockWing({ id: 'wing-1', summary: 'Private summary' }));
+    const backend = createMemoryBackend();
+    await sync.syncWith(backend);
+    const keyCheck = await encryption.getKeyCheck();
+
+    await db.decryptLibrary();
+    await encryption.disableEncryption();
+    await expect(sync.syncWith(backend)).rejects.toMatchObject({ code: 'KEY' });
+
+    await encryption.enableEncryption(PASSPHRASE);
+    await expect(sync.syncWith(backend)).rejects.toMatchObject({ code: 'KEY' });
+    expect(backend.write).toHaveBeenCalledTimes(1);
+
+    await encryption.disableEncryption();
+    await encryption.enableEncryption(PASSPHRASE, keyCheck);
+    await expect(sync.syncWith(backend)).resolves.toMatchObject({ pulled: 0 });
+  });
+});
+
+describe('WebDAV backend', () => {
+  const response = (status, body, etag) => Promise.resolve({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => (name === 'ETag' ? etag : null) },
+    json: () => Promise.resolve(body),
+  });
+
+  test('reads and writes wing-sync.json in the folder with basic auth', async () => {
+    const backend = sync.createWebDavBackend({ url: 'https://dav.example.com/wing', username: 'ada', password: 'secret' });
+    fetch.mockImplementationOnce(() => response(404));
+    fetch.mockImplementationOnce(() => response(201));
+
+    expect(await backend.read()).toBeNull();
+    await backend.write({ format: 'wing-sync' }, null);
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://dav.example.com/wing/wing-sync.json');
+    expect(options.headers.Authorization).toBe(`Basic ${btoa('ada:secret')}`);
+    expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'PUT', headers: expect.objectContaining({ 'If-None-Match': '*' }) });
+  });
+
+  test('writes only over the version it read', async () => {
+    const backend = sync.createWebDavBackend({ url: 'https://dav.example.com/wing/' });
+    fetch.mockImplementationOnce(() => response(200, { format: 'wing-sync', entries: [] }, '"v1"'));
+    fetch.mockImplementationOnce(() => response(412));
+
+    const remote = await backend.read();
+    expect(remote.version).toBe('"v1"');
+    await expect(backend.write({}, remote)).rejects.toMatchObject({ code: 'CONFLICT' });
+    expect(fetch.mock.calls[1][1].headers['If-Match']).toBe('"v1"');
+  });
+
+  test('reports refused credentials and unreachable servers', async () => {
+    const backend = sync.createWebDavBackend({ url: 'https://dav.example.com/wing/' });
+    fetch.mockImplementationOnce(() => response(401));
+    fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+
+    await expect(backend.read()).rejects.toMatchObject({ code: 'AUTH' });
+    await expect(backend.read()).rejects.toMatchObject({ code: 'NETWORK' });
+  });
+
+  test('needs a folder address', () => {
+    expect(() => sync.createWebDavBackend({ url: '' })).toThrow(sync.SyncError);
+  });
+});
+
+describe('Settings', () => {
+  test('turning sync on schedules it, and off clears it', async () => {
+    await sync.saveSyncSettings({ enabled: true, url: 'https://dav.example.com/wing/' });
+    expect(await chrome.alarms.get(sync.SYNC_ALARM)).toBeDefined();
+
+    await sync.saveSyncSettings({ enabled: false });
+    expect(await chrome.alarms.get(sync.SYNC_ALARM)).toBeUndefined();
+  });
+
+  test('keeps the password encrypted when encryption is on', async () => {
+    await encryption.enableEncryption('library passphrase');
+    await sync.saveSyncSettings({ url: 'https://dav.example.com/', password: 'dav password' });
+
+    const { syncSettings } = await chrome.storage.local.get('syncSettings');
+    expect(encryption.isSealed(syncSettings.password)).toBe(true);
+    expect((await sync.getSyncSettings()).password).toBe('dav password');
+
+    await sync.resealSyncPassword(false);
+    expect((await chrome.storage.local.get('syncSettings')).syncSettings.password).toBe('dav password');
+  });
+
+  test('syncNow records the result', async () => {
+    await expect(sync.syncNow()).rejects.toMatchObject({ code: 'NOT_CONFIGURED' });
+
+    await sync.saveSyncSettings({ enabled: true, url: 'https://dav.example.com/wing/' });
+    fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(sync.syncNow()).rejects.toMatchObject({ code: 'NETWORK' });
+
+    const status = await sync.getSyncStatus();
+    expect(status).toMatchObject({ lastSyncedAt: null, lastError: expect.stringContaining('Could not reach') });
+  });
+});
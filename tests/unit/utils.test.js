@@ -265,6 +265,44 @@ describe('Domain Extraction', () => {
   });
 });
 
+describe('URL Canonicalization', () => {
+  test('drops tracking params, fragment, www and trailing slash', () => {
+    expect(utils.canonicalizeUrl('https://www.example.com/post/?utm_source=x&utm_medium=y#comments'))
+      .toBe('https://example.com/post');
+  });
+
+  test('variants of the same page share a canonical URL', () => {
+    const variants = [
+      'https://example.com/post',
+      'https://example.com/post/',
+      'https://www.example.com/post',
+      'https://example.com/post#section-2',
+      'https://example.com/post?fbclid=abc',
+      'https://EXAMPLE.com:443/post',
+    ];
+
+    expect(new Set(variants.map(utils.canonicalizeUrl)).size).toBe(1);
+  });
+
+  test('keeps meaningful query params in a stable order', () => {
+    expect(utils.canonicalizeUrl('https://example.com/search?q=wing&page=2&utm_campaign=z'))
+      .toBe('https://example.com/search?page=2&q=wing');
+    expect(utils.canonicalizeUrl('https://example.com/search?page=2&q=wing'))
+      .toBe(utils.canonicalizeUrl('https://example.com/search?q=wing&page=2'));
+  });
+
+  test('keeps different pages apart', () => {
+    expect(utils.canonicalizeUrl('https://example.com/a')).not.toBe(utils.canonicalizeUrl('https://example.com/b'));
+    expect(utils.canonicalizeUrl('https://example.com/?id=1')).not.toBe(utils.canonicalizeUrl('https://example.com/?id=2'));
+  });
+
+  test('handles non-http and invalid URLs', () => {
+    expect(utils.canonicalizeUrl('')).toBe('');
+    expect(utils.canonicalizeUrl('not-a-url')).toBe('not-a-url');
+    expect(utils.canonicalizeUrl('file:///tmp/a.html')).toBe('file:///tmp/a.html');
+  });
+});
+
 describe('Content Sanitization', () => {
   test('sanitizeContent normalizes whitespace', () => {
     const messy = 'Hello     world\n\n\nwith  extra  spaces';
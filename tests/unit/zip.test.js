@@ -0,0 +1,68 @@
+/**
+ * Wing Zip Tests
+ * Tests for lib/zip.js - writing uncompressed zip archives
+ */
+
+import { expect, describe, test, beforeAll } from '@jest/globals';
+
+let zip;
+
+beforeAll(async () => {
+  zip = await import('../../lib/zip.js');
+});
+
+// Read the entries listed in the central directory of an archive
+function readEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name,
+      crc: view.getUint32(position + 16, true),
+      content: new TextDecoder().decode(bytes.subarray(dataStart, dataStart + size)),
+    });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(zip.crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(zip.crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('stores every file with its name and content', () => {
+    const archive = zip.createZip([
+      { name: 'Notes/Café.md', content: '# Café\n\nÇa va ✓' },
+      { name: 'empty.md', content: '' },
+      { name: 'raw.bin', content: new Uint8Array([1, 2, 3]) },
+    ]);
+
+    const entries = readEntries(archive);
+    expect(entries.map((e) => e.name)).toEqual(['Notes/Café.md', 'empty.md', 'raw.bin']);
+    expect(entries[0].content).toBe('# Café\n\nÇa va ✓');
+    expect(entries[0].crc).toBe(zip.crc32(new TextEncoder().encode('# Café\n\nÇa va ✓')));
+    expect(entries[1].content).toBe('');
+  });
+
+  test('writes an empty archive', () => {
+    expect(readEntries(zip.createZip([]))).toEqual([]);
+  });
+});